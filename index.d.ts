@@ -9,17 +9,103 @@ export type AnyRecord = Record<string, any>;
 
 export type GlobalChangeHookPayload = {
 	modelName: string;
-	id: string | number;
+	/** Null for `updateWhere()` / `removeWhere()`, which list rows in `ids`. */
+	id: string | number | null;
 	/** DB-level (deflated) values. ORM-managed keys (updatedAt, createdAt, nonce)
 	 *  and the id field are stripped. Empty when the write was a no-op. */
 	changedFields: Record<string, unknown>;
 	wasCreated: boolean;
+	/** Every row matched by `updateWhere()` / `removeWhere()`. */
+	ids?: Array<string | number>;
+	/** Rows the `updateWhere()` / `removeWhere()` UPDATE reported changing. */
+	affectedRows?: number;
+};
+
+/**
+ * Accepted by `Model.upsert()`. `conflictFields` names the UNIQUE index (or
+ * primary key) to match on; `update` the fields to overwrite on conflict
+ * (default: every given field except the conflict fields and the id).
+ */
+export type UpsertOptions = WriteOptions & {
+	conflictFields: string[];
+	update?: string[];
+};
+
+/** Resolved by `Model.upsert()`. */
+export type UpsertResult<TInstance> = {
+	instance: TInstance;
+	wasCreated: boolean;
+};
+
+/** Resolved by `updateWhere()` / `removeWhere()`. */
+export type BulkWriteResult = {
+	affectedRows: number;
+	ids: Array<string | number>;
 };
 
 export declare function registerGlobalChangeHook(
 	fn: (payload: GlobalChangeHookPayload) => void | Promise<void>,
 ): () => void;
 
+/** Passed to an outbox relay handler with each payload. */
+export type OutboxDeliveryMeta = {
+	/** Id of the `yass_outbox` row. */
+	outboxId: number;
+	/** 1 on the first delivery of the row. */
+	attempts: number;
+};
+
+/**
+ * Accepted by `createOutboxRelay()`. Payloads are the global change hook
+ * payloads written to `yass_outbox` in outbox mode (`outbox: true` in the
+ * config), delivered at least once, in order.
+ */
+export type OutboxRelayOptions = {
+	/** Throw or reject to have the row retried. */
+	handler: (
+		payload: GlobalChangeHookPayload,
+		meta: OutboxDeliveryMeta,
+	) => void | Promise<void>;
+	/** Wait between polls when the outbox is empty. Default 1000. */
+	pollIntervalMs?: number;
+	/** Most rows read per poll. Default 100. */
+	batchSize?: number;
+	/** Failures before a row is dead-lettered (`status = 'dead'`). Default 10. */
+	maxAttempts?: number;
+	/** Wait after a row's first failure, doubled per further failure. Default 1000. */
+	retryDelayMs?: number;
+	onDeadLetter?: (
+		payload: GlobalChangeHookPayload,
+		error: unknown,
+		meta: OutboxDeliveryMeta,
+	) => void | Promise<void>;
+	/** Handle the outbox lives on. Defaults to the configured handle. */
+	dbh?: DbHandle | (() => Promise<DbHandle>);
+	logger?: { error: (...args: any[]) => void };
+};
+
+/** Resolved by `relay.drain()`. */
+export type OutboxDrainResult = {
+	delivered: number;
+	deadLettered: number;
+	/** Set when a row failed and holds back the rows after it. */
+	retryInMs: number | null;
+	/** The batch was full - more rows may be pending. */
+	more: boolean;
+};
+
+export type OutboxRelay = {
+	start(): void;
+	/** Resolves once an in-flight drain has finished. */
+	stop(): Promise<void>;
+	/** Deliver one batch of pending rows. */
+	drain(): Promise<OutboxDrainResult>;
+};
+
+export declare function createOutboxRelay(
+	options: OutboxRelayOptions,
+): OutboxRelay;
+
 export type JsonifyOptions = {
 	includeLinked?: boolean;
 	excludeLinked?: boolean;
@@ -35,11 +121,48 @@ export type FindOptions = {
 	 * Transaction handle from `dbh.transaction((tx) => ...)`. When supplied, the
 	 * read runs on that pinned connection so it can see the transaction's own
 	 * uncommitted writes, and the lost-connection retry wrapper is bypassed.
+	 * `null` runs outside a transaction bound by `Model.transaction()`.
 	 */
-	tx?: DbHandle;
+	tx?: DbHandle | null;
+	/** Dotted `t.linked()` / `t.hasMany()` paths to eager load. See {@link IncludeOptions}. */
+	include?: string | string[];
+	/** Resolve a soft-deleted row too. Without it, a deleted id resolves to null. */
+	withDeleted?: boolean;
+	/** Resolve the row only if it is soft-deleted. */
+	onlyDeleted?: boolean;
 	[key: string]: any;
 };
 
+/**
+ * Soft-delete scope for `search`, `searchOne`, `get`, `fromSql`, `find`,
+ * `count` and `aggregate`. Deleted rows (`isDeleted`) are skipped by default,
+ * unless the filter names `isDeleted` itself. Pass one of these, not both.
+ */
+export type SoftDeleteOptions = {
+	/** Include deleted rows. */
+	withDeleted?: boolean;
+	/** Only deleted rows. */
+	onlyDeleted?: boolean;
+};
+
+/**
+ * One write recorded in the history table of an `audit: true` definition,
+ * as returned by `instance.history()`.
+ */
+export type HistoryEntry = {
+	id: number;
+	action: 'create' | 'update' | 'remove' | 'restore' | 'delete';
+	/** From `auditActor()`, stored as text. */
+	actor: string | null;
+	/** The raw row before the write - null on create. */
+	before: AnyRecord | null;
+	/** The raw row after the write - null on delete. */
+	after: AnyRecord | null;
+	/** Same as the global change hook payload's `changedFields`. */
+	changedFields: AnyRecord | null;
+	createdAt: Date | null;
+};
+
 /**
  * Options carrying a transaction handle, accepted by the model-level write and
  * read methods (`create`, `patch`, `remove`, `search`, `searchOne`).
@@ -49,9 +172,148 @@ export type FindOptions = {
  * lost-connection retry (retry belongs to `dbh.transaction({ maxRetries })`).
  */
 export type TxOptions = {
-	tx?: DbHandle;
+	/** `null` runs outside a transaction bound by `Model.transaction()`. */
+	tx?: DbHandle | null;
+};
+
+/**
+ * Eager loading of `t.linked()` fields, accepted by `search`, `searchOne`,
+ * `get`, `fromSql` and `find`. Dotted paths load nested links
+ * (`'account.org'`). Each level costs one `WHERE id IN (...)` query per linked
+ * model instead of one `get()` per row; ids already in the class cache are
+ * not refetched. A path naming a non-linked field throws.
+ *
+ * `t.hasMany()` relation names are accepted too (`'comments'`,
+ * `'comments.author'`): one `WHERE foreignKey IN (...)` query loads the
+ * children of every row, and the relation accessor then returns them without
+ * a query. `t.manyToMany()` relations cost one query on the join table plus
+ * one on the linked table.
+ */
+export type IncludeOptions = {
+	include?: string | string[];
+};
+
+/**
+ * Accepted by `create()` and `patch()`. `validate` checks the data against the
+ * schema before any SQL is sent (see `DatabaseObject.validate`); it defaults
+ * to the definition's `validate` flag.
+ */
+export type WriteOptions = TxOptions & {
+	validate?: boolean;
+};
+
+/**
+ * Accepted by `createMany()`. Each INSERT carries at most `batchSize` rows
+ * (default 1000) and stays under the dialect's bound-parameter limit.
+ * `returning: false` skips re-reading the rows and resolves to their ids.
+ */
+export type CreateManyOptions = WriteOptions & {
+	batchSize?: number;
+	returning?: boolean;
+};
+
+/** One failing field of a {@link ValidationError}. */
+export type ValidationIssue = {
+	/** Dotted path with array indexes, e.g. `address.zip` or `lines[2].sku`. */
+	path: string;
+	message: string;
+	value: unknown;
+};
+
+/**
+ * Thrown by `create()` / `patch()` / `Model.validate()` when the data does not
+ * match the schema. Lists every failing field, not just the first.
+ */
+export declare class ValidationError extends Error {
+	name: 'ValidationError';
+	code: 'ERR_VALIDATION';
+	table: string;
+	errors: ValidationIssue[];
+	/** Index of the failing row, when thrown by `createMany()`. */
+	rowIndex?: number;
+	constructor(table: string, errors: ValidationIssue[]);
+}
+
+/**
+ * Passed to `beforePatchHook`. `snapshot` holds the instance's field values
+ * before the patch; `afterChangeHook` receives it too after a patch.
+ */
+export type PatchHookOptions = TxOptions & {
+	snapshot: AnyRecord;
+};
+
+/**
+ * Passed to `beforeRemoveHook` / `afterRemoveHook`. `hard` is true for
+ * `reallyDelete()`, false for the soft-delete `remove()`.
+ */
+export type RemoveHookOptions = PatchHookOptions & {
+	hard: boolean;
+};
+
+/**
+ * A `t.hasMany()` relation as stored in the converted schema's `relations`.
+ */
+export type HasManyRelation = {
+	type: 'hasMany';
+	/** Child model, resolved like a `t.linked()` model name. */
+	model: string;
+	/** Column on the child model holding this model's id. */
+	foreignKey: string;
+	/** Default sort for the accessor and for `include`. */
+	orderBy?: string;
+	orderDir?: 'ASC' | 'DESC' | 'asc' | 'desc';
+};
+
+/**
+ * A `t.manyToMany()` relation as stored in the converted schema's `relations`.
+ * schema-sync creates the `through` table with both key columns and a unique
+ * index on the pair.
+ */
+export type ManyToManyRelation = {
+	type: 'manyToMany';
+	/** Linked model, resolved like a `t.linked()` model name. */
+	model: string;
+	/** Join table. */
+	through: string;
+	/** Join-table column holding this model's id (default: this table's name). */
+	foreignKey: string;
+	/** Join-table column holding the linked model's id (default: the model's basename). */
+	otherKey: string;
+	/** Default sort for the accessor and for `include`. */
+	orderBy?: string;
+	orderDir?: 'ASC' | 'DESC' | 'asc' | 'desc';
 };
 
+export type Relation = HasManyRelation | ManyToManyRelation;
+
+/**
+ * What `addRelated` / `removeRelated` / `setRelated` (and the generated
+ * `addTags` style helpers) accept: instances or ids, alone or in an array.
+ */
+export type RelatedItems<T = any> =
+	| T
+	| string
+	| number
+	| Array<T | string | number>;
+
+/**
+ * Options for a `t.hasMany()` or `t.manyToMany()` accessor (`post.comments(options)`) and
+ * `loadRelation()`. Called without options, children preloaded via `include`
+ * are returned without a query; any option, or `refresh: true`, queries.
+ */
+export type HasManyOptions = TxOptions &
+	IncludeOptions & {
+		/** Extra conditions, ANDed with the foreign key match. */
+		where?: WhereClause;
+		/** Defaults to the relation's `orderBy`. */
+		orderBy?: string;
+		orderDir?: 'ASC' | 'DESC' | 'asc' | 'desc';
+		limit?: number;
+		/** Requires `limit`. */
+		offset?: number;
+		refresh?: boolean;
+	};
+
 /**
  * Options accepted by `search()` in place of the legacy boolean `limitOne`.
  * Any key outside this set throws at runtime, naming the key.
@@ -66,6 +328,135 @@ export type SearchOptions = {
 	orderDir?: 'ASC' | 'DESC' | 'asc' | 'desc';
 };
 
+/**
+ * Operator object accepted as a field value in `search()` / `searchOne()`,
+ * e.g. `{ age: { $gte: 18, $lt: 65 } }`. Several operators on one field are
+ * ANDed. Unknown operators throw at runtime, naming the operator.
+ */
+export type WhereOperators<V = any> = {
+	/** `null` compiles to `IS NULL`. */
+	$eq?: V | null;
+	/** `null` compiles to `IS NOT NULL`. Note SQL `<>` never matches NULL rows. */
+	$ne?: V | null;
+	$gt?: V;
+	$gte?: V;
+	$lt?: V;
+	$lte?: V;
+	/** An empty array matches nothing. */
+	$in?: V[];
+	/** An empty array matches everything. */
+	$nin?: V[];
+	/** Case sensitivity follows the dialect/collation (SQLite is case-insensitive for ASCII). */
+	$like?: string;
+	$notLike?: string;
+	$between?: [V, V];
+	$not?: WhereOperators<V>;
+};
+
+/**
+ * The `fields` argument of `search()` / `searchOne()`. Plain values mean
+ * equality (`null` means `IS NULL`); a value may instead be a
+ * {@link WhereOperators} object. `$or` / `$and` / `$not` group nested clauses.
+ * At the model layer, once any operator is used every field named must be a
+ * column on the model.
+ */
+export type WhereClause = {
+	$or?: WhereClause[];
+	$and?: WhereClause[];
+	$not?: WhereClause;
+	[field: string]: any;
+};
+
+/** Page options for keyset (cursor) pagination. See `Model.paginate()`. */
+export type PageOptions = {
+	/** `nextCursor` of the previous page; omit for the first page. */
+	after?: string | null;
+	/** Page size, default 20. */
+	limit?: number;
+	/** Sort column, default the id. The id breaks ties. */
+	orderBy?: string;
+	orderDir?: 'ASC' | 'DESC' | 'asc' | 'desc';
+};
+
+/** What `Model.aggregate()` computes. Each entry is a column or list of columns. */
+export type AggregateSpec = {
+	groupBy?: string | string[];
+	sum?: string | string[];
+	avg?: string | string[];
+	min?: string | string[];
+	max?: string | string[];
+};
+
+/**
+ * One group from `Model.aggregate()`: the inflated group keys, `count`, and
+ * per function the values keyed by column (`{ sum: { amount: 340 } }`).
+ */
+export type AggregateRow = {
+	count: number;
+	sum?: Record<string, number | null>;
+	avg?: Record<string, number | null>;
+	min?: AnyRecord;
+	max?: AnyRecord;
+	[groupKey: string]: any;
+};
+
+/** One page from `Model.paginate()` / `Model.query().paginate()`. */
+export type Page<TItem> = {
+	items: TItem[];
+	/** Opaque cursor for the next page, or null on the last page. */
+	nextCursor: string | null;
+	hasMore: boolean;
+};
+
+/**
+ * Chainable, immutable query returned by `Model.query()`. Every chain method
+ * returns a new builder. Awaiting a builder runs `all()`.
+ *
+ * Field names are validated against the model's schema (throwing, naming the
+ * field), operands are deflated like `search()` values, and SQL is rendered
+ * through the active dialect's quoting and placeholders.
+ */
+export interface QueryBuilder<TInstance> extends PromiseLike<TInstance[]> {
+	/** Add a where clause; repeated calls are ANDed. */
+	where(clause: WhereClause): QueryBuilder<TInstance>;
+	/** Add an ORDER BY term; repeated calls add secondary keys. */
+	orderBy(
+		field: string,
+		direction?: 'ASC' | 'DESC' | 'asc' | 'desc',
+	): QueryBuilder<TInstance>;
+	limit(count: number): QueryBuilder<TInstance>;
+	/** Requires `limit()`. */
+	offset(count: number): QueryBuilder<TInstance>;
+	/**
+	 * Restrict the columns read. Resolves to PLAIN OBJECTS holding only those
+	 * fields (a partial row cannot safely become a cached model instance).
+	 */
+	select(...fields: Array<string | string[]>): QueryBuilder<AnyRecord>;
+	/** Eager-load `t.linked()` / `t.hasMany()` paths in batches. Repeated calls accumulate. */
+	include(...paths: Array<string | string[]>): QueryBuilder<TInstance>;
+	/** Run on a transaction handle from `dbh.transaction((tx) => ...)`. */
+	tx(tx: DbHandle | null | undefined): QueryBuilder<TInstance>;
+	/** Render SQL and named params for the given handle. */
+	toSql(dbh: DbHandle): { sql: string; params: AnyRecord };
+	all(): Promise<TInstance[]>;
+	first(): Promise<TInstance | null>;
+	/** Matching row count; ordering, limit and offset are ignored. */
+	count(): Promise<number>;
+	exists(): Promise<boolean>;
+	/** One inflated column from every matching row. */
+	pluck<V = any>(field: string): Promise<V[]>;
+	/**
+	 * One page in keyset order: sorted by `orderBy` then the id, starting after
+	 * the `after` cursor. Cannot follow `orderBy()`, `limit()` or `offset()`.
+	 */
+	paginate(options?: PageOptions): Promise<Page<TInstance>>;
+	/** Group and aggregate the matching rows; ordering and bounds are ignored. */
+	aggregate(spec: AggregateSpec): Promise<AggregateRow[]>;
+	catch<R = never>(
+		onRejected?: (reason: any) => R | PromiseLike<R>,
+	): Promise<TInstance[] | R>;
+}
+
 export type PatchWithNonceRetryOptions = {
 	logger?: { warn: (...args: any[]) => void; error: (...args: any[]) => void };
 	verbose?: boolean;
@@ -86,6 +477,11 @@ export type SchemaField = {
 	field: string;
 	linkedModel?: any;
 	isObject?: boolean;
+	/**
+	 * Set by `t.array()`, and by `t.linked(model, { array: true })` - a JSON
+	 * array of ids that inflates to an array of `linkedModel` instances.
+	 */
+	isArray?: boolean;
 	objectSchema?: AnyRecord;
 	arraySchema?: AnyRecord;
 	nativeType?: any;
@@ -93,16 +489,64 @@ export type SchemaField = {
 	default?: any;
 	defaultValue?: any;
 	options?: any[];
+	/**
+	 * Set by `t.generated()` - the database computes the column from
+	 * `expression` (SQL, or SQL per dialect name), so create() / patch() refuse
+	 * to write it.
+	 */
+	generated?: {
+		expression: string | Partial<Record<'mysql' | 'sqlite' | 'postgres', string>>;
+		stored: boolean;
+	};
+	/** Set by `t.version` - the optimistic-locking counter. */
+	isVersion?: boolean;
+	/** The column's previous name, which schema-sync renames to this field. */
+	renamedFrom?: string;
+	/**
+	 * Set by `t.linked(model, { foreignKey })` (or the `linkedForeignKeys`
+	 * config) - schema-sync adds a FOREIGN KEY referencing the linked table.
+	 */
+	foreignKey?: {
+		onDelete: 'CASCADE' | 'RESTRICT' | 'SET NULL' | 'NO ACTION';
+		onUpdate: 'CASCADE' | 'RESTRICT' | 'SET NULL' | 'NO ACTION';
+		table?: string;
+		column?: string;
+	};
 	[key: string]: any;
 };
 
+/** A `t.virtual()` field: computed from the inflated field values, never stored. */
+export type VirtualCompute = (values: AnyRecord) => any;
+
 export interface SchemaDefinition {
 	table: string;
 	fieldMap: Record<string, SchemaField>;
 	sortBy?: any;
 	stringifyAs?: any;
 	legacyExternalSchema?: boolean;
+	/** `t.hasMany()` relations, keyed by accessor name. */
+	relations?: Record<string, Relation>;
+	/** `t.virtual()` fields, keyed by name. */
+	virtuals?: Record<string, VirtualCompute>;
+	/**
+	 * The `t.version` field, if any. `patch()` increments it in the UPDATE and
+	 * fails with `ERR_NONCE` when it no longer matches the loaded value.
+	 */
+	versionField?: string;
+	/** The table's previous name, which schema-sync renames to `table`. */
+	renamedFrom?: string;
+	/**
+	 * Set by `checkConstraints: true|false` - whether schema-sync adds CHECK
+	 * constraints for `t.enum()` fields and numbers with `.min()` / `.max()`.
+	 * Unset follows the `checkConstraints` config option.
+	 */
+	checkConstraints?: boolean;
+	/** Set by `audit: true` - writes are recorded in `historyTable`. */
+	audit?: boolean;
+	historyTable?: string;
 	disableAutoUpdatedAt?: boolean;
+	/** Validate the data given to `create()` / `patch()` against the schema. */
+	validate?: boolean;
 	objectIdPrefix?: string;
 	[key: string]: any;
 }
@@ -115,6 +559,10 @@ export type FinderResult<Row = AnyRecord> = {
 	extra: AnyRecord;
 	/** Some mutateMeta hooks set this to avoid automatic COUNT(*). */
 	totalSetManually?: boolean;
+	/** With the `$after` filter: cursor for the next page, or null on the last page. */
+	nextCursor?: string | null;
+	/** With the `$after` filter: whether there is a next page. */
+	hasMore?: boolean;
 };
 
 export type TransactionIsolationLevel =
@@ -132,6 +580,11 @@ export type TransactionOptions = {
 	deferrable?: boolean;
 	/** Retry serialization, deadlock, busy, and lock failures. Defaults to 0. */
 	maxRetries?: number;
+	/**
+	 * Bind the transaction to the async context, so model calls in the
+	 * callback given no `tx` run on it. `Model.transaction()` always does.
+	 */
+	bind?: boolean;
 };
 
 export type FindOrCreateOptions = {
@@ -148,6 +601,23 @@ export type FindOrCreateOptions = {
 	tx?: DbHandle;
 };
 
+/**
+ * Handle passed to a `dbh.transaction()` callback: a {@link DbHandle} pinned
+ * to the transaction's connection.
+ */
+export type TransactionHandle = DbHandle & {
+	/**
+	 * Run `fn` after the root transaction commits. Dropped if the work it was
+	 * registered in (the transaction, or a savepoint) is rolled back.
+	 */
+	afterCommit: (fn: () => unknown) => void;
+	/**
+	 * Run `fn` once the work it was registered in is rolled back, after the
+	 * root transaction ends.
+	 */
+	afterRollback: (fn: () => unknown) => void;
+};
+
 /**
  * DB handle (connection/pool) returned by `dbh()` and passed into retry/withDbh callbacks.
  * This is intentionally minimal and loosely typed.
@@ -173,12 +643,12 @@ export type DbHandle = {
 	) => Promise<T[]>;
 	/** Run work atomically on one physical connection; nested calls use savepoints. */
 	transaction: <T>(
-		callback: (tx: DbHandle) => Promise<T> | T,
+		callback: (tx: TransactionHandle) => Promise<T> | T,
 		options?: TransactionOptions,
 	) => Promise<T>;
 	search: (
 		tableAndIdField: string,
-		fields?: AnyRecord,
+		fields?: WhereClause,
 		limitOne?: boolean | SearchOptions,
 		options?: {
 			silenceErrors?: boolean;
@@ -199,10 +669,15 @@ export type DbHandle = {
 			silenceErrors?: boolean;
 		},
 	) => Promise<any>;
+	/**
+	 * With `versionField`, the UPDATE increments that column and only matches
+	 * while it equals `version`; otherwise it rejects with code `ERR_NONCE`.
+	 */
 	patch: (
 		tableAndIdField: string,
 		id: string,
 		fields: AnyRecord,
+		opts?: { versionField?: string; version?: number },
 	) => Promise<any>;
 	patchIf: (
 		tableAndIdField: string,
@@ -217,6 +692,32 @@ export type DbHandle = {
 		patchIfFalsey?: AnyRecord,
 		opts?: FindOrCreateOptions,
 	) => Promise<any>;
+	/**
+	 * Multi-row INSERTs, batched by `batchSize` and the dialect's
+	 * bound-parameter limit. Resolves to one row per input row, in order:
+	 * re-read rows, or the given rows with ids filled in for `returning: false`.
+	 */
+	createMany: (
+		tableAndIdField: string,
+		rows: AnyRecord[],
+		opts?: {
+			batchSize?: number;
+			returning?: boolean;
+			allowBlankIdOnCreate?: boolean;
+			idGenerator?: (() => string) | string;
+			silenceErrors?: boolean;
+		},
+	) => Promise<AnyRecord[]>;
+	/**
+	 * One UPDATE of every row matching `where` (which must not be empty),
+	 * after reading their ids with the same where clause.
+	 */
+	updateWhere: (
+		tableAndIdField: string,
+		where: WhereClause,
+		fields: AnyRecord,
+		opts?: { increment?: string[]; silenceErrors?: boolean },
+	) => Promise<BulkWriteResult>;
 	/**
 	 * Atomic at-most-once insert. Uses dialect-specific `INSERT IGNORE`
 	 * (MySQL) or `INSERT ... ON CONFLICT DO NOTHING` (SQLite/Postgres).
@@ -249,9 +750,13 @@ export type DbHandle = {
 		opts: {
 			onDuplicate: Record<string, string> | string[];
 			conflictColumns?: string[];
+			/** Columns set to the existing value + 1 on conflict. */
+			increment?: string[];
 			allowBlankIdOnCreate?: boolean;
 			idGenerator?: (() => string) | string;
 			silenceErrors?: boolean;
+			/** Lock and read the existing row first, to tell an insert from an update. */
+			readExisting?: boolean;
 		},
 	) => Promise<AnyRecord | null>;
 	get: (tableAndIdField: string, id: string) => Promise<any>;
@@ -295,7 +800,7 @@ export interface DatabaseObjectInstanceMethods {
 	/**
 	 * Patch fields in DB and refresh this instance.
 	 */
-	patch(data?: AnyRecord, options?: TxOptions): Promise<this>;
+	patch(data?: AnyRecord, options?: WriteOptions): Promise<this>;
 
 	/**
 	 * Patch with nonce retry behavior (ERR_NONCE retry loop).
@@ -310,10 +815,20 @@ export interface DatabaseObjectInstanceMethods {
 	 */
 	remove(options?: TxOptions): Promise<this>;
 
+	/**
+	 * Undoes `remove()`: sets isDeleted=false (and `deletedAt` to null).
+	 */
+	restore(options?: TxOptions): Promise<this>;
+
 	/**
 	 * Actually DELETEs from DB (dangerous).
 	 */
-	reallyDelete(): Promise<any>;
+	reallyDelete(options?: TxOptions): Promise<any>;
+
+	/**
+	 * The history of this row, oldest first (requires `audit: true`).
+	 */
+	history(options?: TxOptions): Promise<HistoryEntry[]>;
 
 	/**
 	 * Deflates this instance (or passed object) into DB-ready primitives.
@@ -322,6 +837,41 @@ export interface DatabaseObjectInstanceMethods {
 
 	getId(): any;
 
+	/**
+	 * Load the children of a `t.hasMany()` relation or the linked rows of a
+	 * `t.manyToMany()` relation. Models from `loadDefinition()` also expose this
+	 * as a method named after the relation.
+	 */
+	loadRelation(name: string, options?: HasManyOptions): Promise<any[]>;
+
+	/**
+	 * Link rows through a `t.manyToMany()` relation's join table, skipping
+	 * pairs that exist. Runs in a transaction, or joins `tx`. Also exposed as
+	 * `add<Relation>()`, e.g. `post.addTags(tags)`.
+	 */
+	addRelated(
+		name: string,
+		items: RelatedItems,
+		options?: TxOptions,
+	): Promise<this>;
+
+	/** Delete the join rows linking `items`. Also exposed as `remove<Relation>()`. */
+	removeRelated(
+		name: string,
+		items: RelatedItems,
+		options?: TxOptions,
+	): Promise<this>;
+
+	/**
+	 * Make `items` the complete linked set: add the missing pairs, delete the
+	 * rest. Also exposed as `set<Relation>()`.
+	 */
+	setRelated(
+		name: string,
+		items: RelatedItems,
+		options?: TxOptions,
+	): Promise<this>;
+
 	idField(): string;
 
 	debugSql(sql: string, args: AnyRecord): string;
@@ -342,6 +892,21 @@ export interface DatabaseObjectInstanceMethods {
 	afterCreateHook(...args: any[]): Promise<any>;
 
 	afterChangeHook(...args: any[]): Promise<any>;
+
+	/**
+	 * Runs before `patch()` (and the soft-delete patch of `remove()`). Mutate
+	 * `data` or return a replacement; throw to veto the write.
+	 */
+	beforePatchHook(
+		data: AnyRecord,
+		options: PatchHookOptions,
+	): Promise<AnyRecord | void>;
+
+	/** Runs before `remove()` / `reallyDelete()`; throw to veto. */
+	beforeRemoveHook(options: RemoveHookOptions): Promise<any>;
+
+	/** Runs after `remove()` / `reallyDelete()` has written. */
+	afterRemoveHook(options: RemoveHookOptions): Promise<any>;
 }
 
 /**
@@ -394,7 +959,11 @@ export interface DatabaseObjectStatic<
 	/** Feathers-like search packet; returns raw rows (not instances). */
 	find(
 		query: AnyRecord,
-		opts?: { promisePoolMapConfig?: PromisePoolMapConfig; [key: string]: any },
+		opts?: SoftDeleteOptions & {
+			promisePoolMapConfig?: PromisePoolMapConfig;
+			include?: string | string[];
+			[key: string]: any;
+		},
 	): Promise<FinderResult<AnyRecord>>;
 
 	allowedFindParams(): string[] | null;
@@ -402,9 +971,15 @@ export interface DatabaseObjectStatic<
 	/** Get the database table name */
 	table(): string;
 
+	/** The history table of an `audit: true` definition */
+	historyTable(): string | undefined;
+
 	/** Get field definitions */
 	fields(): SchemaField[];
 
+	/** `t.virtual()` fields from the schema, keyed by name */
+	virtuals(): Record<string, VirtualCompute>;
+
 	idField(): string;
 
 	debugSql(sql: string, args: AnyRecord): string;
@@ -424,18 +999,35 @@ export interface DatabaseObjectStatic<
 	): Promise<T>;
 	withDbh(sql: string, props?: AnyRecord): Promise<any>;
 
+	/**
+	 * Run `callback` in a transaction bound to the async context: model calls
+	 * inside it given no `tx` run on it. Opens a savepoint when called inside
+	 * a bound transaction.
+	 */
+	transaction<R>(
+		callback: (tx: TransactionHandle) => Promise<R> | R,
+		options?: TransactionOptions,
+	): Promise<R>;
+
 	/** Execute raw SQL and return typed instances */
 	fromSql(
 		whereClause?: string,
-		args?: AnyRecord & { promisePoolMapConfig?: PromisePoolMapConfig },
+		args?: AnyRecord &
+			SoftDeleteOptions & {
+				promisePoolMapConfig?: PromisePoolMapConfig;
+				include?: string | string[];
+			},
 	): Promise<Array<TInstance>>;
 
 	/** Search for multiple records matching query */
 	search(
-		fields?: AnyRecord,
+		fields?: WhereClause,
 		limitOne?: false,
-		promisePoolMapConfig?: PromisePoolMapConfig & TxOptions,
-		options?: TxOptions,
+		promisePoolMapConfig?: PromisePoolMapConfig &
+			TxOptions &
+			IncludeOptions &
+			SoftDeleteOptions,
+		options?: TxOptions & IncludeOptions & SoftDeleteOptions,
 	): Promise<Array<TInstance>>;
 
 	/**
@@ -445,39 +1037,105 @@ export interface DatabaseObjectStatic<
 	 * `limitOne: true` literal discriminates correctly.
 	 */
 	search(
-		fields: AnyRecord,
-		options: SearchOptions & { limitOne: true },
-		promisePoolMapConfig?: PromisePoolMapConfig & TxOptions,
-		txOptions?: TxOptions,
+		fields: WhereClause,
+		options: SearchOptions & SoftDeleteOptions & { limitOne: true },
+		promisePoolMapConfig?: PromisePoolMapConfig &
+			TxOptions &
+			IncludeOptions &
+			SoftDeleteOptions,
+		txOptions?: TxOptions & IncludeOptions & SoftDeleteOptions,
 	): Promise<TInstance | null>;
 
 	/** Search with explicit bounds — always resolves to an ARRAY. */
 	search(
-		fields: AnyRecord,
-		options: SearchOptions,
-		promisePoolMapConfig?: PromisePoolMapConfig & TxOptions,
-		txOptions?: TxOptions,
+		fields: WhereClause,
+		options: SearchOptions & SoftDeleteOptions,
+		promisePoolMapConfig?: PromisePoolMapConfig &
+			TxOptions &
+			IncludeOptions &
+			SoftDeleteOptions,
+		txOptions?: TxOptions & IncludeOptions & SoftDeleteOptions,
 	): Promise<Array<TInstance>>;
 
 	search(
-		fields: AnyRecord,
+		fields: WhereClause,
 		limitOne: true,
-		promisePoolMapConfig?: PromisePoolMapConfig & TxOptions,
-		options?: TxOptions,
+		promisePoolMapConfig?: PromisePoolMapConfig &
+			TxOptions &
+			IncludeOptions &
+			SoftDeleteOptions,
+		options?: TxOptions & IncludeOptions & SoftDeleteOptions,
 	): Promise<TInstance | null>;
 
 	/** Search for a single record matching query */
 	searchOne(
-		fields?: AnyRecord,
-		promisePoolMapConfig?: PromisePoolMapConfig & TxOptions,
-		options?: TxOptions,
+		fields?: WhereClause,
+		promisePoolMapConfig?: PromisePoolMapConfig &
+			TxOptions &
+			IncludeOptions &
+			SoftDeleteOptions,
+		options?: TxOptions & IncludeOptions & SoftDeleteOptions,
 	): Promise<TInstance | null>;
 
+	/** Start a chainable query. See {@link QueryBuilder}. */
+	query(): QueryBuilder<TInstance>;
+
+	/** Read one page in keyset (cursor) order. Pass `nextCursor` as `after` for the next page. */
+	paginate(
+		query?: WhereClause,
+		options?: PageOptions & TxOptions & IncludeOptions,
+	): Promise<Page<TInstance>>;
+
+	/** Count matching rows, skipping deleted rows unless the filter names `isDeleted`. */
+	count(
+		filter?: WhereClause,
+		options?: TxOptions & SoftDeleteOptions,
+	): Promise<number>;
+
+	/** Group and aggregate matching rows, skipping deleted rows unless the filter names `isDeleted`. */
+	aggregate(
+		spec: AggregateSpec,
+		filter?: WhereClause,
+		options?: TxOptions & SoftDeleteOptions,
+	): Promise<AggregateRow[]>;
+
 	/** Get a record by ID */
 	get(id: string, opts?: FindOptions): Promise<TInstance | null>;
 
 	/** Create a new record */
-	create(data: Partial<TSchema>, options?: TxOptions): Promise<TInstance>;
+	create(data: Partial<TSchema>, options?: WriteOptions): Promise<TInstance>;
+
+	/** Create many records with batched multi-row INSERTs */
+	createMany(
+		rows: Partial<TSchema>[],
+		options?: CreateManyOptions & { returning?: true },
+	): Promise<TInstance[]>;
+	createMany(
+		rows: Partial<TSchema>[],
+		options: CreateManyOptions & { returning: false },
+	): Promise<Array<string | number>>;
+
+	/** Insert, or update on conflict, with one native statement */
+	upsert(
+		data: Partial<TSchema>,
+		options: UpsertOptions,
+	): Promise<UpsertResult<TInstance>>;
+
+	/** Set `changes` on every row matching `filter` with one UPDATE */
+	updateWhere(
+		filter: WhereClause,
+		changes: Partial<TSchema>,
+		options?: WriteOptions,
+	): Promise<BulkWriteResult>;
+
+	/** Soft-delete every row matching `filter` with one UPDATE */
+	removeWhere(
+		filter: WhereClause,
+		options?: TxOptions,
+	): Promise<BulkWriteResult>;
+
+	/** Check data against the schema without writing (throws ValidationError) */
+	validate<D extends AnyRecord>(data: D, options?: { partial?: boolean }): D;
 
 	/** Find existing record or create new one */
 	findOrCreate(
@@ -560,7 +1218,7 @@ export declare class DatabaseObject {
 	/**
 	 * Patch fields in DB and refresh this instance.
 	 */
-	patch(data?: AnyRecord, options?: TxOptions): Promise<this>;
+	patch(data?: AnyRecord, options?: WriteOptions): Promise<this>;
 
 	/**
 	 * Patch with nonce retry behavior (ERR_NONCE retry loop).
@@ -575,10 +1233,20 @@ export declare class DatabaseObject {
 	 */
 	remove(options?: TxOptions): Promise<this>;
 
+	/**
+	 * Undoes `remove()`: sets isDeleted=false (and `deletedAt` to null).
+	 */
+	restore(options?: TxOptions): Promise<this>;
+
 	/**
 	 * Actually DELETEs from DB (dangerous).
 	 */
-	reallyDelete(): Promise<any>;
+	reallyDelete(options?: TxOptions): Promise<any>;
+
+	/**
+	 * The history of this row, oldest first (requires `audit: true`).
+	 */
+	history(options?: TxOptions): Promise<HistoryEntry[]>;
 
 	/**
 	 * Deflates this instance (or passed object) into DB-ready primitives.
@@ -587,6 +1255,41 @@ export declare class DatabaseObject {
 
 	getId(): any;
 
+	/**
+	 * Load the children of a `t.hasMany()` relation or the linked rows of a
+	 * `t.manyToMany()` relation. Models from `loadDefinition()` also expose this
+	 * as a method named after the relation.
+	 */
+	loadRelation(name: string, options?: HasManyOptions): Promise<any[]>;
+
+	/**
+	 * Link rows through a `t.manyToMany()` relation's join table, skipping
+	 * pairs that exist. Runs in a transaction, or joins `tx`. Also exposed as
+	 * `add<Relation>()`, e.g. `post.addTags(tags)`.
+	 */
+	addRelated(
+		name: string,
+		items: RelatedItems,
+		options?: TxOptions,
+	): Promise<this>;
+
+	/** Delete the join rows linking `items`. Also exposed as `remove<Relation>()`. */
+	removeRelated(
+		name: string,
+		items: RelatedItems,
+		options?: TxOptions,
+	): Promise<this>;
+
+	/**
+	 * Make `items` the complete linked set: add the missing pairs, delete the
+	 * rest. Also exposed as `set<Relation>()`.
+	 */
+	setRelated(
+		name: string,
+		items: RelatedItems,
+		options?: TxOptions,
+	): Promise<this>;
+
 	idField(): string;
 
 	debugSql(sql: string, args: AnyRecord): string;
@@ -608,21 +1311,48 @@ export declare class DatabaseObject {
 
 	afterChangeHook(...args: any[]): Promise<any>;
 
+	/**
+	 * Runs before `patch()` (and the soft-delete patch of `remove()`). Mutate
+	 * `data` or return a replacement; throw to veto the write.
+	 */
+	beforePatchHook(
+		data: AnyRecord,
+		options: PatchHookOptions,
+	): Promise<AnyRecord | void>;
+
+	/** Runs before `remove()` / `reallyDelete()`; throw to veto. */
+	beforeRemoveHook(options: RemoveHookOptions): Promise<any>;
+
+	/** Runs after `remove()` / `reallyDelete()` has written. */
+	afterRemoveHook(options: RemoveHookOptions): Promise<any>;
+
 	// ==== Static API (polymorphic on subclasses) ====
 	static schema(): SchemaDefinition;
 
 	/** Feathers-like search packet; returns raw rows (not instances). */
 	static find(
 		query: AnyRecord,
-		opts?: { promisePoolMapConfig?: PromisePoolMapConfig; [key: string]: any },
+		opts?: SoftDeleteOptions & {
+			promisePoolMapConfig?: PromisePoolMapConfig;
+			include?: string | string[];
+			[key: string]: any;
+		},
 	): Promise<FinderResult<AnyRecord>>;
 
 	static allowedFindParams(): string[] | null;
 
 	static table(): string;
 
+	static historyTable(): string | undefined;
+
 	static fields(): SchemaField[];
 
+	/** `t.hasMany()` and `t.manyToMany()` relations from the schema, keyed by accessor name. */
+	static relations(): Record<string, Relation>;
+
+	/** `t.virtual()` fields from the schema, keyed by name. */
+	static virtuals(): Record<string, VirtualCompute>;
+
 	static idField(): string;
 
 	static debugSql(sql: string, args: AnyRecord): string;
@@ -645,18 +1375,35 @@ export declare class DatabaseObject {
 
 	static withDbh(sql: string, props?: AnyRecord): Promise<any>;
 
+	/**
+	 * Run `callback` in a transaction bound to the async context: model calls
+	 * inside it given no `tx` run on it. Opens a savepoint when called inside
+	 * a bound transaction.
+	 */
+	static transaction<R>(
+		callback: (tx: TransactionHandle) => Promise<R> | R,
+		options?: TransactionOptions,
+	): Promise<R>;
+
 	static fromSql<T extends typeof DatabaseObject>(
 		this: T,
 		whereClause?: string,
-		args?: AnyRecord & { promisePoolMapConfig?: PromisePoolMapConfig },
+		args?: AnyRecord &
+			SoftDeleteOptions & {
+				promisePoolMapConfig?: PromisePoolMapConfig;
+				include?: string | string[];
+			},
 	): Promise<Array<InstanceType<T>>>;
 
 	static search<T extends typeof DatabaseObject>(
 		this: T,
-		fields?: AnyRecord,
+		fields?: WhereClause,
 		limitOne?: false,
-		promisePoolMapConfig?: PromisePoolMapConfig & TxOptions,
-		options?: TxOptions,
+		promisePoolMapConfig?: PromisePoolMapConfig &
+			TxOptions &
+			IncludeOptions &
+			SoftDeleteOptions,
+		options?: TxOptions & IncludeOptions & SoftDeleteOptions,
 	): Promise<Array<InstanceType<T>>>;
 
 	/**
@@ -667,36 +1414,73 @@ export declare class DatabaseObject {
 	 */
 	static search<T extends typeof DatabaseObject>(
 		this: T,
-		fields: AnyRecord,
-		options: SearchOptions & { limitOne: true },
-		promisePoolMapConfig?: PromisePoolMapConfig & TxOptions,
-		txOptions?: TxOptions,
+		fields: WhereClause,
+		options: SearchOptions & SoftDeleteOptions & { limitOne: true },
+		promisePoolMapConfig?: PromisePoolMapConfig &
+			TxOptions &
+			IncludeOptions &
+			SoftDeleteOptions,
+		txOptions?: TxOptions & IncludeOptions & SoftDeleteOptions,
 	): Promise<InstanceType<T> | null>;
 
 	/** Search with explicit bounds — always resolves to an ARRAY. */
 	static search<T extends typeof DatabaseObject>(
 		this: T,
-		fields: AnyRecord,
-		options: SearchOptions,
-		promisePoolMapConfig?: PromisePoolMapConfig & TxOptions,
-		txOptions?: TxOptions,
+		fields: WhereClause,
+		options: SearchOptions & SoftDeleteOptions,
+		promisePoolMapConfig?: PromisePoolMapConfig &
+			TxOptions &
+			IncludeOptions &
+			SoftDeleteOptions,
+		txOptions?: TxOptions & IncludeOptions & SoftDeleteOptions,
 	): Promise<Array<InstanceType<T>>>;
 
 	static search<T extends typeof DatabaseObject>(
 		this: T,
-		fields: AnyRecord,
+		fields: WhereClause,
 		limitOne: true,
-		promisePoolMapConfig?: PromisePoolMapConfig & TxOptions,
-		options?: TxOptions,
+		promisePoolMapConfig?: PromisePoolMapConfig &
+			TxOptions &
+			IncludeOptions &
+			SoftDeleteOptions,
+		options?: TxOptions & IncludeOptions & SoftDeleteOptions,
 	): Promise<InstanceType<T> | null>;
 
 	static searchOne<T extends typeof DatabaseObject>(
 		this: T,
-		fields?: AnyRecord,
-		promisePoolMapConfig?: PromisePoolMapConfig & TxOptions,
-		options?: TxOptions,
+		fields?: WhereClause,
+		promisePoolMapConfig?: PromisePoolMapConfig &
+			TxOptions &
+			IncludeOptions &
+			SoftDeleteOptions,
+		options?: TxOptions & IncludeOptions & SoftDeleteOptions,
 	): Promise<InstanceType<T> | null>;
 
+	/** Start a chainable query. See {@link QueryBuilder}. */
+	static query<T extends typeof DatabaseObject>(
+		this: T,
+	): QueryBuilder<InstanceType<T>>;
+
+	/** Read one page in keyset (cursor) order. Pass `nextCursor` as `after` for the next page. */
+	static paginate<T extends typeof DatabaseObject>(
+		this: T,
+		query?: WhereClause,
+		options?: PageOptions & TxOptions & IncludeOptions,
+	): Promise<Page<InstanceType<T>>>;
+
+	/** Count matching rows, skipping deleted rows unless the filter names `isDeleted`. */
+	static count(
+		filter?: WhereClause,
+		options?: TxOptions & SoftDeleteOptions,
+	): Promise<number>;
+
+	/** Group and aggregate matching rows, skipping deleted rows unless the filter names `isDeleted`. */
+	static aggregate(
+		spec: AggregateSpec,
+		filter?: WhereClause,
+		options?: TxOptions & SoftDeleteOptions,
+	): Promise<AggregateRow[]>;
+
 	static get<T extends typeof DatabaseObject>(
 		this: T,
 		id: string,
@@ -706,9 +1490,83 @@ export declare class DatabaseObject {
 	static create<T extends typeof DatabaseObject>(
 		this: T,
 		data: AnyRecord,
-		options?: TxOptions,
+		options?: WriteOptions,
 	): Promise<InstanceType<T>>;
 
+	/**
+	 * Insert many rows with batched multi-row INSERTs in one transaction.
+	 * Resolves to instances in input order, or to ids with `returning: false`
+	 * (no re-read, no instance hooks). Global change hooks fire once per row.
+	 */
+	static createMany<T extends typeof DatabaseObject>(
+		this: T,
+		rows: AnyRecord[],
+		options?: CreateManyOptions & { returning?: true },
+	): Promise<InstanceType<T>[]>;
+	static createMany<T extends typeof DatabaseObject>(
+		this: T,
+		rows: AnyRecord[],
+		options: CreateManyOptions & { returning: false },
+	): Promise<Array<string | number>>;
+
+	/**
+	 * Insert `data`, or overwrite the `update` fields of the row matching
+	 * `conflictFields`, with one `ON DUPLICATE KEY UPDATE` / `ON CONFLICT DO
+	 * UPDATE` statement. `wasCreated` tells which happened.
+	 */
+	static upsert<T extends typeof DatabaseObject>(
+		this: T,
+		data: AnyRecord,
+		options: UpsertOptions,
+	): Promise<UpsertResult<InstanceType<T>>>;
+
+	/**
+	 * Set `changes` on every row matching `filter` (never empty) with one
+	 * UPDATE. Bumps `updatedAt`, writes a new `nonce` (or increments the
+	 * `t.version` field), drops the rows from the class cache and fires the
+	 * global change hooks once with every id.
+	 */
+	static updateWhere(
+		filter: WhereClause,
+		changes: AnyRecord,
+		options?: WriteOptions,
+	): Promise<BulkWriteResult>;
+
+	/** Soft-delete (`isDeleted`) every row matching `filter` with one UPDATE. */
+	static removeWhere(
+		filter: WhereClause,
+		options?: TxOptions,
+	): Promise<BulkWriteResult>;
+
+	/**
+	 * Check `data` against the schema without writing. Returns `data`; throws a
+	 * {@link ValidationError} listing every failing field. `partial` checks only
+	 * the given fields, as for a patch.
+	 */
+	static validate<D extends AnyRecord>(
+		data: D,
+		options?: { partial?: boolean },
+	): D;
+
+	/**
+	 * Runs before `create()` writes. Mutate `data` or return a replacement;
+	 * throw to veto the create.
+	 */
+	static beforeCreateHook(
+		data: AnyRecord,
+		options: TxOptions,
+	): Promise<AnyRecord | void>;
+
+	/**
+	 * Names who is making a change, for the `actor` column of the history
+	 * table of an `audit: true` definition. Returns null unless overridden.
+	 */
+	static auditActor(change: {
+		action: HistoryEntry['action'];
+		id: string | number;
+		tx?: DbHandle;
+	}): Promise<string | number | null>;
+
 	static findOrCreate<T extends typeof DatabaseObject>(
 		this: T,
 		fields: AnyRecord,
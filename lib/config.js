@@ -72,6 +72,19 @@ const defaultConfig = {
 		// include the schema name if you enable this field. So that example would
 		// become: "foobarSchema.foobar.foobarId"
 		enableAlternateSchemaInTableName: false,
+		// OPT-IN (default OFF): write every global change hook payload to the
+		// yass_outbox table inside the write's transaction, for createOutboxRelay()
+		// to deliver. schema-sync creates the table when this is set.
+		outbox: false,
+		// OPT-IN (default OFF): give every `t.linked()` column a FOREIGN KEY
+		// constraint, as if each passed `{ foreignKey: ... }` - true, or the
+		// default `{ onDelete, onUpdate }`. A field's own `foreignKey: false`
+		// opts it out.
+		linkedForeignKeys: false,
+		// OPT-IN (default OFF): have schema-sync add CHECK constraints for
+		// `t.enum()` fields and number fields with `.min()` / `.max()`. A
+		// definition's own `checkConstraints: true|false` wins.
+		checkConstraints: false,
 		commonFields: (t) => {
 			return {
 				isDeleted: t.bool,
@@ -139,6 +152,19 @@ const defaultConfig = {
 		// include the schema name if you enable this field. So that example would
 		// become: "foobarSchema.foobar.foobarId"
 		enableAlternateSchemaInTableName: false,
+		// OPT-IN (default OFF): write every global change hook payload to the
+		// yass_outbox table inside the write's transaction, for createOutboxRelay()
+		// to deliver. schema-sync creates the table when this is set.
+		outbox: false,
+		// OPT-IN (default OFF): give every `t.linked()` column a FOREIGN KEY
+		// constraint, as if each passed `{ foreignKey: ... }` - true, or the
+		// default `{ onDelete, onUpdate }`. A field's own `foreignKey: false`
+		// opts it out.
+		linkedForeignKeys: false,
+		// OPT-IN (default OFF): have schema-sync add CHECK constraints for
+		// `t.enum()` fields and number fields with `.min()` / `.max()`. A
+		// definition's own `checkConstraints: true|false` wins.
+		checkConstraints: false,
 		commonFields: (t) => {
 			return {
 				isDeleted: t.bool,
@@ -7,6 +7,7 @@ const { getDialect } = require('./dialects');
 const { parseIdField } = require('./parseIdField');
 const { promiseMap } = require('./promiseMap');
 const { normalizeSearchOptions } = require('./search-options');
+const { compileWhere } = require('./where-clause');
 const {
 	LoadBalancerManager,
 	defaultReadBalanceStrategy,
@@ -26,6 +27,7 @@ const dbCharset = config.charset;
 const dbPort = config.port;
 const dbSsl = config.ssl;
 const FIND_OR_CREATE_META = Symbol('yass-orm.findOrCreateMeta');
+const UPSERT_META = Symbol('yass-orm.upsertMeta');
 const {
 	readonlyNodes: configReadonlyNodes,
 	deflateToStrings: configDeflateToStrings,
@@ -815,10 +817,12 @@ ${trace}
 	};
 
 	/**
-	 * search - Simple equality search.
+	 * search - Equality search, with optional operators.
 	 *
 	 * @param {String} table Table name to search
-	 * @param {Object} fields Key/value pairs to search for (equality only)
+	 * @param {Object} fields Key/value pairs to search for. A value may be an
+	 *   operator object (`{ $gt: 18 }`, `{ $in: [...] }`, ...) and the object may
+	 *   carry `$or` / `$and` / `$not` groups - see lib/where-clause.js.
 	 * @param {Boolean|Object} [limitOneOrOptions] Legacy `true`/`false`, OR an
 	 *   options object `{ limitOne, limit, offset, orderBy, orderDir }`.
 	 * @param {Object} [opts] `{ silenceErrors, silenceRetryableTransactionErrors }`
@@ -838,12 +842,11 @@ ${trace}
 		const { table } = parseIdField(tableAndIdField);
 		const prep = /* sql */ `select * from ${autoFixTable(table, this)}`;
 		const keys = Object.keys(fields);
-		const list = keys.map((x) => {
-			const col = this.escapeId(x);
-			if (fields[x] === null) {
-				return /* sql */ `${col} is NULL`;
-			}
-			return /* sql */ `${col}=:${x}`;
+		// Plain `{ col: value }` pairs compile to the historical `col=:col`;
+		// operator objects and $or/$and/$not groups get generated placeholders.
+		// See lib/where-clause.js for the vocabulary.
+		const where = compileWhere(fields, {
+			escapeId: (x) => this.escapeId(x),
 		});
 
 		// `orderDir` is validated to the literals ASC/DESC and `orderBy` goes
@@ -865,7 +868,7 @@ ${trace}
 
 		const sql =
 			prep +
-			(list.length > 0 ? /* sql */ ` where ${list.join(' and ')}` : '') +
+			(where.sql ? /* sql */ ` where ${where.sql}` : '') +
 			orderClause +
 			limitClause;
 
@@ -876,7 +879,7 @@ ${trace}
 		// if(fields.source_sourceId)
 		// console.trace("[conn.search]", { sql, fields });
 
-		return this.roQuery(sql, fields, {
+		return this.roQuery(sql, where.params, {
 			silenceErrors,
 			silenceRetryableTransactionErrors,
 		}).then((rows) => {
@@ -972,6 +975,150 @@ ${trace}
 			});
 	};
 
+	/**
+	 * createMany - Inserts many rows with multi-row `INSERT ... VALUES (...), (...)`
+	 * statements instead of one INSERT (plus one SELECT) per row.
+	 *
+	 * Rows are grouped by their set of columns (SQLite has no `DEFAULT` keyword
+	 * inside VALUES, so a missing column can't be padded), and each group is
+	 * split into statements of at most `batchSize` rows and at most
+	 * `dialect.maxBindParameters` placeholders. Nothing here opens a
+	 * transaction - run it on a transaction handle to make the batches atomic.
+	 *
+	 * New auto-increment ids come back through `RETURNING` on SQLite/Postgres.
+	 * On MySQL they are `insertId + n`: InnoDB hands a simple multi-row INSERT
+	 * consecutive values (assuming `auto_increment_increment` is 1).
+	 *
+	 * @param {string} tableAndIdField Table name to insert into
+	 * @param {Object[]} rows Column/value maps, used exactly as given (no conversion)
+	 * @param {Object} [opts]
+	 * @param {number} [opts.batchSize=1000] Most rows per INSERT statement
+	 * @param {boolean} [opts.returning=true] Re-read the inserted rows (RETURNING
+	 * 	or a `where id in (...)` SELECT). When false, the given rows are returned
+	 * 	with their ids filled in.
+	 * @param {boolean} [opts.allowBlankIdOnCreate] See create()
+	 * @param {Function} [opts.idGenerator] See create()
+	 * @param {boolean} [opts.silenceErrors=false]
+	 *
+	 * @returns {Promise<Object[]>} One row per input row, in input order
+	 */
+	conn.createMany = async function (
+		tableAndIdField,
+		rows,
+		{
+			batchSize = 1000,
+			returning = true,
+			allowBlankIdOnCreate,
+			idGenerator = uuid,
+			silenceErrors = false,
+		} = {},
+	) {
+		if (!Number.isInteger(batchSize) || batchSize < 1) {
+			throw new Error(
+				`createMany() batchSize must be a positive integer, got ${JSON.stringify(
+					batchSize,
+				)}`,
+			);
+		}
+
+		const { table, idField } = parseIdField(tableAndIdField);
+		const tableSql = autoFixTable(table, this);
+		const idSql = this.escapeId(idField);
+		const results = new Array(rows.length);
+
+		const groups = new Map();
+		rows.forEach((fields, index) => {
+			if (config.uuidLinkedIds && !fields[idField] && !allowBlankIdOnCreate) {
+				fields[idField] = idGenerator();
+			}
+			const keys = Object.keys(fields).filter(
+				(column) => fields[column] !== undefined,
+			);
+			const signature = keys.join(',');
+			if (!groups.has(signature)) {
+				groups.set(signature, { keys, indexes: [] });
+			}
+			groups.get(signature).indexes.push(index);
+		});
+
+		const insertChunk = async (keys, indexes) => {
+			const params = {};
+			const valuesSql = indexes
+				.map((index, n) => {
+					const placeholders = keys.map((column, k) => {
+						params[`r${n}_${k}`] = rows[index][column];
+						return `:r${n}_${k}`;
+					});
+					return `(${placeholders.join(',')})`;
+				})
+				.join(',');
+
+			let sql = `insert into ${tableSql} (${keys
+				.map((column) => this.escapeId(column))
+				.join(',')}) values ${valuesSql}`;
+			if (dialect.supportsInsertReturning) {
+				sql += returning ? ' returning *' : ` returning ${idSql}`;
+			}
+
+			const result = await this.pquery(sql, params, { silenceErrors });
+
+			// Fill in database-assigned ids, in input order
+			if (!keys.includes(idField)) {
+				const ids = result.rows
+					? result.rows
+							.map((row) => row[idField])
+							.sort((a, b) => Number(a) - Number(b))
+					: indexes.map((index, n) => Number(result.insertId) + n);
+				indexes.forEach((index, n) => {
+					rows[index][idField] = ids[n];
+				});
+			}
+
+			if (!returning) {
+				indexes.forEach((index) => {
+					results[index] = rows[index];
+				});
+				return;
+			}
+
+			let inserted = result.rows;
+			if (!inserted) {
+				inserted = await this.pquery(
+					/* sql */ `select * from ${tableSql} where ${idSql} in (${indexes
+						.map((index, n) => `:id${n}`)
+						.join(',')})`,
+					indexes.reduce((acc, index, n) => {
+						acc[`id${n}`] = rows[index][idField];
+						return acc;
+					}, {}),
+					{ silenceErrors },
+				);
+			}
+			const byId = new Map(inserted.map((row) => [`${row[idField]}`, row]));
+			indexes.forEach((index) => {
+				results[index] = byId.get(`${rows[index][idField]}`);
+			});
+		};
+
+		// Sequential on purpose: a transaction handle is one connection.
+		// eslint-disable-next-line no-restricted-syntax
+		for (const { keys, indexes } of groups.values()) {
+			const perStatement = Math.max(
+				1,
+				Math.min(
+					batchSize,
+					Math.floor(dialect.maxBindParameters / Math.max(keys.length, 1)),
+				),
+			);
+			for (let start = 0; start < indexes.length; start += perStatement) {
+				// eslint-disable-next-line no-await-in-loop
+				await insertChunk(keys, indexes.slice(start, start + perStatement));
+			}
+		}
+
+		return results;
+	};
+
 	/**
 	 * patch - Patches `table` at id `id` with the values in `fields`. NB: Assumes table primary column is `id`
 	 *
@@ -981,10 +1128,22 @@ ${trace}
 	 * 	column name. No conversion is done on the values, so must be explicit
 	 * 	values to be inserted (e.g. ids, etc)
 	 *
+	 * @param {Object} [opts]
+	 * @param {string} [opts.versionField] Optimistic-locking column (`t.version`):
+	 * 	the UPDATE sets it to itself + 1 and only matches the row while it still
+	 * 	equals `opts.version`. When no row matches, rejects with an `ERR_NONCE`
+	 * 	error, like a nonce mismatch.
+	 * @param {number} [opts.version] Version the caller last read
+	 *
 	 * @returns {Promise} Promise of the entire row that has been updated (e.g. we SELECT the
 	 * 	row after UPDATE to get any triggered values from the DB)
 	 */
-	conn.patch = function (tableAndIdField, id, fields) {
+	conn.patch = function (
+		tableAndIdField,
+		id,
+		fields,
+		{ versionField, version } = {},
+	) {
 		// console.log("[conn.patch] raw", { tableAndIdField, id, fields });
 
 		// Nothing to patch
@@ -995,10 +1154,19 @@ ${trace}
 		let { table, idField } = parseIdField(tableAndIdField);
 		const prep = /* sql */ `update ${autoFixTable(table, this)} set `;
 		const list = Object.keys(fields)
-			.filter((field) => field !== idField)
+			.filter((field) => field !== idField && field !== versionField)
 			.map((field) => `${this.escapeId(field)}=:${field}`);
 
-		const sql = /* sql */ `${prep + list.join(', ')} where ${idField}=:id`;
+		let where = `${idField}=:id`;
+		const params = Object.assign({}, fields, { id });
+		if (versionField) {
+			const versionSql = this.escapeId(versionField);
+			list.push(`${versionSql}=${versionSql}+1`);
+			where += ` and ${versionSql}=:yass_version`;
+			params.yass_version = version;
+		}
+
+		const sql = /* sql */ `${prep + list.join(', ')} where ${where}`;
 
 		// if(table === 'optimizations')
 		// console.log(
@@ -1008,8 +1176,16 @@ ${trace}
 		// 	debugSql(sql, { ...fields, id }),
 		// );
 
-		return this.pquery(sql, Object.assign({}, fields, { id }))
-			.then((/* info */) => {
+		return this.pquery(sql, params)
+			.then((info) => {
+				if (versionField && info && info.affectedRows === 0) {
+					const error = new Error(
+						`Version mismatch for table ${table} id ${id} (expected ${versionField}=${version}) - the row was changed or removed since it was read; reload data from disk and retry patch`,
+					);
+					error.code = 'ERR_NONCE';
+					throw error;
+				}
+
 				const select = /* sql */ `select * from ${autoFixTable(
 					table,
 					this,
@@ -1020,6 +1196,105 @@ ${trace}
 			.then((rows) => rows[0]);
 	};
 
+	/**
+	 * updateWhere - Sets `fields` on every row of `table` matching `where`,
+	 * and reports the ids of exactly the rows it updated.
+	 *
+	 * Where the dialect has `UPDATE ... RETURNING` that is one statement. On
+	 * MySQL the matching rows are read and locked with `SELECT ... FOR UPDATE`
+	 * first, then updated by id - run it on a transaction handle so the lock
+	 * holds until the UPDATE.
+	 *
+	 * @param {string} tableAndIdField Table to update
+	 * @param {Object} where Where object, see lib/where-clause.js. Must not be
+	 * 	empty - this refuses to update a whole table.
+	 * @param {Object} fields Key/value pairs with the key corresponding exactly to a
+	 * 	column name. No conversion is done on the values.
+	 * @param {Object} [opts]
+	 * @param {string[]} [opts.increment] Columns set to themselves + 1 on every
+	 * 	matching row, e.g. a `t.version` column
+	 * @param {boolean} [opts.silenceErrors=false]
+	 *
+	 * @returns {Promise<{affectedRows: number, ids: Array}>} Ids of the updated rows
+	 */
+	conn.updateWhere = async function (
+		tableAndIdField,
+		where,
+		fields,
+		{ increment = [], silenceErrors = false } = {},
+	) {
+		const { table, idField } = parseIdField(tableAndIdField);
+		const tableSql = autoFixTable(table, this);
+		const idSql = this.escapeId(idField);
+		const compiled = compileWhere(where, {
+			escapeId: (x) => this.escapeId(x),
+		});
+		if (!compiled.sql) {
+			throw new Error(
+				`updateWhere() on '${table}' needs a non-empty where clause - refusing to update every row`,
+			);
+		}
+
+		// Numbered placeholders, so no column name can collide with the
+		// :yass_where_N / :yass_id_N operands
+		const setParams = {};
+		const assignments = Object.keys(fields)
+			.filter((field) => field !== idField && !increment.includes(field))
+			.map((field, index) => {
+				setParams[`yass_set_${index}`] = fields[field];
+				return `${this.escapeId(field)}=:yass_set_${index}`;
+			});
+		increment.forEach((field) => {
+			const column = this.escapeId(field);
+			assignments.push(`${column}=${column}+1`);
+		});
+		const updateSql = /* sql */ `update ${tableSql} set ${assignments.join(
+			', ',
+		)}`;
+
+		if (dialect.supportsInsertReturning) {
+			const result = await this.pquery(
+				`${updateSql} where ${compiled.sql} returning ${idSql}`,
+				{ ...compiled.params, ...setParams },
+				{ silenceErrors },
+			);
+			const ids = (result.rows || []).map((row) => row[idField]);
+			return { affectedRows: ids.length, ids };
+		}
+
+		const rows = await this.pquery(
+			/* sql */ `select ${idSql} from ${tableSql} where ${compiled.sql}${
+				dialect.supportsSelectForUpdate ? ' for update' : ''
+			}`,
+			compiled.params,
+			{ silenceErrors },
+		);
+		const ids = rows.map((row) => row[idField]);
+
+		// The locked rows by id, in as few statements as the bind limit allows
+		const chunkSize = Math.max(
+			1,
+			dialect.maxBindParameters - Object.keys(setParams).length,
+		);
+		let affectedRows = 0;
+		for (let offset = 0; offset < ids.length; offset += chunkSize) {
+			const chunk = ids.slice(offset, offset + chunkSize);
+			const params = { ...setParams };
+			const placeholders = chunk.map((id, index) => {
+				params[`yass_id_${index}`] = id;
+				return `:yass_id_${index}`;
+			});
+			// eslint-disable-next-line no-await-in-loop
+			const result = await this.pquery(
+				`${updateSql} where ${idSql} in (${placeholders.join(',')})`,
+				params,
+				{ silenceErrors },
+			);
+			affectedRows += result.affectedRows;
+		}
+		return { affectedRows, ids };
+	};
+
 	/**
 	 * patchIf - Compares fields from `values` with values in `existing`, and if any different, patches the database.
 	 *
@@ -1266,14 +1541,27 @@ ${trace}
 	 * back the final row by conflictColumns. A future `RETURNING *`
 	 * optimization for Postgres/SQLite could collapse to 1 RTT.
 	 *
+	 * With `readExisting`, the row matching conflictColumns is read first -
+	 * `for update` where the dialect supports it, so run this in a
+	 * transaction - and the result carries a non-enumerable
+	 * `[UPSERT_META]: { wasCreated, existing }`. `wasCreated` comes from the
+	 * statement where it can tell (MySQL affectedRows, Postgres xmax, see
+	 * `dialect.upsertInserted()`); on SQLite, whose transactions hold the
+	 * whole database, from the read.
+	 *
 	 * @param {string} tableAndIdField Table name
 	 * @param {Object} fields Row to insert
 	 * @param {Object} opts
 	 * @param {Object|string[]} opts.onDuplicate See above
 	 * @param {string[]} [opts.conflictColumns] Required by SQLite/Postgres; ignored by MySQL
+	 * @param {string[]} [opts.increment] Columns set to the existing value + 1
+	 * 	when the row already exists (e.g. a `t.version` column). Inserted rows
+	 * 	keep the column default.
 	 * @param {boolean} [opts.allowBlankIdOnCreate]
 	 * @param {Function} [opts.idGenerator]
 	 * @param {boolean} [opts.silenceErrors=true] Default true — idempotency operations should not log
+	 * @param {boolean} [opts.readExisting=false] Lock and read the existing row
+	 * 	first, and attach `[UPSERT_META]` to the result (see above)
 	 *
 	 * @returns {Promise<Object>} The final row (inserted or updated)
 	 */
@@ -1283,9 +1571,11 @@ ${trace}
 		{
 			onDuplicate,
 			conflictColumns,
+			increment = [],
 			allowBlankIdOnCreate,
 			idGenerator = uuid,
 			silenceErrors = true,
+			readExisting = false,
 		} = {},
 	) {
 		if (!onDuplicate) {
@@ -1305,11 +1595,18 @@ ${trace}
 
 		// Array form copies values from the insert payload (parameterized,
 		// safe). Object form interpolates raw SQL — see warning in docstring.
-		const updateAssignmentsSql = Array.isArray(onDuplicate)
-			? onDuplicate.map((col) => `${this.escapeId(col)}=:${col}`).join(', ')
-			: Object.entries(onDuplicate)
-					.map(([col, expr]) => `${this.escapeId(col)}=${expr}`)
-					.join(', ');
+		const updateAssignments = Array.isArray(onDuplicate)
+			? onDuplicate.map((col) => `${this.escapeId(col)}=:${col}`)
+			: Object.entries(onDuplicate).map(
+					([col, expr]) => `${this.escapeId(col)}=${expr}`,
+			  );
+		// Qualified with the table, because Postgres finds a bare column name
+		// ambiguous next to EXCLUDED
+		increment.forEach((col) => {
+			const column = this.escapeId(col);
+			updateAssignments.push(`${column}=${tableSql}.${column}+1`);
+		});
+		const updateAssignmentsSql = updateAssignments.join(', ');
 
 		const sql = dialect.buildUpsertSql({
 			tableSql,
@@ -1320,8 +1617,6 @@ ${trace}
 			conflictColumns,
 		});
 
-		await this.pquery(sql, fields, { silenceErrors });
-
 		// Read back via conflictColumns so we get the winning row whether we
 		// inserted or updated. Falls back to id for the MySQL-no-conflict-cols
 		// path.
@@ -1332,7 +1627,41 @@ ${trace}
 						return acc;
 				  }, {})
 				: { [idField]: fields[idField] };
-		return this.search(table, lookupFields, true, { silenceErrors });
+
+		let existing = null;
+		if (readExisting) {
+			const lookup = compileWhere(lookupFields, {
+				escapeId: (x) => this.escapeId(x),
+			});
+			const rows = await this.pquery(
+				/* sql */ `select * from ${tableSql} where ${lookup.sql} limit 1${
+					dialect.supportsSelectForUpdate ? ' for update' : ''
+				}`,
+				lookup.params,
+				{ silenceErrors },
+			);
+			existing = rows && rows[0] ? rows[0] : null;
+		}
+
+		const result = await this.pquery(sql, fields, { silenceErrors });
+		const row = await this.search(table, lookupFields, true, {
+			silenceErrors,
+		});
+
+		if (readExisting && row) {
+			// A row the locked read found was updated. Otherwise ask the
+			// statement, falling back to the read where it can't say.
+			const inserted = dialect.upsertInserted(result);
+			Object.defineProperty(row, UPSERT_META, {
+				value: {
+					wasCreated: !existing && inserted !== false,
+					existing,
+				},
+				enumerable: false,
+				configurable: true,
+			});
+		}
+		return row;
 	};
 
 	/**
@@ -1450,4 +1779,5 @@ module.exports = {
 	LoadBalancer, // for sub-classing
 	getDialect, // for getting dialect instances directly
 	FIND_OR_CREATE_META,
+	UPSERT_META,
 };
@@ -1,5 +1,6 @@
 /* eslint-disable no-restricted-syntax */
 /* eslint-disable no-param-reassign, global-require, no-console, import/no-dynamic-require, no-use-before-define */
+const path = require('path');
 const config = require('./config');
 const { parseIdField } = require('./parseIdField');
 const { CANONICAL_UUID_COLLATION } = require('./uuid-collation');
@@ -7,6 +8,12 @@ const { CANONICAL_UUID_COLLATION } = require('./uuid-collation');
 const { commonFields } = config;
 
 const CLIENT_ONLY_FIELD = 'CLIENT_ONLY_FIELD';
+// t.hasMany() / t.manyToMany() return `{ [RELATION]: 'hasMany', ... }` - not a
+// column, toSchema() moves them into the schema's `relations`
+const RELATION = Symbol('RELATION');
+// t.virtual() returns `{ [VIRTUAL]: compute }` - not a column either, toSchema()
+// moves it into the schema's `virtuals`
+const VIRTUAL = Symbol('VIRTUAL');
 
 /**
  * Resolve the collation for a char(36) UUID-style link/uuid column.
@@ -37,6 +44,53 @@ function resolveLinkColumnCollation(dataType) {
 	return opt === true ? CANONICAL_UUID_COLLATION : String(opt);
 }
 
+const FOREIGN_KEY_ACTIONS = ['cascade', 'restrict', 'set null', 'no action'];
+
+/**
+ * Resolve the `foreignKey` option of a `t.linked()` field. Unset falls back to
+ * `config.linkedForeignKeys` (read live, like linkColumnCollation).
+ *   - false / unset  -> undefined (a plain column, the historical behavior)
+ *   - true           -> { onDelete: 'NO ACTION', onUpdate: 'NO ACTION' }, or
+ *                       the actions of an object `config.linkedForeignKeys`
+ *   - an object      -> `{ onDelete, onUpdate, table, column }`, where `table`
+ *                       and `column` name the referenced table and column when
+ *                       they can't be found from the linked model
+ *
+ * @param {boolean|object} [foreignKey]
+ * @returns {object|undefined}
+ */
+function resolveLinkedForeignKey(foreignKey) {
+	const option =
+		foreignKey === undefined ? config.linkedForeignKeys : foreignKey;
+	if (!option) {
+		return undefined;
+	}
+	// An object config sets the default actions, for `true` as well
+	const defaults =
+		config.linkedForeignKeys && typeof config.linkedForeignKeys === 'object'
+			? config.linkedForeignKeys
+			: {};
+	const { onDelete, onUpdate, table, column } =
+		option === true ? defaults : { ...defaults, ...option };
+	const action = (value, name) => {
+		const normalized = `${value || 'no action'}`.toLowerCase();
+		if (!FOREIGN_KEY_ACTIONS.includes(normalized)) {
+			throw new Error(
+				`foreignKey ${name} must be one of ${FOREIGN_KEY_ACTIONS.map(
+					(a) => `'${a}'`,
+				).join(', ')}, got '${value}'`,
+			);
+		}
+		return normalized.toUpperCase();
+	};
+	return {
+		onDelete: action(onDelete, 'onDelete'),
+		onUpdate: action(onUpdate, 'onUpdate'),
+		...(table ? { table } : {}),
+		...(column ? { column } : {}),
+	};
+}
+
 /**
  * Creates a chainable type that supports fluent API pattern like Zod/Yup.
  * The returned object is callable (for backward compat with t.datetime())
@@ -69,6 +123,10 @@ function getChainableTypeData(obj) {
 	) {
 		data.default = obj.__defaultValue;
 	}
+	// Same for 'renamedFrom' and the .renamedFrom() method
+	if (obj.__renamedFrom !== undefined) {
+		data.renamedFrom = obj.__renamedFrom;
+	}
 	return data;
 }
 
@@ -112,6 +170,15 @@ function createChainableType(baseType, optionsHandler = null) {
 		chainable.__defaultValue = baseType.default;
 	}
 
+	// Likewise keep 'renamedFrom' (given as an option) from the .renamedFrom()
+	// method below
+	if (
+		baseType.renamedFrom !== undefined &&
+		typeof baseType.renamedFrom !== 'function'
+	) {
+		chainable.__renamedFrom = baseType.renamedFrom;
+	}
+
 	// ============================================
 	// Universal chainable methods (all types)
 	// Methods read the current state from the chainable itself, not a closure
@@ -172,6 +239,19 @@ function createChainableType(baseType, optionsHandler = null) {
 		);
 	};
 
+	/**
+	 * The column's previous name - schema-sync renames that column to this
+	 * field rather than adding a new one
+	 * @param {string} name - Column name before the rename
+	 */
+	chainable.renamedFrom = function setRenamedFrom(name) {
+		const currentData = getChainableTypeData(this);
+		return createChainableType(
+			{ ...currentData, renamedFrom: name },
+			this.__optionsHandler,
+		);
+	};
+
 	// ============================================
 	// Type-specific chainable methods
 	// ============================================
@@ -334,6 +414,7 @@ const CHAINABLE_METHOD_NAMES = new Set([
 	'nonnegative',
 	'minItems',
 	'maxItems',
+	'renamedFrom',
 ]);
 
 /**
@@ -394,12 +475,17 @@ function stripChainableMethods(typeObj) {
 			if (
 				key === '__isChainableType' ||
 				key === '__optionsHandler' ||
-				key === '__defaultValue'
+				key === '__defaultValue' ||
+				key === '__renamedFrom'
 			) {
 				return;
 			}
 			// Skip chainable methods
 			if (isChainableMethod(typeObj[key], key)) {
+				// Likewise 'renamedFrom', overwritten by the .renamedFrom() method
+				if (key === 'renamedFrom' && typeObj.__renamedFrom !== undefined) {
+					result.renamedFrom = typeObj.__renamedFrom;
+				}
 				// When 'default' was overwritten by the .default() method, expose __defaultValue as default
 				if (
 					key === 'default' &&
@@ -533,6 +619,17 @@ const SqlSchemaDefinitionTypes = {
 		default: 0,
 		nativeType: Boolean,
 	}),
+	// Optimistic-locking counter, see DatabaseObject#patch. patch() bumps it in
+	// the UPDATE itself (`version = version + 1 ... where id = ? and version = ?`),
+	// so a patch from a stale instance matches no row and throws ERR_NONCE.
+	// Usage: version: t.version
+	version: createChainableType({
+		type: 'integer',
+		null: 0,
+		default: 1,
+		nativeType: Number,
+		isVersion: true,
+	}),
 	// 'object' is an ember type in our client that stores JS objects as JSON.
 	// server-side we store as longtext
 	// object: { type: 'longtext' },
@@ -673,6 +770,7 @@ const SqlSchemaDefinitionTypes = {
 
 		// Determine item type for type generation
 		let arrayItemType = 'any';
+		let arrayItemEnumOptions;
 		let isComplexItemType = false;
 
 		if (itemType) {
@@ -689,8 +787,11 @@ const SqlSchemaDefinitionTypes = {
 
 			const itemTypeValue = getItemTypeProperty(itemType);
 
-			// Check if it's a string-like type.
-			if (itemTypeValue === 'bigint') {
+			// t.enum() is stored as a varchar, so check it before the string types
+			if (itemType._type === 'enum' && Array.isArray(itemType.options)) {
+				arrayItemType = 'enum';
+				arrayItemEnumOptions = itemType.options;
+			} else if (itemTypeValue === 'bigint') {
 				arrayItemType = 'bigint';
 			} else if (itemTypeValue === 'varchar' || itemTypeValue === 'longtext') {
 				arrayItemType = 'string';
@@ -754,6 +855,9 @@ const SqlSchemaDefinitionTypes = {
 			if (result.type) {
 				result.type.isArray = true;
 				result.type.arrayItemType = arrayItemType;
+				if (arrayItemEnumOptions) {
+					result.type.arrayItemEnumOptions = arrayItemEnumOptions;
+				}
 
 				// For complex item types (like t.object({...})), expand them now
 				// to capture the nested schema for type generation
@@ -790,27 +894,44 @@ const SqlSchemaDefinitionTypes = {
 		// Return a chainable macro
 		return createChainableMacro(macroFn);
 	},
-	linked: (type, { array = false } = {}) => {
+	// With `foreignKey`, schema-sync adds a FOREIGN KEY constraint on the column -
+	// see resolveLinkedForeignKey()
+	// Usage: t.linked('user', { foreignKey: { onDelete: 'cascade' } })
+	linked: (type, { array = false, foreignKey } = {}) => {
 		// Better join when ID is int as well
 		// uuidLinkedIds is required for id: t.uuidKey to work with t.linked - applies to ALL fields
 		// (read live off config so tests can toggle it; config is a load-time singleton in prod)
 		let dataType = config.uuidLinkedIds ? 'char(36)' : 'int';
 
-		// This is for future support of t.linked('model', { array: true })
+		// t.linked('model', { array: true }) stores a JSON array of ids (JSONB on
+		// Postgres, see PostgresDialect.resolveColumnType) and inflates to an
+		// array of instances
 		if (array) {
-			dataType = 'longtext';
+			if (foreignKey) {
+				throw new Error(
+					`t.linked('${type}', { array: true }) stores a JSON array, which can't have a foreignKey`,
+				);
+			}
+			return createChainableType({
+				type: 'longtext',
+				linkedModel: type,
+				isArray: true,
+			});
 		}
 
 		// Opt-in (default OFF): give char(36) link columns the SAME collation as the
 		// uuid PK so joins stay sargable. This was the historical performance TODO here.
 		const collation = resolveLinkColumnCollation(dataType);
 
+		const resolvedForeignKey = resolveLinkedForeignKey(foreignKey);
+
 		// Linked type is not relevant for mysql
 		// Return chainable so users can do: t.linked('user').description('...')
 		return createChainableType({
 			type: dataType,
 			linkedModel: type,
 			...(collation ? { collation } : {}),
+			...(resolvedForeignKey ? { foreignKey: resolvedForeignKey } : {}),
 		});
 	},
 	// @alias for linked, used as a hint for some parsers that want to know the parent model
@@ -820,12 +941,85 @@ const SqlSchemaDefinitionTypes = {
 	// but address is not a parent of the user model)
 	// Again, this is just a hint for some parsers that want to know the parent model, not actually
 	// relevant to the database or the ORM functionality.
-	parent: function parent(type) {
-		return this.linked(type);
+	parent: function parent(type, options) {
+		return this.linked(type, options);
+	},
+	// hasMany is not a column - with a foreignKey it becomes an entry in the
+	// schema's `relations` (an async accessor on instances, see
+	// DatabaseObject.loadRelation), otherwise it stays a client-only hint.
+	// Usage: t.hasMany('comment', { foreignKey: 'post', orderBy: 'createdAt' })
+	hasMany: (type, { foreignKey, orderBy, orderDir } = {}) => {
+		if (!foreignKey) {
+			return CLIENT_ONLY_FIELD;
+		}
+		return {
+			[RELATION]: 'hasMany',
+			model: type,
+			foreignKey,
+			...(orderBy ? { orderBy } : {}),
+			...(orderDir ? { orderDir } : {}),
+		};
+	},
+	// manyToMany is not a column either - it names a join table holding
+	// (foreignKey, otherKey) pairs, which schema-sync creates (see
+	// joinTableSchemas below), and becomes a relation with add/remove/set helpers.
+	// foreignKey defaults to this model's table name, otherKey to the basename
+	// of the linked model. orderBy/orderDir sort the linked rows, as for hasMany.
+	// Usage: t.manyToMany('tag', { through: 'post_tags' })
+	manyToMany: (
+		type,
+		{ through, foreignKey, otherKey, orderBy, orderDir } = {},
+	) => {
+		if (!through) {
+			throw new Error(
+				`t.manyToMany('${type}') needs a join table: t.manyToMany('${type}', { through: 'table_name' })`,
+			);
+		}
+		return {
+			[RELATION]: 'manyToMany',
+			model: type,
+			through,
+			...(foreignKey ? { foreignKey } : {}),
+			...(otherKey ? { otherKey } : {}),
+			...(orderBy ? { orderBy } : {}),
+			...(orderDir ? { orderDir } : {}),
+		};
 	},
-	// hasMany is simply a hint on the server, not a literal type in the database
-	hasMany: (/* type, options */) => {
-		return CLIENT_ONLY_FIELD;
+	// virtual is not a column - `compute(values)` runs on every inflate with the
+	// row's inflated field values, and its result is set on the instance (and
+	// shown by jsonify()) but never written.
+	// Usage: t.virtual((row) => `${row.firstName} ${row.lastName}`)
+	virtual: (compute) => {
+		if (typeof compute !== 'function') {
+			throw new Error(
+				`t.virtual() needs a function: t.virtual((row) => ...), got ${typeof compute}`,
+			);
+		}
+		return { [VIRTUAL]: compute };
+	},
+	// generated is a column the database computes from `expression` - see
+	// generateGeneratedClause() in lib/dialects/BaseDialect.js. `expression` is SQL,
+	// or an object keyed by dialect name ({ mysql, sqlite, postgres }) when the
+	// dialects need different SQL. `type` is the column type (default t.string),
+	// `stored: true` asks for a STORED rather than VIRTUAL column. The ORM
+	// reads it like any column but refuses to write it.
+	// Usage: t.generated("CONCAT(firstName, ' ', lastName)", { stored: true })
+	generated: function generated(expression, { stored = false, type } = {}) {
+		if (!expression || !['string', 'object'].includes(typeof expression)) {
+			throw new Error(
+				`t.generated() needs an SQL expression: t.generated('price * quantity', { stored: true })`,
+			);
+		}
+		// Generated columns cannot have a DEFAULT
+		const {
+			default: defaultValue,
+			__defaultValue,
+			...baseType
+		} = getChainableTypeData(type || this.string);
+		return createChainableType({
+			...baseType,
+			generated: { expression, stored: !!stored },
+		});
 	},
 	// Enum type - stored as varchar with options array for validation/type generation
 	// Usage: t.enum(['option1', 'option2'], { default: 'option1' })
@@ -989,11 +1183,19 @@ function toSchema(definition) {
 		legacyExternalSchema,
 		includeCommonFields,
 		indexes,
+		audit,
 		table,
+		renamedFrom,
 		options,
 		...passThruProps
 	} = model;
 
+	if (renamedFrom !== undefined && typeof renamedFrom !== 'string') {
+		throw new Error(
+			`'${table}' renamedFrom must be the table's previous name, got ${typeof renamedFrom}`,
+		);
+	}
+
 	const isDeletedSchema = (context) => {
 		return legacyExternalSchema
 			? {}
@@ -1024,7 +1226,22 @@ function toSchema(definition) {
 	let fieldList = [];
 	const fieldMap = {};
 	expandType.fieldList = fieldList;
+	const relations = {};
+	const virtuals = {};
 	fields.forEach((field) => {
+		if (schema[field] && schema[field][VIRTUAL]) {
+			virtuals[field] = schema[field][VIRTUAL];
+			return;
+		}
+		if (schema[field] && schema[field][RELATION]) {
+			const { [RELATION]: type, ...relation } = schema[field];
+			relations[field] =
+				type === 'manyToMany'
+					? manyToManyRelation(field, relation, table)
+					: { type, ...relation };
+			return;
+		}
+
 		const value = expandType(schema[field], field, model, jsonModel);
 		if (expandType.__redefinedModel) {
 			jsonModel = expandType.__redefinedModel;
@@ -1033,6 +1250,16 @@ function toSchema(definition) {
 		// jsonModel[field] = value;
 
 		if (value && value !== CLIENT_ONLY_FIELD) {
+			if (
+				value.renamedFrom !== undefined &&
+				(typeof value.renamedFrom !== 'string' || value.renamedFrom === field)
+			) {
+				throw new Error(
+					`Field '${field}' on '${table}' has renamedFrom ${JSON.stringify(
+						value.renamedFrom,
+					)} - give the column's previous name`,
+				);
+			}
 			let fieldRow = Object.assign({}, value, { field });
 			fieldList.push(fieldRow);
 
@@ -1040,6 +1267,15 @@ function toSchema(definition) {
 		}
 	});
 
+	const versionFields = fieldList.filter(({ isVersion }) => isVersion);
+	if (versionFields.length > 1) {
+		throw new Error(
+			`'${table}' declares more than one t.version field (${versionFields
+				.map(({ field }) => field)
+				.join(', ')}) - use one`,
+		);
+	}
+
 	jsonModel.options = options || {};
 	if (indexes) {
 		jsonModel.options.indexes = indexes;
@@ -1066,13 +1302,124 @@ function toSchema(definition) {
 	Object.assign(jsonModel, {
 		...passThruProps,
 		table,
+		...(renamedFrom ? { renamedFrom } : {}),
 		legacyExternalSchema,
 		fields: fieldList,
+		relations,
+		virtuals,
+		versionField: versionFields.length ? versionFields[0].field : undefined,
+		audit: Boolean(audit),
+		historyTable: audit ? `${parseIdField(table).table}_history` : undefined,
 	});
 
 	return jsonModel;
 }
 
+/**
+ * Fill in the default join-table keys of a t.manyToMany() relation.
+ * @param {string} field Relation name (used in errors)
+ * @param {object} relation `{ model, through, foreignKey?, otherKey?, orderBy?, orderDir? }`
+ * @param {string} table Table of the model declaring the relation
+ * @returns {object} `{ type: 'manyToMany', model, through, foreignKey, otherKey, ... }`
+ */
+function manyToManyRelation(field, relation, table) {
+	const { model, through, orderBy, orderDir } = relation;
+	const foreignKey = relation.foreignKey || parseIdField(table).table;
+	const otherKey =
+		relation.otherKey || path.basename(`${model}`).replace(/\.js$/, '');
+	if (foreignKey === otherKey) {
+		throw new Error(
+			`t.manyToMany() relation '${field}' on table '${table}' would store both sides of '${through}' in column '${foreignKey}' - pass distinct { foreignKey, otherKey }`,
+		);
+	}
+	return {
+		type: 'manyToMany',
+		model,
+		through,
+		foreignKey,
+		otherKey,
+		...(orderBy ? { orderBy } : {}),
+		...(orderDir ? { orderDir } : {}),
+	};
+}
+
+/**
+ * Schemas for the join tables of every t.manyToMany() relation on `schema`,
+ * ready for syncSchemaToDb(). Each join table holds an id plus the two key
+ * columns, with a unique index on the pair and an index on the second column
+ * (the unique index already covers lookups by the first). The key columns are
+ * sorted so both sides of a relation (post.tags / tag.posts) produce the same
+ * definition.
+ * @param {object} schema A converted schema (see convertDefinition)
+ * @returns {object[]}
+ */
+function joinTableSchemas(schema) {
+	return Object.values(schema.relations || {})
+		.filter(({ type }) => type === 'manyToMany')
+		.map(({ through, foreignKey, otherKey }) => {
+			const keys = [foreignKey, otherKey].sort();
+			const { table: joinTable } = parseIdField(through);
+			// Same column type as a t.linked() field, without the linkedModel
+			// (each side of the relation would name a different one)
+			const dataType = config.uuidLinkedIds ? 'char(36)' : 'int';
+			const collation = resolveLinkColumnCollation(dataType);
+			const keyColumn = createChainableType({
+				type: dataType,
+				...(collation ? { collation } : {}),
+			});
+			return toSchema(({ types: t }) => ({
+				table: through,
+				schema: {
+					id: config.uuidLinkedIds ? t.uuidKey : t.idKey,
+					[keys[0]]: keyColumn,
+					[keys[1]]: keyColumn,
+				},
+				indexes: {
+					[`idx_${joinTable}_pair`]: { unique: true, cols: keys },
+					[`idx_${joinTable}_${keys[1]}`]: [keys[1]],
+				},
+			}));
+		});
+}
+
+/**
+ * Schema for the history table of an `audit: true` definition, ready for
+ * syncSchemaToDb(). Each row is one write to the audited table: the id of the
+ * row written, the action (create/update/remove/restore/delete), JSON
+ * snapshots of the row before and after, the changed fields and who made
+ * the change (see DatabaseObject.auditActor).
+ * @param {object} schema A converted schema (see convertDefinition)
+ * @returns {object|null} null when the definition isn't audited
+ */
+function historyTableSchema(schema) {
+	if (!schema.audit) {
+		return null;
+	}
+	const { historyTable, renamedFrom } = schema;
+	const { table: historyTableName } = parseIdField(historyTable);
+	return toSchema(({ types: t }) => ({
+		table: historyTable,
+		// The history table follows its table's rename
+		renamedFrom: renamedFrom
+			? `${parseIdField(renamedFrom).table}_history`
+			: undefined,
+		schema: {
+			id: t.idKey,
+			// Text, so int and uuid ids fit alike
+			recordId: t.string,
+			action: t.string,
+			beforeData: t.text,
+			afterData: t.text,
+			changedFields: t.text,
+			actor: t.string,
+			createdAt: t.datetime,
+		},
+		indexes: {
+			[`idx_${historyTableName}_recordId`]: ['recordId'],
+		},
+	}));
+}
+
 function convertDefinition(modelDefinition) {
 	const schema = toSchema(
 		modelDefinition.default ? modelDefinition.default : modelDefinition,
@@ -1080,7 +1427,13 @@ function convertDefinition(modelDefinition) {
 	return schema;
 }
 
-module.exports = { convertDefinition, resolveLinkColumnCollation };
+module.exports = {
+	convertDefinition,
+	joinTableSchemas,
+	historyTableSchema,
+	resolveLinkColumnCollation,
+	resolveLinkedForeignKey,
+};
 
 // const modelDefinition = require(process.argv[2]).default;
 // const schema = toSchema(modelDefinition);
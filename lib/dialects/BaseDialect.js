@@ -168,6 +168,28 @@ class BaseDialect {
 		throw new Error('Dialect must implement getTableIndexes()');
 	}
 
+	/**
+	 * Get the foreign keys of a table
+	 * @param {Object} handle - Database connection handle
+	 * @param {string} tableName - Table name
+	 * @returns {Promise<Array>} - `{ name, column, referencedTable, referencedColumn,
+	 *   onDelete, onUpdate }` objects, actions upper case (`'SET NULL'`)
+	 */
+	async getTableForeignKeys(handle, tableName) {
+		throw new Error('Dialect must implement getTableForeignKeys()');
+	}
+
+	/**
+	 * Get the CHECK constraints of a table
+	 * @param {Object} handle - Database connection handle
+	 * @param {string} tableName - Table name
+	 * @returns {Promise<Array>} - `{ name, expression }` objects, the expression
+	 *   as the database reports it
+	 */
+	async getTableCheckConstraints(handle, tableName) {
+		throw new Error('Dialect must implement getTableCheckConstraints()');
+	}
+
 	/**
 	 * Get list of all tables in the database
 	 * @param {Object} handle - Database connection handle
@@ -203,6 +225,44 @@ class BaseDialect {
 		throw new Error('Dialect must implement generateFieldSpec()');
 	}
 
+	/**
+	 * Resolve the `t.generated()` expression of a field for this dialect
+	 * @param {Object} fieldData - Field definition
+	 * @returns {string|undefined} - SQL expression, or undefined if the field is not generated
+	 */
+	resolveGeneratedExpression(fieldData) {
+		const { generated } = fieldData || {};
+		if (!generated) {
+			return undefined;
+		}
+		const { expression } = generated;
+		if (typeof expression === 'string') {
+			return expression;
+		}
+		if (!expression[this.name]) {
+			throw new Error(
+				`t.generated() column '${fieldData.field}' has no expression for the ${
+					this.name
+				} dialect (given: ${Object.keys(expression).join(', ')})`,
+			);
+		}
+		return expression[this.name];
+	}
+
+	/**
+	 * Generate the GENERATED ALWAYS AS clause of a `t.generated()` field
+	 * @param {Object} fieldData - Field definition
+	 * @returns {string} - Clause with a leading space, or '' if the field is not generated
+	 */
+	generateGeneratedClause(fieldData) {
+		const expression = this.resolveGeneratedExpression(fieldData);
+		if (expression === undefined) {
+			return '';
+		}
+		const storage = fieldData.generated.stored ? 'STORED' : 'VIRTUAL';
+		return ` GENERATED ALWAYS AS (${expression}) ${storage}`;
+	}
+
 	/**
 	 * Generate CREATE INDEX SQL
 	 * @param {string} tableName - Table name
@@ -215,6 +275,128 @@ class BaseDialect {
 		throw new Error('Dialect must implement generateCreateIndex()');
 	}
 
+	/**
+	 * Generate the CONSTRAINT ... FOREIGN KEY clause of a foreign key, for
+	 * CREATE TABLE or ALTER TABLE ... ADD
+	 * @param {Object} foreignKey - `{ name, column, referencedTable,
+	 *   referencedColumn, onDelete, onUpdate }`
+	 * @returns {string} - Clause SQL fragment
+	 */
+	generateForeignKeyClause(foreignKey) {
+		const {
+			name,
+			column,
+			referencedTable,
+			referencedColumn,
+			onDelete,
+			onUpdate,
+		} = foreignKey;
+		return `CONSTRAINT ${this.quoteIdentifier(
+			name,
+		)} FOREIGN KEY (${this.quoteIdentifier(
+			column,
+		)}) REFERENCES ${this.quoteIdentifier(
+			referencedTable,
+		)} (${this.quoteIdentifier(
+			referencedColumn,
+		)}) ON DELETE ${onDelete} ON UPDATE ${onUpdate}`;
+	}
+
+	/**
+	 * Generate SQL adding a foreign key to an existing table
+	 * @param {string} tableName - Table name
+	 * @param {Object} foreignKey - See generateForeignKeyClause()
+	 * @returns {string} - ALTER TABLE statement
+	 */
+	generateAddForeignKey(tableName, foreignKey) {
+		return `ALTER TABLE ${this.quoteIdentifier(
+			tableName,
+		)} ADD ${this.generateForeignKeyClause(foreignKey)}`;
+	}
+
+	/**
+	 * Generate SQL dropping a foreign key
+	 * @param {string} tableName - Table name
+	 * @param {string} name - Constraint name
+	 * @returns {string} - ALTER TABLE statement
+	 */
+	generateDropForeignKey(tableName, name) {
+		throw new Error('Dialect must implement generateDropForeignKey()');
+	}
+
+	/**
+	 * Generate the CONSTRAINT ... CHECK clause of a CHECK constraint, for
+	 * CREATE TABLE or ALTER TABLE ... ADD
+	 * @param {Object} checkConstraint - `{ name, expression }`
+	 * @returns {string} - Clause SQL fragment
+	 */
+	generateCheckConstraintClause({ name, expression }) {
+		return `CONSTRAINT ${this.quoteIdentifier(name)} CHECK (${expression})`;
+	}
+
+	/**
+	 * Generate SQL adding a CHECK constraint to an existing table
+	 * @param {string} tableName - Table name
+	 * @param {Object} checkConstraint - See generateCheckConstraintClause()
+	 * @returns {string} - ALTER TABLE statement
+	 */
+	generateAddCheckConstraint(tableName, checkConstraint) {
+		return `ALTER TABLE ${this.quoteIdentifier(
+			tableName,
+		)} ADD ${this.generateCheckConstraintClause(checkConstraint)}`;
+	}
+
+	/**
+	 * Generate SQL dropping a CHECK constraint (MySQL 8.0.19+, MariaDB and
+	 * Postgres all take DROP CONSTRAINT)
+	 * @param {string} tableName - Table name
+	 * @param {string} name - Constraint name
+	 * @returns {string} - ALTER TABLE statement
+	 */
+	generateDropCheckConstraint(tableName, name) {
+		return `ALTER TABLE ${this.quoteIdentifier(
+			tableName,
+		)} DROP CONSTRAINT ${this.quoteIdentifier(name)}`;
+	}
+
+	/**
+	 * Generate SQL renaming a table
+	 * @param {string} fromName - Current table name
+	 * @param {string} toName - New table name
+	 * @returns {string} - ALTER TABLE ... RENAME TO statement
+	 */
+	generateRenameTable(fromName, toName) {
+		return `ALTER TABLE ${this.quoteIdentifier(
+			fromName,
+		)} RENAME TO ${this.quoteIdentifier(toName)}`;
+	}
+
+	/**
+	 * Generate SQL renaming a column, keeping its data and indexes
+	 * @param {string} tableName - Table name
+	 * @param {string} fromName - Current column name
+	 * @param {string} toName - New column name
+	 * @returns {string} - ALTER TABLE ... RENAME COLUMN statement
+	 */
+	generateRenameColumn(tableName, fromName, toName) {
+		return `ALTER TABLE ${this.quoteIdentifier(
+			tableName,
+		)} RENAME COLUMN ${this.quoteIdentifier(
+			fromName,
+		)} TO ${this.quoteIdentifier(toName)}`;
+	}
+
+	/**
+	 * Generate SQL renaming an index (see prefixIndexNamesWithTable)
+	 * @param {string} tableName - Table name
+	 * @param {string} fromName - Current index name
+	 * @param {string} toName - New index name
+	 * @returns {string} - Rename statement
+	 */
+	generateRenameIndex(tableName, fromName, toName) {
+		throw new Error('Dialect must implement generateRenameIndex()');
+	}
+
 	// ============================================
 	// Connection Management
 	// ============================================
@@ -273,6 +455,16 @@ class BaseDialect {
 		return false;
 	}
 
+	/**
+	 * Whether `SELECT ... FOR UPDATE` locks the rows it reads until the
+	 * transaction ends.
+	 *
+	 * @returns {boolean}
+	 */
+	get supportsSelectForUpdate() {
+		return false;
+	}
+
 	get defaultFindOrCreateTransactionOptions() {
 		return {};
 	}
@@ -348,6 +540,60 @@ class BaseDialect {
 		return undefined;
 	}
 
+	// ============================================
+	// Advisory Locks
+	// ============================================
+
+	/**
+	 * Take a named lock, waiting up to `timeoutSeconds` for another holder to
+	 * let go. Held until releaseAdvisoryLock(), so keep the connection leased
+	 * until then.
+	 * @param {Object} connection - Connection from acquireTransactionConnection()
+	 * @param {string} name - Lock name
+	 * @param {number} timeoutSeconds - Longest wait
+	 * @returns {Promise<boolean>} - False if the wait timed out
+	 */
+	async acquireAdvisoryLock(connection, name, timeoutSeconds) {
+		const deadline = Date.now() + timeoutSeconds * 1000;
+		// eslint-disable-next-line no-constant-condition
+		while (true) {
+			// eslint-disable-next-line no-await-in-loop
+			if (await this.tryAdvisoryLock(connection, name)) {
+				return true;
+			}
+			if (Date.now() >= deadline) {
+				return false;
+			}
+			// eslint-disable-next-line no-await-in-loop
+			await new Promise((resolve) => {
+				setTimeout(resolve, 250);
+			});
+		}
+	}
+
+	/**
+	 * Take a named lock if it is free, without waiting.
+	 * @param {Object} connection
+	 * @param {string} name
+	 * @returns {Promise<boolean>} - False if someone else holds it
+	 */
+	async tryAdvisoryLock(connection, name) {
+		throw new Error(
+			`Advisory locks are not implemented by the ${this.name} dialect`,
+		);
+	}
+
+	/**
+	 * Let go of a lock taken with acquireAdvisoryLock().
+	 * @param {Object} connection - The connection that took it
+	 * @param {string} name
+	 */
+	async releaseAdvisoryLock(connection, name) {
+		throw new Error(
+			`Advisory locks are not implemented by the ${this.name} dialect`,
+		);
+	}
+
 	// ============================================
 	// Feature Flags
 	// ============================================
@@ -409,6 +655,27 @@ class BaseDialect {
 		return undefined;
 	}
 
+	/**
+	 * Most bound parameters one statement may carry. Multi-row INSERTs
+	 * (`conn.createMany`) size their batches to stay under it. Defaults to
+	 * SQLite's historical SQLITE_MAX_VARIABLE_NUMBER, the smallest in use.
+	 *
+	 * @returns {number}
+	 */
+	get maxBindParameters() {
+		return 999;
+	}
+
+	/**
+	 * Whether `INSERT ... RETURNING` hands back the inserted rows, so a
+	 * multi-row INSERT needs no follow-up SELECT.
+	 *
+	 * @returns {boolean}
+	 */
+	get supportsInsertReturning() {
+		return false;
+	}
+
 	/**
 	 * Whether this dialect supports stored functions/procedures
 	 * @returns {boolean}
@@ -425,6 +692,35 @@ class BaseDialect {
 		return false;
 	}
 
+	/**
+	 * Whether ALTER TABLE ... ADD can add a STORED generated column. Where it
+	 * cannot, schema-sync rebuilds the table instead.
+	 * @returns {boolean}
+	 */
+	get supportsAddStoredGeneratedColumn() {
+		return true;
+	}
+
+	/**
+	 * Whether ALTER TABLE can add and drop foreign keys. Where it cannot,
+	 * CREATE TABLE declares them, and schema-sync rebuilds the table to change
+	 * them.
+	 * @returns {boolean}
+	 */
+	get supportsAlterForeignKeys() {
+		return true;
+	}
+
+	/**
+	 * Whether ALTER TABLE can add and drop CHECK constraints. Where it cannot,
+	 * they are declared and changed like foreign keys (see
+	 * supportsAlterForeignKeys).
+	 * @returns {boolean}
+	 */
+	get supportsAlterCheckConstraints() {
+		return true;
+	}
+
 	/**
 	 * Whether this dialect supports named placeholders natively
 	 * @returns {boolean}
@@ -519,6 +815,19 @@ class BaseDialect {
 	}) {
 		throw new Error('Dialect must implement buildUpsertSql()');
 	}
+
+	/**
+	 * Whether the `buildUpsertSql()` statement that returned `result` inserted
+	 * its row (true) or updated an existing one (false). Undefined when the
+	 * statement can't tell, as on SQLite.
+	 *
+	 * @param {Object} result What the statement resolved to
+	 * @returns {boolean|undefined}
+	 */
+	// eslint-disable-next-line no-unused-vars, class-methods-use-this
+	upsertInserted(result) {
+		return undefined;
+	}
 }
 
 module.exports = { BaseDialect };
@@ -141,6 +141,17 @@ class MySQLDialect extends BaseDialect {
 		return `INSERT INTO ${tableSql} (${columnsSql}) VALUES (${valuesSql}) ON DUPLICATE KEY UPDATE ${updateAssignmentsSql}`;
 	}
 
+	// eslint-disable-next-line class-methods-use-this
+	upsertInserted({ affectedRows } = {}) {
+		// 1 for an insert, 2 for an update. The driver's default `foundRows`
+		// also reports 1 for an update that changed nothing, so dbh.upsert()
+		// trusts a 1 only when its locked read found no row.
+		if (affectedRows === 1) {
+			return true;
+		}
+		return affectedRows === 2 ? false : undefined;
+	}
+
 	// ============================================
 	// Type Mapping
 	// ============================================
@@ -271,6 +282,58 @@ class MySQLDialect extends BaseDialect {
 		}));
 	}
 
+	async getTableForeignKeys(handle, tableName) {
+		const rows = await handle.query(
+			`SELECT k.CONSTRAINT_NAME AS name, k.COLUMN_NAME AS columnName,
+				k.REFERENCED_TABLE_NAME AS referencedTable,
+				k.REFERENCED_COLUMN_NAME AS referencedColumn,
+				r.DELETE_RULE AS onDelete, r.UPDATE_RULE AS onUpdate
+			FROM information_schema.KEY_COLUMN_USAGE k
+			JOIN information_schema.REFERENTIAL_CONSTRAINTS r
+				ON r.CONSTRAINT_SCHEMA = k.CONSTRAINT_SCHEMA
+				AND r.CONSTRAINT_NAME = k.CONSTRAINT_NAME
+				AND r.TABLE_NAME = k.TABLE_NAME
+			WHERE k.TABLE_SCHEMA = DATABASE() AND k.TABLE_NAME = ?
+				AND k.REFERENCED_TABLE_NAME IS NOT NULL
+			ORDER BY k.CONSTRAINT_NAME, k.ORDINAL_POSITION`,
+			[tableName],
+		);
+
+		// One row per column - a multi-column key is reported comma-joined
+		const keyMap = {};
+		for (const row of rows) {
+			if (keyMap[row.name]) {
+				keyMap[row.name].column += `, ${row.columnName}`;
+				keyMap[row.name].referencedColumn += `, ${row.referencedColumn}`;
+			} else {
+				keyMap[row.name] = {
+					name: row.name,
+					column: row.columnName,
+					referencedTable: row.referencedTable,
+					referencedColumn: row.referencedColumn,
+					onDelete: row.onDelete,
+					onUpdate: row.onUpdate,
+				};
+			}
+		}
+		return Object.values(keyMap);
+	}
+
+	async getTableCheckConstraints(handle, tableName) {
+		// MariaDB also lists the json_valid() checks of its JSON columns here
+		return handle.query(
+			`SELECT t.CONSTRAINT_NAME AS name, c.CHECK_CLAUSE AS expression
+			FROM information_schema.TABLE_CONSTRAINTS t
+			JOIN information_schema.CHECK_CONSTRAINTS c
+				ON c.CONSTRAINT_SCHEMA = t.CONSTRAINT_SCHEMA
+				AND c.CONSTRAINT_NAME = t.CONSTRAINT_NAME
+			WHERE t.TABLE_SCHEMA = DATABASE() AND t.TABLE_NAME = ?
+				AND t.CONSTRAINT_TYPE = 'CHECK'
+			ORDER BY t.CONSTRAINT_NAME`,
+			[tableName],
+		);
+	}
+
 	async getTables(handle, database) {
 		const rows = await handle.query(
 			`SHOW TABLES IN ${this.quoteIdentifier(database)}`,
@@ -381,6 +444,10 @@ class MySQLDialect extends BaseDialect {
 			spec += ` COLLATE ${collation}`;
 		}
 
+		// t.generated() columns are computed, so they take no DEFAULT below
+		const generatedClause = this.generateGeneratedClause(fieldData);
+		spec += generatedClause;
+
 		// Add NOT NULL
 		if (nullVal === 'NO' || nullVal === '0') {
 			spec += ' NOT NULL';
@@ -399,7 +466,11 @@ class MySQLDialect extends BaseDialect {
 		}
 
 		// Add DEFAULT (skip for longtext - MySQL doesn't support DEFAULT on TEXT/BLOB)
-		if (defaultVal !== undefined && !type.match(/^longtext/i)) {
+		if (
+			defaultVal !== undefined &&
+			!generatedClause &&
+			!type.match(/^longtext/i)
+		) {
 			if (defaultVal === 'CURRENT_TIMESTAMP') {
 				// Skip - handled by timestamp type
 			} else if (defaultVal === '' && type.match(/^int/i)) {
@@ -500,6 +571,26 @@ class MySQLDialect extends BaseDialect {
 		)}`;
 	}
 
+	generateDropForeignKey(tableName, name) {
+		return `ALTER TABLE ${this.quoteIdentifier(
+			tableName,
+		)} DROP FOREIGN KEY ${this.quoteIdentifier(name)}`;
+	}
+
+	generateRenameTable(fromName, toName) {
+		return `RENAME TABLE ${this.quoteIdentifier(
+			fromName,
+		)} TO ${this.quoteIdentifier(toName)}`;
+	}
+
+	generateRenameIndex(tableName, fromName, toName) {
+		return `ALTER TABLE ${this.quoteIdentifier(
+			tableName,
+		)} RENAME INDEX ${this.quoteIdentifier(fromName)} TO ${this.quoteIdentifier(
+			toName,
+		)}`;
+	}
+
 	// ============================================
 	// Connection Management
 	// ============================================
@@ -621,6 +712,10 @@ class MySQLDialect extends BaseDialect {
 		return true;
 	}
 
+	get supportsSelectForUpdate() {
+		return true;
+	}
+
 	get defaultFindOrCreateTransactionOptions() {
 		return { isolationLevel: 'serializable', maxRetries: 2 };
 	}
@@ -671,6 +766,27 @@ class MySQLDialect extends BaseDialect {
 		}
 	}
 
+	// ============================================
+	// Advisory Locks
+	// ============================================
+
+	// GET_LOCK() locks belong to the session, and are let go if it ends
+	async acquireAdvisoryLock(connection, name, timeoutSeconds) {
+		const rows = await connection.query('SELECT GET_LOCK(?, ?) AS locked', [
+			name,
+			timeoutSeconds,
+		]);
+		return Number(rows[0].locked) === 1;
+	}
+
+	async tryAdvisoryLock(connection, name) {
+		return this.acquireAdvisoryLock(connection, name, 0);
+	}
+
+	async releaseAdvisoryLock(connection, name) {
+		await connection.query('SELECT RELEASE_LOCK(?)', [name]);
+	}
+
 	// ============================================
 	// Feature Flags
 	// ============================================
@@ -680,6 +796,11 @@ class MySQLDialect extends BaseDialect {
 		return 64;
 	}
 
+	// eslint-disable-next-line class-methods-use-this
+	get maxBindParameters() {
+		return 65535; // prepared-statement placeholder count is a 16-bit field
+	}
+
 	get supportsFullTextSearch() {
 		return true;
 	}
@@ -327,7 +327,13 @@ class PostgresDialect extends BaseDialect {
 		const conflictSql = conflictColumns
 			.map((c) => this.quoteIdentifier(c))
 			.join(', ');
-		return `INSERT INTO ${tableSql} (${columnsSql}) VALUES (${valuesSql}) ON CONFLICT (${conflictSql}) DO UPDATE SET ${updateAssignmentsSql}`;
+		// xmax is 0 only on a freshly inserted row version
+		return `INSERT INTO ${tableSql} (${columnsSql}) VALUES (${valuesSql}) ON CONFLICT (${conflictSql}) DO UPDATE SET ${updateAssignmentsSql} RETURNING (xmax = 0) AS "yass_inserted"`;
+	}
+
+	// eslint-disable-next-line class-methods-use-this
+	upsertInserted({ rows } = {}) {
+		return rows && rows[0] ? Boolean(rows[0].yass_inserted) : undefined;
 	}
 
 	// ============================================
@@ -434,6 +440,7 @@ class PostgresDialect extends BaseDialect {
 		const result = await handle.query(
 			`SELECT c.column_name, c.data_type, c.is_nullable, c.column_default,
 				c.character_maximum_length, c.numeric_precision, c.numeric_scale,
+				c.is_generated,
 				(pk.attname IS NOT NULL) AS is_primary_key
 			FROM information_schema.columns c
 			LEFT JOIN (
@@ -464,6 +471,9 @@ class PostgresDialect extends BaseDialect {
 			primaryKey: !!row.is_primary_key,
 			autoIncrement:
 				row.column_default && row.column_default.includes('nextval'),
+			// Spelled like MySQL's SHOW COLUMNS `Extra` (Postgres generated columns
+			// are always stored)
+			...(row.is_generated === 'ALWAYS' ? { extra: 'STORED GENERATED' } : {}),
 			_raw: row,
 		}));
 	}
@@ -542,6 +552,67 @@ class PostgresDialect extends BaseDialect {
 			});
 	}
 
+	async getTableForeignKeys(handle, tableName) {
+		const result = await handle.query(
+			`SELECT c.conname AS name, a.attname AS column_name,
+				rt.relname AS referenced_table, ra.attname AS referenced_column,
+				c.confdeltype, c.confupdtype
+			FROM pg_constraint c
+			JOIN pg_class t ON t.oid = c.conrelid
+			JOIN pg_namespace n ON n.oid = t.relnamespace
+			JOIN pg_class rt ON rt.oid = c.confrelid
+			JOIN LATERAL unnest(c.conkey, c.confkey)
+				WITH ORDINALITY AS k(attnum, refattnum, seq) ON true
+			JOIN pg_attribute a ON a.attrelid = c.conrelid AND a.attnum = k.attnum
+			JOIN pg_attribute ra ON ra.attrelid = c.confrelid
+				AND ra.attnum = k.refattnum
+			WHERE c.contype = 'f' AND t.relname = $1 AND n.nspname = 'public'
+			ORDER BY c.conname, k.seq`,
+			[tableName],
+		);
+		const rows = result.rows || result;
+		// pg_constraint spells the actions as one letter
+		const actions = {
+			a: 'NO ACTION',
+			r: 'RESTRICT',
+			c: 'CASCADE',
+			n: 'SET NULL',
+			d: 'SET DEFAULT',
+		};
+
+		// One row per column - a multi-column key is reported comma-joined
+		const keyMap = {};
+		rows.forEach((row) => {
+			if (keyMap[row.name]) {
+				keyMap[row.name].column += `, ${row.column_name}`;
+				keyMap[row.name].referencedColumn += `, ${row.referenced_column}`;
+				return;
+			}
+			keyMap[row.name] = {
+				name: row.name,
+				column: row.column_name,
+				referencedTable: row.referenced_table,
+				referencedColumn: row.referenced_column,
+				onDelete: actions[row.confdeltype],
+				onUpdate: actions[row.confupdtype],
+			};
+		});
+		return Object.values(keyMap);
+	}
+
+	async getTableCheckConstraints(handle, tableName) {
+		const result = await handle.query(
+			`SELECT c.conname AS name, pg_get_constraintdef(c.oid) AS expression
+			FROM pg_constraint c
+			JOIN pg_class t ON t.oid = c.conrelid
+			JOIN pg_namespace n ON n.oid = t.relnamespace
+			WHERE c.contype = 'c' AND t.relname = $1 AND n.nspname = 'public'
+			ORDER BY c.conname`,
+			[tableName],
+		);
+		return result.rows || result;
+	}
+
 	// eslint-disable-next-line no-unused-vars
 	async getTables(handle, database) {
 		const result = await handle.query(
@@ -616,13 +687,14 @@ class PostgresDialect extends BaseDialect {
 	 * true }` -- the MySQL storage type -- which would land in TEXT here, throwing
 	 * away JSONB's native operators and indexing for the field type that most wants
 	 * them. `t.json` already mapped to JSONB, so the two spellings disagreed about
-	 * where the same data belongs.
+	 * where the same data belongs. `t.linked(model, { array: true })` (`isArray`
+	 * without `isObject`) is a JSON array of ids, so it is JSONB too.
 	 *
 	 * @param {object} fieldData a schema field
 	 * @returns {string} the Postgres column type
 	 */
 	resolveColumnType(fieldData) {
-		if (fieldData && fieldData.isObject) {
+		if (fieldData && (fieldData.isObject || fieldData.isArray)) {
 			return 'JSONB';
 		}
 		return this.mapType(fieldData ? fieldData.type : undefined);
@@ -658,8 +730,12 @@ class PostgresDialect extends BaseDialect {
 			spec += ' UNIQUE';
 		}
 
+		// t.generated() columns are computed, so they take no DEFAULT
+		const generatedClause = this.generateGeneratedClause(fieldData);
+		spec += generatedClause;
+
 		// Add DEFAULT
-		if (defaultVal !== undefined && defaultVal !== null) {
+		if (defaultVal !== undefined && defaultVal !== null && !generatedClause) {
 			if (type === 'BOOLEAN') {
 				// Postgres is strict about DEFAULT expression types: a boolean column
 				// rejects an integer default outright. yass-orm's `t.bool` carries
@@ -685,6 +761,18 @@ class PostgresDialect extends BaseDialect {
 		return spec;
 	}
 
+	/**
+	 * Postgres before 18 only has STORED generated columns, so a virtual
+	 * `t.generated()` column is stored here.
+	 */
+	generateGeneratedClause(fieldData) {
+		const expression = this.resolveGeneratedExpression(fieldData);
+		if (expression === undefined) {
+			return '';
+		}
+		return ` GENERATED ALWAYS AS (${expression}) STORED`;
+	}
+
 	generateCreateIndex(tableName, indexName, columns, options = {}) {
 		const { unique = false, fulltext = false, where } = options;
 		const quotedTable = this.quoteIdentifier(tableName);
@@ -859,6 +947,20 @@ class PostgresDialect extends BaseDialect {
 		)}`;
 	}
 
+	generateDropForeignKey(tableName, name) {
+		return `ALTER TABLE ${this.quoteIdentifier(
+			tableName,
+		)} DROP CONSTRAINT ${this.quoteIdentifier(name)}`;
+	}
+
+	// eslint-disable-next-line no-unused-vars
+	generateRenameIndex(tableName, fromName, toName) {
+		// Index names are per schema, so the table isn't needed
+		return `ALTER INDEX ${this.quoteIdentifier(
+			fromName,
+		)} RENAME TO ${this.quoteIdentifier(toName)}`;
+	}
+
 	// ============================================
 	// Connection Management
 	// ============================================
@@ -948,6 +1050,7 @@ class PostgresDialect extends BaseDialect {
 				return {
 					affectedRows: result.rowCount,
 					insertId: result.rows && result.rows[0] ? result.rows[0].id : null,
+					rows: result.rows,
 				};
 			},
 
@@ -1041,6 +1144,10 @@ class PostgresDialect extends BaseDialect {
 		return true;
 	}
 
+	get supportsSelectForUpdate() {
+		return true;
+	}
+
 	get defaultFindOrCreateTransactionOptions() {
 		return { isolationLevel: 'serializable', maxRetries: 2 };
 	}
@@ -1087,6 +1194,23 @@ class PostgresDialect extends BaseDialect {
 		);
 	}
 
+	// ============================================
+	// Advisory Locks
+	// ============================================
+
+	// Session-level advisory locks, keyed by a hash of the name
+	async tryAdvisoryLock(connection, name) {
+		const rows = await connection.query(
+			'SELECT pg_try_advisory_lock(hashtext($1)) AS locked',
+			[name],
+		);
+		return rows[0].locked === true;
+	}
+
+	async releaseAdvisoryLock(connection, name) {
+		await connection.query('SELECT pg_advisory_unlock(hashtext($1))', [name]);
+	}
+
 	// ============================================
 	// JSON Support Check
 	// ============================================
@@ -1165,6 +1289,16 @@ class PostgresDialect extends BaseDialect {
 		return 63;
 	}
 
+	// eslint-disable-next-line class-methods-use-this
+	get maxBindParameters() {
+		return 65535; // Bind message parameter count is an Int16
+	}
+
+	// eslint-disable-next-line class-methods-use-this
+	get supportsInsertReturning() {
+		return true;
+	}
+
 	get supportsStoredFunctions() {
 		return false; // PL/pgSQL exists but yass-orm uses MySQL-specific SHOW FUNCTION STATUS syntax
 	}
@@ -374,19 +374,31 @@ class SQLiteDialect extends BaseDialect {
 	}
 
 	async getTableColumns(handle, tableName) {
-		const rows = handle.prepare(`PRAGMA table_info("${tableName}")`).all();
-		return rows.map((row) => ({
-			name: row.name,
-			type: row.type,
-			nullable: normalizeSqliteInteger(row.notnull) === 0,
-			defaultValue: row.dflt_value,
-			primaryKey: normalizeSqliteInteger(row.pk) > 0,
-			// SQLite INTEGER PRIMARY KEY is auto-increment by default (ROWID alias)
-			autoIncrement:
-				normalizeSqliteInteger(row.pk) > 0 &&
-				row.type.toUpperCase() === 'INTEGER',
-			_raw: normalizeSqliteRow(row),
-		}));
+		// table_xinfo (unlike table_info) lists generated columns, flagged by
+		// `hidden`: 2 = VIRTUAL, 3 = STORED (1 is a virtual-table hidden column)
+		const rows = handle
+			.prepare(`PRAGMA table_xinfo("${tableName}")`)
+			.all()
+			.filter((row) => normalizeSqliteInteger(row.hidden) !== 1);
+		return rows.map((row) => {
+			const hidden = normalizeSqliteInteger(row.hidden);
+			return {
+				name: row.name,
+				type: row.type,
+				nullable: normalizeSqliteInteger(row.notnull) === 0,
+				defaultValue: row.dflt_value,
+				primaryKey: normalizeSqliteInteger(row.pk) > 0,
+				// SQLite INTEGER PRIMARY KEY is auto-increment by default (ROWID alias)
+				autoIncrement:
+					normalizeSqliteInteger(row.pk) > 0 &&
+					row.type.toUpperCase() === 'INTEGER',
+				// Spelled like MySQL's SHOW COLUMNS `Extra`
+				...(hidden === 2 || hidden === 3
+					? { extra: hidden === 3 ? 'STORED GENERATED' : 'VIRTUAL GENERATED' }
+					: {}),
+				_raw: normalizeSqliteRow(row),
+			};
+		});
 	}
 
 	async getTableIndexes(handle, tableName) {
@@ -455,6 +467,83 @@ class SQLiteDialect extends BaseDialect {
 		return indexes;
 	}
 
+	async getTableForeignKeys(handle, tableName) {
+		const rows = handle
+			.prepare(`PRAGMA foreign_key_list("${tableName}")`)
+			.all()
+			.map(normalizeSqliteRow);
+		// SQLite doesn't report constraint names, so read them back from the
+		// CREATE TABLE statement
+		const { sql: createSql = '' } =
+			handle
+				.prepare(
+					`SELECT sql FROM sqlite_master WHERE type='table' AND name = ?`,
+				)
+				.get(tableName) || {};
+		const constraintName = (column) => {
+			const match = `${createSql}`.match(
+				new RegExp(
+					`CONSTRAINT\\s+"([^"]+)"\\s+FOREIGN KEY\\s*\\(\\s*"${column}"\\s*\\)`,
+					'i',
+				),
+			);
+			return match ? match[1] : null;
+		};
+
+		// One row per column, grouped by `id` - a multi-column key is reported
+		// comma-joined
+		const keyMap = {};
+		rows
+			.sort((a, b) => a.id - b.id || a.seq - b.seq)
+			.forEach((row) => {
+				if (keyMap[row.id]) {
+					keyMap[row.id].column += `, ${row.from}`;
+					keyMap[row.id].referencedColumn += `, ${row.to}`;
+					return;
+				}
+				keyMap[row.id] = {
+					name: constraintName(row.from),
+					column: row.from,
+					referencedTable: row.table,
+					referencedColumn: row.to,
+					onDelete: `${row.on_delete}`.toUpperCase(),
+					onUpdate: `${row.on_update}`.toUpperCase(),
+				};
+			});
+		return Object.values(keyMap);
+	}
+
+	async getTableCheckConstraints(handle, tableName) {
+		// SQLite keeps no list of constraints, so read the named ones back from
+		// the CREATE TABLE statement
+		const { sql: createSql = '' } =
+			handle
+				.prepare(
+					`SELECT sql FROM sqlite_master WHERE type='table' AND name = ?`,
+				)
+				.get(tableName) || {};
+		const sql = `${createSql || ''}`;
+		const constraints = [];
+		const pattern = /CONSTRAINT\s+"([^"]+)"\s+CHECK\s*\(/gi;
+		let match = pattern.exec(sql);
+		while (match) {
+			// The expression runs to the parenthesis closing the one CHECK opened
+			let depth = 1;
+			let end = pattern.lastIndex;
+			while (end < sql.length && depth > 0) {
+				if (sql[end] === '(') depth += 1;
+				if (sql[end] === ')') depth -= 1;
+				end += 1;
+			}
+			constraints.push({
+				name: match[1],
+				expression: sql.slice(pattern.lastIndex, end - 1).trim(),
+			});
+			match = pattern.exec(sql);
+		}
+		return constraints;
+	}
+
 	// eslint-disable-next-line no-unused-vars
 	async getTables(handle, database) {
 		const rows = handle
@@ -469,13 +558,24 @@ class SQLiteDialect extends BaseDialect {
 	// DDL Generation
 	// ============================================
 
-	// eslint-disable-next-line no-unused-vars
 	generateCreateTable(tableName, fields, options = {}) {
 		const columnDefs = fields.map((field) => this.generateFieldSpec(field));
 		const quotedTable = this.quoteIdentifier(tableName);
+		// ALTER TABLE can't add foreign keys or CHECK constraints here, so the
+		// table declares them
+		const foreignKeyDefs = (options.foreignKeys || []).map((foreignKey) =>
+			this.generateForeignKeyClause(foreignKey),
+		);
+		const checkDefs = (options.checkConstraints || []).map((checkConstraint) =>
+			this.generateCheckConstraintClause(checkConstraint),
+		);
 
 		// SQLite doesn't need CHARACTER SET specification
-		return `CREATE TABLE ${quotedTable} (${columnDefs.join(', ')})`;
+		return `CREATE TABLE ${quotedTable} (${[
+			...columnDefs,
+			...foreignKeyDefs,
+			...checkDefs,
+		].join(', ')})`;
 	}
 
 	generateFieldSpec(fieldData, options = {}) {
@@ -510,8 +610,12 @@ class SQLiteDialect extends BaseDialect {
 			spec += ' UNIQUE';
 		}
 
+		// t.generated() columns are computed, so they take no DEFAULT
+		const generatedClause = this.generateGeneratedClause(fieldData);
+		spec += generatedClause;
+
 		// Add DEFAULT
-		if (defaultVal !== undefined && defaultVal !== null) {
+		if (defaultVal !== undefined && defaultVal !== null && !generatedClause) {
 			if (defaultVal === 'CURRENT_TIMESTAMP') {
 				spec += " DEFAULT (datetime('now'))";
 			} else if (typeof defaultVal === 'string') {
@@ -686,9 +790,10 @@ class SQLiteDialect extends BaseDialect {
 			const stmt = db.prepare(sql);
 			const upperSql = sql.trim().toUpperCase();
 
+			// A PRAGMA that sets a value (`PRAGMA foreign_keys = OFF`) returns no rows
 			if (
 				upperSql.startsWith('SELECT') ||
-				upperSql.startsWith('PRAGMA') ||
+				(upperSql.startsWith('PRAGMA') && stmt.reader) ||
 				upperSql.startsWith('WITH')
 			) {
 				if (Array.isArray(params)) {
@@ -697,6 +802,19 @@ class SQLiteDialect extends BaseDialect {
 				return Promise.resolve(stmt.all(params || {}).map(normalizeSqliteRow));
 			}
 
+			// INSERT/UPDATE/DELETE ... RETURNING: hand the rows back alongside
+			// the usual write result.
+			if (stmt.reader) {
+				const rows = (
+					Array.isArray(params) ? stmt.all(...params) : stmt.all(params || {})
+				).map(normalizeSqliteRow);
+				return Promise.resolve({
+					affectedRows: rows.length,
+					insertId: undefined,
+					rows,
+				});
+			}
+
 			let result;
 			if (Array.isArray(params)) {
 				result = stmt.run(...params);
@@ -883,6 +1001,31 @@ class SQLiteDialect extends BaseDialect {
 		connection._db.pragma(`query_only = ${state.queryOnly}`);
 	}
 
+	// ============================================
+	// Advisory Locks
+	// ============================================
+
+	// SQLite has no lock to hold apart from a transaction, so a lock is a row
+	// in yass_advisory_lock. Unlike a server-side lock, it outlives a process
+	// that dies holding it - delete the row to clear it.
+	async tryAdvisoryLock(connection, name) {
+		await connection.query(
+			'CREATE TABLE IF NOT EXISTS "yass_advisory_lock" ("name" TEXT PRIMARY KEY, "lockedAt" TEXT)',
+		);
+		const result = await connection.query(
+			'INSERT OR IGNORE INTO "yass_advisory_lock" ("name", "lockedAt") VALUES (?, ?)',
+			[name, new Date().toISOString()],
+		);
+		return result.affectedRows === 1;
+	}
+
+	async releaseAdvisoryLock(connection, name) {
+		await connection.query(
+			'DELETE FROM "yass_advisory_lock" WHERE "name" = ?',
+			[name],
+		);
+	}
+
 	// ============================================
 	// Feature Flags
 	// ============================================
@@ -908,6 +1051,23 @@ class SQLiteDialect extends BaseDialect {
 		return false; // Only ADD COLUMN is supported
 	}
 
+	get supportsAddStoredGeneratedColumn() {
+		return false; // ADD COLUMN only takes VIRTUAL generated columns
+	}
+
+	get supportsAlterForeignKeys() {
+		return false; // Foreign keys are declared by CREATE TABLE only
+	}
+
+	get supportsAlterCheckConstraints() {
+		return false; // Likewise CHECK constraints
+	}
+
+	// eslint-disable-next-line class-methods-use-this
+	get supportsInsertReturning() {
+		return true; // SQLite 3.35.0+
+	}
+
 	get supportsNamedPlaceholders() {
 		return true; // With $name prefix
 	}
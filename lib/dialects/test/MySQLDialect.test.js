@@ -292,6 +292,41 @@ describe('MySQLDialect', () => {
 					dialect.generateFieldSpec({ field: 'f', type: 'xml(-1)' }),
 				).to.include('longtext');
 			});
+
+			it('should add GENERATED ALWAYS AS and skip DEFAULT for t.generated() fields', () => {
+				expect(
+					dialect.generateFieldSpec({
+						field: 'total',
+						type: 'int(11)',
+						default: 0,
+						generated: { expression: 'price * quantity', stored: true },
+					}),
+				).to.equal(
+					'`total` int(11) GENERATED ALWAYS AS (price * quantity) STORED',
+				);
+				expect(
+					dialect.generateFieldSpec({
+						field: 'label',
+						type: 'varchar(255)',
+						generated: {
+							expression: { mysql: 'CONCAT(sku, quantity)', sqlite: 'x' },
+							stored: false,
+						},
+					}),
+				).to.equal(
+					'`label` varchar(255) GENERATED ALWAYS AS (CONCAT(sku, quantity)) VIRTUAL',
+				);
+			});
+
+			it('should reject a t.generated() field without an expression for mysql', () => {
+				expect(() =>
+					dialect.generateFieldSpec({
+						field: 'label',
+						type: 'varchar(255)',
+						generated: { expression: { sqlite: 'x' }, stored: false },
+					}),
+				).to.throw(/'label' has no expression for the mysql dialect/);
+			});
 		});
 
 		describe('generateCreateIndex()', () => {
@@ -470,6 +505,16 @@ describe('MySQLDialect', () => {
 			expect(dialect.supportsTriggers).to.be.true;
 		});
 
+		it('should lock rows with SELECT ... FOR UPDATE', () => {
+			expect(dialect.supportsSelectForUpdate).to.be.true;
+		});
+
+		it('should tell an upsert insert from an update by affectedRows', () => {
+			expect(dialect.upsertInserted({ affectedRows: 1 })).to.be.true;
+			expect(dialect.upsertInserted({ affectedRows: 2 })).to.be.false;
+			expect(dialect.upsertInserted({ affectedRows: 0 })).to.be.undefined;
+		});
+
 		it('should support read replicas', () => {
 			expect(dialect.supportsReadReplicas).to.be.true;
 		});
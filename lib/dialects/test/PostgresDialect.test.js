@@ -355,6 +355,16 @@ describe('PostgresDialect', () => {
 					expect(spec).to.equal('"tags" JSONB');
 				});
 
+				it('maps a t.linked(model, { array: true }) field to JSONB', () => {
+					const spec = dialect.generateFieldSpec({
+						field: 'tagIds',
+						type: 'longtext',
+						linkedModel: 'tag',
+						isArray: true,
+					});
+					expect(spec).to.equal('"tagIds" JSONB');
+				});
+
 				it('leaves a plain t.text field as TEXT', () => {
 					const spec = dialect.generateFieldSpec({
 						field: 'body',
@@ -484,6 +494,19 @@ describe('PostgresDialect', () => {
 				});
 				expect(result).to.equal('"active" BOOLEAN');
 			});
+
+			it('should always store t.generated() fields', () => {
+				expect(
+					dialect.generateFieldSpec({
+						field: 'label',
+						type: 'string',
+						default: '',
+						generated: { expression: "sku || ' x'", stored: false },
+					}),
+				).to.equal(
+					'"label" VARCHAR(255) GENERATED ALWAYS AS (sku || \' x\') STORED',
+				);
+			});
 		});
 
 		describe('generateCreateIndex()', () => {
@@ -793,6 +816,27 @@ describe('PostgresDialect', () => {
 			expect(dialect.supportsTriggers).to.be.false;
 		});
 
+		it('should lock rows with SELECT ... FOR UPDATE', () => {
+			expect(dialect.supportsSelectForUpdate).to.be.true;
+		});
+
+		it('should tell an upsert insert from an update by xmax', () => {
+			expect(
+				dialect.buildUpsertSql({
+					tableSql: '"t"',
+					columnsSql: '"a"',
+					valuesSql: '$1',
+					updateAssignmentsSql: '"a"=$1',
+					conflictColumns: ['a'],
+				}),
+			).to.match(/ RETURNING \(xmax = 0\) AS "yass_inserted"$/);
+			expect(dialect.upsertInserted({ rows: [{ yass_inserted: true }] })).to.be
+				.true;
+			expect(dialect.upsertInserted({ rows: [{ yass_inserted: false }] })).to.be
+				.false;
+			expect(dialect.upsertInserted({ rows: [] })).to.be.undefined;
+		});
+
 		it('should support read replicas', () => {
 			expect(dialect.supportsReadReplicas).to.be.true;
 		});
@@ -356,6 +356,30 @@ describe('SQLiteDialect', () => {
 				);
 				expect(result).to.equal('"id" INTEGER');
 			});
+
+			it('should add GENERATED ALWAYS AS and skip DEFAULT for t.generated() fields', () => {
+				expect(
+					dialect.generateFieldSpec({
+						field: 'total',
+						type: 'integer',
+						null: 0,
+						default: 0,
+						generated: { expression: 'price * quantity', stored: true },
+					}),
+				).to.equal(
+					'"total" INTEGER NOT NULL GENERATED ALWAYS AS (price * quantity) STORED',
+				);
+				expect(
+					dialect.generateFieldSpec({
+						field: 'label',
+						type: 'string',
+						generated: {
+							expression: { mysql: 'CONCAT(sku)', sqlite: "sku || ''" },
+							stored: false,
+						},
+					}),
+				).to.equal('"label" TEXT GENERATED ALWAYS AS (sku || \'\') VIRTUAL');
+			});
 		});
 
 		describe('generateCreateIndex()', () => {
@@ -487,6 +511,14 @@ describe('SQLiteDialect', () => {
 			expect(dialect.supportsTriggers).to.be.false;
 		});
 
+		it('should not support SELECT ... FOR UPDATE (the database locks as a whole)', () => {
+			expect(dialect.supportsSelectForUpdate).to.be.false;
+		});
+
+		it('should not tell an upsert insert from an update', () => {
+			expect(dialect.upsertInserted({ affectedRows: 1 })).to.be.undefined;
+		});
+
 		it('should not support read replicas', () => {
 			expect(dialect.supportsReadReplicas).to.be.false;
 		});
@@ -1,9 +1,18 @@
 /* eslint-disable no-param-reassign, global-require, no-console, import/no-dynamic-require, no-nested-ternary */
 
 const { promisePoolMap } = require('./promiseMap');
-const { handle, retryIfConnectionLost, CodeTimingHelper } = require('./utils');
+const { handle, CodeTimingHelper } = require('./utils');
 const { jsonSafeStringify } = require('./jsonSafeStringify');
 const { jsonSafeParse } = require('./jsonSafeParse');
+const { PRELOADED_RELATIONS } = require('./include-paths');
+const { compileWhere } = require('./where-clause');
+const {
+	normalizePageOptions,
+	keysetOrder,
+	keysetWhere,
+	encodeCursor,
+	decodeCursor,
+} = require('./keyset');
 
 function dbQuote(identifier) {
 	// return '`' + (`${identifier}`.replace(/`/g,'')) + '`';
@@ -130,10 +139,59 @@ function debugSql(sql, args) {
 	});
 }
 
+/**
+ * Compile a keyset where object (see lib/keyset.js) to finder-style SQL: the
+ * `:yass_where_N` placeholders compileWhere() emits become `?`, in order.
+ */
+function keysetWhereSql(model, def, where) {
+	const compiled = compileWhere(model._deflateWhere(where, { strict: true }), {
+		escapeId: (field) => prefixedField(def.table, field),
+	});
+	const args = [];
+	const sql = compiled.sql.replace(/:(yass_where_\d+)/g, (match, name) => {
+		args.push(compiled.params[name]);
+		return '?';
+	});
+	return { sql, args };
+}
+
+function keysetOrderSql(def, order) {
+	return order
+		.map(({ field, dir, nulls }) => {
+			const col = prefixedField(def.table, field);
+			return nulls
+				? `(${col} IS NULL) ${
+						nulls === 'first' ? 'DESC' : 'ASC'
+				  }, ${col} ${dir}`
+				: `${col} ${dir}`;
+		})
+		.join(', ');
+}
+
+/**
+ * The implicit soft-delete clause: live rows only, unless the caller passed
+ * the `withDeleted` (every row) or `onlyDeleted` (deleted rows only) option.
+ * These are finder options, not `$` query params, so a client cannot widen
+ * its own query.
+ */
+function deletedWhereSql(def, { withDeleted, onlyDeleted }) {
+	if (withDeleted && onlyDeleted) {
+		throw new Error(`finder: pass withDeleted or onlyDeleted, not both`);
+	}
+	if (withDeleted) {
+		return '1=1 -- withDeleted';
+	}
+	const flag = onlyDeleted ? 1 : 0;
+	return def.legacyExternalSchema
+		? `deleted=${flag}`
+		: `${prefixedField(def.table, 'isDeleted')} = ${flag}`;
+}
+
 async function finder(
 	params,
 	{
 		promisePoolMapConfig = { concurrency: 5, yieldEvery: 3 },
+		include,
 		...incomingOpts
 	} = {},
 ) {
@@ -211,6 +269,18 @@ async function finder(
 	const where = getWhere(query);
 	const order = getOrder(filters.$sort);
 
+	// Keyset (cursor) pagination - `$after` is the `nextCursor` of the previous
+	// packet, or null/'' for the first page. See lib/keyset.js.
+	const keyset = '$after' in filters;
+	if (keyset && query.q) {
+		throw new Error(
+			`finder: $after cannot be combined with q - search ranking has no stable keyset order`,
+		);
+	}
+	if (keyset && filters.$skip) {
+		throw new Error(`finder: $after replaces $skip - pass one or the other`);
+	}
+
 	// console.log("*********** Service find intercept, faux reimpl:", q, def);
 
 	// (JB) NOTE: Special chars (\t and \n) added to generated SQL below
@@ -239,11 +309,7 @@ async function finder(
 	sqlData.fieldList.push(`${dbQuote(def.table)}.*`);
 
 	// Initalize where clause
-	sqlData.whereList = [
-		def.legacyExternalSchema
-			? 'deleted=0'
-			: `${prefixedField(def.table, 'isDeleted')} = 0`,
-	];
+	sqlData.whereList = [deletedWhereSql(def, opts)];
 
 	// Basic implicit filters - match account if given
 	if (where.account !== undefined) {
@@ -327,10 +393,14 @@ async function finder(
 		});
 	}
 
+	// Joins the transaction bound by Model.transaction(), like the model's
+	// own reads
+	const runQuery = (callback) => model._runOn(undefined, callback);
+
 	function queryValues(fieldList, whereClause, whereArgs) {
 		if (!whereClause) whereClause = '1=1 -- Empty whereClause on queryValues';
 
-		return retryIfConnectionLost((dbh) =>
+		return runQuery((dbh) =>
 			dbh.pquery(
 				`SELECT ${fieldList}
 			 FROM   ${sqlData.tableName}
@@ -345,7 +415,7 @@ async function finder(
 	function queryValuesPlain(fieldList, whereClause, whereArgs) {
 		if (!whereClause) whereClause = '1=1 -- Empty whereClause on queryValues';
 
-		return retryIfConnectionLost((dbh) =>
+		return runQuery((dbh) =>
 			dbh.pquery(
 				`SELECT ${fieldList}
 			 FROM   ${sqlData.tableName}
@@ -396,8 +466,8 @@ async function finder(
 	const hookCtx = {
 		addSortingField,
 		query,
-		dbh: await handle(),
-		retryIfConnectionLost,
+		dbh: (await model._boundTx()) || (await handle()),
+		retryIfConnectionLost: runQuery,
 		dbQuote,
 		def,
 		getStringifySql,
@@ -474,7 +544,40 @@ async function finder(
 		})
 		.then((orderSourceList) => {
 			timeHelp.mark('mutateSort');
-			orderSourceList.forEach(addSortingField);
+			if (keyset) {
+				if (orderSourceList.length > 1 || sqlData.orderFieldList.length) {
+					throw new Error(
+						`finder: $after pages by a single sort field (plus the id), got ${
+							orderSourceList.length + sqlData.orderFieldList.length
+						}`,
+					);
+				}
+				const [sort] = orderSourceList;
+				const [orderBy, orderDir] =
+					sort === undefined ? [] : typeof sort === 'string' ? [sort] : sort;
+				const idField = model.idField();
+				const page = normalizePageOptions(def, idField, {
+					orderBy,
+					orderDir,
+					limit:
+						filters.$limit === undefined
+							? undefined
+							: parseInt(filters.$limit, 10),
+				});
+				sqlData.keyset = {
+					page,
+					orderClause: keysetOrderSql(def, keysetOrder(page, idField)),
+					...(filters.$after
+						? keysetWhereSql(
+								model,
+								def,
+								keysetWhere(page, idField, decodeCursor(page, filters.$after)),
+						  )
+						: {}),
+				};
+			} else {
+				orderSourceList.forEach(addSortingField);
+			}
 
 			return opts.mutateJoins(sqlData, hookCtx);
 		})
@@ -482,7 +585,9 @@ async function finder(
 			timeHelp.mark('mutateJoins');
 			// Finally, compose our SQL
 			sqlData.whereClause = sqlData.whereList.join('\n\t AND ');
-			sqlData.orderClause = sqlData.orderFieldList.length
+			sqlData.orderClause = sqlData.keyset
+				? sqlData.keyset.orderClause
+				: sqlData.orderFieldList.length
 				? sqlData.orderFieldList.join(', ')
 				: 'id';
 
@@ -504,14 +609,23 @@ async function finder(
 				sqlData.whereArgs = whereArgs;
 			}
 
+			// The keyset condition only bounds this page - the total below still
+			// counts every match.
+			const keysetArgs = (sqlData.keyset && sqlData.keyset.args) || [];
 			sql = [
 				...sql,
 				`WHERE    ${sqlData.whereClause}`,
+				...(sqlData.keyset && sqlData.keyset.sql
+					? [`\t AND (${sqlData.keyset.sql})`]
+					: []),
 				`ORDER BY ${sqlData.orderClause}`,
 			].join('\n');
 
 			// Add limits to the SQL if needed
-			if (filters.$limit)
+			if (sqlData.keyset) {
+				// One extra row tells whether there is a next page
+				sql += `\nLIMIT ${sqlData.keyset.page.limit + 1}`;
+			} else if (filters.$limit)
 				sql += `\nLIMIT ${parseInt(filters.$skip || 0, 10)}, ${parseInt(
 					filters.$limit,
 					10,
@@ -519,19 +633,21 @@ async function finder(
 
 			// console.log("****** generated: ", sql, sqlData.fieldArgs, whereArgs);
 
+			const queryArgs = sqlData.fieldArgs.concat(whereArgs, keysetArgs);
 			const t1 = Date.now();
-			const res = await retryIfConnectionLost((dbh) =>
-				dbh.pquery(sql, sqlData.fieldArgs.concat(whereArgs)),
-			);
+			let res = await runQuery((dbh) => dbh.pquery(sql, queryArgs));
+			if (sqlData.keyset) {
+				sqlData.keyset.hasMore = res.length > sqlData.keyset.page.limit;
+				res = res.slice(0, sqlData.keyset.page.limit);
+			}
 			const t2 = Date.now();
 			const delta = t2 - t1;
 
-			console.log(
-				'******** generated:\n\n',
-				debugSql(sql, sqlData.fieldArgs.concat(whereArgs)),
-				'\n',
-				{ query, filters, delta },
-			);
+			console.log('******** generated:\n\n', debugSql(sql, queryArgs), '\n', {
+				query,
+				filters,
+				delta,
+			});
 
 			return res;
 		})
@@ -545,6 +661,14 @@ async function finder(
 
 			// const t1 = new Date();
 
+			// Batch-load any requested t.linked() paths so the per-row
+			// inflateValues() below resolves them from the class cache.
+			// Included t.hasMany() children end up as plain array properties.
+			if (include) {
+				await model._preloadIncludes(result, include);
+				timeHelp.mark('preloadIncludes');
+			}
+
 			result = await promisePoolMap(
 				result,
 				async (row) => {
@@ -553,12 +677,27 @@ async function finder(
 					}
 
 					const inflated = await model.inflateValues(row);
+					if (row[PRELOADED_RELATIONS]) {
+						Object.assign(
+							inflated,
+							await model._inflatePreloadedRelations(row[PRELOADED_RELATIONS]),
+						);
+					}
 					return Object.assign(row, inflated);
 				},
 				promisePoolMapConfig,
 			);
 
 			timeHelp.mark('inflateValues');
+			if (sqlData.keyset) {
+				sqlData.keyset.nextCursor = sqlData.keyset.hasMore
+					? encodeCursor(
+							sqlData.keyset.page,
+							model.idField(),
+							result[result.length - 1],
+					  )
+					: null;
+			}
 			// const t2 = new Date(), delta = t2 - t1;
 			// console.log(" *** inflate took:", delta);
 
@@ -576,6 +715,11 @@ async function finder(
 				data: result,
 				extra: {},
 			};
+			if (sqlData.keyset) {
+				packet.limit = sqlData.keyset.page.limit;
+				packet.nextCursor = sqlData.keyset.nextCursor;
+				packet.hasMore = sqlData.keyset.hasMore;
+			}
 
 			// Allow users to add additional meta data to the result,
 			// such as scope of values (for visulization)
@@ -651,7 +795,7 @@ function filterData(results, parentCtx, sql, params, debugName) {
 }
 
 function promiseFilter(sql, params, parentCtx, debugName) {
-	return retryIfConnectionLost((dbh) =>
+	return parentCtx.ctx.retryIfConnectionLost((dbh) =>
 		dbh
 			.pquery(sql, params)
 			.then((results) =>
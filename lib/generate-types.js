@@ -225,7 +225,8 @@ function mapFieldToTsType(
 			linkedModelImports.set(linkedModel, { className, importPath });
 		}
 
-		return className;
+		// t.linked(model, { array: true }) inflates to an array of instances
+		return isArray ? `${className}[]` : className;
 	}
 
 	// Enum fields - generate union type
@@ -643,7 +644,7 @@ function generateInstanceInterface(
 	definitionDir,
 	workspaceRoots = [],
 ) {
-	const { fields, table } = convertedSchema;
+	const { fields, table, relations } = convertedSchema;
 
 	// Derive interface name from table name
 	const baseName = toPascalCase(singularize(table));
@@ -684,6 +685,72 @@ function generateInstanceInterface(
 		return `\t/**\n${lines.map((l) => `\t * ${l}`).join('\n')}\n\t */\n`;
 	};
 
+	// Resolve the type used for a linked model - import strategy depends on whether model is TS or JS:
+	// - TypeScript models (.ts): Import the class type (has custom methods + ORM methods)
+	// - JavaScript models (.js): Import the Instance interface (only has schema fields)
+	// Returns { className } without a typeName when a bare name can't be resolved.
+	const resolveLinkedType = (linkedModel) => {
+		let resolvedLinkedModel = linkedModel;
+
+		// Check if this is a "bare module name" (no path separators, no extension)
+		// like t.linked('account') vs t.linked('./models/account.js')
+		const isBareModuleName =
+			!linkedModel.includes('/') && !linkedModel.includes('\\');
+
+		// For bare module names, try to resolve using yass-orm's resolution logic
+		if (isBareModuleName && definitionDir) {
+			const resolvedPath = resolveLinkedModelPath(linkedModel, definitionDir);
+			if (!resolvedPath) {
+				return { className: getLinkedModelClassName(linkedModel) };
+			}
+			resolvedLinkedModel = resolvedPath;
+		}
+
+		const className = getLinkedModelClassName(resolvedLinkedModel);
+		const linkedModelDir = path.dirname(resolvedLinkedModel);
+		const linkedModelBase = path
+			.basename(resolvedLinkedModel)
+			.replace(/\.(js|ts|cjs|mjs)$/, '');
+		const linkedModelExt = path.extname(resolvedLinkedModel);
+		const isTypeScriptModel = linkedModelExt === '.ts';
+
+		// For TS models: use the class type (preserves custom methods)
+		// For JS models: use the Instance interface (from generated .d.ts)
+		const typeName = isTypeScriptModel ? className : `${className}Instance`;
+
+		// Track import
+		if (linkedModelImports && outputDir) {
+			const isNamedImport = !isTypeScriptModel; // JS = named, TS = default
+
+			// Try workspace-relative import first (e.g., 'backend/src/db/models/user.ts')
+			let importPath = toWorkspaceRelativeImport(
+				resolvedLinkedModel,
+				workspaceRoots,
+			);
+
+			if (!importPath) {
+				// Fall back to relative path
+				const relativePath = path.relative(outputDir, linkedModelDir);
+				const posixRelativePath = relativePath
+					? relativePath.split(path.sep).join('/')
+					: '.';
+				importPath = `${posixRelativePath}/${linkedModelBase}`;
+				// Ensure import starts with ./ for same-directory or relative paths
+				if (!importPath.startsWith('.') && !importPath.startsWith('/')) {
+					importPath = `./${importPath}`;
+				}
+			}
+
+			linkedModelImports.set(resolvedLinkedModel, {
+				className: typeName,
+				importPath,
+				isNamedImport,
+			});
+		}
+
+		return { className, typeName };
+	};
+
 	// Build field definitions
 	const fieldDefs = fields
 		.map((field) => {
@@ -702,80 +769,24 @@ function generateInstanceInterface(
 				return null;
 			}
 
-			// Handle linked fields - import strategy depends on whether model is TS or JS:
-			// - TypeScript models (.ts): Import the class type (has custom methods + ORM methods)
-			// - JavaScript models (.js): Import the Instance interface (only has schema fields)
 			if (linkedModel) {
-				let resolvedLinkedModel = linkedModel;
-
-				// Check if this is a "bare module name" (no path separators, no extension)
-				// like t.linked('account') vs t.linked('./models/account.js')
-				const isBareModuleName =
-					!linkedModel.includes('/') && !linkedModel.includes('\\');
-
-				// For bare module names, try to resolve using yass-orm's resolution logic
-				if (isBareModuleName && definitionDir) {
-					const resolvedPath = resolveLinkedModelPath(
-						linkedModel,
-						definitionDir,
-					);
-					if (resolvedPath) {
-						resolvedLinkedModel = resolvedPath;
-					} else {
-						// Can't resolve - fall back to unknown type
-						const className = getLinkedModelClassName(linkedModel);
-						const jsdoc = generateJsDoc(
-							field,
-							`Linked ${className} (unresolved: ${linkedModel})`,
-						);
-						return `${jsdoc}\t${fieldName}: unknown`;
-					}
-				}
-
-				const className = getLinkedModelClassName(resolvedLinkedModel);
-				const linkedModelDir = path.dirname(resolvedLinkedModel);
-				const linkedModelBase = path
-					.basename(resolvedLinkedModel)
-					.replace(/\.(js|ts|cjs|mjs)$/, '');
-				const linkedModelExt = path.extname(resolvedLinkedModel);
-				const isTypeScriptModel = linkedModelExt === '.ts';
-
-				// For TS models: use the class type (preserves custom methods)
-				// For JS models: use the Instance interface (from generated .d.ts)
-				const typeName = isTypeScriptModel ? className : `${className}Instance`;
-
-				// Track import
-				if (linkedModelImports && outputDir) {
-					let isNamedImport = !isTypeScriptModel; // JS = named, TS = default
-
-					// Try workspace-relative import first (e.g., 'backend/src/db/models/user.ts')
-					let importPath = toWorkspaceRelativeImport(
-						resolvedLinkedModel,
-						workspaceRoots,
+				const { className, typeName } = resolveLinkedType(linkedModel);
+				// t.linked(model, { array: true }) inflates to an array of instances
+				const suffix = field.isArray ? '[]' : '';
+				if (!typeName) {
+					// Can't resolve - fall back to unknown type
+					const jsdoc = generateJsDoc(
+						field,
+						`Linked ${className} (unresolved: ${linkedModel})`,
 					);
-
-					if (!importPath) {
-						// Fall back to relative path
-						const relativePath = path.relative(outputDir, linkedModelDir);
-						const posixRelativePath = relativePath
-							? relativePath.split(path.sep).join('/')
-							: '.';
-						importPath = `${posixRelativePath}/${linkedModelBase}`;
-						// Ensure import starts with ./ for same-directory or relative paths
-						if (!importPath.startsWith('.') && !importPath.startsWith('/')) {
-							importPath = `./${importPath}`;
-						}
-					}
-
-					linkedModelImports.set(resolvedLinkedModel, {
-						className: typeName,
-						importPath,
-						isNamedImport,
-					});
+					return `${jsdoc}\t${fieldName}: unknown${suffix}`;
 				}
 				// Use custom description if provided, else fallback to "Linked ClassName"
-				const jsdoc = generateJsDoc(field, `Linked ${className}`);
-				return `${jsdoc}\t${fieldName}: ${typeName}`;
+				const jsdoc = generateJsDoc(
+					field,
+					`Linked ${className}${field.isArray ? ' list' : ''}`,
+				);
+				return `${jsdoc}\t${fieldName}: ${typeName}${suffix}`;
 			}
 
 			// Handle enum types at top-level - format as multi-line union for prettier compatibility
@@ -809,8 +820,29 @@ function generateInstanceInterface(
 			const jsdoc = generateJsDoc(field);
 			return `${jsdoc}\t${fieldName}: ${tsType}`;
 		})
-		.filter(Boolean) // Remove null entries (skipped sub-fields)
-		.join(';\n');
+		.filter(Boolean); // Remove null entries (skipped sub-fields)
+
+	// t.hasMany() / t.manyToMany() relations are async accessors, not columns
+	Object.entries(relations || {}).forEach(([name, relation]) => {
+		const { className, typeName } = resolveLinkedType(relation.model);
+		const unresolved = typeName ? '' : ` (unresolved: ${relation.model})`;
+		const rowType = typeName || 'unknown';
+		if (relation.type !== 'manyToMany') {
+			fieldDefs.push(
+				`\t/** ${className} rows whose '${relation.foreignKey}' links here${unresolved} */\n\t${name}(options?: HasManyOptions): Promise<${rowType}[]>`,
+			);
+			return;
+		}
+
+		const suffix = name.charAt(0).toUpperCase() + name.slice(1);
+		const items = `items: RelatedItems<${rowType}>, options?: TxOptions`;
+		fieldDefs.push(
+			`\t/** ${className} rows linked through '${relation.through}'${unresolved} */\n\t${name}(options?: HasManyOptions): Promise<${rowType}[]>`,
+			`\t/** Link ${className} rows through '${relation.through}' */\n\tadd${suffix}(${items}): Promise<this>`,
+			`\t/** Unlink ${className} rows from '${relation.through}' */\n\tremove${suffix}(${items}): Promise<this>`,
+			`\t/** Make these the only linked ${className} rows */\n\tset${suffix}(${items}): Promise<this>`,
+		);
+	});
 
 	const mainInterface = `/**
  * Instance properties for ${table} records.
@@ -818,7 +850,7 @@ function generateInstanceInterface(
  * AUTO-GENERATED from schema definition - DO NOT EDIT MANUALLY.
  */
 export interface ${interfaceName} extends DatabaseObjectInstanceMethods {
-${fieldDefs};
+${fieldDefs.join(';\n')};
 }`;
 
 	return {
@@ -1036,6 +1068,17 @@ function generateTypesContent(definitionPath, options = {}) {
 	// Combine into complete file
 	const fileName = path.basename(definitionPath);
 
+	const relationTypes = Object.values(convertedSchema.relations || {}).map(
+		({ type }) => type,
+	);
+	const ormImports = [
+		'DatabaseObjectInstanceMethods',
+		...(relationTypes.length ? ['HasManyOptions'] : []),
+		...(relationTypes.includes('manyToMany')
+			? ['RelatedItems', 'TxOptions']
+			: []),
+	].join(', ');
+
 	// Build header with optional custom comment
 	const customHeader = headerComment ? ` *\n * ${headerComment}\n` : '';
 
@@ -1053,7 +1096,7 @@ function generateTypesContent(definitionPath, options = {}) {
  * AUTO-GENERATED by yass-orm generate-types - DO NOT EDIT MANUALLY.
 ${customHeader} */
 
-import type { DatabaseObjectInstanceMethods } from 'yass-orm';
+import type { ${ormImports} } from 'yass-orm';
 
 ${importsSection}${subTypesSection}${instanceResult.interface}
 
@@ -1376,6 +1419,10 @@ function mapFieldToZodSchema(
 
 	// Linked fields are just UUIDs (string references)
 	if (linkedModel) {
+		// t.linked(model, { array: true }) is a list of them
+		if (isArray) {
+			return 'z.array(z.string())';
+		}
 		return buildValidationChain('z.string()', field, 'string');
 	}
 
@@ -0,0 +1,67 @@
+/**
+ * Parsing for the `include` option (eager loading of `t.linked()` fields and
+ * `t.hasMany()` relations).
+ *
+ * `include: ['owner', 'account.org']` becomes the tree
+ * `{ owner: {}, account: { org: {} } }`, which `DatabaseObject._preloadIncludes`
+ * walks one level at a time - one `WHERE id IN (...)` query per linked model
+ * per level, instead of one `get()` per row per field.
+ */
+
+/**
+ * Raw rows (and then instances) carry preloaded `t.hasMany()` children under
+ * this key, as `{ [relationName]: instances[] }`.
+ */
+const PRELOADED_RELATIONS = Symbol.for('yass-orm.preloadedRelations');
+
+function fail(message) {
+	throw new Error(`yass-orm include: ${message}`);
+}
+
+/**
+ * @param {string|string[]|undefined|null} include Dotted paths of linked fields
+ * @returns {object|null} Nested path tree, or `null` when nothing is included
+ */
+function parseIncludePaths(include) {
+	if (include === undefined || include === null) {
+		return null;
+	}
+
+	const list = Array.isArray(include) ? include : [include];
+	const tree = {};
+	list.forEach((entry) => {
+		if (typeof entry !== 'string' || !entry.length) {
+			fail(
+				`every entry must be a non-empty dotted path like 'owner' or 'account.org', got ${JSON.stringify(
+					entry,
+				)}.`,
+			);
+		}
+		let node = tree;
+		entry.split('.').forEach((segment) => {
+			if (!segment) {
+				fail(`path '${entry}' has an empty segment.`);
+			}
+			node = node[segment] || (node[segment] = {});
+		});
+	});
+
+	return Object.keys(tree).length ? tree : null;
+}
+
+/**
+ * Merge two path trees (used when several fields at one level link to the
+ * same model, e.g. `createdBy` and `updatedBy` both pointing at `user`).
+ * @param {object} left
+ * @param {object} right
+ * @returns {object} A new tree containing every path in either input
+ */
+function mergeIncludeTrees(left, right) {
+	const merged = { ...left };
+	Object.keys(right).forEach((key) => {
+		merged[key] = mergeIncludeTrees(merged[key] || {}, right[key]);
+	});
+	return merged;
+}
+
+module.exports = { parseIncludePaths, mergeIncludeTrees, PRELOADED_RELATIONS };
@@ -0,0 +1,206 @@
+/**
+ * Keyset ("cursor") pagination, shared by `Model.paginate()` /
+ * `Model.query().paginate()` and the `$after` filter of `Model.find()`.
+ *
+ * Instead of `LIMIT skip, limit` - which reads and throws away `skip` rows,
+ * and skips or repeats rows when the table changes between pages - every page
+ * starts right after the last row of the previous one:
+ *
+ *   order by `createdAt` asc, `id` asc
+ *   where (`createdAt` > :last) or (`createdAt` = :last and `id` > :lastId)
+ *
+ * The id is the tiebreak that makes the order total, so no row is ever on two
+ * pages. The cursor handed back to callers is opaque: base64url JSON holding
+ * the sort column, direction and the last row's sort value and id. It is
+ * checked against the ordering of the page it is used for, so a cursor cannot
+ * silently be replayed against a different sort.
+ *
+ * NULLs sort first ascending and last descending on every dialect (MySQL and
+ * SQLite do that natively, Postgres does the opposite), so a nullable sort
+ * column gets an explicit `(col is null)` sort term. Declare sort columns
+ * `null: 0` to keep the ORDER BY a plain index scan.
+ */
+
+const DEFAULT_PAGE_LIMIT = 20;
+
+function fail(message) {
+	throw new Error(`yass-orm paginate(): ${message}`);
+}
+
+/**
+ * Check and default the paging options against a converted schema.
+ *
+ * @param {object} schema Converted schema (`Model.schema()`)
+ * @param {string} idField Id column, the tiebreak
+ * @param {object} [options]
+ * @param {string} [options.orderBy] Sort column, defaults to the id
+ * @param {'ASC'|'DESC'|'asc'|'desc'} [options.orderDir='ASC']
+ * @param {number} [options.limit=20] Page size
+ * @returns {{orderBy: string, orderDir: 'ASC'|'DESC', limit: number, nullable: boolean}}
+ */
+function normalizePageOptions(
+	schema,
+	idField,
+	{ orderBy = idField, orderDir = 'ASC', limit = DEFAULT_PAGE_LIMIT } = {},
+) {
+	if (!Number.isInteger(limit) || limit < 1) {
+		fail(`limit must be a positive integer, got ${JSON.stringify(limit)}.`);
+	}
+
+	const field = schema.fieldMap[orderBy];
+	if (typeof orderBy !== 'string' || !field) {
+		fail(
+			`orderBy names '${orderBy}', which is not a column on this model. Known columns: ${Object.keys(
+				schema.fieldMap,
+			).join(', ')}.`,
+		);
+	}
+	if (field.isObject || field.isArray) {
+		fail(`cannot order by '${orderBy}' - JSON columns have no stable order.`);
+	}
+
+	const dir = `${orderDir}`.toUpperCase();
+	if (dir !== 'ASC' && dir !== 'DESC') {
+		fail(`orderDir must be 'ASC' or 'DESC', got '${orderDir}'.`);
+	}
+
+	return {
+		orderBy,
+		orderDir: dir,
+		limit,
+		nullable: orderBy !== idField && field.null !== 0 && field.key !== 'PRI',
+	};
+}
+
+/**
+ * @param {object} page From {@link normalizePageOptions}
+ * @param {string} idField
+ * @returns {Array<{field: string, dir: 'ASC'|'DESC', nulls?: 'first'|'last'}>}
+ *   Sort terms, the id last
+ */
+function keysetOrder({ orderBy, orderDir, nullable }, idField) {
+	const order = [
+		{
+			field: orderBy,
+			dir: orderDir,
+			...(nullable ? { nulls: orderDir === 'ASC' ? 'first' : 'last' } : {}),
+		},
+	];
+	if (orderBy !== idField) {
+		order.push({ field: idField, dir: orderDir });
+	}
+	return order;
+}
+
+// Dates survive the JSON round trip as { $date: iso }; linked instances are
+// reduced to their id, which is what deflateValues() would write anyway.
+function encodeValue(value, idField) {
+	if (value instanceof Date) {
+		return { $date: value.toISOString() };
+	}
+	if (value && typeof value === 'object' && value[idField] !== undefined) {
+		return value[idField];
+	}
+	return value === undefined ? null : value;
+}
+
+function decodeValue(value) {
+	if (value && typeof value === 'object' && typeof value.$date === 'string') {
+		return new Date(value.$date);
+	}
+	return value;
+}
+
+/**
+ * Make the cursor for the page after `row`.
+ *
+ * @param {object} page From {@link normalizePageOptions}
+ * @param {string} idField
+ * @param {object} row Last row of the page (instance or inflated row)
+ * @returns {string} Opaque cursor
+ */
+function encodeCursor({ orderBy, orderDir }, idField, row) {
+	const payload = {
+		o: orderBy,
+		d: orderDir,
+		v: encodeValue(row[orderBy], idField),
+		i: row[idField],
+	};
+	return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Read a cursor made by {@link encodeCursor} for the same ordering.
+ *
+ * @param {object} page From {@link normalizePageOptions}
+ * @param {string} cursor
+ * @returns {{value: *, id: *}} Sort value and id of the last row seen
+ */
+function decodeCursor({ orderBy, orderDir }, cursor) {
+	let payload;
+	try {
+		payload = JSON.parse(Buffer.from(`${cursor}`, 'base64url').toString());
+	} catch (err) {
+		payload = undefined;
+	}
+	if (
+		!payload ||
+		typeof payload !== 'object' ||
+		!('o' in payload) ||
+		!('i' in payload)
+	) {
+		fail(
+			`invalid cursor '${cursor}' - pass a nextCursor from a previous page.`,
+		);
+	}
+	if (payload.o !== orderBy || payload.d !== orderDir) {
+		fail(
+			`cursor was made for orderBy '${payload.o}' ${payload.d}, not '${orderBy}' ${orderDir}.`,
+		);
+	}
+	return { value: decodeValue(payload.v), id: payload.i };
+}
+
+/**
+ * Where object (the `search()` vocabulary, see lib/where-clause.js) matching
+ * the rows after the cursor position in {@link keysetOrder} order.
+ *
+ * @param {object} page From {@link normalizePageOptions}
+ * @param {string} idField
+ * @param {{value: *, id: *}} position From {@link decodeCursor}
+ * @returns {object}
+ */
+function keysetWhere({ orderBy, orderDir, nullable }, idField, { value, id }) {
+	const after = orderDir === 'ASC' ? '$gt' : '$lt';
+	if (orderBy === idField) {
+		return { [idField]: { [after]: id } };
+	}
+
+	const tiebreak = { [idField]: { [after]: id } };
+	if (value === null) {
+		// In the NULL block: later NULLs by id, then (ascending) every non-NULL.
+		const rest = [{ [orderBy]: null, ...tiebreak }];
+		if (orderDir === 'ASC') {
+			rest.push({ [orderBy]: { $ne: null } });
+		}
+		return { $or: rest };
+	}
+
+	const rest = [
+		{ [orderBy]: { [after]: value } },
+		{ [orderBy]: value, ...tiebreak },
+	];
+	if (nullable && orderDir === 'DESC') {
+		rest.push({ [orderBy]: null });
+	}
+	return { $or: rest };
+}
+
+module.exports = {
+	DEFAULT_PAGE_LIMIT,
+	normalizePageOptions,
+	keysetOrder,
+	keysetWhere,
+	encodeCursor,
+	decodeCursor,
+};
@@ -0,0 +1,529 @@
+/* eslint-disable no-console, no-await-in-loop, no-restricted-syntax */
+/**
+ * Versioned, reversible migrations written from schema-sync diffs.
+ *
+ * `schema-sync --generate-migration <name>` plans a sync (syncSchemaToDb()'s
+ * `plan` option) and writes the pending steps to a timestamped file in the
+ * migrations directory, each with the SQL that undoes it:
+ *
+ *   // migrations/20261019120000_add_invoice_status.js
+ *   module.exports = {
+ *   	up: { mysql: ['ALTER TABLE `invoice` ADD `status` varchar(255)'] },
+ *   	down: { mysql: ['ALTER TABLE `invoice` DROP `status`'] },
+ *   };
+ *
+ * `up` and `down` map a dialect name to its statements, so one file can carry
+ * the SQL for each database it runs on. Either may instead be an async
+ * `(dbh) => {}` for changes SQL alone can't express. Column drops are written
+ * out like any other step, so the file under review - not a global
+ * `YASS_ALLOW_DROP` - is what decides whether a column goes.
+ *
+ * `yass-orm-migrate up|down|status` applies the files in name order and
+ * records each in `yass_migrations`. Every run holds an advisory lock (see the
+ * dialects' acquireAdvisoryLock()), so two deploys migrating at once take
+ * turns instead of racing. Each migration runs in a transaction, but MySQL
+ * commits DDL as it goes, so there a migration that fails part way is left
+ * part applied.
+ */
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const { dbh: defaultDbh, autoFixTable } = require('../dbh');
+
+const MIGRATIONS_TABLE = 'yass_migrations';
+const MIGRATIONS_LOCK = 'yass_migrations';
+const DEFAULT_MIGRATIONS_DIR = 'migrations';
+const DEFAULT_LOCK_TIMEOUT_SECONDS = 60;
+const MIGRATION_FILE_PATTERN = /^(\d{14})_([a-z0-9_]+)\.js$/;
+
+// The SQLite table rebuild is a single plan step made of several statements,
+// wrapped in its own transaction - which the runner provides instead.
+function stepStatements(sql) {
+	return `${sql}`
+		.split(/;\n/)
+		.map((statement) => statement.trim())
+		.filter(
+			(statement) =>
+				statement && !/^(BEGIN TRANSACTION|COMMIT)$/i.test(statement),
+		);
+}
+
+/**
+ * Turn `schema-sync --plan` steps into a migration's statements.
+ * @param {object[]} steps Plan steps from syncSchemaToDb(schema, { plan: true })
+ * @returns {{up: string[], down: string[], irreversible: object[], skipped: object[]}}
+ * 	`down` runs in reverse order of `up`, and is only whole when
+ * 	`irreversible` - the steps with no down SQL - is empty. `skipped` are the
+ * 	steps a migration can't carry (deferred ones, and the functions and
+ * 	triggers schema-sync uploads itself).
+ */
+function migrationFromPlan(steps) {
+	const up = [];
+	const down = [];
+	const irreversible = [];
+	const skipped = [];
+	steps.forEach((step) => {
+		if (step.deferred || !step.sql) {
+			skipped.push(step);
+			return;
+		}
+		up.push(...stepStatements(step.sql));
+		if (step.down) {
+			down.unshift(...stepStatements(step.down));
+		} else {
+			irreversible.push(step);
+		}
+	});
+	return { up, down, irreversible, skipped };
+}
+
+function describeStep({ table, action, name, reason }) {
+	return `${table ? `${table}: ` : ''}${action}${name ? ` ${name}` : ''}${
+		reason ? ` (${reason})` : ''
+	}`;
+}
+
+function timestamp(date) {
+	return date
+		.toISOString()
+		.replace(/\.\d+Z$/, '')
+		.replace(/[-T:]/g, '');
+}
+
+/**
+ * File name for a new migration: a UTC timestamp, so files sort in the order
+ * they were written, then the name as snake_case.
+ * @param {string} name
+ * @param {Date} [date=new Date()]
+ * @returns {string}
+ */
+function migrationFileName(name, date = new Date()) {
+	const slug = `${name || ''}`
+		.toLowerCase()
+		.replace(/[^a-z0-9]+/g, '_')
+		.replace(/^_+|_+$/g, '');
+	if (!slug) {
+		throw new Error(
+			`Migration name '${name}' needs at least one letter or digit`,
+		);
+	}
+	return `${timestamp(date)}_${slug}.js`;
+}
+
+// Single-quoted like the rest of the code base, unless that needs escapes
+function quote(statement) {
+	return /['\\\n]/.test(statement)
+		? JSON.stringify(statement)
+		: `'${statement}'`;
+}
+
+function renderStatements(dialectName, statements) {
+	return `{
+		${dialectName}: [
+${statements.map((statement) => `\t\t\t${quote(statement)},`).join('\n')}
+		],
+	}`;
+}
+
+/**
+ * Source of a migration file.
+ * @param {object} options
+ * @param {string} options.name
+ * @param {string} options.dialectName Dialect the SQL was planned for
+ * @param {object[]} options.steps Plan steps
+ * @param {Date} [options.date=new Date()]
+ * @returns {string}
+ */
+function renderMigration({ name, dialectName, steps, date = new Date() }) {
+	const { up, down, irreversible, skipped } = migrationFromPlan(steps);
+	const notes = [];
+	if (irreversible.length) {
+		// A down that leaves some of it in place would report a revert that
+		// didn't happen
+		notes.push(
+			` *`,
+			` * There is no down: these steps can't be undone. Write one by hand if`,
+			` * you need it.`,
+			...irreversible.map((step) => ` *   - ${describeStep(step)}`),
+		);
+	}
+	if (skipped.length) {
+		notes.push(
+			` *`,
+			` * Left to schema-sync:`,
+			...skipped.map((step) => ` *   - ${describeStep(step)}`),
+		);
+	}
+	return `/**
+ * ${name}
+ *
+ * Written by \`schema-sync --generate-migration\` at ${date.toISOString()}
+ * from the ${dialectName} database's differences from the definitions.
+ * Review it before running it.${notes.length ? `\n${notes.join('\n')}` : ''}
+ */
+module.exports = {
+	up: ${renderStatements(dialectName, up)},
+	down: ${irreversible.length ? 'null' : renderStatements(dialectName, down)},
+};
+`;
+}
+
+/**
+ * Write a migration for the pending plan steps.
+ * @param {object} options
+ * @param {string} options.name
+ * @param {object[]} options.steps Plan steps
+ * @param {string} [options.dir='migrations']
+ * @param {string} [options.dialectName] Defaults to the configured dialect
+ * @param {Date} [options.date=new Date()]
+ * @returns {string|null} Path of the new file, or null when no step has SQL
+ */
+function writeMigration({
+	name,
+	steps,
+	dir = DEFAULT_MIGRATIONS_DIR,
+	dialectName = config.dialect || 'mysql',
+	date = new Date(),
+}) {
+	const fileName = migrationFileName(name, date);
+	if (!migrationFromPlan(steps).up.length) {
+		return null;
+	}
+	fs.mkdirSync(dir, { recursive: true });
+	const file = path.join(dir, fileName);
+	fs.writeFileSync(file, renderMigration({ name, dialectName, steps, date }));
+	return file;
+}
+
+/**
+ * Migration files in `dir`, in the order they run.
+ * @param {string} [dir='migrations']
+ * @returns {{name: string, file: string}[]} `name` is the file name without `.js`
+ */
+function listMigrations(dir = DEFAULT_MIGRATIONS_DIR) {
+	if (!fs.existsSync(dir)) {
+		return [];
+	}
+	return fs
+		.readdirSync(dir)
+		.filter((fileName) => MIGRATION_FILE_PATTERN.test(fileName))
+		.sort()
+		.map((fileName) => ({
+			name: fileName.replace(/\.js$/, ''),
+			file: path.resolve(dir, fileName),
+		}));
+}
+
+async function migrationsTableExists(handle) {
+	return handle.dialect.tableExists(handle, config.schema, MIGRATIONS_TABLE);
+}
+
+async function ensureMigrationsTable(handle) {
+	if (await migrationsTableExists(handle)) {
+		return;
+	}
+	const { dialect } = handle;
+	await handle.query(
+		dialect.generateCreateTable(
+			MIGRATIONS_TABLE,
+			[
+				{ field: 'id', ...dialect.getIntegerPrimaryKeyAttrs() },
+				{ field: 'name', type: 'varchar(255)', null: 0, key: 'UNI' },
+				{ field: 'appliedAt', type: 'datetime' },
+			],
+			{},
+		),
+	);
+}
+
+async function readApplied(handle) {
+	if (!(await migrationsTableExists(handle))) {
+		return [];
+	}
+	return Array.from(
+		await handle.pquery(
+			`select \`name\`, \`appliedAt\` from ${autoFixTable(
+				MIGRATIONS_TABLE,
+				handle,
+			)} order by \`id\``,
+		),
+	);
+}
+
+/**
+ * Hold the migrations lock for the length of `callback`, which gets a handle
+ * pinned to the connection that holds it.
+ */
+async function withMigrationLock(dbh, callback, lockTimeoutSeconds) {
+	const { dialect } = dbh;
+	const lease = await dialect.acquireTransactionConnection(dbh);
+	// Like a transaction handle: every dbh helper, on the leased connection
+	const session = Object.create(dbh);
+	session.query = lease.connection.query.bind(lease.connection);
+	try {
+		const locked = await dialect.acquireAdvisoryLock(
+			lease.connection,
+			MIGRATIONS_LOCK,
+			lockTimeoutSeconds,
+		);
+		if (!locked) {
+			throw new Error(
+				`Timed out after ${lockTimeoutSeconds}s waiting for the '${MIGRATIONS_LOCK}' lock - is another migration running?`,
+			);
+		}
+		try {
+			await ensureMigrationsTable(session);
+			return await callback(session, lease.connection);
+		} finally {
+			await dialect.releaseAdvisoryLock(lease.connection, MIGRATIONS_LOCK);
+		}
+	} finally {
+		await lease.release();
+	}
+}
+
+function loadMigration({ name, file }, direction, dialectName) {
+	// eslint-disable-next-line global-require, import/no-dynamic-require
+	const migration = require(file);
+	const body = migration[direction];
+	if (typeof body === 'function') {
+		return body;
+	}
+	if (!body || !Array.isArray(body[dialectName])) {
+		throw new Error(
+			`Migration '${name}' has no ${direction} SQL for ${dialectName}`,
+		);
+	}
+	return body[dialectName];
+}
+
+// A SQLite table rebuild drops the old table, which would run the foreign key
+// actions of the rows referencing it. The pragma is a no-op inside a
+// transaction, so it goes around the migration's.
+async function withSqliteForeignKeysOff(session, callback) {
+	if (session.dialect.name !== 'sqlite') {
+		return callback();
+	}
+	const [{ foreign_keys: wereOn } = {}] = await session.query(
+		'PRAGMA foreign_keys',
+	);
+	if (wereOn) {
+		await session.query('PRAGMA foreign_keys = OFF');
+	}
+	try {
+		return await callback();
+	} finally {
+		if (wereOn) {
+			await session.query('PRAGMA foreign_keys = ON');
+		}
+	}
+}
+
+async function runMigrationTransaction(
+	session,
+	connection,
+	migration,
+	direction,
+	{ body, record },
+) {
+	const { dialect } = session;
+	const state = await dialect.beginTransaction(connection, {});
+	try {
+		if (typeof body === 'function') {
+			await body(session);
+		} else {
+			for (const statement of body) {
+				await session.query(statement);
+			}
+		}
+		await record();
+		await dialect.commitTransaction(connection);
+	} catch (err) {
+		try {
+			await dialect.rollbackTransaction(connection);
+		} catch (rollbackError) {
+			if (err && typeof err === 'object') err.rollbackError = rollbackError;
+		}
+		if (err && typeof err === 'object') {
+			err.message = `Migration '${migration.name}' (${direction}) failed: ${err.message}`;
+		}
+		throw err;
+	} finally {
+		await dialect.cleanupTransaction(connection, state);
+	}
+}
+
+async function runMigration(session, connection, migration, direction, record) {
+	const { dialect } = session;
+	const body = loadMigration(migration, direction, dialect.name);
+	await withSqliteForeignKeysOff(session, () =>
+		runMigrationTransaction(session, connection, migration, direction, {
+			body,
+			record,
+		}),
+	);
+}
+
+async function resolveDbh(dbh) {
+	return typeof dbh === 'function' ? dbh() : dbh;
+}
+
+/**
+ * Which migrations have run.
+ * @param {object} [options]
+ * @param {string} [options.dir='migrations']
+ * @param {object|function} [options.dbh] Defaults to the configured handle
+ * @returns {Promise<{name: string, applied: boolean, appliedAt: Date|string|null, missing: boolean}[]>}
+ * 	In run order. `missing` marks an applied migration whose file is gone.
+ */
+async function migrationStatus({
+	dir = DEFAULT_MIGRATIONS_DIR,
+	dbh = defaultDbh,
+} = {}) {
+	const handle = await resolveDbh(dbh);
+	const applied = await readApplied(handle);
+	const appliedAt = new Map(applied.map((row) => [row.name, row.appliedAt]));
+	const files = listMigrations(dir);
+	const onDisk = new Set(files.map(({ name }) => name));
+	return [
+		...files.map(({ name }) => ({
+			name,
+			applied: appliedAt.has(name),
+			appliedAt: appliedAt.has(name) ? appliedAt.get(name) : null,
+			missing: false,
+		})),
+		...applied
+			.filter(({ name }) => !onDisk.has(name))
+			.map((row) => ({
+				name: row.name,
+				applied: true,
+				appliedAt: row.appliedAt,
+				missing: true,
+			})),
+	].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Apply the migrations that haven't run, in order.
+ * @param {object} [options]
+ * @param {string} [options.dir='migrations']
+ * @param {string} [options.to] Stop after this migration
+ * @param {object|function} [options.dbh] Defaults to the configured handle
+ * @param {number} [options.lockTimeoutSeconds=60] Wait for another run this long
+ * @param {object} [options.logger=console] Gets `log()` for each migration
+ * @returns {Promise<string[]>} Names of the migrations applied
+ */
+async function migrateUp({
+	dir = DEFAULT_MIGRATIONS_DIR,
+	to,
+	dbh = defaultDbh,
+	lockTimeoutSeconds = DEFAULT_LOCK_TIMEOUT_SECONDS,
+	logger = console,
+} = {}) {
+	const files = listMigrations(dir);
+	if (to && !files.some(({ name }) => name === to)) {
+		throw new Error(`No migration named '${to}' in ${dir}`);
+	}
+	const handle = await resolveDbh(dbh);
+	return withMigrationLock(
+		handle,
+		async (session, connection) => {
+			const applied = new Set((await readApplied(session)).map((r) => r.name));
+			const ran = [];
+			for (const migration of files) {
+				if (!applied.has(migration.name)) {
+					logger.log(`Applying ${migration.name}`);
+					await runMigration(session, connection, migration, 'up', () =>
+						session.pquery(
+							`insert into ${autoFixTable(
+								MIGRATIONS_TABLE,
+								session,
+							)} (\`name\`, \`appliedAt\`) values (:name, :appliedAt)`,
+							{ name: migration.name, appliedAt: new Date() },
+						),
+					);
+					ran.push(migration.name);
+				}
+				if (migration.name === to) {
+					break;
+				}
+			}
+			return ran;
+		},
+		lockTimeoutSeconds,
+	);
+}
+
+/**
+ * Revert the most recently applied migrations, newest first.
+ * @param {object} [options]
+ * @param {string} [options.dir='migrations']
+ * @param {number} [options.steps=1] How many to revert
+ * @param {object|function} [options.dbh] Defaults to the configured handle
+ * @param {number} [options.lockTimeoutSeconds=60] Wait for another run this long
+ * @param {object} [options.logger=console] Gets `log()` for each migration
+ * @returns {Promise<string[]>} Names of the migrations reverted
+ */
+async function migrateDown({
+	dir = DEFAULT_MIGRATIONS_DIR,
+	steps = 1,
+	dbh = defaultDbh,
+	lockTimeoutSeconds = DEFAULT_LOCK_TIMEOUT_SECONDS,
+	logger = console,
+} = {}) {
+	if (!Number.isInteger(steps) || steps < 1) {
+		throw new TypeError(
+			`migrateDown() steps must be a positive integer, got ${steps}`,
+		);
+	}
+	const files = new Map(
+		listMigrations(dir).map((migration) => [migration.name, migration]),
+	);
+	const handle = await resolveDbh(dbh);
+	return withMigrationLock(
+		handle,
+		async (session, connection) => {
+			const applied = (await readApplied(session))
+				.map(({ name }) => name)
+				.reverse()
+				.slice(0, steps);
+			const missing = applied.find((name) => !files.has(name));
+			if (missing) {
+				throw new Error(
+					`Migration '${missing}' was applied but its file is not in ${dir}`,
+				);
+			}
+			const reverted = [];
+			for (const name of applied) {
+				const migration = files.get(name);
+				logger.log(`Reverting ${name}`);
+				await runMigration(session, connection, migration, 'down', () =>
+					session.pquery(
+						`delete from ${autoFixTable(
+							MIGRATIONS_TABLE,
+							session,
+						)} where \`name\`=:name`,
+						{ name },
+					),
+				);
+				reverted.push(name);
+			}
+			return reverted;
+		},
+		lockTimeoutSeconds,
+	);
+}
+
+module.exports = {
+	MIGRATIONS_TABLE,
+	MIGRATIONS_LOCK,
+	DEFAULT_MIGRATIONS_DIR,
+	migrationFromPlan,
+	migrationFileName,
+	renderMigration,
+	writeMigration,
+	listMigrations,
+	migrationStatus,
+	migrateUp,
+	migrateDown,
+};
@@ -26,6 +26,19 @@ const fileUrlToPath = (p) => {
 
 const config = require('./config');
 const { normalizeSearchOptions } = require('./search-options');
+const {
+	hasWhereOperators,
+	validateWhere,
+	mapWhereOperands,
+	compileWhere,
+} = require('./where-clause');
+const { QueryBuilder } = require('./query-builder');
+const { ValidationError, validateValues } = require('./validation');
+const {
+	parseIncludePaths,
+	mergeIncludeTrees,
+	PRELOADED_RELATIONS,
+} = require('./include-paths');
 
 // For external deep access
 const libUtils = require('./utils');
@@ -44,9 +57,12 @@ const {
 	LoadBalancer,
 	closeAllConnections,
 	FIND_OR_CREATE_META,
+	UPSERT_META,
 } = require('./dbh');
 
 const { parseIdField } = require('./parseIdField');
+const { writeOutboxEvent, createOutboxRelay } = require('./outbox');
+const { currentTransaction } = require('./transactions');
 
 const {
 	handle,
@@ -66,6 +82,21 @@ const promiseExists = util.promisify(fs.exists);
 
 const PATCH_DEFER_DELAY = 300;
 
+// Max ids per `WHERE id IN (...)` when eager loading. Keeps each statement well
+// under SQLite's bound-variable limit (999 on older builds).
+const INCLUDE_BATCH_SIZE = 500;
+
+// Options accepted by Model.paginate() - the page options of
+// QueryBuilder#paginate() plus the `{ tx, include }` every finder takes
+const PAGINATE_OPTION_KEYS = [
+	'after',
+	'limit',
+	'orderBy',
+	'orderDir',
+	'tx',
+	'include',
+];
+
 // Private Symbol for this file to prevent new class() from being called
 // - use class.inflate() instead
 const FROM_INFLATE_SYMBOL = Symbol('FROM_INFLATE_SYMBOL');
@@ -143,6 +174,41 @@ function stripManagedKeys(obj, idField) {
 	}, {});
 }
 
+/**
+ * A fresh value for the `nonce` column, written by every patch so that a
+ * concurrent patch from a stale instance fails its nonce check.
+ * @returns {string}
+ */
+function generateNonce() {
+	return `nonce_${Math.round(Math.random() * Date.now())}`;
+}
+
+/**
+ * Read the ids out of a `t.linked(model, { array: true })` value. The raw
+ * column is JSON text on MySQL/SQLite and already-parsed JSONB on Postgres;
+ * callers may also hand in instances or `{ id }` objects.
+ * @param {*} value Raw column value, or an array of ids/instances
+ * @param {string} idField Id field of the linked model
+ * @returns {Array} Ids, in order, without empty entries
+ */
+function linkedArrayIds(value, idField) {
+	const list =
+		typeof value === 'string' || value instanceof String
+			? jsonSafeParse(value)
+			: value;
+	if (list === undefined || list === null || list === '') {
+		return [];
+	}
+	return (Array.isArray(list) ? list : [list])
+		.map((item) => {
+			if (item && typeof item === 'object') {
+				return typeof item.getId === 'function' ? item.getId() : item[idField];
+			}
+			return item;
+		})
+		.filter((id) => id !== undefined && id !== null && id !== '');
+}
+
 /**
  * Register a function that will be called after every successful `create()`
  * or `patch()` (and therefore `remove()`, which is a soft-delete patch).
@@ -155,6 +221,12 @@ function stripManagedKeys(obj, idField) {
  *   (`updatedAt`, `createdAt`, `nonce`) and the id field are stripped out.
  * - On create, `changedFields` covers the full created entity (including
  *   default-valued fields), not just the props passed to `create()`.
+ * - Set-based writes (`updateWhere()` / `removeWhere()`) fire once for the
+ *   whole statement with `id: null`, plus `ids` (every matching row) and
+ *   `affectedRows`.
+ * - A write given a `tx` queues its payload on the transaction: hooks fire
+ *   after the root COMMIT, and never for work that is rolled back (including
+ *   a savepoint rolled back inside a transaction that still commits).
  *
  * @param {Function} fn  Hook function (may be async)
  * @returns {Function}   Call to unregister the hook
@@ -168,19 +240,12 @@ function registerGlobalChangeHook(fn) {
 }
 
 /**
- * Fire all registered global change hooks sequentially.  A throwing hook is
- * logged but never allowed to propagate — the write already succeeded.
+ * Call every registered global change hook with `payload`, one at a time.
+ * A throwing hook is logged but never allowed to propagate — the write
+ * already succeeded.
  * @param {Object} payload
  */
-async function runGlobalChangeHooks(payload) {
-	if (GLOBAL_CHANGE_HOOKS.length === 0) return;
-	// Skip no-op payloads (e.g. a patch whose only fields were managed keys like
-	// updatedAt/createdAt — after stripManagedKeys there is nothing user-meaningful
-	// to report).  This also prevents double-fire on findOrCreate: the internal
-	// `instance.patch({ createdAt: new Date() })` becomes an empty-changedFields
-	// call and is suppressed; the real wasCreated:true hook fires once, correctly.
-	if (!payload.changedFields || Object.keys(payload.changedFields).length === 0)
-		return;
+async function fireGlobalChangeHooks(payload) {
 	// Run hooks sequentially so each one is awaited before the next fires.
 	// We use reduce over an array of hooks (snapshot to avoid mutation hazards).
 	await GLOBAL_CHANGE_HOOKS.slice().reduce(
@@ -203,6 +268,38 @@ async function runGlobalChangeHooks(payload) {
 	);
 }
 
+/**
+ * Fire all registered global change hooks for a write.  When the write ran
+ * on a transaction (`payload.tx`), the hooks are queued with
+ * `tx.afterCommit()` and fire once the root transaction commits — or not at
+ * all if the work is rolled back.  Otherwise they fire now.
+ *
+ * In outbox mode (`outbox: true` in the config) the payload is first written
+ * to the outbox table on `payload.tx` (see lib/outbox.js). That write is not
+ * swallowed: failing it fails, and rolls back, the change.
+ * @param {Object} payload
+ */
+async function runGlobalChangeHooks(payload) {
+	if (GLOBAL_CHANGE_HOOKS.length === 0 && !config.outbox) return;
+	// Skip no-op payloads (e.g. a patch whose only fields were managed keys like
+	// updatedAt/createdAt — after stripManagedKeys there is nothing user-meaningful
+	// to report).  This also prevents double-fire on findOrCreate: the internal
+	// `instance.patch({ createdAt: new Date() })` becomes an empty-changedFields
+	// call and is suppressed; the real wasCreated:true hook fires once, correctly.
+	if (!payload.changedFields || Object.keys(payload.changedFields).length === 0)
+		return;
+	if (config.outbox) {
+		await writeOutboxEvent(payload.tx, payload);
+	}
+	if (GLOBAL_CHANGE_HOOKS.length === 0) return;
+	const { tx } = payload;
+	if (tx && typeof tx.afterCommit === 'function') {
+		tx.afterCommit(() => fireGlobalChangeHooks(payload));
+		return;
+	}
+	await fireGlobalChangeHooks(payload);
+}
+
 /**
  * @class DatabaseObject
  * Base class for YASS-ORM. Not designed to be used directly, rather should
@@ -286,7 +383,7 @@ class DatabaseObject {
 		const fields = this.constructor.fields();
 
 		if (includeLinked || excludeLinked) {
-			// Include regular (non-linked) fields only when excludeLinked=true
+			// Include regular (non-linked) and t.virtual() fields only when excludeLinked=true
 			if (excludeLinked) {
 				for (let i = 0; i < fields.length; i++) {
 					const field = fields[i];
@@ -297,6 +394,12 @@ class DatabaseObject {
 						}
 					}
 				}
+				Object.keys(this.constructor.virtuals()).forEach((virtual) => {
+					const value = this[virtual];
+					if (value !== null && value !== undefined) {
+						struct[virtual] = value;
+					}
+				});
 			}
 
 			// Include linked fields only if requested
@@ -305,11 +408,16 @@ class DatabaseObject {
 					(field) => field.linkedModel && this[field.field],
 				);
 
+				const jsonifyLinked = async (value) =>
+					value && typeof value.jsonify === 'function'
+						? value.jsonify()
+						: value;
+
 				await promisePoolMap(linkedFields, async (field) => {
-					struct[field.field] =
-						typeof this[field.field].jsonify === 'function'
-							? await this[field.field].jsonify()
-							: this[field.field];
+					const value = this[field.field];
+					struct[field.field] = Array.isArray(value)
+						? await Promise.all(value.map(jsonifyLinked))
+						: await jsonifyLinked(value);
 				});
 			}
 
@@ -402,7 +510,9 @@ class DatabaseObject {
 	 *
 	 * @param {type}   query     Query object where keys are fields in the schema,
 	 * 	or $limit, $skip, or "q"
-	 * @param {object} [opts={}] Unused at the moment
+	 * @param {object} [opts={}] Server-side options: `include`, and the soft-delete
+	 * 	scope - `withDeleted: true` lists deleted rows too, `onlyDeleted: true`
+	 * 	lists only them. Deleted rows are skipped by default.
 	 *
 	 * @returns {Promise} Promise that fulfills with the result of the query
 	 */
@@ -433,6 +543,49 @@ class DatabaseObject {
 		return this.constructor.retryIfConnectionLost(callback);
 	}
 
+	/**
+	 * Runs `callback` in a transaction on this class's handle and binds it to
+	 * the async context: model calls inside it that are given no `tx` -
+	 * reads, writes, hooks and linked-field inflation - run on it, on any
+	 * model class. Pass `{ tx: null }` to run one call outside it.
+	 *
+	 * Called inside a bound transaction, it opens a savepoint on that one
+	 * instead. `dbh.transaction(callback, { bind: true })` binds the same way.
+	 *
+	 * @example
+	 *   await Invoice.transaction(async () => {
+	 *   	const invoice = await Invoice.create({ number: 'A-1' });
+	 *   	await invoice.customer.patch({ balance: 0 });
+	 *   });
+	 * @param {function} callback Receives the transaction handle
+	 * @param {object} [options] Options for `dbh.transaction()`
+	 * @returns {Promise<*>} What `callback` resolves to
+	 */
+	static async transaction(callback, options = {}) {
+		const dbh = await this.dbh();
+		return (currentTransaction(dbh) || dbh).transaction(callback, {
+			...options,
+			bind: true,
+		});
+	}
+
+	/**
+	 * The transaction a call given `tx` should run on: `tx` itself when given,
+	 * none for `null`, otherwise the transaction bound to the async context -
+	 * when it was opened on this class's handle. A class whose `dbh()` is
+	 * another database runs on that instead.
+	 *
+	 * @param {object|null} [tx] Transaction handle given to the call
+	 * @returns {Promise<object|null|undefined>}
+	 */
+	static async _boundTx(tx) {
+		return tx === undefined ? currentTransaction(await this.dbh()) : tx;
+	}
+
+	_boundTx(tx) {
+		return this.constructor._boundTx(tx);
+	}
+
 	/**
 	 * Runs `callback` on an explicit transaction handle when one is given,
 	 * otherwise on a pooled handle with the usual lost-connection retry.
@@ -444,10 +597,12 @@ class DatabaseObject {
 	 * back. `dbh.transaction({ maxRetries })` retries at the correct
 	 * granularity: the entire callback, replayed from the start.
 	 *
-	 * @param {object} [tx] Transaction handle from `dbh.transaction((tx) => ...)`
+	 * @param {object} [tx] Transaction handle from `dbh.transaction((tx) => ...)`.
+	 * 	Defaults to the transaction bound by {@link DatabaseObject.transaction}.
 	 * @param {function} callback Receives the handle to execute against
 	 */
-	static _runOn(tx, callback) {
+	static async _runOn(tx, callback) {
+		tx = await this._boundTx(tx);
 		if (tx) {
 			return callback(tx);
 		}
@@ -458,6 +613,132 @@ class DatabaseObject {
 		return this.constructor._runOn(tx, callback);
 	}
 
+	/**
+	 * Runs `callback` atomically: inline on `tx` when one is given (joining the
+	 * caller's transaction, like findOrCreate), otherwise in a new transaction
+	 * on this class's handle.
+	 *
+	 * @param {object} [tx] Transaction handle from `dbh.transaction((tx) => ...)`
+	 * @param {function} callback Receives the transaction handle
+	 */
+	static async _runInTransaction(tx, callback) {
+		tx = await this._boundTx(tx);
+		if (tx) {
+			return callback(tx);
+		}
+		const dbh = await this.dbh();
+		return dbh.transaction(callback);
+	}
+
+	_runInTransaction(tx, callback) {
+		return this.constructor._runInTransaction(tx, callback);
+	}
+
+	/**
+	 * In outbox mode (`outbox: true` in the config) every write that fires the
+	 * global change hooks must run in a transaction, so its outbox row commits
+	 * with it. Writes given no `tx` check this and re-enter themselves in a new
+	 * transaction.
+	 *
+	 * @param {object} [tx] Transaction handle given to the write, as resolved by
+	 * 	{@link DatabaseObject._boundTx}
+	 * @returns {boolean}
+	 */
+	static _needsOutboxTx(tx) {
+		return !tx && !!config.outbox;
+	}
+
+	/**
+	 * Runs `write` on `tx` (or this class's handle), and - for an `audit: true`
+	 * definition - records it in the history table in the same transaction.
+	 * The row is read before the write for the `before` snapshot; `write` must
+	 * resolve to the row as written, except for a `'delete'`.
+	 *
+	 * @param {object} [tx] Transaction handle to join
+	 * @param {object} entry
+	 * @param {string} entry.action `'create'`, `'update'` or `'delete'` - an
+	 * 	update that flips `isDeleted` is recorded as `'remove'` or `'restore'`
+	 * @param {string|number} [entry.id] Id of the row, undefined on create
+	 * @param {object|function} [entry.changedFields] The `changedFields` of the
+	 * 	global change hook payload, or a function of the handle returning them
+	 * 	once the write is done. Defaults to the written row, minus managed keys.
+	 * @param {function} write Receives the handle to write on
+	 */
+	static _auditedWrite(tx, { action, id, changedFields }, write) {
+		if (!this.schema().audit) {
+			return this._runOn(tx, write);
+		}
+		return this._runInTransaction(tx, async (dbh) => {
+			const before = id === undefined ? null : await dbh.get(this.table(), id);
+			const result = await write(dbh);
+			const after = action === 'delete' ? null : result;
+			await this._recordHistory(dbh, {
+				action,
+				id: id === undefined ? after && after[this.idField()] : id,
+				before,
+				after,
+				changedFields:
+					typeof changedFields === 'function'
+						? changedFields(dbh)
+						: changedFields,
+				tx,
+			});
+			return result;
+		});
+	}
+
+	/**
+	 * Inserts one history row for an `audit: true` definition, on `dbh` - the
+	 * transaction the write ran on. An update whose `changedFields` are empty
+	 * wrote nothing, so isn't recorded.
+	 *
+	 * @param {object} dbh Handle the write ran on
+	 * @param {object} entry
+	 * @param {string} entry.action See {@link DatabaseObject._auditedWrite}
+	 * @param {string|number} entry.id Id of the row
+	 * @param {object} [entry.before] Raw row before the write
+	 * @param {object} [entry.after] Raw row after the write
+	 * @param {object} [entry.changedFields] Defaults to `after`, minus managed keys
+	 * @param {object} [entry.tx] Transaction handle given to the write, for
+	 * 	`auditActor()`
+	 */
+	static async _recordHistory(
+		dbh,
+		{ action, id, before, after, changedFields, tx },
+	) {
+		const changed =
+			changedFields || (after ? stripManagedKeys(after, this.idField()) : null);
+		if (action === 'update' && changed && !Object.keys(changed).length) {
+			return;
+		}
+
+		let recordedAction = action;
+		if (
+			action === 'update' &&
+			before &&
+			changed &&
+			'isDeleted' in changed &&
+			Boolean(Number(before.isDeleted)) !== Boolean(Number(changed.isDeleted))
+		) {
+			recordedAction = Number(changed.isDeleted) ? 'remove' : 'restore';
+		}
+
+		const actor = await this.auditActor({ action: recordedAction, id, tx });
+		await dbh.create(
+			this.historyTable(),
+			{
+				recordId: `${id}`,
+				action: recordedAction,
+				beforeData: before ? jsonSafeStringify(before, 0) : null,
+				afterData: after ? jsonSafeStringify(after, 0) : null,
+				changedFields: changed ? jsonSafeStringify(changed, 0) : null,
+				actor: actor === undefined || actor === null ? null : `${actor}`,
+				createdAt: new Date(),
+			},
+			{ allowBlankIdOnCreate: true },
+		);
+	}
+
 	/**
 	 * @static table - Return the table name for this class
 	 *
@@ -467,6 +748,16 @@ class DatabaseObject {
 		return this.schema().table;
 	}
 
+	/**
+	 * @static historyTable - Return the history table written for an `audit: true`
+	 * definition (created by schema-sync), or undefined.
+	 *
+	 * @returns {String} name of the history table in the database
+	 */
+	static historyTable() {
+		return this.schema().historyTable;
+	}
+
 	/**
 	 * Return the table name for this class
 	 *
@@ -490,6 +781,106 @@ class DatabaseObject {
 		return this[CACHED_FIELDS_SYMBOL];
 	}
 
+	/**
+	 * @static relations - `t.hasMany()` and `t.manyToMany()` relations from the
+	 * class schema, keyed by name, e.g.
+	 * `{ comments: { type: 'hasMany', model: 'comment', foreignKey: 'post' } }` or
+	 * `{ tags: { type: 'manyToMany', model: 'tag', through: 'post_tags', foreignKey: 'post', otherKey: 'tag' } }`
+	 *
+	 * @returns {object} Relations (empty if none)
+	 */
+	static relations() {
+		return this.schema().relations || {};
+	}
+
+	/**
+	 * @static virtuals - `t.virtual()` fields from the class schema, keyed by
+	 * name, each a `compute(values)` function run on inflate
+	 *
+	 * @returns {object} Virtual fields (empty if none)
+	 */
+	static virtuals() {
+		return this.schema().virtuals || {};
+	}
+
+	/**
+	 * Set every `t.virtual()` field on `instance`, computed from its freshly
+	 * inflated field values.
+	 * @param {DatabaseObject} instance
+	 * @param {object} inflatedData Result of inflateValues()
+	 */
+	static _applyVirtuals(instance, inflatedData) {
+		Object.entries(this.virtuals()).forEach(([name, compute]) => {
+			instance[name] = compute(inflatedData);
+		});
+	}
+
+	/**
+	 * Throw if `data` sets a `t.generated()` column - the database computes
+	 * those, so create() and patch() refuse to write them.
+	 * @param {object} data Data given to create() / patch()
+	 * @param {string} method Name of the calling method, for the error
+	 */
+	static _assertNoGeneratedFields(data, method) {
+		const written = this.fields()
+			.filter(({ field, generated }) => generated && data[field] !== undefined)
+			.map(({ field }) => `'${field}'`);
+		if (written.length) {
+			throw new Error(
+				`${method}() cannot write ${written.join(
+					', ',
+				)} on table '${this.table()}': t.generated() columns are computed by the database and read-only`,
+			);
+		}
+	}
+
+	/**
+	 * Resolve a `t.hasMany()` or `t.manyToMany()` relation to its model class,
+	 * checking that a hasMany foreign key is really a column on that model.
+	 *
+	 * @param {string} name Relation name
+	 * @param {object} [span] Debug span
+	 * @param {string} [type] Relation type the caller needs, e.g. 'manyToMany'
+	 * @returns {Promise<{relation: object, ModelClass: typeof DatabaseObject}>}
+	 */
+	static async _resolveRelation(name, span, type) {
+		const relations = this.relations();
+		const relation = relations[name];
+		if (!relation) {
+			throw new Error(
+				`yass-orm: '${name}' is not a t.hasMany() or t.manyToMany() relation on table '${this.table()}'. Relations: ${
+					Object.keys(relations).join(', ') || '(none)'
+				}.`,
+			);
+		}
+		if (type && relation.type !== type) {
+			throw new Error(
+				`yass-orm: relation '${name}' on table '${this.table()}' is a t.${
+					relation.type
+				}() relation, not t.${type}().`,
+			);
+		}
+
+		const ModelClass = await this._resolveModelClass(
+			relation.model,
+			`(loading relation '${name}')`,
+			span,
+		);
+		// A manyToMany's keys live on the join table, which has no model
+		if (
+			relation.type === 'hasMany' &&
+			!ModelClass.schema().fieldMap[relation.foreignKey]
+		) {
+			throw new Error(
+				`yass-orm: relation '${name}' on table '${this.table()}' names foreignKey '${
+					relation.foreignKey
+				}', which is not a column on table '${ModelClass.table()}'.`,
+			);
+		}
+
+		return { relation, ModelClass };
+	}
+
 	/**
 	 * Returns the cache instance for this class
 	 *
@@ -658,6 +1049,20 @@ class DatabaseObject {
 			const row = fields[i];
 			cached[row.field] = inflatedData[row.field];
 		}
+		this._applyVirtuals(cached, inflatedData);
+
+		// Children preloaded by `include` ride along on the raw row, and are
+		// inflated now that this instance is cached so their back-links to it
+		// resolve without a query. A reload without them drops stale lists.
+		if (data[PRELOADED_RELATIONS]) {
+			cached[PRELOADED_RELATIONS] = await this._inflatePreloadedRelations(
+				data[PRELOADED_RELATIONS],
+				span,
+				{ tx },
+			);
+		} else if (cached[PRELOADED_RELATIONS]) {
+			delete cached[PRELOADED_RELATIONS];
+		}
 
 		// Remove guard and return final object
 		delete cached[INFLATE_GUARD_SYMBOL];
@@ -696,11 +1101,9 @@ class DatabaseObject {
 					value = null;
 				} else if (value === undefined) {
 					value = undefined;
+				} else if (row.linkedModel && row.isArray) {
+					value = await this._inflateLinkedArray(row, value, span, { tx });
 				} else if (row.linkedModel) {
-					// TODO: Look into supporting t.linked('model', { array: true })
-					// where both would deflate to an array of ids, and then we can inflate to an array of objects
-					// This code is not yet implemented, but would be nice to have...
-
 					let spanClone = span;
 					if (spanClone) {
 						spanClone = {
@@ -935,93 +1338,664 @@ class DatabaseObject {
 		// Inside a transaction the linked row may be uncommitted, so this read MUST
 		// run on `tx` - on any other pooled connection it resolves to null and the
 		// returned instance silently carries null links.
-		return ModelClass.get(modelId, { allowCached: true, span, tx }); // don't force "SELECT" again
+		// A link to a removed row still resolves to it
+		return ModelClass.get(modelId, {
+			allowCached: true,
+			span,
+			tx,
+			withDeleted: true,
+		}); // don't force "SELECT" again
 	}
 
 	/**
-	 * Returns a string containing the ID for this object. Note that this
-	 * function overrides the existing `Object` `toString` function,
-	 * this makes it suitable for printing out on the console and showing the ID of the
-	 * object rather than just `[Object object]` etc.
-	 * @returns {string} String containing the ID of this object
+	 * Inflate a `t.linked(model, { array: true })` value to an array of
+	 * instances. Ids not already cached are loaded with one `IN` query (see
+	 * `_loadIntoCache`) rather than one `get()` each. Ids that no longer match
+	 * a row are left out.
+	 *
+	 * @param {object} row Schema field
+	 * @param {*} value Raw column value
+	 * @param {object} [span] Debug span
+	 * @param {object} [options]
+	 * @param {object} [options.tx] Transaction handle to read on
+	 * @returns {Promise<DatabaseObject[]>}
 	 */
-	toString() {
-		const { [this.idField()]: id } = this;
-		return id;
+	static async _inflateLinkedArray(row, value, span, { tx } = {}) {
+		const ModelClass = await this._resolveModelClass(
+			row.linkedModel,
+			`(inflating '${row.field}')`,
+			span,
+		);
+		const ids = linkedArrayIds(value, ModelClass.idField());
+		if (!ids.length) {
+			return [];
+		}
+
+		await ModelClass._loadIntoCache(ids, { tx, span });
+		const items = await Promise.all(
+			ids.map((id) =>
+				ModelClass.get(id, { allowCached: true, span, tx, withDeleted: true }),
+			),
+		);
+		return items.filter(Boolean);
 	}
 
-	static _processObjectSchema(deflatedData = {}, row = {}, value = null) {
-		if (value) {
-			// Eventually, would like to support t.linked('model', { array: true }) and/or t.array('model')
-			// where both would deflate to an array of ids, and then we can inflate to an array of objects
-			// This code is not yet implemented, but would be nice to have...
-			// if (row.arraySchema) {
-			// 	// console.log(" > arraySchema processing...");
-			// 	value.forEach((item) => {
-			// 		this._processObjectSchema(deflatedData, row, item);
-			// 	});
-			// }
+	/**
+	 * Load the rows for `ids` that are not already in this class's cache with
+	 * one `WHERE id IN (...)` query per INCLUDE_BATCH_SIZE ids, and inflate them
+	 * into the cache.
+	 *
+	 * @param {Array} ids Ids to load
+	 * @param {object} [options]
+	 * @param {object} [options.tx] Transaction handle to read on
+	 * @param {object} [options.span] Debug span
+	 * @param {object} [options.include] Include tree to preload on the fetched rows
+	 * @returns {Promise<void>}
+	 */
+	static async _loadIntoCache(ids, { tx, span, include } = {}) {
+		const unique = new Map();
+		ids.forEach((id) => unique.set(`${id}`, id));
+
+		// Honour the class cache: anything already cached is already
+		// inflated (links included), so only fetch the misses.
+		const missing = [];
+		await Promise.all(
+			Array.from(unique.values()).map(async (id) => {
+				if (!(await this.getCachedId(id))) {
+					missing.push(id);
+				}
+			}),
+		);
+		if (!missing.length) {
+			return;
+		}
 
-			// Only expand subfields to separate columns if noExpand is false
-			// When noExpand is true (default for direct t.object({ ... }) format),
-			// we only store as JSON, not in individual columns
-			if (row.objectSchema && !row.noExpand) {
-				// console.log(" > objectSchema processing...");
-				Object.values(row.objectSchema).forEach((subrow) => {
-					// console.log(` > > ${subrow.field} = ${deflateValue(value[subrow.subfield])} (${subrow.subfield})`, subrow);
-					if (subrow.isObject) {
-						const finalValue = this._processObjectSchema(
-							deflatedData,
-							subrow,
-							value[subrow.subfield],
-						);
+		const fetched = await this._fetchByIds(missing, { tx });
+		await this._preloadIncludes(fetched, include, { tx, span });
 
-						if (finalValue !== undefined) {
-							deflatedData[subrow.field] = finalValue;
+		await promisePoolMap(
+			fetched,
+			async (row) => this.inflate(row, span, undefined, { tx }),
+			this.promisePoolMapConfig || DEFAULT_PROMISE_POOL_MAP_CONFIG,
+		);
+	}
+
+	/**
+	 * Eager-load the linked rows named by `include` for a set of RAW (deflated)
+	 * rows, before those rows are inflated.
+	 *
+	 * `inflateValues()` resolves each linked field per row via
+	 * `_resolvedLinkedModel` -> `get(id, { allowCached: true })`. This collects
+	 * the ids for every included field first, loads the ones not already in the
+	 * linked class's cache with one `WHERE id IN (...)` query per model per level
+	 * (chunked by INCLUDE_BATCH_SIZE), and inflates them into that cache. The
+	 * normal per-row inflate then finds every link in cache and issues no query.
+	 * Nested paths (`account.org`) are preloaded on the fetched rows before they
+	 * are inflated, so each level costs one query per model.
+	 *
+	 * @param {object[]} rows Raw rows for THIS model, as returned by the driver
+	 * @param {string|string[]|object} include Dotted paths, or an already-parsed tree
+	 * @param {object} [options]
+	 * @param {object} [options.tx] Transaction handle to read on
+	 * @param {object} [options.span] Debug span
+	 * @returns {Promise<void>}
+	 */
+	static async _preloadIncludes(rows, include, { tx, span } = {}) {
+		const tree =
+			include && typeof include === 'object' && !Array.isArray(include)
+				? include
+				: parseIncludePaths(include);
+		if (!tree || !rows || !rows.length) {
+			return;
+		}
+
+		const { fieldMap } = this.schema();
+		const relations = this.relations();
+
+		// Group by linked model so fields sharing a model share one query.
+		const byModel = new Map();
+		await Promise.all(
+			Object.keys(tree).map(async (field) => {
+				if (relations[field]) {
+					await this._preloadRelation(rows, field, tree[field], { tx, span });
+					return;
+				}
+
+				const row = fieldMap[field];
+				if (!row || !row.linkedModel) {
+					const linkedFields = Object.values(fieldMap)
+						.filter((item) => item.linkedModel)
+						.map((item) => item.field);
+					throw new Error(
+						`yass-orm include: '${field}' is not a t.linked() field or t.hasMany() relation on table '${this.table()}'. Linked fields: ${
+							linkedFields.join(', ') || '(none)'
+						}. Relations: ${Object.keys(relations).join(', ') || '(none)'}.`,
+					);
+				}
+				const ModelClass = await this._resolveModelClass(
+					row.linkedModel,
+					`(eager loading '${field}')`,
+					span,
+				);
+				const entry = byModel.get(ModelClass) || {
+					fields: [],
+					subtree: {},
+				};
+				entry.fields.push(field);
+				entry.subtree = mergeIncludeTrees(entry.subtree, tree[field]);
+				byModel.set(ModelClass, entry);
+			}),
+		);
+
+		await Promise.all(
+			Array.from(byModel.entries()).map(async ([ModelClass, entry]) => {
+				const linkedIdField = ModelClass.idField();
+				const ids = [];
+				rows.forEach((row) => {
+					entry.fields.forEach((field) => {
+						let value = row[field];
+						if (fieldMap[field].isArray) {
+							ids.push(...linkedArrayIds(value, linkedIdField));
+							return;
 						}
-					} else {
-						const finalValue = deflateValue(value[subrow.subfield]);
-						if (finalValue !== undefined) {
-							deflatedData[subrow.field] = finalValue;
+						if (value && typeof value === 'object') {
+							value = value[linkedIdField];
 						}
-					}
+						if (value !== undefined && value !== null && value !== '') {
+							ids.push(value);
+						}
+					});
 				});
-			}
-			value = jsonSafeStringify(value, 0);
-		}
-		return value;
+
+				await ModelClass._loadIntoCache(ids, {
+					tx,
+					span,
+					include: entry.subtree,
+				});
+			}),
+		);
 	}
 
-	static deflateValues(object = {}, noUndefined) {
-		const deflatedData = {};
+	/**
+	 * Eager-load one relation for a set of RAW parent rows. For `t.hasMany()`
+	 * that is one `WHERE foreignKey IN (...)` query per INCLUDE_BATCH_SIZE
+	 * parents; for `t.manyToMany()` one query per batch on the join table, then
+	 * one per batch on the linked table. The raw children are stored on each
+	 * row under PRELOADED_RELATIONS; `inflate()` inflates them onto the
+	 * instance (see _inflatePreloadedRelations) so the relation accessor
+	 * returns them without a query.
+	 *
+	 * @param {object[]} rows Raw rows for THIS model
+	 * @param {string} name Relation name
+	 * @param {object} subtree Include tree to preload on the children
+	 * @param {object} [options]
+	 * @param {object} [options.tx] Transaction handle to read on
+	 * @param {object} [options.span] Debug span
+	 * @returns {Promise<void>}
+	 */
+	static async _preloadRelation(rows, name, subtree, { tx, span } = {}) {
+		const { relation, ModelClass } = await this._resolveRelation(name, span);
 		const idField = this.idField();
-		const fields = this.fields();
-		for (let i = 0; i < fields.length; i++) {
-			const row = fields[i];
-			// Don't try to "deflate" a field that doesn't exist
-			if (!(row.field in object)) {
-				// eslint-disable-next-line no-continue
-				continue;
-			}
 
-			let value = object[row.field];
-			if (row.linkedModel && value && value[idField]) {
-				value = value[idField];
-			} else if (row.isObject) {
-				// console.log("[base-model.deflate] isObject:", value, row);
-				const tmp = this._processObjectSchema(deflatedData, row, value);
-				if (tmp !== null) {
-					value = tmp;
-				}
-			} else if (row.nativeType === Boolean) {
-				if (noUndefined) {
-					value = value === true ? 1 : 0;
-				} else if (value !== undefined) {
-					value = value === true ? 1 : 0;
-				}
-			} else {
-				// console.log("[deflateValues] fallthru for:", value);
-				value = deflateValue(value); // from dbh.js
+		const ids = new Map();
+		rows.forEach((row) => {
+			const id = row[idField];
+			if (id !== undefined && id !== null && id !== '') {
+				ids.set(`${id}`, id);
+			}
+		});
+		const parentIds = Array.from(ids.values());
+
+		// The (parent id, child row) pairs to group, per relation type
+		let pairs;
+		let fetched;
+		if (relation.type === 'manyToMany') {
+			const joinRows = await this._fetchJoinRows(relation, parentIds, { tx });
+			const childIdField = ModelClass.idField();
+			fetched = await ModelClass._fetchByIds(
+				joinRows.map((row) => row[relation.otherKey]),
+				{ orderBy: relation.orderBy, orderDir: relation.orderDir, tx },
+			);
+			const childrenById = new Map(
+				fetched.map((row) => [`${row[childIdField]}`, row]),
+			);
+			// Keep the linked table's order within each parent
+			const position = new Map(fetched.map((row, idx) => [row, idx]));
+			pairs = joinRows
+				.map((row) => [
+					row[relation.foreignKey],
+					childrenById.get(`${row[relation.otherKey]}`),
+				])
+				.filter(([, child]) => child)
+				.sort(([, a], [, b]) => position.get(a) - position.get(b));
+		} else {
+			const { foreignKey } = relation;
+			fetched = [];
+			for (let i = 0; i < parentIds.length; i += INCLUDE_BATCH_SIZE) {
+				const chunk = parentIds.slice(i, i + INCLUDE_BATCH_SIZE);
+				// eslint-disable-next-line no-await-in-loop
+				const batch = await ModelClass._runOn(tx, (dbh) =>
+					dbh.search(
+						ModelClass.table(),
+						{ [foreignKey]: { $in: chunk } },
+						{
+							orderBy: relation.orderBy || ModelClass.idField(),
+							orderDir: relation.orderDir || 'ASC',
+						},
+					),
+				);
+				fetched.push(...batch);
+			}
+			pairs = fetched.map((row) => [row[foreignKey], row]);
+		}
+
+		await ModelClass._preloadIncludes(fetched, subtree, { tx, span });
+
+		const byParent = new Map();
+		pairs.forEach(([parentId, row]) => {
+			const key = `${parentId}`;
+			const list = byParent.get(key) || [];
+			list.push(row);
+			byParent.set(key, list);
+		});
+
+		rows.forEach((row) => {
+			row[PRELOADED_RELATIONS] = {
+				...row[PRELOADED_RELATIONS],
+				[name]: { ModelClass, rows: byParent.get(`${row[idField]}`) || [] },
+			};
+		});
+	}
+
+	/**
+	 * Read the join-table rows of a `t.manyToMany()` relation for `parentIds`,
+	 * one query per INCLUDE_BATCH_SIZE ids, in insertion order.
+	 *
+	 * @param {object} relation Relation from `relations()`
+	 * @param {Array} parentIds Ids of THIS model
+	 * @param {object} [options]
+	 * @param {object} [options.tx] Transaction handle to read on
+	 * @returns {Promise<object[]>} Raw join rows
+	 */
+	static async _fetchJoinRows(relation, parentIds, { tx } = {}) {
+		const { through, foreignKey } = relation;
+		const joinRows = [];
+		for (let i = 0; i < parentIds.length; i += INCLUDE_BATCH_SIZE) {
+			const chunk = parentIds.slice(i, i + INCLUDE_BATCH_SIZE);
+			// eslint-disable-next-line no-await-in-loop
+			const batch = await this._runOn(tx, (dbh) =>
+				dbh.search(
+					through,
+					{ [foreignKey]: { $in: chunk } },
+					{ orderBy: parseIdField(through).idField, orderDir: 'ASC' },
+				),
+			);
+			joinRows.push(...batch);
+		}
+		return joinRows;
+	}
+
+	/**
+	 * Read the raw rows for `ids`, one query per INCLUDE_BATCH_SIZE ids.
+	 *
+	 * @param {Array} ids Ids to read (duplicates are read once)
+	 * @param {object} [options]
+	 * @param {string} [options.orderBy] Column to sort each batch by (default: the id)
+	 * @param {'ASC'|'DESC'|'asc'|'desc'} [options.orderDir]
+	 * @param {object} [options.tx] Transaction handle to read on
+	 * @returns {Promise<object[]>} Raw rows
+	 */
+	static async _fetchByIds(ids, { orderBy, orderDir, tx } = {}) {
+		const idField = this.idField();
+		const unique = new Map();
+		ids.forEach((id) => unique.set(`${id}`, id));
+		const list = Array.from(unique.values());
+
+		const fetched = [];
+		for (let i = 0; i < list.length; i += INCLUDE_BATCH_SIZE) {
+			const chunk = list.slice(i, i + INCLUDE_BATCH_SIZE);
+			// eslint-disable-next-line no-await-in-loop
+			const batch = await this._runOn(tx, (dbh) =>
+				dbh.search(
+					this.table(),
+					{ [idField]: { $in: chunk } },
+					{ orderBy: orderBy || idField, orderDir: orderDir || 'ASC' },
+				),
+			);
+			fetched.push(...batch);
+		}
+		return fetched;
+	}
+
+	/**
+	 * Inflate the raw children `_preloadRelation` stored on a row.
+	 *
+	 * @param {object} preloaded `{ [relationName]: { ModelClass, rows } }`
+	 * @param {object} [span] Debug span
+	 * @param {object} [options]
+	 * @param {object} [options.tx] Transaction handle to read on
+	 * @returns {Promise<object>} `{ [relationName]: instances[] }`
+	 */
+	static async _inflatePreloadedRelations(preloaded, span, { tx } = {}) {
+		const inflated = {};
+		await Promise.all(
+			Object.entries(preloaded).map(async ([name, { ModelClass, rows }]) => {
+				inflated[name] = await promisePoolMap(
+					rows,
+					async (row) => ModelClass.inflate(row, span, undefined, { tx }),
+					ModelClass.promisePoolMapConfig || DEFAULT_PROMISE_POOL_MAP_CONFIG,
+				);
+			}),
+		);
+		return inflated;
+	}
+
+	/**
+	 * Load the children of a `t.hasMany()` relation, or the linked rows of a
+	 * `t.manyToMany()` relation. Models built with `loadDefinition()` also get
+	 * an accessor per relation, so `post.loadRelation('comments', opts)` is
+	 * usually written `post.comments(opts)`.
+	 *
+	 * Without options, children preloaded via `include` are returned without
+	 * a query. Any option (or `refresh: true`) always queries.
+	 *
+	 * @param {string} name Relation name
+	 * @param {object} [options]
+	 * @param {object} [options.where] Extra where clause, as for `Model.query().where()`
+	 * @param {string} [options.orderBy] Column to sort by (defaults to the relation's `orderBy`)
+	 * @param {'ASC'|'DESC'|'asc'|'desc'} [options.orderDir]
+	 * @param {number} [options.limit]
+	 * @param {number} [options.offset] Requires `limit`
+	 * @param {string|string[]} [options.include] Paths to eager load on the children
+	 * @param {object} [options.tx] Transaction handle to read on
+	 * @param {boolean} [options.refresh] Ignore preloaded children
+	 * @returns {Promise<DatabaseObject[]>} Child instances
+	 */
+	async loadRelation(
+		name,
+		{ where, orderBy, orderDir, limit, offset, include, tx, refresh } = {},
+	) {
+		const preloaded =
+			this[PRELOADED_RELATIONS] && this[PRELOADED_RELATIONS][name];
+		const hasOptions = [
+			where,
+			orderBy,
+			orderDir,
+			limit,
+			offset,
+			include,
+			tx,
+		].some((value) => value !== undefined);
+		if (preloaded && !hasOptions && !refresh) {
+			return [...preloaded];
+		}
+
+		const { relation, ModelClass } = await this.constructor._resolveRelation(
+			name,
+		);
+
+		let query;
+		let defaultOrderBy = relation.orderBy;
+		if (relation.type === 'manyToMany') {
+			const joinRows = await this.constructor._fetchJoinRows(
+				relation,
+				[this.getId()],
+				{ tx },
+			);
+			if (!joinRows.length) {
+				return [];
+			}
+			const childIdField = ModelClass.idField();
+			query = ModelClass.query().where({
+				[childIdField]: { $in: joinRows.map((row) => row[relation.otherKey]) },
+			});
+			defaultOrderBy = defaultOrderBy || childIdField;
+		} else {
+			query = ModelClass.query().where({
+				[relation.foreignKey]: this.getId(),
+			});
+		}
+		if (where) {
+			query = query.where(where);
+		}
+		if (orderBy) {
+			query = query.orderBy(orderBy, orderDir);
+		} else if (defaultOrderBy) {
+			query = query.orderBy(defaultOrderBy, orderDir || relation.orderDir);
+		}
+		if (limit !== undefined) {
+			query = query.limit(limit);
+		}
+		if (offset !== undefined) {
+			query = query.offset(offset);
+		}
+		if (include) {
+			query = query.include(include);
+		}
+		if (tx) {
+			query = query.tx(tx);
+		}
+		return query.all();
+	}
+
+	/**
+	 * Link rows to this one through a `t.manyToMany()` relation's join table.
+	 * Pairs that already exist are skipped. Models built with `loadDefinition()`
+	 * get a helper per relation, so `post.addRelated('tags', [tag])` is usually
+	 * written `post.addTags([tag])`.
+	 *
+	 * @param {string} name Relation name
+	 * @param {*} items Instance, id, or an array of either
+	 * @param {object} [options]
+	 * @param {object} [options.tx] Transaction handle to write on (otherwise a new transaction is opened)
+	 * @returns {Promise<DatabaseObject>} this
+	 */
+	async addRelated(name, items, { tx } = {}) {
+		return this._writeRelated(name, items, tx, async (dbh, ids, linked) =>
+			this._insertJoinRows(
+				dbh,
+				name,
+				ids.filter((id) => !linked.has(`${id}`)),
+			),
+		);
+	}
+
+	/**
+	 * Unlink rows from this one through a `t.manyToMany()` relation's join
+	 * table (the join rows are deleted; the linked rows are untouched).
+	 *
+	 * @param {string} name Relation name
+	 * @param {*} items Instance, id, or an array of either
+	 * @param {object} [options]
+	 * @param {object} [options.tx] Transaction handle to write on (otherwise a new transaction is opened)
+	 * @returns {Promise<DatabaseObject>} this
+	 */
+	async removeRelated(name, items, { tx } = {}) {
+		return this._writeRelated(name, items, tx, async (dbh, ids) =>
+			this._deleteJoinRows(dbh, name, ids),
+		);
+	}
+
+	/**
+	 * Make `items` the complete set linked to this one through a
+	 * `t.manyToMany()` relation: missing pairs are added, the rest removed.
+	 *
+	 * @param {string} name Relation name
+	 * @param {*} items Instance, id, or an array of either (empty to unlink all)
+	 * @param {object} [options]
+	 * @param {object} [options.tx] Transaction handle to write on (otherwise a new transaction is opened)
+	 * @returns {Promise<DatabaseObject>} this
+	 */
+	async setRelated(name, items, { tx } = {}) {
+		return this._writeRelated(name, items, tx, async (dbh, ids, linked) => {
+			const keep = new Set(ids.map((id) => `${id}`));
+			await this._deleteJoinRows(
+				dbh,
+				name,
+				Array.from(linked.values()).filter((id) => !keep.has(`${id}`)),
+			);
+			await this._insertJoinRows(
+				dbh,
+				name,
+				ids.filter((id) => !linked.has(`${id}`)),
+			);
+		});
+	}
+
+	/**
+	 * Shared body of addRelated / removeRelated / setRelated: resolves the
+	 * relation and the ids in `items`, then runs `write(dbh, ids, linked)` in a
+	 * transaction, where `linked` maps each currently linked id (as a string) to
+	 * the stored value. Preloaded rows for the relation are dropped afterwards.
+	 */
+	async _writeRelated(name, items, tx, write) {
+		const { relation, ModelClass } = await this.constructor._resolveRelation(
+			name,
+			undefined,
+			'manyToMany',
+		);
+		const ids = [];
+		const seen = new Set();
+		linkedArrayIds([items].flat(), ModelClass.idField()).forEach((id) => {
+			if (!seen.has(`${id}`)) {
+				seen.add(`${id}`);
+				ids.push(id);
+			}
+		});
+
+		await this._runInTransaction(tx, async (dbh) => {
+			const linked = new Map();
+			(
+				await this.constructor._fetchJoinRows(relation, [this.getId()], {
+					tx: dbh,
+				})
+			).forEach((row) => {
+				const id = row[relation.otherKey];
+				linked.set(`${id}`, id);
+			});
+			await write(dbh, ids, linked);
+		});
+
+		if (this[PRELOADED_RELATIONS] && this[PRELOADED_RELATIONS][name]) {
+			const { [name]: stale, ...rest } = this[PRELOADED_RELATIONS];
+			this[PRELOADED_RELATIONS] = rest;
+		}
+		return this;
+	}
+
+	async _insertJoinRows(dbh, name, ids) {
+		if (!ids.length) {
+			return;
+		}
+		const { through, foreignKey, otherKey } =
+			this.constructor.relations()[name];
+		// Multi-row INSERTs, split at the dialect's bind-parameter limit
+		await dbh.createMany(
+			through,
+			ids.map((id) => ({ [foreignKey]: this.getId(), [otherKey]: id })),
+			{ returning: false },
+		);
+	}
+
+	async _deleteJoinRows(dbh, name, ids) {
+		if (!ids.length) {
+			return;
+		}
+		const { through, foreignKey, otherKey } =
+			this.constructor.relations()[name];
+		const where = compileWhere(
+			{ [foreignKey]: this.getId(), [otherKey]: { $in: ids } },
+			{ escapeId: (x) => dbh.escapeId(x) },
+		);
+		await dbh.pquery(
+			/* sql */ `delete from ${autoFixTable(
+				parseIdField(through).table,
+				dbh,
+			)} where ${where.sql}`,
+			where.params,
+		);
+	}
+
+	/**
+	 * Returns a string containing the ID for this object. Note that this
+	 * function overrides the existing `Object` `toString` function,
+	 * this makes it suitable for printing out on the console and showing the ID of the
+	 * object rather than just `[Object object]` etc.
+	 * @returns {string} String containing the ID of this object
+	 */
+	toString() {
+		const { [this.idField()]: id } = this;
+		return id;
+	}
+
+	static _processObjectSchema(deflatedData = {}, row = {}, value = null) {
+		if (value) {
+			// Only expand subfields to separate columns if noExpand is false
+			// When noExpand is true (default for direct t.object({ ... }) format),
+			// we only store as JSON, not in individual columns
+			if (row.objectSchema && !row.noExpand) {
+				// console.log(" > objectSchema processing...");
+				Object.values(row.objectSchema).forEach((subrow) => {
+					// console.log(` > > ${subrow.field} = ${deflateValue(value[subrow.subfield])} (${subrow.subfield})`, subrow);
+					if (subrow.isObject) {
+						const finalValue = this._processObjectSchema(
+							deflatedData,
+							subrow,
+							value[subrow.subfield],
+						);
+
+						if (finalValue !== undefined) {
+							deflatedData[subrow.field] = finalValue;
+						}
+					} else {
+						const finalValue = deflateValue(value[subrow.subfield]);
+						if (finalValue !== undefined) {
+							deflatedData[subrow.field] = finalValue;
+						}
+					}
+				});
+			}
+			value = jsonSafeStringify(value, 0);
+		}
+		return value;
+	}
+
+	static deflateValues(object = {}, noUndefined) {
+		const deflatedData = {};
+		const idField = this.idField();
+		const fields = this.fields();
+		for (let i = 0; i < fields.length; i++) {
+			const row = fields[i];
+			// Don't try to "deflate" a field that doesn't exist
+			if (!(row.field in object)) {
+				// eslint-disable-next-line no-continue
+				continue;
+			}
+
+			let value = object[row.field];
+			if (row.linkedModel && row.isArray) {
+				// Ids or instances in, JSON array of ids out
+				value =
+					value === null || value === undefined
+						? value
+						: jsonSafeStringify(linkedArrayIds(value, idField), 0);
+			} else if (row.linkedModel && value && value[idField]) {
+				value = value[idField];
+			} else if (row.isObject) {
+				// console.log("[base-model.deflate] isObject:", value, row);
+				const tmp = this._processObjectSchema(deflatedData, row, value);
+				if (tmp !== null) {
+					value = tmp;
+				}
+			} else if (row.nativeType === Boolean) {
+				if (noUndefined) {
+					value = value === true ? 1 : 0;
+				} else if (value !== undefined) {
+					value = value === true ? 1 : 0;
+				}
+			} else {
+				// console.log("[deflateValues] fallthru for:", value);
+				value = deflateValue(value); // from dbh.js
 			}
 
 			if (value !== undefined) {
@@ -1054,12 +2028,142 @@ class DatabaseObject {
 	}
 
 	/**
-	 * Subclasses can override this hook to update props
+	 * Deflate the `fields` argument of `search()`. Equality-only objects take
+	 * the historical `deflateValues()` path unchanged (unknown keys are silently
+	 * dropped, as they always were). Once operator syntax is used, every field
+	 * named anywhere in the where object must be a column on this model, and each
+	 * operand is deflated exactly like a plain value for that field.
+	 * @param {object} fields Where object - see lib/where-clause.js
+	 * @param {object} [options]
+	 * @param {boolean} [options.strict=false] Validate and deflate per operand even
+	 *   when no operator is used (`Model.query()` has no legacy shape to preserve)
+	 * @returns {object} Where object ready for `dbh.search()`
+	 */
+	static _deflateWhere(fields = {}, { strict = false } = {}) {
+		if (!strict && !hasWhereOperators(fields)) {
+			return this.deflateValues(fields);
+		}
+
+		validateWhere(fields, {
+			validColumns: Object.keys(this.schema().fieldMap),
+		});
+
+		// `null` stays `null` so it still compiles to IS NULL - deflateValues
+		// would otherwise turn it into 0 on boolean columns.
+		return mapWhereOperands(fields, (field, value) =>
+			value === null ? null : this.deflateValues({ [field]: value })[field],
+		);
+	}
+
+	/**
+	 * Check `data` against the schema (see lib/validation.js) without writing.
+	 * `create()` and `patch()` run this before any SQL when the definition sets
+	 * `validate: true`, or when given `{ validate: true }`.
+	 *
+	 * @param {object} data Data for `create()`, or a patch
+	 * @param {object} [options]
+	 * @param {boolean} [options.partial=false] True for a patch - only the given
+	 * 	fields are checked
+	 * @returns {object} `data`, unchanged
+	 * @throws {ValidationError} Listing every failing field path
+	 */
+	static validate(data, { partial = false } = {}) {
+		const errors = validateValues(this.schema(), data, {
+			partial,
+			idField: this.idField(),
+		});
+		if (errors.length) {
+			throw new ValidationError(this.table(), errors);
+		}
+		return data;
+	}
+
+	static _shouldValidate(validate) {
+		return validate === undefined ? !!this.schema().validate : !!validate;
+	}
+
+	/**
+	 * Subclasses can override this hook to update props.
+	 * Receives `{ tx }`, plus `snapshot` (field values before the write) after a patch.
 	 */
 	async afterChangeHook() {
 		return Promise.resolve(this);
 	}
 
+	/**
+	 * Subclasses can override this hook to name who is making a change, stored
+	 * in the `actor` column of the history table of an `audit: true`
+	 * definition (e.g. the current user from your request context).
+	 *
+	 * @param {object} change `{ action, id, tx }` of the write being recorded
+	 * @returns {Promise<string|number|null>}
+	 */
+	static async auditActor() {
+		return null;
+	}
+
+	/**
+	 * Subclasses can override this hook to check or rewrite the data given to
+	 * `create()` before anything is written. Mutate `data` or return a
+	 * replacement object; throw to veto the create.
+	 *
+	 * @param {object} data Data passed to `create()`
+	 * @param {object} options `{ tx }` - the transaction handle, if one was given
+	 * @returns {Promise<object|undefined>}
+	 */
+	static async beforeCreateHook(data) {
+		return data;
+	}
+
+	/**
+	 * Subclasses can override this hook to check or rewrite a patch before it
+	 * is written. Mutate `data` or return a replacement object; throw to veto
+	 * the patch. `remove()` is a patch of `{ isDeleted: true }`, so it runs
+	 * this hook too.
+	 *
+	 * @param {object} data Data passed to `patch()`
+	 * @param {object} options `{ tx, snapshot }` - `snapshot` holds this
+	 * 	instance's field values before the patch
+	 * @returns {Promise<object|undefined>}
+	 */
+	async beforePatchHook(data) {
+		return data;
+	}
+
+	/**
+	 * Subclasses can override this hook to veto `remove()` or `reallyDelete()`
+	 * by throwing.
+	 *
+	 * @param {object} options `{ tx, snapshot, hard }` - `hard` is true for
+	 * 	`reallyDelete()`
+	 */
+	async beforeRemoveHook() {
+		return Promise.resolve(this);
+	}
+
+	/**
+	 * Subclasses can override this hook to react to `remove()` or
+	 * `reallyDelete()` once the write is done.
+	 *
+	 * @param {object} options `{ tx, snapshot, hard }` - same as beforeRemoveHook
+	 */
+	async afterRemoveHook() {
+		return Promise.resolve(this);
+	}
+
+	/**
+	 * Shallow copy of this instance's field values, handed to hooks as the
+	 * state before a write (linked fields are the linked instances).
+	 * @returns {object}
+	 */
+	_snapshot() {
+		const snapshot = {};
+		this.constructor.fields().forEach(({ field }) => {
+			snapshot[field] = this[field];
+		});
+		return snapshot;
+	}
+
 	/**
 	 * Subclasses can override this hook to update props
 	 * Only called in findOrCreate if lastAction === 'create' or in create()
@@ -1068,7 +2172,7 @@ class DatabaseObject {
 		return Promise.resolve(this);
 	}
 
-	async _updateProperties(data, span, { tx } = {}) {
+	async _updateProperties(data, span, { tx, snapshot } = {}) {
 		// console.log("[_updateProperties] got incoming data=", data);
 
 		// Guard against undefined data (can happen if record was deleted during async operation)
@@ -1096,6 +2200,7 @@ class DatabaseObject {
 			const value = inflatedData[field];
 			this[field] = value;
 		}
+		this.constructor._applyVirtuals(this, inflatedData);
 
 		// Freshen the cache for this ID with these new values
 		const { [this.idField()]: id } = this;
@@ -1103,7 +2208,7 @@ class DatabaseObject {
 		// 'await' so we can allow subclasses to do async work and block if needed
 		await this.constructor.setCachedId(id, this);
 
-		await this.afterChangeHook({ tx });
+		await this.afterChangeHook(snapshot ? { tx, snapshot } : { tx });
 
 		return this;
 	}
@@ -1112,7 +2217,15 @@ class DatabaseObject {
 	 * Returns all objects that match the whereClause
 	 *
 	 * @param {type} whereClause SQL to use for query (don't include WHERE, but can use LIMIT, ORDER BY, etc)
-	 * @param {type} args        If SQL is "name=:someName order by name", then you would set args to {someName:"Bob"}
+	 * @param {type} args        If SQL is "name=:someName order by name", then you would set args to {someName:"Bob"}.
+	 * 	`promisePoolMapConfig`, `include` (dotted `t.linked()` paths to eager load),
+	 * 	`withDeleted` and `onlyDeleted` are reserved keys and are not passed to the query as params.
+	 *
+	 * Deleted rows are skipped unless `withDeleted` is set; `onlyDeleted`
+	 * returns only deleted rows. SQL that filters on `isDeleted` itself must
+	 * pass `withDeleted`, or the scope applies as well. The scope is applied in a derived table (`select * from (select * from
+	 * t where isDeleted = 0) as t where ...`), so `whereClause` may still end in
+	 * ORDER BY / LIMIT.
 	 * @static
 	 * @returns {type} List of class instances containing the search results
 	 */
@@ -1121,18 +2234,39 @@ class DatabaseObject {
 		{
 			promisePoolMapConfig = this.promisePoolMapConfig ||
 				DEFAULT_PROMISE_POOL_MAP_CONFIG,
+			include,
+			withDeleted,
+			onlyDeleted,
 			...args
 		} = {},
 	) {
 		const span = { name: 'fromSql', props: { whereClause, args }, stack: [] };
-		return this.retryIfConnectionLost((dbh) => {
+		// The SQL isn't parsed for an isDeleted filter of its own - a subquery
+		// may name another table's - so only the options turn the scope off
+		const column = this._deletedColumn();
+		const scope = column
+			? this.deflateValues(this._deletedScope({}, { withDeleted, onlyDeleted }))
+			: {};
+		const scoped = column !== undefined && column in scope;
+		return this._runOn(undefined, (dbh) => {
 			const { table } = parseIdField(this.table());
-			const sql = /* sql */ `select * from ${autoFixTable(
-				table,
-				dbh,
-			)} where ${whereClause}`;
-			return dbh.roQuery(sql, args).then((rows) => {
+			const tableSql = autoFixTable(table, dbh);
+			// Aliased back to the table name, so `table.column` in whereClause
+			// still resolves
+			const from = scoped
+				? /* sql */ `(select * from ${tableSql} where ${dbh.escapeId(
+						column,
+				  )}=:yass_deleted) as ${dbh.escapeId(
+						`${table}`.split('.').pop().replace(/-/g, '_'),
+				  )}`
+				: tableSql;
+			const sql = /* sql */ `select * from ${from} where ${whereClause}`;
+			const params = scoped ? { ...args, yass_deleted: scope[column] } : args;
+			return dbh.roQuery(sql, params).then(async (rows) => {
 				// console.log(`Got rows:`, rows);
+				if (include) {
+					await this._preloadIncludes(rows, include, { span });
+				}
 				return promisePoolMap(
 					rows,
 					async (row) => this.inflate(row, span),
@@ -1147,7 +2281,7 @@ class DatabaseObject {
 	 * @param {function} callback Function with signature like `(tableName)`, and the function is expected to return an array like `[sql, args]` where `sql` is the string to execute and `args` is an object containing any parameters for the SQL
 	 */
 	static async queryCallback(callback) {
-		return this.retryIfConnectionLost(async (dbh) =>
+		return this._runOn(undefined, async (dbh) =>
 			dbh.pquery(...(await callback(this.table()))),
 		);
 	}
@@ -1166,6 +2300,9 @@ class DatabaseObject {
 	 *
 	 * For modification queries, always use `dbh.pquery`
 	 *
+	 * Inside {@link DatabaseObject.transaction} the callback gets the bound
+	 * transaction handle.
+	 *
 	 * @param {function} callback Function with signature like `(dbh, tableName)`, and the fu
 	 * @returns {Array} Your callback`s eventual return value is returned
 	 */
@@ -1176,17 +2313,26 @@ class DatabaseObject {
 			callback = (dbh) => dbh.pquery(sql, props);
 		}
 
-		return this.retryIfConnectionLost((dbh) => callback(dbh, this.table()));
+		return this._runOn(undefined, (dbh) => callback(dbh, this.table()));
 	}
 
 	/**
 	 * Searches the database using all `fields` given, all must match. (E.g. `field1=X AND field2=Y ...`)
-	 * @param {object} fields Fields to use for querying. All values will be used (..AND.. style)
+	 * @param {object} fields Fields to use for querying. All values will be used (..AND.. style).
+	 *   Values may be operator objects (`{ age: { $gt: 18 } }`) and `$or`/`$and`/`$not`
+	 *   groups are accepted; see lib/where-clause.js. Fields used with operators must
+	 *   be columns on this model.
+	 * Deleted rows are skipped unless `fields` names `isDeleted`; pass
+	 * `withDeleted: true` to include them or `onlyDeleted: true` to list only
+	 * them.
 	 * @param {boolean|object} [limitOneOrOptions] Legacy `true`/`false`, OR
 	 *   `{ limitOne, limit, offset, orderBy, orderDir }`. Any other key throws,
-	 *   naming the key. `orderBy` must be a column on this model.
-	 * @param {object} [promisePoolMapConfig] Concurrency config for inflation. May also carry `tx`, so `search(fields, false, { tx })` works as written.
-	 * @param {object} [options] `{ tx }` transaction handle to run the query on
+	 *   naming the key. `orderBy` must be a column on this model. `withDeleted`
+	 *   and `onlyDeleted` are accepted here too.
+	 * @param {object} [promisePoolMapConfig] Concurrency config for inflation. May also carry `tx`, `include`, `withDeleted` and `onlyDeleted`, so `search(fields, false, { tx })` works as written.
+	 * @param {object} [options] `{ tx, include, withDeleted, onlyDeleted }` - transaction handle to run the query on,
+	 *   dotted `t.linked()` paths to eager load in batches (see {@link DatabaseObject._preloadIncludes}),
+	 *   and the soft-delete scope
 	 * @returns {Array<DatabaseObject>|DatabaseObject|null} An ARRAY of instances
 	 *   (possibly empty), unless `limitOne` is true.
 	 */
@@ -1195,28 +2341,69 @@ class DatabaseObject {
 		limitOneOrOptions = false,
 		promisePoolMapConfig = this.promisePoolMapConfig ||
 			DEFAULT_PROMISE_POOL_MAP_CONFIG,
-		{ tx: explicitTx } = {},
+		{
+			tx: explicitTx,
+			include: explicitInclude,
+			withDeleted: explicitWithDeleted,
+			onlyDeleted: explicitOnlyDeleted,
+		} = {},
 	) {
+		// The soft-delete scope is not a bound, so peel it off before the
+		// normalizer, which rejects unknown keys
+		const {
+			withDeleted: boundsWithDeleted,
+			onlyDeleted: boundsOnlyDeleted,
+			...bounds
+		} = limitOneOrOptions && typeof limitOneOrOptions === 'object'
+			? limitOneOrOptions
+			: {};
+
 		// This layer owns the schema, so it is the layer that can tell an
 		// `orderBy` typo from a real column. dbh.search re-normalizes (the
 		// normalizer is idempotent) but has no schema to check against.
-		const searchOptions = normalizeSearchOptions(limitOneOrOptions, {
-			validColumns: Object.keys(this.schema().fieldMap),
-		});
+		const searchOptions = normalizeSearchOptions(
+			limitOneOrOptions && typeof limitOneOrOptions === 'object'
+				? bounds
+				: limitOneOrOptions,
+			{
+				validColumns: Object.keys(this.schema().fieldMap),
+			},
+		);
 		const { limitOne } = searchOptions;
 
 		// `promisePoolMapConfig` already occupies the third positional slot, so
 		// `{ tx }` is also accepted there - otherwise `search(fields, false, { tx })`
 		// (the shape callers naturally write) would silently land in the pool config.
 		// The explicit fourth argument wins when both are given.
-		const { tx: poolConfigTx, ...poolConfig } = promisePoolMapConfig || {};
+		const {
+			tx: poolConfigTx,
+			include: poolConfigInclude,
+			withDeleted: poolConfigWithDeleted,
+			onlyDeleted: poolConfigOnlyDeleted,
+			...poolConfig
+		} = promisePoolMapConfig || {};
 		const tx = explicitTx || poolConfigTx;
-		const effectivePoolConfig = poolConfigTx
-			? poolConfig
-			: promisePoolMapConfig;
+		const include = explicitInclude || poolConfigInclude;
+		const scope = {
+			withDeleted:
+				explicitWithDeleted || poolConfigWithDeleted || boundsWithDeleted,
+			onlyDeleted:
+				explicitOnlyDeleted || poolConfigOnlyDeleted || boundsOnlyDeleted,
+		};
+		const effectivePoolConfig =
+			poolConfigTx ||
+			poolConfigInclude ||
+			poolConfigWithDeleted !== undefined ||
+			poolConfigOnlyDeleted !== undefined
+				? poolConfig
+				: promisePoolMapConfig;
 
 		const res = await this._runOn(tx, (dbh) =>
-			dbh.search(this.table(), this.deflateValues(fields), searchOptions),
+			dbh.search(
+				this.table(),
+				this._deflateWhere(this._deletedScope(fields, scope)),
+				searchOptions,
+			),
 		);
 
 		const span = {
@@ -1225,6 +2412,17 @@ class DatabaseObject {
 			stack: [],
 		};
 
+		if (include) {
+			await this._preloadIncludes(
+				limitOne ? [res].filter(Boolean) : res,
+				include,
+				{
+					tx,
+					span,
+				},
+			);
+		}
+
 		if (limitOne) {
 			return this.inflate(res, span, undefined, { tx });
 		}
@@ -1238,16 +2436,155 @@ class DatabaseObject {
 
 	/**
 	 * Searches the database using all `fields` given, all must match. (E.g. `field1=X AND field2=Y ...`)
-	 * @param {object} fields Fields to use for querying. All values will be used (..AND.. style)
+	 * @param {object} fields Fields to use for querying. Accepts the same operators as {@link DatabaseObject.search}
+	 * @param {object} [promisePoolMapConfig] As for {@link DatabaseObject.search}
+	 * @param {object} [options] `{ tx, include, withDeleted, onlyDeleted }`, as for {@link DatabaseObject.search}
 	 * @returns {DatabaseObject|null} Returns the instantiated `DatabaseObject` if at least one row matches the query fields, OR returns `null` if no rows match.
 	 */
 	static async searchOne(
 		fields = {},
 		promisePoolMapConfig = this.promisePoolMapConfig ||
 			DEFAULT_PROMISE_POOL_MAP_CONFIG,
-		{ tx } = {},
+		{ tx, include, withDeleted, onlyDeleted } = {},
+	) {
+		return this.search(fields, true, promisePoolMapConfig, {
+			tx,
+			include,
+			withDeleted,
+			onlyDeleted,
+		});
+	}
+
+	/**
+	 * Start a chainable query against this model's table. See lib/query-builder.js.
+	 * @example
+	 *   const rows = await Model.query().where({ age: { $gt: 18 } }).orderBy('name').limit(10);
+	 *   const total = await Model.query().where({ status: 'active' }).count();
+	 * @returns {QueryBuilder}
+	 */
+	static query() {
+		return new QueryBuilder(this);
+	}
+
+	/**
+	 * The soft-delete column (`isDeleted`, or `deleted` on a
+	 * legacyExternalSchema), or undefined when the schema has none.
+	 * @returns {string|undefined}
+	 */
+	static _deletedColumn() {
+		const { legacyExternalSchema, fieldMap } = this.schema();
+		const column = legacyExternalSchema ? 'deleted' : 'isDeleted';
+		return fieldMap[column] ? column : undefined;
+	}
+
+	/**
+	 * Apply the soft-delete scope to a where object: deleted rows are skipped
+	 * unless `filter` names the deleted column itself. `withDeleted` leaves the
+	 * filter alone, and `onlyDeleted` matches deleted rows only.
+	 * @param {object} [filter] Where object
+	 * @param {object} [scope] `{ withDeleted, onlyDeleted }`
+	 * @returns {object} Where object
+	 */
+	static _deletedScope(filter = {}, { withDeleted, onlyDeleted } = {}) {
+		if (withDeleted && onlyDeleted) {
+			throw new Error(
+				`${this.name}: pass withDeleted or onlyDeleted, not both`,
+			);
+		}
+		const column = this._deletedColumn();
+		if (!column || !filter || withDeleted) {
+			return filter;
+		}
+		if (onlyDeleted) {
+			// Boolean columns deflate only `true` to 1
+			const { nativeType } = this.schema().fieldMap[column];
+			return { ...filter, [column]: nativeType === Boolean ? true : 1 };
+		}
+		return column in filter ? filter : { ...filter, [column]: 0 };
+	}
+
+	/**
+	 * Whether a row (or instance) falls in the soft-delete scope - the
+	 * in-memory twin of {@link DatabaseObject._deletedScope}, for reads by id.
+	 * @param {object} row Raw row or instance
+	 * @param {object} [scope] `{ withDeleted, onlyDeleted }`
+	 * @returns {boolean}
+	 */
+	static _inDeletedScope(row, { withDeleted, onlyDeleted } = {}) {
+		const column = this._deletedColumn();
+		if (!column || withDeleted) {
+			return true;
+		}
+		// 0/1 on MySQL and SQLite, a boolean on Postgres
+		return Boolean(Number(row[column])) === Boolean(onlyDeleted);
+	}
+
+	/**
+	 * Count the rows matching `filter`, skipping deleted rows unless `filter`
+	 * names `isDeleted`. Runs on a read replica via `roQuery`.
+	 * @param {object} [filter] Where object, accepting the same operators as {@link DatabaseObject.search}
+	 * @param {object} [options] `{ tx, withDeleted, onlyDeleted }`
+	 * @returns {Promise<number>}
+	 */
+	static async count(filter = {}, { tx, withDeleted, onlyDeleted } = {}) {
+		return this.query()
+			.where(this._deletedScope(filter, { withDeleted, onlyDeleted }))
+			.tx(tx)
+			.count();
+	}
+
+	/**
+	 * Group and aggregate the rows matching `filter` - see
+	 * {@link QueryBuilder#aggregate}. Skips deleted rows unless `filter` names
+	 * `isDeleted`. Runs on a read replica via `roQuery`.
+	 * @example
+	 *   await Order.aggregate({ groupBy: ['status'], sum: 'amount', avg: 'score' }, { year: 2026 });
+	 *   // [{ status: 'open', count: 4, sum: { amount: 120 }, avg: { score: 3.5 } }, ...]
+	 * @param {object} spec `{ groupBy, sum, avg, min, max }`, each a column or list of columns
+	 * @param {object} [filter] Where object, accepting the same operators as {@link DatabaseObject.search}
+	 * @param {object} [options] `{ tx, withDeleted, onlyDeleted }`
+	 * @returns {Promise<Array<object>>} Plain objects, one per group
+	 */
+	static async aggregate(
+		spec,
+		filter = {},
+		{ tx, withDeleted, onlyDeleted } = {},
 	) {
-		return this.search(fields, true, promisePoolMapConfig, { tx });
+		return this.query()
+			.where(this._deletedScope(filter, { withDeleted, onlyDeleted }))
+			.tx(tx)
+			.aggregate(spec);
+	}
+
+	/**
+	 * Read one page of matching rows in keyset (cursor) order - see
+	 * {@link QueryBuilder#paginate} and lib/keyset.js. Pass the returned
+	 * `nextCursor` as `after` to read the next page.
+	 * @example
+	 *   let page = await Model.paginate({ status: 'active' }, { orderBy: 'createdAt', limit: 50 });
+	 *   while (page.hasMore) {
+	 *     page = await Model.paginate({ status: 'active' }, { orderBy: 'createdAt', limit: 50, after: page.nextCursor });
+	 *   }
+	 * @param {object} [query] Where object, accepting the same operators as {@link DatabaseObject.search}
+	 * @param {object} [options] `{ after, limit, orderBy, orderDir, tx, include }`
+	 * @returns {Promise<{items: Array<DatabaseObject>, nextCursor: string|null, hasMore: boolean}>}
+	 */
+	static async paginate(query = {}, options = {}) {
+		Object.keys(options).forEach((key) => {
+			if (!PAGINATE_OPTION_KEYS.includes(key)) {
+				throw new Error(
+					`yass-orm paginate(): unknown option '${key}'. Supported: ${PAGINATE_OPTION_KEYS.join(
+						', ',
+					)}.`,
+				);
+			}
+		});
+		const { tx, include, ...pageOptions } = options;
+		let builder = this.query().where(query).tx(tx);
+		if (include) {
+			builder = builder.include(include);
+		}
+		return builder.paginate(pageOptions);
 	}
 
 	/**
@@ -1284,10 +2621,23 @@ class DatabaseObject {
 		patchIfFalsey = {},
 		options = {},
 	) {
-		const { tx, useTransaction = true, transactionOptions } = options;
+		const { useTransaction = true, transactionOptions } = options;
+		const tx = await this._boundTx(options.tx);
+		const { audit } = this.schema();
+
+		// An audited find-or-create reads the row and writes its history in
+		// one transaction, as the outbox does its row
+		if (this._needsOutboxTx(tx) || (audit && !tx)) {
+			const dbh = await this.dbh();
+			return dbh.transaction(
+				(outboxTx) =>
+					this.findOrCreate(fields, patchIf, patchIfFalsey, { tx: outboxTx }),
+				transactionOptions,
+			);
+		}
 
 		if (
-			tx &&
+			options.tx &&
 			('useTransaction' in options || 'transactionOptions' in options)
 		) {
 			console.warn(
@@ -1306,9 +2656,12 @@ class DatabaseObject {
 		} = this.schema();
 
 		let handleUsed;
-		const res = await this._runOn(tx, (dbh) => {
+		const res = await this._runOn(tx, async (dbh) => {
 			handleUsed = dbh;
-			return dbh.findOrCreate(
+			const before = audit
+				? await dbh.search(this.table(), deflatedFields, true)
+				: null;
+			const row = await dbh.findOrCreate(
 				this.table(),
 				deflatedFields,
 				this.deflateValues(patchIf),
@@ -1325,6 +2678,20 @@ class DatabaseObject {
 					transactionOptions,
 				},
 			);
+			const meta = (row && row[FIND_OR_CREATE_META]) || dbh.findOrCreate;
+			if (audit && meta.lastAction !== 'get') {
+				await this._recordHistory(dbh, {
+					action: meta.wasCreated ? 'create' : 'update',
+					id: row[this.idField()],
+					before: meta.wasCreated ? null : before,
+					after: row,
+					changedFields: meta.wasCreated
+						? undefined
+						: stripManagedKeys(meta.lastPatch || {}, this.idField()),
+					tx,
+				});
+			}
+			return row;
 		});
 
 		// Need the ref that was used above to get the action
@@ -1394,127 +2761,671 @@ class DatabaseObject {
 			}
 		}
 
-		return instance;
+		return instance;
+	}
+
+	/**
+	 * Retrieves an instance of the given ID from the database (or from memory if present and `allowCached` option is set to a true value (false by default).
+	 *
+	 * Internally, the library will only load the cached object when loading linked fields
+	 * when inflating data from the database.
+	 *
+	 * Note that you can override the caching implementation by subclassing `DatabaseObject`
+	 * and overriding the {@link DatabaseObject#getCachedId}, {@link DatabaseObject#setCachedId},
+	 * {@link DatabaseObject#removeCachedId}, and {@link DatabaseObject#clearCache} static methods.
+	 * Possible use case would be to use Redis to handle caching instead of local RAM.
+	 *
+	 * @param {string|number} id ID field to load from the database
+	 * @param {boolean} options.allowCached [default: false] If true, will check the cache for this class for the given ID and if present, returns the cached instance.
+	 * @param {string[]} options.include Dotted `t.linked()` paths to eager load one level at a time (mostly useful for nested paths)
+	 * @param {boolean} options.withDeleted [default: false] Also return a soft-deleted row - without it, a deleted id resolves to null
+	 * @param {boolean} options.onlyDeleted [default: false] Return the row only if it is soft-deleted
+	 * @returns {DatabaseObject} Instantiated `DatabaseObject` containing the data from the database
+	 */
+	static async get(
+		id,
+		{
+			allowCached,
+			span = undefined,
+			tx = undefined,
+			include,
+			withDeleted,
+			onlyDeleted,
+		} = {},
+	) {
+		const scope = { withDeleted, onlyDeleted };
+		if (allowCached) {
+			// 'await' so we can allow subclasses to do async work and block if needed
+			const cached = await this.getCachedId(id);
+			if (cached && this._inDeletedScope(cached, scope)) {
+				return cached;
+			}
+		}
+
+		if (!span) {
+			span = { name: 'get', props: { id }, stack: [] };
+		}
+
+		let row = await this._runOn(tx, (dbh) => dbh.get(this.table(), id));
+		if (row && !this._inDeletedScope(row, scope)) {
+			row = null;
+		}
+		if (include && row) {
+			await this._preloadIncludes([row], include, { tx, span });
+		}
+
+		return this.inflate(row, span, undefined, { tx });
+	}
+
+	/**
+	 * Inserts a new object into the database
+	 *
+	 * See also: {@link DatabaseObject#findOrCreate}
+	 *
+	 * @param {Object} data Key/value pairs of data to insert into the database
+	 * @param {Object} [options]
+	 * @param {Object} [options.tx] Transaction handle to write on (also passed to the hooks)
+	 * @param {boolean} [options.validate] Check `data` against the schema first (see {@link DatabaseObject.validate}).
+	 * 	Defaults to the definition's `validate` flag.
+	 * @returns {DatabaseObject} Instantiated object containing the data given and any default values set in the schema, as well as the fresh ID from the database (or UUID generated)
+	 */
+	static async create(data, { tx, validate } = {}) {
+		tx = await this._boundTx(tx);
+		if (this._needsOutboxTx(tx)) {
+			return this._runInTransaction(null, (outboxTx) =>
+				this.create(data, { tx: outboxTx, validate }),
+			);
+		}
+
+		data = (await this.beforeCreateHook(data, { tx })) || data;
+		this._assertNoGeneratedFields(data, 'create');
+		if (this._shouldValidate(validate)) {
+			this.validate(data);
+		}
+
+		const idField = this.idField();
+		const { [idField]: id } = data;
+		const {
+			fieldMap: {
+				[idField]: { type: idType },
+			},
+		} = this.schema();
+
+		if (!id && idType === 'uuidKey') {
+			data[idField] = this.generateObjectId();
+			// console.log(`create() assigned id:`, data.id);
+		} else {
+			// console.log(
+			// 	`create() NOT giving id because data had id or type=${idType}`,
+			// 	data,
+			// );
+		}
+
+		const createArgs = [
+			this.table(),
+			this.deflateValues({ ...data, createdAt: new Date() }, true),
+			{
+				allowBlankIdOnCreate: idType === 'idKey',
+				idGenerator: this.generateObjectId,
+			},
+		];
+
+		const createdRow = await this._auditedWrite(
+			tx,
+			{ action: 'create' },
+			(dbh) => dbh.create(...createArgs),
+		);
+		// console.log(`obj create result:`, createdRow, {
+		// 	originalData: data,
+		// 	createdRow,
+		// });
+
+		if (!createdRow) {
+			throw new Error(
+				`Internal error creating row in database: Undefined result`,
+			);
+		}
+
+		if (!createdRow[idField]) {
+			throw new Error(
+				`Internal error after creating row: No id on object returned: ${jsonSafeStringify(
+					createdRow,
+					0,
+				)}`,
+			);
+		}
+
+		const span = { name: 'create', props: { data }, stack: [] };
+
+		const instance = await this.inflate(createdRow, span, undefined, { tx });
+
+		// console.log(`instance from row`, createdRow, instance);
+
+		await instance.afterCreateHook({ tx });
+		await instance.afterChangeHook({ tx });
+
+		// Fire global change hooks with the full deflated entity (so default-
+		// valued fields are included, not just what the caller passed in).
+		await runGlobalChangeHooks({
+			modelName: instance.constructor.table(),
+			id: instance.id,
+			changedFields: stripManagedKeys(
+				instance.constructor.deflateValues(instance, true),
+				instance.constructor.idField(),
+			),
+			wasCreated: true,
+			tx,
+		});
+
+		return instance;
+	}
+
+	/**
+	 * Inserts many objects with batched multi-row INSERTs (see `conn.createMany`
+	 * in lib/dbh.js), for imports where one {@link DatabaseObject.create} per
+	 * row is too slow.
+	 *
+	 * Each row goes through `beforeCreateHook`, the `t.generated()` check and
+	 * (optionally) validation before any SQL is sent, and uuid ids come from
+	 * {@link DatabaseObject.generateObjectId}. All batches run in one
+	 * transaction - `tx` when given, otherwise a new one - so a failing batch
+	 * inserts nothing. Global change hooks fire once per row, after the commit
+	 * (of the root transaction, when `tx` is given).
+	 *
+	 * @param {Object[]} rows Key/value pairs of data for each row
+	 * @param {Object} [options]
+	 * @param {number} [options.batchSize=1000] Most rows per INSERT. Statements
+	 * 	are also kept under the dialect's bound-parameter limit (999 on SQLite).
+	 * @param {Object} [options.tx] Transaction handle to write on
+	 * @param {boolean} [options.returning=true] Resolve to instances, inflated
+	 * 	from `RETURNING *` (SQLite/Postgres) or one SELECT per batch (MySQL), and
+	 * 	run `afterCreateHook` / `afterChangeHook` on each. When false, nothing is
+	 * 	re-read, no instance hooks run and the ids are returned instead.
+	 * @param {boolean} [options.validate] Check every row against the schema
+	 * 	first. A `ValidationError` carries the offending `rowIndex`.
+	 * @returns {Promise<DatabaseObject[]|Array<string|number>>} Instances (or ids),
+	 * 	in the order of `rows`
+	 */
+	static async createMany(
+		rows,
+		{ batchSize, tx, returning = true, validate } = {},
+	) {
+		if (!Array.isArray(rows)) {
+			throw new TypeError(
+				`${
+					this.name
+				}.createMany() expects an array of rows, got ${typeof rows}`,
+			);
+		}
+		if (!rows.length) {
+			return [];
+		}
+		tx = await this._boundTx(tx);
+		if (this._needsOutboxTx(tx)) {
+			return this._runInTransaction(null, (outboxTx) =>
+				this.createMany(rows, { batchSize, tx: outboxTx, returning, validate }),
+			);
+		}
+
+		const idField = this.idField();
+		const {
+			fieldMap: {
+				[idField]: { type: idType },
+			},
+		} = this.schema();
+		const shouldValidate = this._shouldValidate(validate);
+		const createdAt = new Date();
+
+		const deflatedRows = [];
+		// Sequential so beforeCreateHook sees the rows in order
+		// eslint-disable-next-line no-restricted-syntax
+		for (const [rowIndex, input] of rows.entries()) {
+			// eslint-disable-next-line no-await-in-loop
+			const data = (await this.beforeCreateHook(input, { tx })) || input;
+			this._assertNoGeneratedFields(data, 'createMany');
+			if (shouldValidate) {
+				try {
+					this.validate(data);
+				} catch (err) {
+					err.rowIndex = rowIndex;
+					throw err;
+				}
+			}
+			if (!data[idField] && idType === 'uuidKey') {
+				data[idField] = this.generateObjectId();
+			}
+			deflatedRows.push(this.deflateValues({ ...data, createdAt }, true));
+		}
+
+		const createdRows = await this._runInTransaction(tx, async (dbh) => {
+			const created = await dbh.createMany(this.table(), deflatedRows, {
+				batchSize,
+				returning,
+				allowBlankIdOnCreate: idType === 'idKey',
+				idGenerator: this.generateObjectId,
+			});
+			if (this.schema().audit) {
+				// eslint-disable-next-line no-restricted-syntax
+				for (const row of created) {
+					// eslint-disable-next-line no-await-in-loop
+					await this._recordHistory(dbh, {
+						action: 'create',
+						id: row[idField],
+						after: row,
+						tx,
+					});
+				}
+			}
+			return created;
+		});
+
+		if (!returning) {
+			// eslint-disable-next-line no-restricted-syntax
+			for (const row of createdRows) {
+				// eslint-disable-next-line no-await-in-loop
+				await runGlobalChangeHooks({
+					modelName: this.table(),
+					id: row[idField],
+					changedFields: stripManagedKeys(row, idField),
+					wasCreated: true,
+					tx,
+				});
+			}
+			return createdRows.map((row) => row[idField]);
+		}
+
+		const span = {
+			name: 'createMany',
+			props: { count: rows.length },
+			stack: [],
+		};
+		const instances = [];
+		// eslint-disable-next-line no-restricted-syntax
+		for (const row of createdRows) {
+			// eslint-disable-next-line no-await-in-loop
+			const instance = await this.inflate(row, span, undefined, { tx });
+			// eslint-disable-next-line no-await-in-loop
+			await instance.afterCreateHook({ tx });
+			// eslint-disable-next-line no-await-in-loop
+			await instance.afterChangeHook({ tx });
+			// eslint-disable-next-line no-await-in-loop
+			await runGlobalChangeHooks({
+				modelName: this.table(),
+				id: instance.id,
+				changedFields: stripManagedKeys(
+					this.deflateValues(instance, true),
+					idField,
+				),
+				wasCreated: true,
+				tx,
+			});
+			instances.push(instance);
+		}
+		return instances;
 	}
 
 	/**
-	 * Retrieves an instance of the given ID from the database (or from memory if present and `allowCached` option is set to a true value (false by default).
-	 *
-	 * Internally, the library will only load the cached object when loading linked fields
-	 * when inflating data from the database.
+	 * Sets `changes` on every row matching `filter` with one UPDATE, without
+	 * loading the rows - e.g. archiving everything older than a date.
 	 *
-	 * Note that you can override the caching implementation by subclassing `DatabaseObject`
-	 * and overriding the {@link DatabaseObject#getCachedId}, {@link DatabaseObject#setCachedId},
-	 * {@link DatabaseObject#removeCachedId}, and {@link DatabaseObject#clearCache} static methods.
-	 * Possible use case would be to use Redis to handle caching instead of local RAM.
+	 * `updatedAt` is bumped and, when the schema has one, a new `nonce` is
+	 * written or the `t.version` field is incremented, so instances loaded
+	 * earlier fail their next `patch()` instead of overwriting the change.
+	 * Matching ids are dropped from the class cache. Per-instance hooks
+	 * (`beforePatchHook`, `afterChangeHook`) do not run; the global change
+	 * hooks get one call listing every row in `ids` (with `id` set to null).
 	 *
-	 * @param {string|number} id ID field to load from the database
-	 * @param {boolean} options.allowCached [default: false] If true, will check the cache for this class for the given ID and if present, returns the cached instance.
-	 * @returns {DatabaseObject} Instantiated `DatabaseObject` containing the data from the database
+	 * @example
+	 *   await Order.updateWhere({ createdAt: { $lt: cutoff } }, { status: 'archived' });
+	 *   // { affectedRows: 12, ids: [...] }
+	 * @param {object} filter Where object, accepting the same operators as
+	 * 	{@link DatabaseObject.search}. Must not be empty.
+	 * @param {object} changes Field values to set
+	 * @param {object} [options]
+	 * @param {object} [options.tx] Transaction handle to write on. Without one,
+	 * 	the UPDATE (and on MySQL, the locking id lookup) runs in a new transaction.
+	 * @param {boolean} [options.validate] Check `changes` against the schema first
+	 * @returns {Promise<{affectedRows: number, ids: Array<string|number>}>}
 	 */
-	static async get(id, { allowCached, span = undefined, tx = undefined } = {}) {
-		if (allowCached) {
-			// 'await' so we can allow subclasses to do async work and block if needed
-			const cached = await this.getCachedId(id);
-			if (cached) {
-				return cached;
-			}
+	static async updateWhere(filter, changes, { tx, validate } = {}) {
+		tx = await this._boundTx(tx);
+		if (this._needsOutboxTx(tx)) {
+			return this._runInTransaction(null, (outboxTx) =>
+				this.updateWhere(filter, changes, { tx: outboxTx, validate }),
+			);
 		}
 
-		if (!span) {
-			span = { name: 'get', props: { id }, stack: [] };
+		this._assertBulkFilter(filter, 'updateWhere');
+		this._assertNoGeneratedFields(changes, 'updateWhere');
+		if (this._shouldValidate(validate)) {
+			this.validate(changes, { partial: true });
 		}
 
-		return this.inflate(
-			await this._runOn(tx, (dbh) => dbh.get(this.table(), id)),
-			span,
-			undefined,
+		const schema = this.schema();
+		const data = { ...changes };
+		if (
+			!data.updatedAt &&
+			!schema.disableAutoUpdatedAt &&
+			schema.fieldMap.updatedAt
+		) {
+			data.updatedAt = new Date();
+		}
+		if (schema.fieldMap.nonce) {
+			data.nonce = generateNonce();
+		}
+		if (schema.versionField) {
+			delete data[schema.versionField];
+		}
+
+		const deflated = this.deflateValues(data);
+		if (!Object.keys(deflated).length) {
+			throw new Error(
+				`${
+					this.name
+				}.updateWhere() was given no fields that are columns on '${this.table()}'`,
+			);
+		}
+
+		const where = this._deflateWhere(filter, { strict: true });
+		const idField = this.idField();
+		const changedFields = stripManagedKeys(deflated, idField);
+		const { affectedRows, ids } = await this._runInTransaction(
+			tx,
+			async (dbh) => {
+				const before = schema.audit
+					? await dbh.search(this.table(), where)
+					: [];
+				const result = await dbh.updateWhere(this.table(), where, deflated, {
+					increment: schema.versionField ? [schema.versionField] : [],
+				});
+				if (schema.audit && result.ids.length) {
+					// One history row per updated row, as patch() would write
+					const beforeById = new Map(
+						before.map((row) => [`${row[idField]}`, row]),
+					);
+					const after = await dbh.search(this.table(), {
+						[idField]: { $in: result.ids },
+					});
+					// eslint-disable-next-line no-restricted-syntax
+					for (const row of after) {
+						// eslint-disable-next-line no-await-in-loop
+						await this._recordHistory(dbh, {
+							action: 'update',
+							id: row[idField],
+							before: beforeById.get(`${row[idField]}`),
+							after: row,
+							changedFields,
+							tx,
+						});
+					}
+				}
+				return result;
+			},
+		);
+
+		ids.forEach((id) => this.removeCachedId(id));
+
+		if (ids.length) {
+			await runGlobalChangeHooks({
+				modelName: this.table(),
+				id: null,
+				ids,
+				affectedRows,
+				changedFields,
+				wasCreated: false,
+				tx,
+			});
+		}
+
+		return { affectedRows, ids };
+	}
+
+	/**
+	 * Soft-deletes every row matching `filter` (and not already deleted) with
+	 * one UPDATE setting `isDeleted` (and `deletedAt`, when the schema has it) -
+	 * the set-based {@link DatabaseObject#remove}. See
+	 * {@link DatabaseObject.updateWhere}; `beforeRemoveHook` and
+	 * `afterRemoveHook` do not run.
+	 *
+	 * @param {object} filter Where object. Must not be empty.
+	 * @param {object} [options] `{ tx }`
+	 * @returns {Promise<{affectedRows: number, ids: Array<string|number>}>}
+	 */
+	static async removeWhere(filter, { tx } = {}) {
+		if (!this.schema().fieldMap.isDeleted) {
+			throw new Error(
+				'Refusing to DELETE objects, add isDeleted field to schema instead',
+			);
+		}
+		this._assertBulkFilter(filter, 'removeWhere');
+		return this.updateWhere(
+			this._deletedScope(filter),
+			this._softDeletePatch(true),
 			{ tx },
 		);
 	}
 
 	/**
-	 * Inserts a new object into the database
+	 * The patch that soft-deletes (or restores) a row: `isDeleted`, plus the
+	 * `deletedAt` timestamp when the schema has one.
+	 * @param {boolean} isDeleted
+	 * @returns {object}
+	 */
+	static _softDeletePatch(isDeleted) {
+		return this.schema().fieldMap.deletedAt
+			? { isDeleted, deletedAt: isDeleted ? new Date() : null }
+			: { isDeleted };
+	}
+
+	/**
+	 * Set-based writes refuse an empty (or missing) filter rather than touch
+	 * every row of the table.
+	 * @param {object} filter
+	 * @param {string} method Name for the error message
+	 */
+	static _assertBulkFilter(filter, method) {
+		if (
+			!filter ||
+			typeof filter !== 'object' ||
+			Array.isArray(filter) ||
+			!Object.keys(filter).length
+		) {
+			throw new Error(
+				`${
+					this.name
+				}.${method}() needs a non-empty filter - refusing to write every row of '${this.table()}'`,
+			);
+		}
+	}
+
+	/**
+	 * Inserts `data`, or - when a row with the same `conflictFields` values
+	 * exists - overwrites its `update` fields, with one native statement
+	 * (`INSERT ... ON DUPLICATE KEY UPDATE` on MySQL, `INSERT ... ON CONFLICT
+	 * DO UPDATE` on SQLite/Postgres; see `conn.upsert` in lib/dbh.js).
 	 *
-	 * See also: {@link DatabaseObject#findOrCreate}
+	 * The database picks insert or update atomically, and the statement says
+	 * which it did where it can (MySQL affectedRows, Postgres xmax). The row
+	 * is also read by `conflictFields` just before the statement, in the same
+	 * transaction and with `SELECT ... FOR UPDATE` where the dialect has it,
+	 * and is diffed for the change hooks and history only on an update.
 	 *
-	 * @param {Object} data Key/value pairs of data to insert into the database
-	 * @returns {DatabaseObject} Instantiated object containing the data given and any default values set in the schema, as well as the fresh ID from the database (or UUID generated)
+	 * As with `findOrCreate()`, the `before` hooks do not run.
+	 * `afterCreateHook` runs on insert, and `afterChangeHook` always runs with
+	 * `wasCreated`.
+	 *
+	 * @example
+	 *   const { instance, wasCreated } = await Member.upsert(
+	 *   	{ org, email, role: 'admin' },
+	 *   	{ conflictFields: ['org', 'email'], update: ['role'] },
+	 *   );
+	 * @param {object} data Key/value pairs to insert
+	 * @param {object} options
+	 * @param {string[]} options.conflictFields Columns of the UNIQUE index (or
+	 * 	primary key) to match on. Each must be set in `data`.
+	 * @param {string[]} [options.update] Fields to overwrite on conflict. Defaults
+	 * 	to every field in `data` except the `conflictFields` and the id. `updatedAt`
+	 * 	and `nonce` are refreshed, and a `t.version` field incremented, either way
+	 * 	when the schema has them.
+	 * @param {object} [options.tx] Transaction handle to write on. Without one,
+	 * 	the read and the upsert run in a new transaction.
+	 * @param {boolean} [options.validate] Check `data` against the schema first
+	 * @returns {Promise<{instance: DatabaseObject, wasCreated: boolean}>}
 	 */
-	static async create(data, { tx } = {}) {
+	static async upsert(data, { conflictFields, update, tx, validate } = {}) {
+		tx = await this._boundTx(tx);
+		if (this._needsOutboxTx(tx)) {
+			return this._runInTransaction(null, (outboxTx) =>
+				this.upsert(data, { conflictFields, update, tx: outboxTx, validate }),
+			);
+		}
+
+		const schema = this.schema();
 		const idField = this.idField();
-		const { [idField]: id } = data;
+		if (!Array.isArray(conflictFields) || !conflictFields.length) {
+			throw new Error(
+				`${this.name}.upsert() needs conflictFields - the columns of the UNIQUE index to match on`,
+			);
+		}
+		const columns = [...conflictFields, ...(update || [])];
+		const unknown = columns.filter((field) => !schema.fieldMap[field]);
+		if (unknown.length) {
+			throw new Error(
+				`${this.name}.upsert() got ${unknown
+					.map((field) => `'${field}'`)
+					.join(', ')}, not columns on '${this.table()}'`,
+			);
+		}
+		const missing = conflictFields.filter(
+			(field) => data[field] === undefined || data[field] === null,
+		);
+		if (missing.length) {
+			throw new Error(
+				`${this.name}.upsert() needs a value for conflict field(s) ${missing
+					.map((field) => `'${field}'`)
+					.join(', ')}`,
+			);
+		}
+
+		this._assertNoGeneratedFields(data, 'upsert');
+		if (this._shouldValidate(validate)) {
+			this.validate(data);
+		}
+
 		const {
 			fieldMap: {
 				[idField]: { type: idType },
 			},
-		} = this.schema();
-
-		if (!id && idType === 'uuidKey') {
-			data[idField] = this.generateObjectId();
-			// console.log(`create() assigned id:`, data.id);
-		} else {
-			// console.log(
-			// 	`create() NOT giving id because data had id or type=${idType}`,
-			// 	data,
-			// );
+		} = schema;
+		const { versionField } = schema;
+		const values = { ...data, createdAt: new Date() };
+		if (versionField) {
+			// New rows start at the column default, existing rows are bumped
+			delete values[versionField];
+		}
+		if (!values[idField] && idType === 'uuidKey') {
+			values[idField] = this.generateObjectId();
+		}
+		const updateFields = (
+			update ||
+			Object.keys(data).filter((field) => !conflictFields.includes(field))
+		).filter(
+			(field) =>
+				field !== idField && field !== 'createdAt' && field !== versionField,
+		);
+		if (!schema.disableAutoUpdatedAt && schema.fieldMap.updatedAt) {
+			values.updatedAt = values.updatedAt || new Date();
+			updateFields.push('updatedAt');
+		}
+		if (schema.fieldMap.nonce) {
+			values.nonce = generateNonce();
+			updateFields.push('nonce');
 		}
 
-		const createArgs = [
-			this.table(),
-			this.deflateValues({ ...data, createdAt: new Date() }, true),
-			{
-				allowBlankIdOnCreate: idType === 'idKey',
-				idGenerator: this.generateObjectId,
-			},
+		const deflated = this.deflateValues(values, true);
+		const onDuplicate = [
+			...new Set(updateFields.filter((field) => field in deflated)),
 		];
+		const lookup = conflictFields.reduce((acc, field) => {
+			acc[field] = deflated[field];
+			return acc;
+		}, {});
+
+		// On update, only the columns whose stored value actually changed (the
+		// version always does)
+		const diffOf = (before, after) =>
+			Object.keys(after).reduce((diff, column) => {
+				if (
+					column !== versionField &&
+					`${after[column]}` !== `${before[column]}`
+				) {
+					diff[column] = after[column];
+				}
+				return diff;
+			}, {});
 
-		const createdRow = await this._runOn(tx, (dbh) =>
-			dbh.create(...createArgs),
+		const { existing, row, wasCreated } = await this._runInTransaction(
+			tx,
+			async (dbh) => {
+				const after = await dbh.upsert(this.table(), deflated, {
+					// Nothing to overwrite: re-set a conflict column to itself, so
+					// the statement is still valid SQL on every dialect
+					onDuplicate: onDuplicate.length ? onDuplicate : [conflictFields[0]],
+					conflictColumns: conflictFields,
+					increment: versionField ? [versionField] : [],
+					allowBlankIdOnCreate: idType === 'idKey',
+					idGenerator: this.generateObjectId,
+					silenceErrors: false,
+					readExisting: true,
+				});
+				const { wasCreated: created, existing: before } =
+					(after && after[UPSERT_META]) || {};
+				if (schema.audit && after && after[idField]) {
+					await this._recordHistory(dbh, {
+						action: created ? 'create' : 'update',
+						id: after[idField],
+						before,
+						after,
+						changedFields: created
+							? undefined
+							: stripManagedKeys(diffOf(before || {}, after), idField),
+						tx,
+					});
+				}
+				return { existing: before, row: after, wasCreated: created };
+			},
 		);
-		// console.log(`obj create result:`, createdRow, {
-		// 	originalData: data,
-		// 	createdRow,
-		// });
-
-		if (!createdRow) {
-			throw new Error(
-				`Internal error creating row in database: Undefined result`,
-			);
-		}
 
-		if (!createdRow[idField]) {
+		if (!row || !row[idField]) {
 			throw new Error(
-				`Internal error after creating row: No id on object returned: ${jsonSafeStringify(
-					createdRow,
+				`Internal error after upsert: No row found for ${jsonSafeStringify(
+					lookup,
 					0,
 				)}`,
 			);
 		}
 
-		const span = { name: 'create', props: { data }, stack: [] };
-
-		const instance = await this.inflate(createdRow, span, undefined, { tx });
-
-		// console.log(`instance from row`, createdRow, instance);
+		const span = { name: 'upsert', props: { data }, stack: [] };
+		const instance = await this.inflate(row, span, undefined, { tx });
 
-		await instance.afterCreateHook({ tx });
-		await instance.afterChangeHook({ tx });
+		if (wasCreated) {
+			await instance.afterCreateHook({ tx });
+		}
+		await instance.afterChangeHook({ wasCreated, tx });
 
-		// Fire global change hooks with the full deflated entity (so default-
-		// valued fields are included, not just what the caller passed in).
+		// On insert, the full entity (like create())
+		const changedFields = wasCreated
+			? this.deflateValues(instance, true)
+			: diffOf(existing || {}, row);
 		await runGlobalChangeHooks({
-			modelName: instance.constructor.table(),
+			modelName: this.table(),
 			id: instance.id,
-			changedFields: stripManagedKeys(
-				instance.constructor.deflateValues(instance, true),
-				instance.constructor.idField(),
-			),
-			wasCreated: true,
+			changedFields: stripManagedKeys(changedFields, idField),
+			wasCreated,
 			tx,
 		});
 
-		return instance;
+		return { instance, wasCreated };
 	}
 
 	/**
@@ -1602,25 +3513,44 @@ class DatabaseObject {
 	 * Patches the object, conditionally only setting certain values if false.
 	 * @param {object} values Values to set on the object and overwrite existing values
 	 * @param {object} ifFalsey Values to set if the existing values are falsey (null/undefined/false/0/empty string)
+	 * @param {object} [options]
+	 * @param {object} [options.tx] Transaction handle to write on
 	 * @returns {DatabaseObject} `this`
 	 */
-	async patchIf(values = {}, ifFalsey = {}) {
+	async patchIf(values = {}, ifFalsey = {}, { tx } = {}) {
+		tx = await this._boundTx(tx);
+		if (this.constructor._needsOutboxTx(tx)) {
+			return this._runInTransaction(null, (outboxTx) =>
+				this.patchIf(values, ifFalsey, { tx: outboxTx }),
+			);
+		}
+
 		// Reset from setter
 		// this._changed = {};
 		const span = { name: 'patchIf', props: { values, ifFalsey }, stack: [] };
 
 		let dbhUsed;
 		const updated = await this._updateProperties(
-			await this.retryIfConnectionLost((dbh) => {
-				dbhUsed = dbh;
-				return dbh.patchIf(
-					this.constructor.table(),
-					this.deflate(this),
-					this.deflate(values),
-					this.deflate(ifFalsey),
-				);
-			}),
+			await this.constructor._auditedWrite(
+				tx,
+				{
+					action: 'update',
+					id: this.getId(),
+					changedFields: (dbh) =>
+						stripManagedKeys(dbh.patchIf.lastPatch, this.idField()),
+				},
+				(dbh) => {
+					dbhUsed = dbh;
+					return dbh.patchIf(
+						this.constructor.table(),
+						this.deflate(this),
+						this.deflate(values),
+						this.deflate(ifFalsey),
+					);
+				},
+			),
 			span,
+			{ tx },
 		);
 
 		// Use the real diff that dbh.patchIf computed (only fields whose values
@@ -1632,6 +3562,7 @@ class DatabaseObject {
 			id: this.id,
 			changedFields: stripManagedKeys(realDiff, this.constructor.idField()),
 			wasCreated: false,
+			tx,
 		});
 
 		return updated;
@@ -1745,7 +3676,7 @@ class DatabaseObject {
 			await new Promise((resolve) => setTimeout(resolve, delay));
 
 			// Load fresh from disk so we have latest changes
-			const db = await this.constructor.get(id);
+			const db = await this.constructor.get(id, { withDeleted: true });
 
 			const canRetry = await shouldRetry(db);
 			if (!canRetry) {
@@ -1764,11 +3695,25 @@ class DatabaseObject {
 		return retryFunc(this);
 	}
 
-	async patch(data, { tx } = {}) {
+	async patch(data, { tx, validate } = {}) {
+		tx = await this._boundTx(tx);
+		if (this.constructor._needsOutboxTx(tx)) {
+			return this._runInTransaction(null, (outboxTx) =>
+				this.patch(data, { tx: outboxTx, validate }),
+			);
+		}
+
 		// Reset from setter
 		// delete this._changed;
 		// console.log("[obj.patch] data=", data);
 
+		const snapshot = this._snapshot();
+		data = (await this.beforePatchHook(data, { tx, snapshot })) || data;
+		this.constructor._assertNoGeneratedFields(data, 'patch');
+		if (this.constructor._shouldValidate(validate)) {
+			this.constructor.validate(data, { partial: true });
+		}
+
 		const schema = this.constructor.schema();
 		if (
 			!data.updatedAt &&
@@ -1778,6 +3723,23 @@ class DatabaseObject {
 			data.updatedAt = new Date();
 		}
 
+		// A t.version field is checked by the UPDATE itself (see conn.patch),
+		// against the version given in the patch or else the one last loaded
+		const { versionField } = schema;
+		const versionCheck = versionField
+			? {
+					versionField,
+					version:
+						data[versionField] !== undefined
+							? data[versionField]
+							: this[versionField],
+			  }
+			: undefined;
+		if (versionField) {
+			data = { ...data };
+			delete data[versionField];
+		}
+
 		// If nonce included in the schema, then enforce nonce feature
 		if (this.constructor.schema().fieldMap.nonce) {
 			// Get the nonce from the patch, or if not given, from the props on this object
@@ -1807,7 +3769,7 @@ class DatabaseObject {
 			}
 
 			// Generate a new random nonce for this edit
-			data.nonce = `nonce_${Math.round(Math.random() * Date.now())}`;
+			data.nonce = generateNonce();
 		}
 
 		const deflated = this.deflate(data);
@@ -1824,24 +3786,37 @@ class DatabaseObject {
 			return this;
 		}
 
+		// Global change hooks get the deflated changed fields (managed keys and
+		// the id field stripped so consumers only see user-driven changes).
+		const change = {
+			modelName: this.constructor.table(),
+			id: this.id,
+			changedFields: stripManagedKeys(deflated, this.constructor.idField()),
+			wasCreated: false,
+		};
+
 		const span = { name: 'patch', props: { data }, stack: [] };
 		const updated = await this._updateProperties(
-			await this._runOn(tx, (dbh) =>
-				dbh.patch(this.constructor.table(), this[this.idField()], deflated),
+			await this.constructor._auditedWrite(
+				tx,
+				{
+					action: 'update',
+					id: this.getId(),
+					changedFields: change.changedFields,
+				},
+				(dbh) =>
+					dbh.patch(
+						this.constructor.table(),
+						this[this.idField()],
+						deflated,
+						versionCheck,
+					),
 			),
 			span,
-			{ tx },
+			{ tx, snapshot },
 		);
 
-		// Fire global change hooks with the deflated changed fields (managed
-		// keys and the id field stripped so consumers only see user-driven changes).
-		await runGlobalChangeHooks({
-			modelName: this.constructor.table(),
-			id: this.id,
-			changedFields: stripManagedKeys(deflated, this.constructor.idField()),
-			wasCreated: false,
-			tx,
-		});
+		await runGlobalChangeHooks({ ...change, tx });
 
 		return updated;
 	}
@@ -1849,39 +3824,134 @@ class DatabaseObject {
 	/**
 	 * remove - Sets the 'isDeleted' property to true, or throws Error if no isDeleted defined in schema().fieldMap
 	 *
+	 * Runs beforeRemoveHook / afterRemoveHook around the soft-delete patch
+	 * (which runs beforePatchHook as well). When the schema has a `deletedAt`
+	 * field, the patch sets it to now. Undo with {@link DatabaseObject#restore}.
+	 *
+	 * @param {object} [options]
+	 * @param {object} [options.tx] Transaction handle to write on (also passed to the hooks)
 	 * @returns {Promise} promise that fulfills when patch completes
 	 */
 	remove({ tx } = {}) {
-		this.constructor.removeCachedId(this[this.idField()]);
-
 		// return dbh.destroy(this.constructor.table(), this.id);
 		// throw new Error("todo");
-		if (this.constructor.schema().fieldMap.isDeleted) {
-			return this.patch({ isDeleted: true }, { tx });
+		if (!this.constructor.schema().fieldMap.isDeleted) {
+			// console.dir(this.constructor.fields());
+			throw new Error(
+				'Refusing to DELETE object, add isDeleted field to schema instead',
+			);
 		}
-		// console.dir(this.constructor.fields());
-		throw new Error(
-			'Refusing to DELETE object, add isDeleted field to schema instead',
+
+		return this._boundTx(tx).then((boundTx) =>
+			this._runRemoveHooks({ tx: boundTx, hard: false }, () => {
+				this.constructor.removeCachedId(this[this.idField()]);
+				return this.patch(this.constructor._softDeletePatch(true), {
+					tx: boundTx,
+				});
+			}),
 		);
 	}
 
 	/**
-	 * So named so it's not easy to delete accidentally
+	 * restore - Undoes {@link DatabaseObject#remove}: sets 'isDeleted' back to
+	 * false (and `deletedAt` to null when the schema has it). Runs as a patch,
+	 * so beforePatchHook / afterChangeHook and the global change hooks fire.
+	 *
+	 * @example
+	 *   const [order] = await Order.search({ id }, { onlyDeleted: true });
+	 *   await order.restore();
+	 * @param {object} [options]
+	 * @param {object} [options.tx] Transaction handle to write on (also passed to the hooks)
+	 * @returns {Promise} promise that fulfills when patch completes
 	 */
-	async reallyDelete() {
-		this.constructor.removeCachedId(this[this.idField()]);
+	restore({ tx } = {}) {
+		if (!this.constructor.schema().fieldMap.isDeleted) {
+			throw new Error(
+				'Nothing to restore, add isDeleted field to schema to soft-delete objects',
+			);
+		}
 
-		const { table } = parseIdField(this.constructor.table());
-		return this.retryIfConnectionLost((dbh) => {
-			const idField = this.idField();
-			const sql = `delete from ${autoFixTable(
-				table,
-				dbh,
-			)} where \`${idField}\`=:id`;
-			return dbh.pquery(sql, { id: this[idField] });
+		return this.patch(this.constructor._softDeletePatch(false), { tx });
+	}
+
+	/**
+	 * So named so it's not easy to delete accidentally
+	 *
+	 * @param {object} [options]
+	 * @param {object} [options.tx] Transaction handle to write on (also passed to the hooks)
+	 */
+	async reallyDelete({ tx } = {}) {
+		tx = await this._boundTx(tx);
+		return this._runRemoveHooks({ tx, hard: true }, () => {
+			this.constructor.removeCachedId(this[this.idField()]);
+
+			const { table } = parseIdField(this.constructor.table());
+			const entry = { action: 'delete', id: this.getId() };
+			return this.constructor._auditedWrite(tx, entry, (dbh) => {
+				const idField = this.idField();
+				const sql = `delete from ${autoFixTable(
+					table,
+					dbh,
+				)} where \`${idField}\`=:id`;
+				return dbh.pquery(sql, { id: this[idField] });
+			});
 		});
 	}
 
+	async _runRemoveHooks({ tx, hard }, write) {
+		const snapshot = this._snapshot();
+		await this.beforeRemoveHook({ tx, snapshot, hard });
+		const result = await write();
+		await this.afterRemoveHook({ tx, snapshot, hard });
+		return result;
+	}
+
+	/**
+	 * Reads back the history of this row, oldest first, for a definition with
+	 * `audit: true`. Each entry is
+	 * `{ id, action, actor, before, after, changedFields, createdAt }`, where
+	 * `before` / `after` are the raw (deflated) row around the write - null
+	 * on create / delete - and `changedFields` matches the payload given to
+	 * the global change hooks.
+	 *
+	 * @example
+	 *   const [created, ...changes] = await invoice.history();
+	 * @param {object} [options]
+	 * @param {object} [options.tx] Transaction handle to read on
+	 * @returns {Promise<object[]>}
+	 */
+	async history({ tx } = {}) {
+		const historyTable = this.constructor.historyTable();
+		if (!historyTable) {
+			throw new Error(
+				`${this.constructor.name} has no history, set audit: true in its definition and run schema-sync`,
+			);
+		}
+
+		const { table } = parseIdField(historyTable);
+		const rows = await this._runOn(tx, (dbh) =>
+			dbh.roQuery(
+				`select * from ${autoFixTable(
+					table,
+					dbh,
+				)} where \`recordId\`=:id order by \`id\``,
+				{ id: `${this.getId()}` },
+			),
+		);
+
+		const parse = (json) =>
+			json === null || json === undefined ? null : jsonSafeParse(json);
+		return Array.from(rows || []).map((row) => ({
+			id: row.id,
+			action: row.action,
+			actor: row.actor,
+			before: parse(row.beforeData),
+			after: parse(row.afterData),
+			changedFields: parse(row.changedFields),
+			createdAt: row.createdAt ? new Date(row.createdAt) : null,
+		}));
+	}
+
 	/**
 	 * Get the ID value for this object
 	 * @returns {any} Returns the ID for this object
@@ -2036,6 +4106,46 @@ const getCachedDefinition = (basePath, definitionFile) => {
 	return definition;
 };
 
+/**
+ * Install one async accessor per relation on the class prototype, so
+ * `await post.comments(opts)` calls `post.loadRelation('comments', opts)`.
+ * `t.manyToMany()` relations also get `addTags` / `removeTags` / `setTags`
+ * style helpers (see addRelated). Subclasses can still override them like any
+ * other method.
+ *
+ * @param {class} ModelClass Class returned by loadDefinition
+ * @param {object} schema Converted schema for that class
+ * @returns {class} The same class
+ */
+const defineRelationAccessors = (ModelClass, schema) => {
+	const define = (method, value) =>
+		Object.defineProperty(ModelClass.prototype, method, {
+			configurable: true,
+			writable: true,
+			value,
+		});
+
+	Object.entries(schema.relations || {}).forEach(([name, relation]) => {
+		define(name, function relationAccessor(options) {
+			return this.loadRelation(name, options);
+		});
+
+		if (relation.type === 'manyToMany') {
+			const suffix = name.charAt(0).toUpperCase() + name.slice(1);
+			define(`add${suffix}`, function addRelated(items, options) {
+				return this.addRelated(name, items, options);
+			});
+			define(`remove${suffix}`, function removeRelated(items, options) {
+				return this.removeRelated(name, items, options);
+			});
+			define(`set${suffix}`, function setRelated(items, options) {
+				return this.setRelated(name, items, options);
+			});
+		}
+	});
+	return ModelClass;
+};
+
 /**
  * loadDefinition - Convenience function so subclasses can do this:
  * ```
@@ -2089,15 +4199,18 @@ const loadDefinition = (definitionFile) => {
 	// or adding a Redis cache instead of in-memory cache, etc.
 	const { baseClass = DatabaseObject } = config;
 
-	return class extends baseClass {
-		static basePath() {
-			return basePath;
-		}
+	return defineRelationAccessors(
+		class extends baseClass {
+			static basePath() {
+				return basePath;
+			}
 
-		static schema() {
-			return schema;
-		}
-	};
+			static schema() {
+				return schema;
+			}
+		},
+		schema,
+	);
 };
 
 /**
@@ -2150,4 +4263,8 @@ module.exports = {
 	isConstraintError,
 	// Global change hooks — fired after every successful create() / patch()
 	registerGlobalChangeHook,
+	// Delivers the outbox rows written in outbox mode (see lib/outbox.js)
+	createOutboxRelay,
+	// Thrown by create() / patch() when schema validation is on
+	ValidationError,
 };
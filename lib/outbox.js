@@ -0,0 +1,264 @@
+/**
+ * Transactional outbox for the global change hook payloads.
+ *
+ * `registerGlobalChangeHook()` runs in process, after the write (or its
+ * commit), and swallows errors - fine for cache busting, but an event
+ * published to a queue from there is lost when the process dies between the
+ * commit and the publish.
+ *
+ * With `outbox: true` in the config, every payload is also inserted into the
+ * `yass_outbox` table on the write's own transaction (models open one when no
+ * `tx` is given), so the event commits or rolls back with the change. A relay
+ * from {@link createOutboxRelay} then drains the table in id order and hands
+ * each payload to a handler:
+ *
+ *   - at-least-once: a row is deleted only after the handler resolves, so a
+ *     crash mid-delivery delivers it again. Handlers must be idempotent.
+ *   - in order: a failing row holds back the rows after it until it is
+ *     delivered or dead-lettered.
+ *   - retries: each failure is counted in `attempts` (with `lastError`), and
+ *     the relay waits `retryDelayMs * 2^(attempts-1)` before trying again.
+ *   - dead-lettering: after `maxAttempts` failures the row is kept with
+ *     `status = 'dead'` and skipped. Set it back to `'pending'` to replay it.
+ *
+ * Run one relay per outbox table - two relays would deliver rows twice.
+ */
+
+const config = require('./config');
+const { dbh: defaultDbh, autoFixTable } = require('./dbh');
+const { convertDefinition } = require('./def-to-schema');
+const { jsonSafeStringify } = require('./jsonSafeStringify');
+const { jsonSafeParse } = require('./jsonSafeParse');
+
+const OUTBOX_TABLE = 'yass_outbox';
+
+/**
+ * Schema for the outbox table, ready for syncSchemaToDb().
+ * @returns {object|null} null unless `outbox` is set in the config
+ */
+function outboxTableSchema() {
+	if (!config.outbox) {
+		return null;
+	}
+	return convertDefinition(({ types: t }) => ({
+		table: OUTBOX_TABLE,
+		schema: {
+			id: t.idKey,
+			modelName: t.string,
+			// Text, so int and uuid ids fit alike. Null for set-based writes.
+			recordId: t.string,
+			payload: t.text,
+			status: t.string,
+			attempts: t.int,
+			lastError: t.text,
+			createdAt: t.datetime,
+		},
+		indexes: {
+			[`idx_${OUTBOX_TABLE}_status`]: ['status'],
+		},
+	}));
+}
+
+/**
+ * Insert a global change hook payload into the outbox, on `tx` so it commits
+ * with the write it describes.
+ * @param {object} tx Transaction handle the write ran on
+ * @param {object} payload Global change hook payload (`tx` is left out)
+ */
+async function writeOutboxEvent(tx, payload) {
+	const event = { ...payload };
+	delete event.tx;
+	if (!tx) {
+		throw new Error(
+			`yass-orm outbox: the change to '${event.modelName}' was written outside a transaction, so its event can't be written with it`,
+		);
+	}
+	await tx.create(
+		OUTBOX_TABLE,
+		{
+			modelName: event.modelName,
+			recordId:
+				event.id === undefined || event.id === null ? null : `${event.id}`,
+			payload: jsonSafeStringify(event, 0),
+			status: 'pending',
+			attempts: 0,
+			createdAt: new Date(),
+		},
+		{ allowBlankIdOnCreate: true },
+	);
+}
+
+/**
+ * Create a relay that delivers outbox rows to `handler`. Call `start()` to
+ * poll, or `drain()` to deliver what is pending once (e.g. from a cron job).
+ *
+ * @example
+ *   const relay = createOutboxRelay({
+ *   	handler: (payload) => queue.publish(payload.modelName, payload),
+ *   	pollIntervalMs: 500,
+ *   });
+ *   relay.start();
+ *   // on shutdown
+ *   await relay.stop();
+ * @param {object} options
+ * @param {function} options.handler `(payload, { outboxId, attempts })`, may
+ * 	be async. `payload` is what a global change hook gets, minus `tx`. Throw
+ * 	(or reject) to have the row retried.
+ * @param {number} [options.pollIntervalMs=1000] Wait between polls when the
+ * 	outbox is empty
+ * @param {number} [options.batchSize=100] Most rows read per poll
+ * @param {number} [options.maxAttempts=10] Failures before a row is dead-lettered
+ * @param {number} [options.retryDelayMs=1000] Wait after the first failure of a
+ * 	row, doubled for each further failure
+ * @param {function} [options.onDeadLetter] `(payload, error, { outboxId, attempts })`,
+ * 	called when a row is dead-lettered
+ * @param {object|function} [options.dbh] Handle (or async function returning
+ * 	one) the outbox lives on. Defaults to the configured handle.
+ * @param {object} [options.logger=console] Gets `error()` when a poll fails
+ * @returns {{start: function, stop: function, drain: function}}
+ */
+function createOutboxRelay({
+	handler,
+	pollIntervalMs = 1000,
+	batchSize = 100,
+	maxAttempts = 10,
+	retryDelayMs = 1000,
+	onDeadLetter,
+	dbh = defaultDbh,
+	logger = console,
+} = {}) {
+	if (typeof handler !== 'function') {
+		throw new TypeError('createOutboxRelay() needs a handler function');
+	}
+	if (!Number.isInteger(batchSize) || batchSize < 1) {
+		throw new TypeError(
+			`createOutboxRelay() batchSize must be a positive integer, got ${batchSize}`,
+		);
+	}
+	if (!Number.isInteger(maxAttempts) || maxAttempts < 1) {
+		throw new TypeError(
+			`createOutboxRelay() maxAttempts must be a positive integer, got ${maxAttempts}`,
+		);
+	}
+
+	let timer;
+	let running = false;
+	// Drains run one at a time, whether from the poll loop or drain()
+	let queue = Promise.resolve();
+
+	async function drainOnce() {
+		const conn = typeof dbh === 'function' ? await dbh() : dbh;
+		const tableSql = autoFixTable(OUTBOX_TABLE, conn);
+		const rows = await conn.pquery(
+			`select * from ${tableSql} where \`status\`=:status order by \`id\` limit ${batchSize}`,
+			{ status: 'pending' },
+		);
+
+		const batch = Array.from(rows || []);
+
+		const result = {
+			delivered: 0,
+			deadLettered: 0,
+			retryInMs: null,
+			more: false,
+		};
+		// Sequential - the order of delivery is the point
+		// eslint-disable-next-line no-restricted-syntax
+		for (const row of batch) {
+			const payload = jsonSafeParse(row.payload);
+			const attempts = Number(row.attempts || 0) + 1;
+			const meta = { outboxId: row.id, attempts };
+			let error;
+			try {
+				// eslint-disable-next-line no-await-in-loop
+				await handler(payload, meta);
+			} catch (err) {
+				error = err || new Error('outbox handler rejected');
+			}
+
+			if (!error) {
+				// eslint-disable-next-line no-await-in-loop
+				await conn.pquery(`delete from ${tableSql} where \`id\`=:id`, {
+					id: row.id,
+				});
+				result.delivered += 1;
+			} else {
+				const dead = attempts >= maxAttempts;
+				// eslint-disable-next-line no-await-in-loop
+				await conn.patch(OUTBOX_TABLE, row.id, {
+					attempts,
+					lastError: `${error.message || error}`,
+					...(dead ? { status: 'dead' } : {}),
+				});
+				if (!dead) {
+					// Later rows wait for this one
+					result.retryInMs = retryDelayMs * 2 ** (attempts - 1);
+					break;
+				}
+				result.deadLettered += 1;
+				if (onDeadLetter) {
+					// eslint-disable-next-line no-await-in-loop
+					await onDeadLetter(payload, error, meta);
+				}
+			}
+		}
+		result.more = result.retryInMs === null && batch.length === batchSize;
+		return result;
+	}
+
+	/**
+	 * Deliver the pending rows, one batch.
+	 * @returns {Promise<{delivered: number, deadLettered: number, retryInMs: number|null, more: boolean}>}
+	 * 	`retryInMs` is set when a row failed and holds back the rest; `more` when
+	 * 	the batch was full.
+	 */
+	function drain() {
+		const next = queue.then(drainOnce);
+		queue = next.catch(() => {});
+		return next;
+	}
+
+	function schedule(delay) {
+		if (!running) {
+			return;
+		}
+		timer = setTimeout(async () => {
+			let wait = pollIntervalMs;
+			try {
+				const { retryInMs, more } = await drain();
+				if (retryInMs !== null) {
+					wait = retryInMs;
+				} else if (more) {
+					wait = 0;
+				}
+			} catch (err) {
+				logger.error('[yass-orm] outbox relay poll failed:', err);
+			}
+			schedule(wait);
+		}, delay);
+	}
+
+	return {
+		/** Start polling. Does nothing if already started. */
+		start() {
+			if (!running) {
+				running = true;
+				schedule(0);
+			}
+		},
+		/** Stop polling, resolving once an in-flight drain has finished. */
+		async stop() {
+			running = false;
+			clearTimeout(timer);
+			await queue;
+		},
+		drain,
+	};
+}
+
+module.exports = {
+	OUTBOX_TABLE,
+	outboxTableSchema,
+	writeOutboxEvent,
+	createOutboxRelay,
+};
@@ -0,0 +1,550 @@
+/**
+ * Chainable query builder returned by `Model.query()`.
+ *
+ *   const adults = await User.query()
+ *     .where({ age: { $gte: 18 } })
+ *     .orderBy('createdAt', 'desc')
+ *     .limit(20);
+ *
+ * Everything a hand-written `fromSql()` string skips is done here: field names
+ * are checked against the model's fieldMap, operands are deflated exactly like
+ * `search()` values, identifiers go through the handle's `escapeId` (the
+ * dialect's `quoteIdentifier`) and values through `:name` placeholders that
+ * the dialect's `transformSql` rewrites. The same chain therefore runs
+ * unchanged on MySQL, SQLite and Postgres.
+ *
+ * Builders are immutable - every chain method returns a NEW builder - so a
+ * base query can be shared and refined without the refinements leaking back.
+ */
+const { parseIdField } = require('./parseIdField');
+const { autoFixTable } = require('./dbh');
+const { compileWhere, validateWhere } = require('./where-clause');
+const { parseIncludePaths } = require('./include-paths');
+const {
+	normalizePageOptions,
+	keysetOrder,
+	keysetWhere,
+	encodeCursor,
+	decodeCursor,
+} = require('./keyset');
+const {
+	promisePoolMap,
+	DEFAULT_PROMISE_POOL_MAP_CONFIG,
+} = require('./promiseMap');
+
+const COUNT_ALIAS = 'yass_count';
+
+// aggregate() functions, each taking a column or a list of columns
+const AGGREGATE_FUNCTIONS = ['sum', 'avg', 'min', 'max'];
+const AGGREGATE_KEYS = ['groupBy', ...AGGREGATE_FUNCTIONS];
+// Keys of every aggregate() result row, so no group key may take them
+const AGGREGATE_RESULT_KEYS = ['count', ...AGGREGATE_FUNCTIONS];
+
+function fail(message) {
+	throw new Error(`yass-orm query(): ${message}`);
+}
+
+function assertNonNegativeInteger(name, value) {
+	if (!Number.isInteger(value) || value < 0) {
+		fail(
+			`${name}() must be given a non-negative integer, got ${JSON.stringify(
+				value,
+			)}.`,
+		);
+	}
+}
+
+class QueryBuilder {
+	/**
+	 * @param {typeof import('./obj').DatabaseObject} Model Model class to query
+	 * @param {object} [state] Internal - used by the chain methods to clone
+	 */
+	constructor(Model, state = {}) {
+		this.Model = Model;
+		this.state = {
+			wheres: [],
+			orders: [],
+			limit: undefined,
+			offset: undefined,
+			columns: undefined,
+			include: [],
+			tx: undefined,
+			...state,
+		};
+	}
+
+	_clone(patch) {
+		return new QueryBuilder(this.Model, { ...this.state, ...patch });
+	}
+
+	_validColumns() {
+		return Object.keys(this.Model.schema().fieldMap);
+	}
+
+	_assertColumn(method, field) {
+		const validColumns = this._validColumns();
+		if (typeof field !== 'string' || !validColumns.includes(field)) {
+			fail(
+				`${method}() names '${field}', which is not a column on this model. Known columns: ${validColumns.join(
+					', ',
+				)}.`,
+			);
+		}
+	}
+
+	/**
+	 * Add a where clause. Accepts the `search()` vocabulary: plain equality,
+	 * operator objects and `$or`/`$and`/`$not` groups (see lib/where-clause.js).
+	 * Repeated calls are ANDed. Unlike legacy `search()`, every field named must
+	 * be a column on the model, even in equality-only clauses.
+	 * @param {object} clause
+	 * @returns {QueryBuilder}
+	 */
+	where(clause) {
+		validateWhere(clause, { validColumns: this._validColumns() });
+		return this._clone({ wheres: [...this.state.wheres, clause] });
+	}
+
+	/**
+	 * Add an ORDER BY term. Repeated calls add secondary sort keys.
+	 * @param {string} field Column on this model
+	 * @param {'ASC'|'DESC'|'asc'|'desc'} [direction='ASC']
+	 * @returns {QueryBuilder}
+	 */
+	orderBy(field, direction = 'ASC') {
+		this._assertColumn('orderBy', field);
+		const dir = `${direction}`.toUpperCase();
+		if (dir !== 'ASC' && dir !== 'DESC') {
+			fail(`orderBy() direction must be 'ASC' or 'DESC', got '${direction}'.`);
+		}
+		return this._clone({ orders: [...this.state.orders, { field, dir }] });
+	}
+
+	/**
+	 * @param {number} count Maximum rows to return
+	 * @returns {QueryBuilder}
+	 */
+	limit(count) {
+		assertNonNegativeInteger('limit', count);
+		return this._clone({ limit: count });
+	}
+
+	/**
+	 * Requires `limit()` - MySQL and SQLite reject OFFSET without LIMIT.
+	 * @param {number} count Rows to skip
+	 * @returns {QueryBuilder}
+	 */
+	offset(count) {
+		assertNonNegativeInteger('offset', count);
+		return this._clone({ offset: count });
+	}
+
+	/**
+	 * Restrict the columns read. A partial row cannot become a model instance -
+	 * inflating it would overwrite the shared cached instance's other fields
+	 * with `undefined` - so a query with `select()` resolves to PLAIN OBJECTS
+	 * holding just the selected fields (inflated: Dates, booleans, JSON, linked
+	 * models), not instances.
+	 * @param {...string} fields Columns on this model
+	 * @returns {QueryBuilder}
+	 */
+	select(...fields) {
+		const columns = fields.flat();
+		if (!columns.length) {
+			fail(`select() needs at least one column.`);
+		}
+		columns.forEach((field) => this._assertColumn('select', field));
+		return this._clone({ columns });
+	}
+
+	/**
+	 * Eager-load `t.linked()` fields and `t.hasMany()` relations in batches (one
+	 * `IN` query per model per level) instead of one query per row. Repeated
+	 * calls accumulate.
+	 * @param {...string} paths Dotted paths, e.g. `'owner'`, `'account.org'`
+	 * @returns {QueryBuilder}
+	 */
+	include(...paths) {
+		const list = paths.flat();
+		// Parse now so a malformed path throws where the chain is built.
+		parseIncludePaths(list);
+		return this._clone({ include: [...this.state.include, ...list] });
+	}
+
+	/**
+	 * Run on a transaction handle from `dbh.transaction((tx) => ...)`, like the
+	 * `{ tx }` option of `search()`. Pass `null` to run outside a transaction
+	 * bound by `Model.transaction()`, or another falsey value to clear it.
+	 * @param {object|null} tx
+	 * @returns {QueryBuilder}
+	 */
+	tx(tx) {
+		return this._clone({ tx: tx === null ? null : tx || undefined });
+	}
+
+	/**
+	 * Build the SQL for this query.
+	 * @param {object} dbh Handle whose `escapeId` quotes identifiers
+	 * @param {object} [options]
+	 * @param {string} [options.selectSql] Override the select list (used by count/exists)
+	 * @param {boolean} [options.bounded=true] Include ORDER BY / LIMIT / OFFSET
+	 * @returns {{sql: string, params: object}}
+	 */
+	toSql(dbh, { selectSql, bounded = true } = {}) {
+		const { Model } = this;
+		const { wheres, orders, limit, offset, columns } = this.state;
+		const escapeId = (x) => dbh.escapeId(x);
+
+		if (offset !== undefined && limit === undefined) {
+			fail(
+				`offset() requires limit() - SQL cannot express an offset without a limit.`,
+			);
+		}
+
+		let where;
+		if (wheres.length) {
+			const deflated = wheres.map((clause) =>
+				Model._deflateWhere(clause, { strict: true }),
+			);
+			where = compileWhere(
+				deflated.length === 1 ? deflated[0] : { $and: deflated },
+				{ escapeId },
+			);
+		} else {
+			where = { sql: '', params: {} };
+		}
+
+		let select = selectSql;
+		if (!select) {
+			if (columns) {
+				// The id is always read so each row stays identifiable.
+				const idField = Model.idField();
+				const list = columns.includes(idField)
+					? columns
+					: [idField, ...columns];
+				select = list.map(escapeId).join(', ');
+			} else {
+				select = '*';
+			}
+		}
+
+		const { table } = parseIdField(Model.table());
+		let sql = /* sql */ `select ${select} from ${autoFixTable(table, dbh)}`;
+		if (where.sql) {
+			sql += /* sql */ ` where ${where.sql}`;
+		}
+		if (bounded) {
+			if (orders.length) {
+				sql += /* sql */ ` order by ${orders
+					.map(({ field, dir, nulls }) => {
+						const term = `${escapeId(field)} ${dir}`;
+						// Set by paginate() - the same NULL placement on every dialect
+						return nulls
+							? `(${escapeId(field)} is null) ${
+									nulls === 'first' ? 'desc' : 'asc'
+							  }, ${term}`
+							: term;
+					})
+					.join(', ')}`;
+			}
+			if (limit !== undefined) {
+				sql += /* sql */ ` limit ${limit}`;
+				if (offset !== undefined) {
+					sql += /* sql */ ` offset ${offset}`;
+				}
+			}
+		}
+
+		return { sql, params: where.params };
+	}
+
+	_query(options) {
+		return this.Model._runOn(this.state.tx, (dbh) => {
+			const { sql, params } = this.toSql(dbh, options);
+			return dbh.roQuery(sql, params);
+		});
+	}
+
+	async _inflateRows(rows) {
+		const { Model } = this;
+		const { tx, columns, include } = this.state;
+		const span = {
+			name: 'query',
+			props: { state: { ...this.state, tx: undefined } },
+			stack: [],
+		};
+
+		if (include.length) {
+			await Model._preloadIncludes(rows, include, { tx, span });
+		}
+		const promisePoolMapConfig =
+			Model.promisePoolMapConfig || DEFAULT_PROMISE_POOL_MAP_CONFIG;
+
+		if (!columns) {
+			return promisePoolMap(
+				rows,
+				async (row) => Model.inflate(row, span, undefined, { tx }),
+				promisePoolMapConfig,
+			);
+		}
+
+		return promisePoolMap(
+			rows,
+			async (row) => {
+				const values = await Model.inflateValues(row, span, undefined, {
+					tx,
+				});
+				const picked = {};
+				columns.forEach((field) => {
+					picked[field] = values[field];
+				});
+				return picked;
+			},
+			promisePoolMapConfig,
+		);
+	}
+
+	/**
+	 * Run the query.
+	 * @returns {Promise<Array>} Inflated instances, or plain objects after `select()`
+	 */
+	async all() {
+		return this._inflateRows(await this._query());
+	}
+
+	/**
+	 * Run the query with `limit 1`.
+	 * @returns {Promise<object|null>} First match or `null`
+	 */
+	async first() {
+		const [row] = await this.limit(1).all();
+		return row === undefined ? null : row;
+	}
+
+	/**
+	 * Count matching rows. Ordering, limit and offset are ignored.
+	 * @returns {Promise<number>}
+	 */
+	async count() {
+		const rows = await this._query({
+			selectSql: /* sql */ `count(*) as ${COUNT_ALIAS}`,
+			bounded: false,
+		});
+		// Postgres returns COUNT(*) as a bigint string.
+		return Number(rows[0][COUNT_ALIAS]);
+	}
+
+	/**
+	 * Group and aggregate the matching rows. Ordering, limit and offset are
+	 * ignored; groups come back sorted by their keys.
+	 *
+	 *   await Order.query().where({ year: 2026 }).aggregate({
+	 *     groupBy: ['status'], sum: 'amount', avg: ['score', 'weight'],
+	 *   });
+	 *   // [{ status: 'paid', count: 12, sum: { amount: 340 }, avg: { score: 4.5, weight: 2 } }, ...]
+	 *
+	 * Every row carries `count`. Group keys and `min` / `max` values are
+	 * inflated like the column (Dates, booleans, linked instances); `sum`,
+	 * `avg` and `count` are numbers, or `null` for `sum` / `avg` over no
+	 * values. Without `groupBy` the result is a single row. Group keys sit
+	 * beside these, so a `groupBy` column named `count`, `sum`, `avg`, `min`
+	 * or `max` throws.
+	 * @param {object} spec `{ groupBy, sum, avg, min, max }`, each a column or list of columns
+	 * @returns {Promise<Array<object>>} Plain objects, one per group
+	 */
+	async aggregate(spec = {}) {
+		const { Model } = this;
+		if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+			fail(`aggregate() must be given an object like { groupBy, sum }.`);
+		}
+		Object.keys(spec).forEach((key) => {
+			if (!AGGREGATE_KEYS.includes(key)) {
+				fail(
+					`aggregate() got unknown key '${key}'. Supported: ${AGGREGATE_KEYS.join(
+						', ',
+					)}.`,
+				);
+			}
+		});
+
+		const columnList = (key) =>
+			[spec[key] === undefined ? [] : spec[key]].flat().map((field) => {
+				this._assertColumn(`aggregate({ ${key} })`, field);
+				return field;
+			});
+		const groupBy = columnList('groupBy');
+		groupBy.forEach((field) => {
+			if (AGGREGATE_RESULT_KEYS.includes(field)) {
+				fail(
+					`aggregate() can't group by '${field}' - every result row has a '${field}' key of its own.`,
+				);
+			}
+		});
+		const aggregates = [];
+		AGGREGATE_FUNCTIONS.forEach((fn) => {
+			columnList(fn).forEach((field) => {
+				aggregates.push({
+					fn,
+					field,
+					alias: `yass_${fn}_${aggregates.length}`,
+				});
+			});
+		});
+
+		const rows = await this.Model._runOn(this.state.tx, (dbh) => {
+			const escapeId = (x) => dbh.escapeId(x);
+			const { sql, params } = this.toSql(dbh, {
+				selectSql: [
+					...groupBy.map(escapeId),
+					/* sql */ `count(*) as ${COUNT_ALIAS}`,
+					...aggregates.map(
+						({ fn, field, alias }) =>
+							/* sql */ `${fn}(${escapeId(field)}) as ${alias}`,
+					),
+				].join(', '),
+				bounded: false,
+			});
+			const grouped = groupBy.length
+				? /* sql */ ` group by ${groupBy
+						.map(escapeId)
+						.join(', ')} order by ${groupBy.map(escapeId).join(', ')}`
+				: '';
+			return dbh.roQuery(`${sql}${grouped}`, params);
+		});
+
+		const { tx } = this.state;
+		return promisePoolMap(
+			rows,
+			async (row) => {
+				// Group keys and min/max share the column's inflation. Drivers
+				// return sums / averages as strings for DECIMAL and bigint results.
+				const raw = {};
+				groupBy.forEach((field) => {
+					raw[field] = row[field];
+				});
+				const keys = groupBy.length
+					? await Model.inflateValues(raw, undefined, undefined, { tx })
+					: {};
+				const result = { count: Number(row[COUNT_ALIAS]) };
+				groupBy.forEach((field) => {
+					result[field] = keys[field];
+				});
+				// eslint-disable-next-line no-restricted-syntax
+				for (const { fn, field, alias } of aggregates) {
+					const value = row[alias];
+					result[fn] = result[fn] || {};
+					if (value === null || value === undefined) {
+						result[fn][field] = null;
+					} else if (fn === 'sum' || fn === 'avg') {
+						result[fn][field] = Number(value);
+					} else {
+						// eslint-disable-next-line no-await-in-loop
+						const inflated = await Model.inflateValues(
+							{ [field]: value },
+							undefined,
+							undefined,
+							{ tx },
+						);
+						result[fn][field] = inflated[field];
+					}
+				}
+				return result;
+			},
+			Model.promisePoolMapConfig || DEFAULT_PROMISE_POOL_MAP_CONFIG,
+		);
+	}
+
+	/**
+	 * @returns {Promise<boolean>} True if at least one row matches
+	 */
+	async exists() {
+		const rows = await this._clone({ orders: [], offset: undefined })
+			.limit(1)
+			._query({ selectSql: '1 as yass_exists' });
+		return rows.length > 0;
+	}
+
+	/**
+	 * Read one column from every matching row.
+	 * @param {string} field Column on this model
+	 * @returns {Promise<Array>} Inflated values, in query order
+	 */
+	async pluck(field) {
+		this._assertColumn('pluck', field);
+		const rows = await this.select(field).all();
+		return rows.map((row) => row[field]);
+	}
+
+	/**
+	 * Read one page in keyset order (see lib/keyset.js): rows sorted by
+	 * `orderBy` then the id, starting right after the row `after` points at.
+	 * Unlike `offset()`, the database never reads the skipped rows, and rows
+	 * written between pages do not shift the next page. Sets its own order and
+	 * limit, so it cannot follow `orderBy()`, `limit()` or `offset()`. After
+	 * `select()`, the rows also carry the sort column and id.
+	 * @param {object} [options]
+	 * @param {string} [options.after] `nextCursor` of the previous page; omit for the first page
+	 * @param {number} [options.limit=20] Page size
+	 * @param {string} [options.orderBy] Sort column, defaults to the id
+	 * @param {'ASC'|'DESC'|'asc'|'desc'} [options.orderDir='ASC']
+	 * @returns {Promise<{items: Array, nextCursor: string|null, hasMore: boolean}>}
+	 */
+	async paginate({ after, limit, orderBy, orderDir } = {}) {
+		const { Model } = this;
+		const { orders, columns } = this.state;
+		if (
+			orders.length ||
+			this.state.limit !== undefined ||
+			this.state.offset !== undefined
+		) {
+			fail(
+				`paginate() sets its own order and limit - pass { orderBy, orderDir, limit } to it instead of orderBy() / limit() / offset().`,
+			);
+		}
+
+		const idField = Model.idField();
+		const page = normalizePageOptions(Model.schema(), idField, {
+			orderBy,
+			orderDir,
+			limit,
+		});
+
+		// One extra row tells whether there is a next page.
+		let query = this._clone({
+			orders: keysetOrder(page, idField),
+			limit: page.limit + 1,
+		});
+		if (columns) {
+			query = query.select([...new Set([...columns, idField, page.orderBy])]);
+		}
+		if (after !== undefined && after !== null) {
+			query = query.where(
+				keysetWhere(page, idField, decodeCursor(page, after)),
+			);
+		}
+
+		const rows = await query.all();
+		const hasMore = rows.length > page.limit;
+		const items = hasMore ? rows.slice(0, page.limit) : rows;
+		return {
+			items,
+			nextCursor: hasMore
+				? encodeCursor(page, idField, items[items.length - 1])
+				: null,
+			hasMore,
+		};
+	}
+
+	/**
+	 * Builders are thenable, so `await Model.query().where(...)` runs `all()`.
+	 */
+	then(onFulfilled, onRejected) {
+		return this.all().then(onFulfilled, onRejected);
+	}
+
+	catch(onRejected) {
+		return this.all().catch(onRejected);
+	}
+}
+
+module.exports = { QueryBuilder };
@@ -12,7 +12,12 @@ const {
 	canonicalizeIndexPredicateViaAst,
 } = require('../lib/sql-transform/indexPredicate');
 
-const { convertDefinition } = require('../lib/def-to-schema');
+const {
+	convertDefinition,
+	joinTableSchemas,
+	historyTableSchema,
+} = require('../lib/def-to-schema');
+const { outboxTableSchema } = require('../lib/outbox');
 const {
 	CANONICAL_UUID_COLLATION,
 	INHERITED_DEFAULT_COLLATIONS,
@@ -106,16 +111,71 @@ const DISABLE_FUNCTIONS = config.disableFunctions || false;
 // const SSL = config.ssl || 0;
 // const CERT = config.ssl_cert_file || undef;
 
-const DRY_RUN = false;
+/**
+ * A `schema-sync --plan` step, with every key present so JSON consumers see
+ * one shape.
+ * @param {object} step `{ table, action, name, sql, down, reason, deferred }`.
+ * 	`down` is the SQL that undoes `sql`, null when it can't be undone.
+ * @returns {object}
+ */
+function planStep(step) {
+	return {
+		table: null,
+		name: null,
+		sql: null,
+		down: null,
+		reason: null,
+		deferred: false,
+		...step,
+	};
+}
+
+/**
+ * Field data for a column as the database has it now, from its `explainMap`
+ * entry - what a migration's down SQL puts back.
+ * @param {object} column `explainMap` entry
+ * @returns {object}
+ */
+function existingFieldData(column) {
+	return {
+		field: column.field,
+		type: column.type,
+		null: column.null,
+		key: column.key === 'PRI' || column.key === 'UNI' ? column.key : '',
+		default:
+			column.default === null || column.default === undefined
+				? undefined
+				: column.default,
+		extra: column.extra || '',
+		collation: column.collation || undefined,
+	};
+}
+
+/**
+ * CREATE INDEX for an index as `dialect.getTableIndexes()` reports it.
+ * @param {string} tableName
+ * @param {object} index
+ * @returns {string}
+ */
+function recreateIndexSql(tableName, index) {
+	return dialect.generateCreateIndex(
+		tableName,
+		index.name,
+		index.columns || [],
+		{
+			fulltext: `${index.type || ''}`.toUpperCase() === 'FULLTEXT',
+			unique: !!index.unique,
+			textSearchConfig: index.textSearchConfig,
+			where: index.where,
+		},
+	);
+}
 
 let dbh;
-async function execQuery(sql, mutates = false) {
+async function execQuery(sql) {
 	if (!dbh) {
 		dbh = await factory();
 	}
-	if (mutates && DRY_RUN) {
-		return Promise.resolve();
-	}
 
 	// Silencing errors since we catch them below
 	return dbh.pquery(sql, undefined, { silenceErrors: true });
@@ -147,7 +207,14 @@ async function promiseMap(
 	return done;
 }
 
-async function uploadMatchRatioFunction(host, db, user, pass, port) {
+async function uploadMatchRatioFunction(
+	host,
+	db,
+	user,
+	pass,
+	port,
+	plan = null,
+) {
 	// Skip if dialect doesn't support stored functions (e.g., SQLite)
 	if (!dialect.supportsStoredFunctions) {
 		return;
@@ -168,6 +235,16 @@ async function uploadMatchRatioFunction(host, db, user, pass, port) {
 	if (functions.length) {
 		return;
 	}
+	if (plan) {
+		plan.push(
+			planStep({
+				action: 'create-function',
+				name: functionName,
+				reason: 'used by the finder',
+			}),
+		);
+		return;
+	}
 
 	const tmp = `/tmp/f${process.pid}.sql`;
 	fs.writeFileSync(
@@ -228,7 +305,36 @@ async function uploadMatchRatioFunction(host, db, user, pass, port) {
 	fs.unlinkSync(tmp);
 }
 
-async function uploadIdTrigger(host, dbInput, user, pass, port, tableInput) {
+/**
+ * Name of the MySQL trigger that sets a uuid id on insert into `tableName`.
+ * @param {string} tableName
+ * @returns {string}
+ */
+function idTriggerName(tableName) {
+	return `before_insert_${tableName}_set_id`;
+}
+
+/**
+ * The id trigger as one statement over a plain connection, which needs no
+ * DELIMITER - what a migration's down SQL puts back.
+ * @param {string} tableName
+ * @returns {string}
+ */
+function generateIdTriggerSql(tableName) {
+	return `CREATE TRIGGER \`${idTriggerName(
+		tableName,
+	)}\` BEFORE INSERT ON \`${tableName}\` FOR EACH ROW BEGIN IF (new.id IS NULL or new.id = '') THEN SET new.id = uuid(); END IF; END`;
+}
+
+async function uploadIdTrigger(
+	host,
+	dbInput,
+	user,
+	pass,
+	port,
+	tableInput,
+	plan = null,
+) {
 	// Skip if dialect doesn't support triggers (e.g., some SQLite configurations)
 	if (!dialect.supportsTriggers) {
 		return;
@@ -246,7 +352,7 @@ async function uploadIdTrigger(host, dbInput, user, pass, port, tableInput) {
 		? `\`${dbParsed}\`.\`${tableName}\``
 		: `\`${tableName}\``;
 
-	const triggerName = `before_insert_${tableName}_set_id`;
+	const triggerName = idTriggerName(tableName);
 
 	if (DISABLE_FUNCTIONS) {
 		// console.log(
@@ -261,6 +367,17 @@ async function uploadIdTrigger(host, dbInput, user, pass, port, tableInput) {
 	if (triggers.length) {
 		return;
 	}
+	if (plan) {
+		plan.push(
+			planStep({
+				table: tableName,
+				action: 'create-trigger',
+				name: triggerName,
+				reason: 'sets a uuid id on insert',
+			}),
+		);
+		return;
+	}
 
 	const tmp = `/tmp/f${process.pid}.sql`;
 	fs.writeFileSync(
@@ -290,9 +407,9 @@ async function uploadIdTrigger(host, dbInput, user, pass, port, tableInput) {
 	fs.unlinkSync(tmp);
 }
 
-function attachIdTrigger(table) {
+function attachIdTrigger(table, plan) {
 	// Creates a UUID for the id field
-	return uploadIdTrigger(DB_HOST, DB_NAME, USER, PASSWORD, PORT, table);
+	return uploadIdTrigger(DB_HOST, DB_NAME, USER, PASSWORD, PORT, table, plan);
 }
 
 // Get primary key attributes from dialect (database-specific)
@@ -674,6 +791,273 @@ async function getNotNullBackfillDiagnostic({
 	});
 }
 
+function buildForeignKeyOrphanDiagnostic({
+	tableSqlName,
+	quotedFieldName,
+	referencedTableSqlName,
+	quotedReferencedFieldName,
+	orphanRowCount,
+	constraintSql,
+}) {
+	const countText = formatCountForDiagnostic(orphanRowCount);
+	const lines = [
+		`Cannot add a foreign key on ${tableSqlName}.${quotedFieldName}.`,
+		'',
+		`schema-sync found ${countText} existing rows whose ${quotedFieldName} matches no ${referencedTableSqlName}.${quotedReferencedFieldName}.`,
+		'Point those rows at rows that exist, or clear them, then rerun schema-sync:',
+		'',
+		`  UPDATE ${tableSqlName} SET ${quotedFieldName} = NULL WHERE ${quotedFieldName} IS NOT NULL AND ${quotedFieldName} NOT IN (SELECT ${quotedReferencedFieldName} FROM ${referencedTableSqlName});`,
+	];
+	if (constraintSql) {
+		lines.push('', 'Original SQL:', `  ${constraintSql}`);
+	}
+	return lines.join('\n');
+}
+
+async function getForeignKeyOrphanDiagnostic({
+	tableName,
+	foreignKey,
+	constraintSql,
+}) {
+	const tableSqlName = dialect.quoteIdentifier(tableName);
+	const quotedFieldName = dialect.quoteIdentifier(foreignKey.column);
+	const referencedTableSqlName = dialect.quoteIdentifier(
+		foreignKey.referencedTable,
+	);
+	const quotedReferencedFieldName = dialect.quoteIdentifier(
+		foreignKey.referencedColumn,
+	);
+	const rows = await execQuery(
+		`SELECT COUNT(*) AS orphanCount FROM ${tableSqlName} child WHERE child.${quotedFieldName} IS NOT NULL AND NOT EXISTS (SELECT 1 FROM ${referencedTableSqlName} parent WHERE parent.${quotedReferencedFieldName} = child.${quotedFieldName})`,
+	);
+	const orphanRowCount = getCountFromRow(rows && rows[0]);
+	if (orphanRowCount <= 0) {
+		return null;
+	}
+
+	return buildForeignKeyOrphanDiagnostic({
+		tableSqlName,
+		quotedFieldName,
+		referencedTableSqlName,
+		quotedReferencedFieldName,
+		orphanRowCount,
+		constraintSql,
+	});
+}
+
+// The orphan-row diagnostic for a foreign key about to be added, or null. A
+// referenced table that doesn't exist yet has no rows to check against, and a
+// plan may not have made the column yet, so only a sync warns when it can't
+// check.
+async function foreignKeyOrphanPreflight({
+	tableName,
+	foreignKey,
+	constraintSql,
+	plan,
+}) {
+	try {
+		if (
+			!(await dialect.tableExists(dbh, DB_NAME, foreignKey.referencedTable))
+		) {
+			return null;
+		}
+		return await getForeignKeyOrphanDiagnostic({
+			tableName,
+			foreignKey,
+			constraintSql,
+		});
+	} catch (ex) {
+		if (!plan) {
+			console.warn(
+				`Warning: Could not check ${tableName}.${foreignKey.column} for rows the foreign key would reject:`,
+				ex,
+			);
+		}
+		return null;
+	}
+}
+
+function buildCheckConstraintViolationDiagnostic({
+	tableSqlName,
+	constraintName,
+	expression,
+	violatingRowCount,
+	constraintSql,
+}) {
+	const countText = formatCountForDiagnostic(violatingRowCount);
+	const lines = [
+		`Cannot add CHECK constraint ${constraintName} on ${tableSqlName}.`,
+		'',
+		`schema-sync found ${countText} existing rows that fail CHECK (${expression}).`,
+		'Update or remove those rows, then rerun schema-sync. They are:',
+		'',
+		`  SELECT * FROM ${tableSqlName} WHERE NOT (${expression});`,
+	];
+	if (constraintSql) {
+		lines.push('', 'Original SQL:', `  ${constraintSql}`);
+	}
+	return lines.join('\n');
+}
+
+async function getCheckConstraintViolationDiagnostic({
+	tableName,
+	checkConstraint,
+	constraintSql,
+}) {
+	const tableSqlName = dialect.quoteIdentifier(tableName);
+	// NULL passes a CHECK, and NOT (NULL) doesn't count it either
+	const rows = await execQuery(
+		`SELECT COUNT(*) AS violationCount FROM ${tableSqlName} WHERE NOT (${checkConstraint.expression})`,
+	);
+	const violatingRowCount = getCountFromRow(rows && rows[0]);
+	if (violatingRowCount <= 0) {
+		return null;
+	}
+
+	return buildCheckConstraintViolationDiagnostic({
+		tableSqlName,
+		constraintName: checkConstraint.name,
+		expression: checkConstraint.expression,
+		violatingRowCount,
+		constraintSql,
+	});
+}
+
+// The diagnostic for rows a CHECK constraint about to be added would reject,
+// or null. As for foreign keys, only a sync warns when it can't check.
+async function checkConstraintPreflight({
+	tableName,
+	checkConstraint,
+	constraintSql,
+	plan,
+}) {
+	try {
+		return await getCheckConstraintViolationDiagnostic({
+			tableName,
+			checkConstraint,
+			constraintSql,
+		});
+	} catch (ex) {
+		if (!plan) {
+			console.warn(
+				`Warning: Could not check ${tableName} for rows the CHECK constraint ${checkConstraint.name} would reject:`,
+				ex,
+			);
+		}
+		return null;
+	}
+}
+
+/**
+ * The foreign keys of a schema's `t.linked(..., { foreignKey })` fields, as
+ * dialect getTableForeignKeys() reports them. The referenced table is the
+ * field's `foreignKey.table`, else the table of the definition file named like
+ * the linked model (`linkedTables`), else the linked model's own name.
+ *
+ * @param {object} schema Converted schema
+ * @param {object} [linkedTables] Definition file name (no `.js`) to its table
+ * @returns {object[]} `{ name, column, referencedTable, referencedColumn,
+ * 	onDelete, onUpdate }`
+ */
+function resolveForeignKeys(schema, linkedTables = {}) {
+	const tableName = parseIdField(schema.table).table.split('.').pop();
+	return schema.fields
+		.filter(({ foreignKey }) => foreignKey)
+		.map(({ field, linkedModel, foreignKey }) => {
+			const linkedName = path.basename(`${linkedModel}`).replace(/\.js$/, '');
+			const referenced = parseIdField(
+				foreignKey.table || linkedTables[linkedName] || linkedName,
+			);
+			return {
+				name: fitIdentifierToLimit(
+					`fk_${tableName}_${field}`,
+					dialect.maxIdentifierLength,
+				),
+				column: field,
+				referencedTable: referenced.table,
+				referencedColumn: foreignKey.column || referenced.idField,
+				onDelete: foreignKey.onDelete,
+				onUpdate: foreignKey.onUpdate,
+			};
+		});
+}
+
+// Compares foreign keys whatever they are called (SQLite keeps no names)
+function foreignKeySignature({
+	column,
+	referencedTable,
+	referencedColumn,
+	onDelete,
+	onUpdate,
+}) {
+	return [column, referencedTable, referencedColumn, onDelete, onUpdate]
+		.map((part) => `${part || ''}`.toLowerCase())
+		.join('|');
+}
+
+/**
+ * The CHECK constraints of a schema's `t.enum()` fields and of its number
+ * fields given `.min()` / `.max()`, when the definition's `checkConstraints`
+ * (else `config.checkConstraints`) is set. Databases rewrite the expressions
+ * they are given, so each is compared by name instead:
+ * `chk_<table>_<column>_<digest of the expression>`, so a changed expression
+ * is a new constraint.
+ *
+ * @param {object} schema Converted schema
+ * @returns {object[]} `{ name, column, expression }`
+ */
+function resolveCheckConstraints(schema) {
+	const enabled =
+		schema.checkConstraints === undefined
+			? config.checkConstraints
+			: schema.checkConstraints;
+	if (!enabled) {
+		return [];
+	}
+	const tableName = parseIdField(schema.table).table.split('.').pop();
+	return schema.fields
+		.map((fieldData) => {
+			const quotedField = dialect.quoteIdentifier(fieldData.field);
+			const conditions = [];
+			if (
+				fieldData._type === 'enum' &&
+				!fieldData.isArray &&
+				Array.isArray(fieldData.options) &&
+				fieldData.options.length
+			) {
+				conditions.push(
+					`${quotedField} IN (${fieldData.options
+						.map((option) => dialect.escapeValue(option))
+						.join(', ')})`,
+				);
+			}
+			if (typeof fieldData._min === 'number') {
+				conditions.push(`${quotedField} >= ${fieldData._min}`);
+			}
+			if (typeof fieldData._max === 'number') {
+				conditions.push(`${quotedField} <= ${fieldData._max}`);
+			}
+			if (!conditions.length) {
+				return null;
+			}
+			const expression = conditions.join(' AND ');
+			const digest = crypto
+				.createHash('sha1')
+				.update(expression)
+				.digest('hex')
+				.slice(0, 8);
+			return {
+				name: fitIdentifierToLimit(
+					`chk_${tableName}_${fieldData.field}_${digest}`,
+					dialect.maxIdentifierLength,
+				),
+				column: fieldData.field,
+				expression,
+			};
+		})
+		.filter(Boolean);
+}
+
 async function checkJsonSupport() {
 	if (jsonSupportedRef.checked) {
 		return jsonSupportedRef.flag;
@@ -716,6 +1100,10 @@ async function rebuildTableForDialectDiffs({
 	existingColumns,
 	sql,
 	sqlErrors,
+	plan,
+	foreignKeys = [],
+	checkConstraints = [],
+	reason = `${dialect.name} cannot change these columns in place`,
 }) {
 	const existingColumnNames = new Set(
 		(existingColumns || []).map((col) => col.name),
@@ -729,6 +1117,7 @@ async function rebuildTableForDialectDiffs({
 		.filter(({ field }) => !existingColumnNames.has(field))
 		.filter(
 			(fieldData) =>
+				!fieldData.generated &&
 				(fieldData.null === 'NO' ||
 					fieldData.null === 0 ||
 					fieldData.null === '0') &&
@@ -753,50 +1142,75 @@ async function rebuildTableForDialectDiffs({
 		return;
 	}
 
+	// Generated columns are recomputed by the new table, and cannot be written
 	const copyColumns = fieldList
+		.filter((fieldData) => !fieldData.generated)
 		.map((fieldData) => fieldData.field)
 		.filter((field) => existingColumnNames.has(field));
 	const copyColumnSql = copyColumns
 		.map((field) => dialect.quoteIdentifier(field))
 		.join(', ');
 
-	const createTempSql = dialect.generateCreateTable(tempTableName, fieldList);
+	const createTempSql = dialect.generateCreateTable(tempTableName, fieldList, {
+		foreignKeys,
+		checkConstraints,
+	});
 	const copySql = `INSERT INTO ${tempTableSqlName} (${copyColumnSql}) SELECT ${copyColumnSql} FROM ${tableSqlName}`;
 	const dropOldSql = `DROP TABLE ${tableSqlName}`;
 	const renameSql = `ALTER TABLE ${tempTableSqlName} RENAME TO ${dialect.quoteIdentifier(
 		tableName,
 	)}`;
 
-	console.warn(
-		chalk.yellow(
-			`Rebuilding table '${tableName}' to apply unsupported column changes for ${dialect.name}`,
-		),
-	);
-
-	sql.push(
+	const statements = [
 		`BEGIN TRANSACTION`,
 		createTempSql,
-		copySql,
+		...(copyColumns.length ? [copySql] : []),
 		dropOldSql,
 		renameSql,
 		`COMMIT`,
+	];
+	if (plan) {
+		plan.push(
+			planStep({
+				table: tableName,
+				action: 'rebuild-table',
+				sql: statements.join(';\n'),
+				reason,
+			}),
+		);
+		return;
+	}
+
+	console.warn(
+		chalk.yellow(
+			`Rebuilding table '${tableName}' to apply unsupported column changes for ${dialect.name}`,
+		),
 	);
 
-	await execQuery('BEGIN TRANSACTION', true);
+	sql.push(...statements);
+
+	// Dropping the old table would run the foreign key actions of the rows
+	// referencing it - cascading deletes, or failing outright. The SQLite
+	// pragma is a no-op inside a transaction, so it goes around it.
+	const [{ foreign_keys: foreignKeysWereOn } = {}] =
+		dialect.name === 'sqlite' ? await execQuery('PRAGMA foreign_keys') : [];
+	if (foreignKeysWereOn) {
+		await execQuery('PRAGMA foreign_keys = OFF');
+	}
+
+	await execQuery('BEGIN TRANSACTION');
 	try {
-		await execQuery(createTempSql, true);
+		await execQuery(createTempSql);
 		if (copyColumns.length) {
-			await execQuery(copySql, true);
+			await execQuery(copySql);
 		}
-		await execQuery(dropOldSql, true);
-		await execQuery(renameSql, true);
-		await execQuery('COMMIT', true);
+		await execQuery(dropOldSql);
+		await execQuery(renameSql);
+		await execQuery('COMMIT');
 	} catch (ex) {
-		await execQuery('ROLLBACK', true).catch(() => {});
+		await execQuery('ROLLBACK').catch(() => {});
 		// Best effort cleanup if temp table still exists.
-		await execQuery(`DROP TABLE IF EXISTS ${tempTableSqlName}`, true).catch(
-			() => {},
-		);
+		await execQuery(`DROP TABLE IF EXISTS ${tempTableSqlName}`).catch(() => {});
 		sqlErrors.push({
 			table: tableSqlName,
 			description: 'Error rebuilding table for unsupported column changes',
@@ -807,6 +1221,10 @@ async function rebuildTableForDialectDiffs({
 			`Error rebuilding table '${tableName}' for schema changes:`,
 			ex,
 		);
+	} finally {
+		if (foreignKeysWereOn) {
+			await execQuery('PRAGMA foreign_keys = ON');
+		}
 	}
 }
 
@@ -824,6 +1242,8 @@ async function rebuildTableForDialectDiffs({
 //           having the following keys: Field, Type, Null,Key,Default,Extra (see 'explain TABLE' in mysql)
 // $opts - A hashref of options. Key/Values recognized:
 //   'indexes'      - Hashref of index_name :  [...field names...] to add as indexes to the database
+// $sync - { plan }: given a plan array, nothing is changed - each change is
+//           pushed onto it as a step instead (see syncSchemaToDb)
 
 // Given the columns present in the table after a sync and the list of columns
 // this sync ADDed or CHANGEd, return the names of any ADD/CHANGE columns that
@@ -1002,7 +1422,19 @@ async function verifyAndHealColumns({ tableName, changedColumns = [] } = {}) {
 	return { healed, errors };
 }
 
-async function mysqlSchemaUpdate(dbInput, tableInput, fieldList, opts) {
+async function mysqlSchemaUpdate(
+	dbInput,
+	tableInput,
+	fieldList,
+	opts,
+	{
+		plan = null,
+		allowDrop = ALLOW_DROP,
+		renamedFrom = null,
+		foreignKeys = [],
+		checkConstraints = [],
+	} = {},
+) {
 	const sql = [];
 
 	const sqlErrors = [];
@@ -1012,6 +1444,19 @@ async function mysqlSchemaUpdate(dbInput, tableInput, fieldList, opts) {
 	// post-sync verification near the end can confirm ADD/CHANGE columns actually
 	// landed (silent-apply-failure guard).
 	const changedColumns = [];
+	// Indexes the errno 1170 guard drops, which the index pass must not see
+	// (when planning they are still in the database)
+	const guardDroppedIndexes = new Set();
+	// A planned table rebuild drops the table's indexes, for the index pass to
+	// recreate
+	let rebuildPlanned = false;
+	// Foreign keys CREATE TABLE declares, where ALTER TABLE can't add them
+	// (otherwise foreignKeyUpdate() adds them, once every table exists)
+	let inlineForeignKeys = dialect.supportsAlterForeignKeys ? [] : foreignKeys;
+	// Likewise CHECK constraints (otherwise checkConstraintUpdate() adds them)
+	let inlineCheckConstraints = dialect.supportsAlterCheckConstraints
+		? []
+		: checkConstraints;
 
 	const jsonSupported = await checkJsonSupport();
 
@@ -1030,6 +1475,20 @@ async function mysqlSchemaUpdate(dbInput, tableInput, fieldList, opts) {
 		  )}`
 		: dialect.quoteIdentifier(tableName);
 
+	// Run a statement that changes the database - or, when planning, record it
+	// as a plan step (`action`, `name`, `reason`) and resolve as if it ran.
+	const mutate = (statement, step) => {
+		if (plan) {
+			plan.push(planStep({ table: tableName, ...step, sql: statement }));
+			return Promise.resolve();
+		}
+		return execQuery(statement);
+	};
+	const result = () => ({
+		applied: plan ? 0 : appliedCount,
+		errors: sqlErrors,
+	});
+
 	// NOTE: %fields will be used for comparing table to existing table AND
 	// for checking for 'TEXT' columns when creating indexes - hence why this hash
 	// was moved out of the first block, below.
@@ -1044,14 +1503,149 @@ async function mysqlSchemaUpdate(dbInput, tableInput, fieldList, opts) {
 	}
 
 	// Check for table before introspection because it will error if table doesn't exist
-	const tableExists = await dialect.tableExists(dbh, db, tableName);
+	let tableExists = await dialect.tableExists(dbh, db, tableName);
+
+	// The table to read columns and indexes from - the old name while a rename
+	// is only planned
+	let sourceTableName = tableName;
+	// Old name to new of the columns and indexes renamed, so a plan can read
+	// the database as if the renames had run
+	const columnRenames = new Map();
+	const indexRenames = new Map();
+	const readIndexes = () =>
+		dialect.getTableIndexes(dbh, sourceTableName).then((indexes) =>
+			plan && indexes
+				? indexes.map((idx) => ({
+						...idx,
+						name: indexRenames.get(idx.name) || idx.name,
+						columns: (idx.columns || []).map((colSpec) => {
+							const [, colName, rest] =
+								`${colSpec || ''}`.match(/^([a-zA-Z_][a-zA-Z0-9_]*)(.*)$/) ||
+								[];
+							return columnRenames.has(colName)
+								? `${columnRenames.get(colName)}${rest}`
+								: colSpec;
+						}),
+				  }))
+				: indexes,
+		);
+
+	// renamedFrom: rename the table rather than create it. Once renamed there
+	// is nothing left under the old name, so this runs only once.
+	if (renamedFrom && renamedFrom !== tableName) {
+		const oldTableExists = await dialect.tableExists(dbh, db, renamedFrom);
+		if (oldTableExists && tableExists) {
+			console.warn(
+				chalk.yellow(
+					`Not renaming '${renamedFrom}' to ${table}: both tables exist`,
+				),
+			);
+		} else if (oldTableExists) {
+			// Postgres prefixes index names with their table (see
+			// resolvePhysicalIndexName), so those follow the table
+			const prefixedIndexes = dialect.prefixIndexNamesWithTable
+				? (await dialect.getTableIndexes(dbh, renamedFrom)).filter(
+						(idx) => !idx.isPrimary && idx.name.startsWith(`${renamedFrom}_`),
+				  )
+				: [];
+
+			// MySQL keeps a table's triggers across RENAME TABLE, so the old id
+			// trigger goes with the old name. attachIdTrigger() adds the new one,
+			// which the down drops again.
+			const oldTriggerName = idTriggerName(renamedFrom);
+			const hasOldTrigger =
+				dialect.supportsTriggers &&
+				(await execQuery(`show triggers where \`Trigger\`='${oldTriggerName}'`))
+					.length > 0;
+
+			const renameSql = dialect.generateRenameTable(renamedFrom, tableName);
+			const renameStatements = hasOldTrigger
+				? [`DROP TRIGGER IF EXISTS \`${oldTriggerName}\``, renameSql]
+				: [renameSql];
+			const downStatements = hasOldTrigger
+				? [
+						`DROP TRIGGER IF EXISTS \`${idTriggerName(tableName)}\``,
+						dialect.generateRenameTable(tableName, renamedFrom),
+						generateIdTriggerSql(renamedFrom),
+				  ]
+				: [dialect.generateRenameTable(tableName, renamedFrom)];
+			sql.push(...renameStatements);
+			try {
+				if (plan) {
+					await mutate(renameStatements.join(';\n'), {
+						action: 'rename-table',
+						down: downStatements.join(';\n'),
+						reason: `renamed from '${renamedFrom}'`,
+					});
+				} else {
+					// eslint-disable-next-line no-restricted-syntax
+					for (const statement of renameStatements) {
+						// eslint-disable-next-line no-await-in-loop
+						await execQuery(statement);
+					}
+				}
+				appliedCount += 1;
+			} catch (ex) {
+				console.error(
+					`Error renaming table '${renamedFrom}' to ${table} with SQL: ${renameSql}\n----\nError when trying to rename was:`,
+					ex,
+				);
+				sqlErrors.push({
+					table,
+					description: 'Error renaming table',
+					sql: renameSql,
+					error: ex,
+				});
+				return result();
+			}
+			tableExists = true;
+			if (plan) {
+				sourceTableName = renamedFrom;
+			}
+
+			// eslint-disable-next-line no-restricted-syntax
+			for (const { name: oldIndexName } of prefixedIndexes) {
+				const newIndexName = fitIdentifierToLimit(
+					`${tableName}_${oldIndexName.slice(renamedFrom.length + 1)}`,
+					dialect.maxIdentifierLength,
+				);
+				const renameIndexSql = dialect.generateRenameIndex(
+					tableName,
+					oldIndexName,
+					newIndexName,
+				);
+				sql.push(renameIndexSql);
+				try {
+					// eslint-disable-next-line no-await-in-loop
+					await mutate(renameIndexSql, {
+						action: 'rename-index',
+						name: newIndexName,
+						down: dialect.generateRenameIndex(
+							tableName,
+							newIndexName,
+							oldIndexName,
+						),
+						reason: `renamed from '${oldIndexName}'`,
+					});
+					appliedCount += 1;
+					indexRenames.set(oldIndexName, newIndexName);
+				} catch (ex) {
+					// The index pass drops and recreates it instead
+					console.warn(
+						`Could not rename index '${oldIndexName}' on ${table}:`,
+						ex,
+					);
+				}
+			}
+		}
+	}
 
 	// Assuming table exists - compare
 	if (tableExists) {
 		let error;
 		// Use dialect to get table columns in a normalized format
-		const existingColumns = await dialect
-			.getTableColumns(dbh, tableName)
+		let existingColumns = await dialect
+			.getTableColumns(dbh, sourceTableName)
 			.catch((ex) => {
 				error = ex;
 			});
@@ -1064,7 +1658,76 @@ async function mysqlSchemaUpdate(dbInput, tableInput, fieldList, opts) {
 				sql: `dialect.getTableColumns(${tableName})`,
 				error,
 			});
-			return { applied: appliedCount, errors: sqlErrors };
+			return result();
+		}
+
+		// renamedFrom on a field: rename the old column rather than add a new one
+		// (and drop the old), keeping its data and indexes. A column already
+		// renamed is found under its new name, so this runs only once.
+		const existingColumnNames = new Set(
+			existingColumns.map(({ name }) => name),
+		);
+		const columnsToRename = fieldList.filter(
+			({ field: key, renamedFrom: oldName }) => {
+				if (!oldName || !existingColumnNames.has(oldName)) {
+					return false;
+				}
+				if (existingColumnNames.has(key) || fields[oldName]) {
+					console.warn(
+						chalk.yellow(
+							`Not renaming ${table}.${oldName} to '${key}': ${
+								fields[oldName]
+									? `the schema still has '${oldName}'`
+									: 'both columns exist'
+							}`,
+						),
+					);
+					return false;
+				}
+				return true;
+			},
+		);
+		// eslint-disable-next-line no-restricted-syntax
+		for (const { field: key, renamedFrom: oldName } of columnsToRename) {
+			const renameSql = dialect.generateRenameColumn(tableName, oldName, key);
+			sql.push(renameSql);
+			try {
+				// eslint-disable-next-line no-await-in-loop
+				await mutate(renameSql, {
+					action: 'rename-column',
+					name: key,
+					down: dialect.generateRenameColumn(tableName, key, oldName),
+					reason: `renamed from '${oldName}'`,
+				});
+				appliedCount += 1;
+				columnRenames.set(oldName, key);
+			} catch (ex) {
+				console.error(
+					`Error syncing SQL: ${renameSql}\n----\nError when trying to sync was:`,
+					ex,
+				);
+				sqlErrors.push({
+					table,
+					description: 'Error renaming column',
+					sql: renameSql,
+					error: ex,
+				});
+			}
+		}
+		if (columnRenames.size) {
+			existingColumns = existingColumns.map((col) => {
+				const name = columnRenames.get(col.name);
+				if (!name) {
+					return col;
+				}
+				return {
+					...col,
+					name,
+					...(col._raw && col._raw.Field !== undefined
+						? { _raw: { ...col._raw, Field: name } }
+						: {}),
+				};
+			});
 		}
 
 		// Build a map of existing columns for comparison
@@ -1110,6 +1773,8 @@ async function mysqlSchemaUpdate(dbInput, tableInput, fieldList, opts) {
 		// console.log(`explainMap:`, explainMap);
 
 		const alter = [];
+		// Plan step (action and column) of each statement in `alter`
+		const alterSteps = {};
 		const notNullPreflightBySql = {};
 		// (changedColumns is declared at function scope above.)
 		let requiresTableRebuild = false;
@@ -1117,13 +1782,27 @@ async function mysqlSchemaUpdate(dbInput, tableInput, fieldList, opts) {
 			const { field: key } = fieldData;
 
 			// Assume if key does not exist in %explain, it doesnt exist in the table
-			if (!explainMap[key]) {
+			if (
+				!explainMap[key] &&
+				fieldData.generated &&
+				fieldData.generated.stored &&
+				!dialect.supportsAddStoredGeneratedColumn
+			) {
+				// e.g. SQLite: ADD COLUMN only takes VIRTUAL generated columns
+				requiresTableRebuild = true;
+				changedColumns.push({ col: key, type: 'REBUILD' });
+			} else if (!explainMap[key]) {
 				// Use dialect to generate ADD COLUMN statement. Capture the exact
 				// ADD SQL so the fresh-connection heal pass (verifyAndHealColumns)
 				// can replay it if the column does not persist under connection
 				// churn.
 				const addSql = dialect.generateAlterAddColumn(tableName, fieldData);
 				alter.push(addSql);
+				alterSteps[addSql] = {
+					action: 'add-column',
+					name: key,
+					down: dialect.generateAlterDropColumn(tableName, key),
+				};
 				changedColumns.push({ col: key, type: 'ADD', sql: addSql });
 			}
 			// If key exists in %explain, do a simple === diff comparrison
@@ -1162,6 +1841,18 @@ async function mysqlSchemaUpdate(dbInput, tableInput, fieldList, opts) {
 									`(${ak} -> ${bk}). This is a full-table rebuild; run the resumable batch ` +
 									`(bin/migrate-link-collation) or set migrateLinkCollation:true to let schema-sync apply it.`,
 							);
+							if (plan) {
+								plan.push(
+									planStep({
+										table: tableName,
+										action: 'modify-column',
+										name: key,
+										sql: null,
+										deferred: true,
+										reason: `collation ${ak} -> ${bk} is deferred to bin/migrate-link-collation (or migrateLinkCollation: true)`,
+									}),
+								);
+							}
 							return;
 						}
 
@@ -1340,7 +2031,11 @@ async function mysqlSchemaUpdate(dbInput, tableInput, fieldList, opts) {
 							// '' because 0 is falsy).
 							(k === 'default' &&
 								`${aType}`.toLowerCase() === 'boolean' &&
-								booleanishEquals(ak, bk))
+								booleanishEquals(ak, bk)) ||
+							// A t.generated() column reports its storage as 'extra'
+							// ('STORED GENERATED' / 'VIRTUAL GENERATED'), which the schema
+							// carries as `generated` instead.
+							(k === 'extra' && /GENERATED/i.test(ak) && b.generated)
 						) {
 							return;
 						}
@@ -1373,6 +2068,14 @@ async function mysqlSchemaUpdate(dbInput, tableInput, fieldList, opts) {
 							fieldData,
 						);
 						alter.push(alterStmt);
+						alterSteps[alterStmt] = {
+							action: 'modify-column',
+							name: key,
+							down: dialect.generateAlterModifyColumn(
+								tableName,
+								existingFieldData(a),
+							),
+						};
 						if (
 							isNullableDatabaseValue(a.null) &&
 							isNotNullSchemaValue(fieldData.null)
@@ -1399,19 +2102,131 @@ async function mysqlSchemaUpdate(dbInput, tableInput, fieldList, opts) {
 		Object.keys(explainMap).forEach((key) => {
 			if (!fields[key]) {
 				// Decide if this is safe
-				if (ALLOW_DROP) {
+				if (allowDrop) {
 					// Use dialect to generate DROP COLUMN statement
-					alter.push(dialect.generateAlterDropColumn(tableName, key));
+					const dropSql = dialect.generateAlterDropColumn(tableName, key);
+					alter.push(dropSql);
+					alterSteps[dropSql] = {
+						action: 'drop-column',
+						name: key,
+						// Puts the column back, not its data
+						down: dialect.generateAlterAddColumn(
+							tableName,
+							existingFieldData(explainMap[key]),
+						),
+					};
 					changedColumns.push({ col: key, type: 'DROP' });
 				} else {
 					console.log(
 						` ***** Possible drop needed, but not dropping to preserve data: ${table}.${key}`,
 					);
+					if (plan) {
+						plan.push(
+							planStep({
+								table: tableName,
+								action: 'drop-column',
+								name: key,
+								deferred: true,
+								reason: 'not in the schema; set YASS_ALLOW_DROP to drop it',
+							}),
+						);
+					}
 				}
 			}
 		});
 
-		if (requiresTableRebuild) {
+		// Where only CREATE TABLE declares foreign keys, changing them takes a
+		// rebuild. New keys the existing rows break are left out, and reported.
+		let foreignKeysRequireRebuild = false;
+		if (!dialect.supportsAlterForeignKeys) {
+			const existingForeignKeys = (
+				await dialect.getTableForeignKeys(dbh, sourceTableName)
+			).map((foreignKey) => ({
+				...foreignKey,
+				column: columnRenames.get(foreignKey.column) || foreignKey.column,
+			}));
+			const existingSignatures = existingForeignKeys
+				.map(foreignKeySignature)
+				.sort();
+			const blocked = new Set();
+			// eslint-disable-next-line no-restricted-syntax
+			for (const foreignKey of inlineForeignKeys) {
+				if (!existingSignatures.includes(foreignKeySignature(foreignKey))) {
+					// eslint-disable-next-line no-await-in-loop
+					const diagnostic = await foreignKeyOrphanPreflight({
+						tableName: sourceTableName,
+						foreignKey,
+						constraintSql: dialect.generateForeignKeyClause(foreignKey),
+						plan,
+					});
+					if (diagnostic) {
+						console.error(diagnostic);
+						sqlErrors.push({
+							table,
+							description: 'Foreign key blocked by rows it would reject',
+							sql: dialect.generateForeignKeyClause(foreignKey),
+							error: new Error(diagnostic),
+						});
+						blocked.add(foreignKey);
+					}
+				}
+			}
+			inlineForeignKeys = inlineForeignKeys.filter(
+				(foreignKey) => !blocked.has(foreignKey),
+			);
+			foreignKeysRequireRebuild =
+				inlineForeignKeys.map(foreignKeySignature).sort().join('\n') !==
+				existingSignatures.join('\n');
+		}
+
+		// The same for CHECK constraints, compared by name
+		let checkConstraintsRequireRebuild = false;
+		if (!dialect.supportsAlterCheckConstraints) {
+			const existingNames = (
+				await dialect.getTableCheckConstraints(dbh, sourceTableName)
+			)
+				.map(({ name }) => name)
+				.sort();
+			const blocked = new Set();
+			// eslint-disable-next-line no-restricted-syntax
+			for (const checkConstraint of inlineCheckConstraints) {
+				if (!existingNames.includes(checkConstraint.name)) {
+					const constraintSql =
+						dialect.generateCheckConstraintClause(checkConstraint);
+					// eslint-disable-next-line no-await-in-loop
+					const diagnostic = await checkConstraintPreflight({
+						tableName: sourceTableName,
+						checkConstraint,
+						constraintSql,
+						plan,
+					});
+					if (diagnostic) {
+						console.error(diagnostic);
+						sqlErrors.push({
+							table,
+							description: 'CHECK constraint blocked by rows it would reject',
+							sql: constraintSql,
+							error: new Error(diagnostic),
+						});
+						blocked.add(checkConstraint);
+					}
+				}
+			}
+			inlineCheckConstraints = inlineCheckConstraints.filter(
+				(checkConstraint) => !blocked.has(checkConstraint),
+			);
+			checkConstraintsRequireRebuild =
+				inlineCheckConstraints
+					.map(({ name }) => name)
+					.sort()
+					.join('\n') !== existingNames.join('\n');
+		}
+
+		if (
+			requiresTableRebuild ||
+			foreignKeysRequireRebuild ||
+			checkConstraintsRequireRebuild
+		) {
 			const errorsBefore = sqlErrors.length;
 			await rebuildTableForDialectDiffs({
 				tableName,
@@ -1420,9 +2235,18 @@ async function mysqlSchemaUpdate(dbInput, tableInput, fieldList, opts) {
 				existingColumns,
 				sql,
 				sqlErrors,
+				plan,
+				foreignKeys: inlineForeignKeys,
+				checkConstraints: inlineCheckConstraints,
+				...(requiresTableRebuild
+					? {}
+					: {
+							reason: `${dialect.name} can only change foreign keys and CHECK constraints by rebuilding the table`,
+					  }),
 			});
 			if (sqlErrors.length === errorsBefore) {
 				appliedCount += 1;
+				rebuildPlanned = !!plan;
 			}
 		} else if (alter.length) {
 			// errno 1170 guard: MySQL/Vitess reject changing a column to a TEXT/BLOB
@@ -1437,16 +2261,14 @@ async function mysqlSchemaUpdate(dbInput, tableInput, fieldList, opts) {
 				.filter((c) => c.type === 'CHANGE' && c.textLike)
 				.map((c) => c.col);
 			if (textLikeChangedCols.length) {
-				const existingIndexesForGuard = await dialect
-					.getTableIndexes(dbh, tableName)
-					.catch((ex) => {
-						console.warn(
-							`Could not read indexes to guard TEXT column change on ${table}:`,
-							ex,
-						);
-						return [];
-					});
-				const indexesToDrop = new Set();
+				const existingIndexesForGuard = await readIndexes().catch((ex) => {
+					console.warn(
+						`Could not read indexes to guard TEXT column change on ${table}:`,
+						ex,
+					);
+					return [];
+				});
+				const indexesToDrop = new Map();
 				(existingIndexesForGuard || []).forEach((idx) => {
 					if (idx.isPrimary) {
 						return;
@@ -1472,7 +2294,7 @@ async function mysqlSchemaUpdate(dbInput, tableInput, fieldList, opts) {
 						return textLikeChangedCols.includes(colName) && !hasPrefix;
 					});
 					if (blocksTextChange) {
-						indexesToDrop.add(idx.name);
+						indexesToDrop.set(idx.name, idx);
 					}
 				});
 
@@ -1481,7 +2303,7 @@ async function mysqlSchemaUpdate(dbInput, tableInput, fieldList, opts) {
 				// the schema still declares (prefixed); any it does not declare are
 				// intentionally gone (the stale-index sweep would have removed them).
 				// eslint-disable-next-line no-restricted-syntax
-				for (const indexName of indexesToDrop) {
+				for (const [indexName, droppedIndex] of indexesToDrop) {
 					const dropSql = dialect.generateDropIndex(tableName, indexName);
 					sql.push(dropSql);
 					console.log(
@@ -1489,7 +2311,13 @@ async function mysqlSchemaUpdate(dbInput, tableInput, fieldList, opts) {
 					);
 					try {
 						// eslint-disable-next-line no-await-in-loop
-						await execQuery(dropSql, true);
+						await mutate(dropSql, {
+							action: 'drop-index',
+							name: indexName,
+							down: recreateIndexSql(tableName, droppedIndex),
+							reason: `prefix-less index blocks the TEXT column change (errno 1170)`,
+						});
+						guardDroppedIndexes.add(indexName);
 						appliedCount += 1;
 					} catch (ex) {
 						console.error(
@@ -1543,7 +2371,7 @@ async function mysqlSchemaUpdate(dbInput, tableInput, fieldList, opts) {
 					}
 				}
 
-				return execQuery(stmt, true)
+				return mutate(stmt, alterSteps[stmt])
 					.then(() => {
 						appliedCount += 1;
 					})
@@ -1565,13 +2393,20 @@ async function mysqlSchemaUpdate(dbInput, tableInput, fieldList, opts) {
 	// Assume table DOES NOT exist - create
 	else {
 		// Use dialect to generate CREATE TABLE statement
-		const createStmt = dialect.generateCreateTable(tableName, fieldList, opts);
+		const createStmt = dialect.generateCreateTable(tableName, fieldList, {
+			...opts,
+			foreignKeys: inlineForeignKeys,
+			checkConstraints: inlineCheckConstraints,
+		});
 
 		console.log(`Create SQL:`, createStmt);
 
 		sql.push(createStmt);
 
-		await execQuery(createStmt, true)
+		await mutate(createStmt, {
+			action: 'create-table',
+			down: `DROP TABLE ${table}`,
+		})
 			.then(() => {
 				appliedCount += 1;
 			})
@@ -1604,23 +2439,38 @@ async function mysqlSchemaUpdate(dbInput, tableInput, fieldList, opts) {
 			opts.indexes[isDeletedIndexName] = ['isDeleted'];
 		}
 
-		// Load existing indexes from database using dialect
-		let indexError;
-		const existingIndexes = await dialect
-			.getTableIndexes(dbh, tableName)
-			.catch((ex) => {
-				indexError = ex;
-				sqlErrors.push({
-					table,
-					description: 'Error reading existing indexes from database',
-					sql: `dialect.getTableIndexes(${tableName})`,
-					error: ex,
-				});
+		// Index each foreign key's column, unless a declared index leads with it.
+		// MySQL needs one, and would make its own for the sweep of undeclared
+		// indexes below to trip over.
+		foreignKeys.forEach(({ name, column }) => {
+			const covered = Object.values(opts.indexes).some((indexSpec) => {
+				const cols = resolveIndexColumns(indexSpec);
+				return Array.isArray(cols) && cols[0] === column;
 			});
+			if (!covered) {
+				opts.indexes[name] = [column];
+			}
+		});
+
+		// Load existing indexes from database using dialect. A table that is only
+		// planned, or planned to be rebuilt, has none.
+		let indexError;
+		const existingIndexes =
+			plan && (!tableExists || rebuildPlanned)
+				? []
+				: await readIndexes().catch((ex) => {
+						indexError = ex;
+						sqlErrors.push({
+							table,
+							description: 'Error reading existing indexes from database',
+							sql: `dialect.getTableIndexes(${tableName})`,
+							error: ex,
+						});
+				  });
 
 		if (indexError) {
 			console.warn(`Error reading existing indexes from ${table}:`, indexError);
-			return { applied: appliedCount, errors: sqlErrors };
+			return result();
 		}
 
 		// Build lookup map from normalized index data.
@@ -1628,6 +2478,9 @@ async function mysqlSchemaUpdate(dbInput, tableInput, fieldList, opts) {
 		// functional indexes (including JSON expressions).
 		const existingIndexByName = {};
 		(existingIndexes || []).forEach((idx) => {
+			if (guardDroppedIndexes.has(idx.name)) {
+				return;
+			}
 			existingIndexByName[idx.name] = {
 				...idx,
 				signature: buildIndexSignature({
@@ -1769,7 +2622,11 @@ async function mysqlSchemaUpdate(dbInput, tableInput, fieldList, opts) {
 				console.log(`Debug: (re)Creating index '${keyName}': `, createSql);
 
 				// Create the index
-				await execQuery(createSql, true)
+				await mutate(createSql, {
+					action: 'create-index',
+					name: keyName,
+					down: dialect.generateDropIndex(tableName, physicalName),
+				})
 					.then(() => {
 						appliedCount += 1;
 					})
@@ -1981,7 +2838,12 @@ async function mysqlSchemaUpdate(dbInput, tableInput, fieldList, opts) {
 				// print "Debug: Index '$keyName' changed, deleting and recreating. Delete SQL: $sql\n";
 				sql.push(dropSql);
 
-				await execQuery(dropSql, true)
+				await mutate(dropSql, {
+					action: 'drop-index',
+					name: keyName,
+					down: recreateIndexSql(tableName, existingIndex),
+					reason: 'its definition changed; recreated below',
+				})
 					.then(() => {
 						appliedCount += 1;
 					})
@@ -2018,7 +2880,11 @@ async function mysqlSchemaUpdate(dbInput, tableInput, fieldList, opts) {
 
 			console.log(`Debug: (re)Creating index '${keyName}': `, createSql);
 			sql.push(createSql);
-			await execQuery(createSql, true)
+			await mutate(createSql, {
+				action: 'create-index',
+				name: keyName,
+				down: dialect.generateDropIndex(tableName, physicalName),
+			})
 				.then(() => {
 					appliedCount += 1;
 				})
@@ -2056,7 +2922,12 @@ async function mysqlSchemaUpdate(dbInput, tableInput, fieldList, opts) {
 				console.log(`Debug: Index '${keyName}' removed: `, dropSql);
 				sql.push(dropSql);
 
-				await execQuery(dropSql, true)
+				await mutate(dropSql, {
+					action: 'drop-index',
+					name: keyName,
+					down: recreateIndexSql(tableName, existingIndexByName[keyName]),
+					reason: 'not declared in the schema',
+				})
 					.then(() => {
 						appliedCount += 1;
 					})
@@ -2086,7 +2957,10 @@ async function mysqlSchemaUpdate(dbInput, tableInput, fieldList, opts) {
 	// any missing ADD/CHANGE, re-verifies, and records a loud error ONLY if the
 	// column STILL will not persist. Scoped to this run's changes so we never
 	// false-positive on pre-existing columns.
-	if (changedColumns.some((c) => c.type === 'ADD' || c.type === 'CHANGE')) {
+	if (
+		!plan &&
+		changedColumns.some((c) => c.type === 'ADD' || c.type === 'CHANGE')
+	) {
 		const { healed, errors: healErrors } = await verifyAndHealColumns({
 			tableName,
 			changedColumns,
@@ -2109,10 +2983,359 @@ async function mysqlSchemaUpdate(dbInput, tableInput, fieldList, opts) {
 		);
 	}
 
-	return { applied: appliedCount, errors: sqlErrors };
+	return result();
 }
 
-async function syncSchemaToDb(schema) {
+// The table to read a table's current constraints from, or null when it
+// doesn't exist yet. A plan reads a table it has only planned to rename under
+// its old name.
+async function findSourceTable(tableName, { plan, renamedFrom }) {
+	if (!dbh) {
+		dbh = await factory();
+	}
+	if (await dialect.tableExists(dbh, DB_NAME, tableName)) {
+		return tableName;
+	}
+	if (
+		plan &&
+		renamedFrom &&
+		(await dialect.tableExists(dbh, DB_NAME, renamedFrom))
+	) {
+		return renamedFrom;
+	}
+	return null;
+}
+
+// Add, change and drop a table's foreign keys with ALTER TABLE. Dialects that
+// can't (SQLite) get theirs declared by mysqlSchemaUpdate() instead. Only keys
+// named like ours (`fk_<table>_...`) are dropped, so hand-made ones stay.
+async function foreignKeyUpdate(
+	tableName,
+	foreignKeys,
+	{ plan = null, renamedFrom = null } = {},
+) {
+	const sqlErrors = [];
+	let appliedCount = 0;
+	const table = dialect.quoteIdentifier(tableName);
+	const result = () => ({
+		applied: plan ? 0 : appliedCount,
+		errors: sqlErrors,
+	});
+	if (!dialect.supportsAlterForeignKeys) {
+		return result();
+	}
+	const mutate = (statement, step) => {
+		if (plan) {
+			plan.push(planStep({ table: tableName, ...step, sql: statement }));
+			return Promise.resolve();
+		}
+		return execQuery(statement);
+	};
+
+	const sourceTableName = await findSourceTable(tableName, {
+		plan,
+		renamedFrom,
+	});
+
+	let existingForeignKeys = [];
+	if (sourceTableName) {
+		try {
+			existingForeignKeys = await dialect.getTableForeignKeys(
+				dbh,
+				sourceTableName,
+			);
+		} catch (ex) {
+			console.warn(`Error reading existing foreign keys from ${table}:`, ex);
+			sqlErrors.push({
+				table,
+				description: 'Error reading existing foreign keys from database',
+				sql: `dialect.getTableForeignKeys(${sourceTableName})`,
+				error: ex,
+			});
+			return result();
+		}
+	}
+
+	const unmatched = [...existingForeignKeys];
+	const foreignKeysToAdd = foreignKeys.filter((foreignKey) => {
+		const index = unmatched.findIndex(
+			(existing) =>
+				foreignKeySignature(existing) === foreignKeySignature(foreignKey),
+		);
+		if (index === -1) {
+			return true;
+		}
+		unmatched.splice(index, 1);
+		return false;
+	});
+	const foreignKeysToDrop = unmatched.filter(
+		({ name }) =>
+			`${name}`.startsWith(`fk_${tableName}_`) ||
+			foreignKeysToAdd.some((foreignKey) => foreignKey.name === name),
+	);
+
+	// eslint-disable-next-line no-restricted-syntax
+	for (const existing of foreignKeysToDrop) {
+		const dropSql = dialect.generateDropForeignKey(tableName, existing.name);
+		console.log(`Debug: Foreign key '${existing.name}' removed: `, dropSql);
+		try {
+			// eslint-disable-next-line no-await-in-loop
+			await mutate(dropSql, {
+				action: 'drop-foreign-key',
+				name: existing.name,
+				down: dialect.generateAddForeignKey(tableName, existing),
+				reason: foreignKeysToAdd.some(({ name }) => name === existing.name)
+					? 'its definition changed; recreated below'
+					: 'not declared in the schema',
+			});
+			appliedCount += 1;
+		} catch (ex) {
+			console.error(
+				`Error dropping foreign key '${existing.name}' with SQL: ${dropSql}\n----\nError when trying to drop was:`,
+				ex,
+			);
+			sqlErrors.push({
+				table,
+				description: 'Error dropping foreign key',
+				sql: dropSql,
+				error: ex,
+			});
+		}
+	}
+
+	// eslint-disable-next-line no-restricted-syntax
+	for (const foreignKey of foreignKeysToAdd) {
+		const addSql = dialect.generateAddForeignKey(tableName, foreignKey);
+		const diagnostic = sourceTableName
+			? // eslint-disable-next-line no-await-in-loop
+			  await foreignKeyOrphanPreflight({
+					tableName: sourceTableName,
+					foreignKey,
+					constraintSql: addSql,
+					plan,
+			  })
+			: null;
+		if (diagnostic) {
+			console.error(diagnostic);
+			sqlErrors.push({
+				table,
+				description: 'Foreign key blocked by rows it would reject',
+				sql: addSql,
+				error: new Error(diagnostic),
+			});
+		} else {
+			console.log(`Debug: Adding foreign key '${foreignKey.name}': `, addSql);
+			try {
+				// eslint-disable-next-line no-await-in-loop
+				await mutate(addSql, {
+					action: 'add-foreign-key',
+					name: foreignKey.name,
+					down: dialect.generateDropForeignKey(tableName, foreignKey.name),
+				});
+				appliedCount += 1;
+			} catch (ex) {
+				console.error(
+					`Error adding foreign key '${foreignKey.name}' with SQL: ${addSql}\n----\nError when trying to add was:`,
+					ex,
+				);
+				sqlErrors.push({
+					table,
+					description: 'Error adding foreign key',
+					sql: addSql,
+					error: ex,
+				});
+			}
+		}
+	}
+
+	return result();
+}
+
+// Add and drop a table's CHECK constraints with ALTER TABLE, comparing them by
+// name (see resolveCheckConstraints). Dialects that can't (SQLite) get theirs
+// declared by mysqlSchemaUpdate() instead. Only constraints named like ours
+// (`chk_<table>_...`, or `chk_<renamedFrom>_...`) are dropped.
+async function checkConstraintUpdate(
+	tableName,
+	checkConstraints,
+	{ plan = null, renamedFrom = null } = {},
+) {
+	const sqlErrors = [];
+	let appliedCount = 0;
+	const table = dialect.quoteIdentifier(tableName);
+	const result = () => ({
+		applied: plan ? 0 : appliedCount,
+		errors: sqlErrors,
+	});
+	if (!dialect.supportsAlterCheckConstraints) {
+		return result();
+	}
+	const mutate = (statement, step) => {
+		if (plan) {
+			plan.push(planStep({ table: tableName, ...step, sql: statement }));
+			return Promise.resolve();
+		}
+		return execQuery(statement);
+	};
+
+	const sourceTableName = await findSourceTable(tableName, {
+		plan,
+		renamedFrom,
+	});
+
+	let existingChecks = [];
+	if (sourceTableName) {
+		try {
+			existingChecks = await dialect.getTableCheckConstraints(
+				dbh,
+				sourceTableName,
+			);
+		} catch (ex) {
+			console.warn(
+				`Error reading existing CHECK constraints from ${table}:`,
+				ex,
+			);
+			sqlErrors.push({
+				table,
+				description: 'Error reading existing CHECK constraints from database',
+				sql: `dialect.getTableCheckConstraints(${sourceTableName})`,
+				error: ex,
+			});
+			return result();
+		}
+	}
+
+	// A renamed table keeps the constraints named for its old name
+	const ownPrefixes = [tableName, renamedFrom]
+		.filter(Boolean)
+		.map((name) => `chk_${name}_`);
+	const existingNames = existingChecks.map(({ name }) => name);
+	const wantedNames = checkConstraints.map(({ name }) => name);
+	const checksToDrop = existingChecks.filter(
+		({ name }) =>
+			ownPrefixes.some((prefix) => `${name}`.startsWith(prefix)) &&
+			!wantedNames.includes(name),
+	);
+	const checksToAdd = checkConstraints.filter(
+		({ name }) => !existingNames.includes(name),
+	);
+
+	// eslint-disable-next-line no-restricted-syntax
+	for (const existing of checksToDrop) {
+		const dropSql = dialect.generateDropCheckConstraint(
+			tableName,
+			existing.name,
+		);
+		console.log(
+			`Debug: CHECK constraint '${existing.name}' removed: `,
+			dropSql,
+		);
+		try {
+			// eslint-disable-next-line no-await-in-loop
+			await mutate(dropSql, {
+				action: 'drop-check-constraint',
+				name: existing.name,
+				down: dialect.generateAddCheckConstraint(tableName, existing),
+				reason: 'not declared in the schema',
+			});
+			appliedCount += 1;
+		} catch (ex) {
+			console.error(
+				`Error dropping CHECK constraint '${existing.name}' with SQL: ${dropSql}\n----\nError when trying to drop was:`,
+				ex,
+			);
+			sqlErrors.push({
+				table,
+				description: 'Error dropping CHECK constraint',
+				sql: dropSql,
+				error: ex,
+			});
+		}
+	}
+
+	// eslint-disable-next-line no-restricted-syntax
+	for (const checkConstraint of checksToAdd) {
+		const addSql = dialect.generateAddCheckConstraint(
+			tableName,
+			checkConstraint,
+		);
+		const diagnostic = sourceTableName
+			? // eslint-disable-next-line no-await-in-loop
+			  await checkConstraintPreflight({
+					tableName: sourceTableName,
+					checkConstraint,
+					constraintSql: addSql,
+					plan,
+			  })
+			: null;
+		if (diagnostic) {
+			console.error(diagnostic);
+			sqlErrors.push({
+				table,
+				description: 'CHECK constraint blocked by rows it would reject',
+				sql: addSql,
+				error: new Error(diagnostic),
+			});
+		} else {
+			console.log(
+				`Debug: Adding CHECK constraint '${checkConstraint.name}': `,
+				addSql,
+			);
+			try {
+				// eslint-disable-next-line no-await-in-loop
+				await mutate(addSql, {
+					action: 'add-check-constraint',
+					name: checkConstraint.name,
+					down: dialect.generateDropCheckConstraint(
+						tableName,
+						checkConstraint.name,
+					),
+				});
+				appliedCount += 1;
+			} catch (ex) {
+				console.error(
+					`Error adding CHECK constraint '${checkConstraint.name}' with SQL: ${addSql}\n----\nError when trying to add was:`,
+					ex,
+				);
+				sqlErrors.push({
+					table,
+					description: 'Error adding CHECK constraint',
+					sql: addSql,
+					error: ex,
+				});
+			}
+		}
+	}
+
+	return result();
+}
+
+/**
+ * Sync one converted schema to the database: create the table, or alter it
+ * and its indexes to match.
+ *
+ * With `plan: true` nothing is changed. The result then carries `plan`, the
+ * ordered steps a sync would run (see {@link formatPlan}), each
+ * `{ table, action, name, sql, down, reason, deferred }`. `deferred` steps are
+ * differences a sync reports but does not apply.
+ *
+ * @param {object} schema From convertDefinition()
+ * @param {object} [options]
+ * @param {boolean} [options.plan=false] Work out the changes without making them
+ * @param {boolean} [options.allowDrop] Drop columns the schema no longer has,
+ * 	as YASS_ALLOW_DROP does
+ * @param {object} [options.linkedTables] Definition file name (no `.js`) to
+ * 	its table, for finding the tables foreign keys reference (see
+ * 	resolveForeignKeys)
+ * @param {boolean} [options.deferForeignKeys=false] Leave adding and dropping
+ * 	foreign keys to a later {@link syncForeignKeys} call, for when the tables
+ * 	they reference are synced alongside this one
+ * @returns {Promise<{table: string, applied: number, failed: number, errors: object[], plan?: object[]}>}
+ */
+async function syncSchemaToDb(
+	schema,
+	{ plan = false, allowDrop, linkedTables, deferForeignKeys = false } = {},
+) {
 	const { fields, table, options } = schema;
 
 	const { table: tableNameParsed, idFieldFromTable } = parseIdField(table);
@@ -2135,25 +3358,130 @@ async function syncSchemaToDb(schema) {
 		fields.push({ ...getPriKeyAttrs(), field: idFieldFromTable || 'id' });
 	}
 
+	const steps = plan ? [] : null;
+	const renamedFrom = schema.renamedFrom
+		? parseIdField(schema.renamedFrom).table
+		: null;
+	const foreignKeys = resolveForeignKeys(schema, linkedTables);
+	const checkConstraints = resolveCheckConstraints(schema);
+
 	// Apply the actual update to the database (does nothing if the definiton and database match)
 	const { applied = 0, errors = [] } =
-		(await mysqlSchemaUpdate(DB_NAME, tableNameParsed, fields, options)) || {};
+		(await mysqlSchemaUpdate(DB_NAME, tableNameParsed, fields, options, {
+			plan: steps,
+			allowDrop,
+			renamedFrom,
+			foreignKeys,
+			checkConstraints,
+		})) || {};
 
 	// Attach our UUID trigger
 	if (hasUuidKey && !idFieldFromTable) {
-		await attachIdTrigger(table);
+		await attachIdTrigger(table, steps);
 	} else {
 		// print STDERR "Table does not need ID trigger: $schema->{table}\n";
 	}
 
+	// Constraints last, once the columns they are on exist
+	const checkResult = await checkConstraintUpdate(
+		tableNameParsed,
+		checkConstraints,
+		{ plan: steps, renamedFrom },
+	);
+	const foreignKeyResult = deferForeignKeys
+		? { applied: 0, errors: [] }
+		: await foreignKeyUpdate(tableNameParsed, foreignKeys, {
+				plan: steps,
+				renamedFrom,
+		  });
+
+	const constraintErrors = [...checkResult.errors, ...foreignKeyResult.errors];
 	return {
 		table: tableNameParsed,
+		applied: applied + checkResult.applied + foreignKeyResult.applied,
+		failed: errors.length + constraintErrors.length,
+		errors: [...errors, ...constraintErrors],
+		...(steps ? { plan: steps } : {}),
+	};
+}
+
+/**
+ * Add, change and drop the foreign keys of a schema's `t.linked()` fields -
+ * the part of {@link syncSchemaToDb} that `deferForeignKeys` leaves out. When
+ * schemas reference each other, sync every table first, then call this for
+ * each, so the tables the keys reference exist. (SQLite declares foreign keys
+ * with the table, so there this does nothing.)
+ *
+ * @param {object} schema From convertDefinition()
+ * @param {object} [options]
+ * @param {boolean} [options.plan=false] Work out the changes without making them
+ * @param {object} [options.linkedTables] As for syncSchemaToDb()
+ * @returns {Promise<{table: string, applied: number, failed: number, errors: object[], plan?: object[]}>}
+ */
+async function syncForeignKeys(schema, { plan = false, linkedTables } = {}) {
+	const { table } = parseIdField(schema.table);
+	const steps = plan ? [] : null;
+	const { applied, errors } = await foreignKeyUpdate(
+		table,
+		resolveForeignKeys(schema, linkedTables),
+		{
+			plan: steps,
+			renamedFrom: schema.renamedFrom
+				? parseIdField(schema.renamedFrom).table
+				: null,
+		},
+	);
+	return {
+		table,
 		applied,
 		failed: errors.length,
 		errors,
+		...(steps ? { plan: steps } : {}),
 	};
 }
 
+/**
+ * Render the steps of a `schema-sync --plan` run for people: numbered in the
+ * order a sync would run them, with their SQL, and deferred steps last.
+ * @param {object[]} steps Plan steps from {@link syncSchemaToDb}
+ * @returns {string}
+ */
+function formatPlan(steps) {
+	const pending = steps.filter(({ deferred }) => !deferred);
+	const deferred = steps.filter((step) => step.deferred);
+	const describe = ({ table, action, name }) =>
+		`${table ? `${table}: ` : ''}${action}${name ? ` ${name}` : ''}`;
+	const indent = (text) =>
+		`${text}`
+			.split('\n')
+			.map((line) => `       ${line}`)
+			.join('\n');
+
+	const lines = [
+		pending.length
+			? `schema-sync plan: ${pending.length} change(s) pending${
+					deferred.length ? `, ${deferred.length} deferred` : ''
+			  }`
+			: `schema-sync plan: no changes pending${
+					deferred.length ? ` (${deferred.length} deferred)` : ''
+			  }`,
+	];
+	pending.forEach((step, idx) => {
+		lines.push(
+			`  ${`${idx + 1}.`.padEnd(4)}${describe(step)}${
+				step.reason ? ` (${step.reason})` : ''
+			}`,
+		);
+		if (step.sql) {
+			lines.push(indent(step.sql));
+		}
+	});
+	deferred.forEach((step) => {
+		lines.push(`  -   ${describe(step)} (deferred: ${step.reason})`);
+	});
+	return lines.join('\n');
+}
+
 function writeModel({ table, model, defsPath, modelsPath }) {
 	const defFile = path.resolve(defsPath, `${table}.js`);
 	const modelFile = path.resolve(modelsPath, `${table}.js`);
@@ -2336,16 +3664,24 @@ module.exports = {
 	resolvePhysicalIndexName,
 	fitIdentifierToLimit,
 	buildNotNullBackfillDiagnostic,
+	buildForeignKeyOrphanDiagnostic,
+	buildCheckConstraintViolationDiagnostic,
+	resolveForeignKeys,
+	resolveCheckConstraints,
 	checkJsonSupport,
 	findMissingSchemaColumns,
 	verifyAndHealColumns,
 	mapDatabaseColumnTypeToSchemaType,
 	promiseMap,
 	syncSchemaToDb,
+	syncForeignKeys,
+	formatPlan,
 	convertFile,
+	joinTableSchemas,
+	historyTableSchema,
+	outboxTableSchema,
 	dumpDatabaseSchemas,
 	uploadMatchRatioFunctionFactory: uploadMatchRatioFunction,
-	uploadMatchRatioFunction: () => {
-		uploadMatchRatioFunction(DB_HOST, DB_NAME, USER, PASSWORD, PORT);
-	},
+	uploadMatchRatioFunction: (plan) =>
+		uploadMatchRatioFunction(DB_HOST, DB_NAME, USER, PASSWORD, PORT, plan),
 };
@@ -1,4 +1,59 @@
-/* eslint-disable no-param-reassign */
+/* eslint-disable no-param-reassign, no-console */
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Transaction bound to the async context by `transaction(cb, { bind: true })`
+const boundTransaction = new AsyncLocalStorage();
+
+/**
+ * The transaction handle bound to the current async context, if any. A
+ * finished transaction is never returned, so work that outlives the callback
+ * (a timer, an un-awaited promise) does not reuse a dead handle.
+ * @param {object} [handle] Only return a transaction opened on this handle
+ * @returns {object|undefined}
+ */
+function currentTransaction(handle) {
+	const tx = boundTransaction.getStore();
+	if (!tx) {
+		return undefined;
+	}
+	const { context } = tx._transactionContext;
+	if (context.finished || (handle && context.handle !== handle)) {
+		return undefined;
+	}
+	return tx;
+}
+
+/**
+ * Callbacks registered with `tx.afterCommit()` / `tx.afterRollback()` while
+ * one transaction level (the root, or a savepoint) is open.
+ */
+function createCallbackFrame() {
+	return { afterCommit: [], afterRollback: [] };
+}
+
+function registerCallback(tx, kind, fn) {
+	if (typeof fn !== 'function') {
+		throw new TypeError(`tx.${kind}(fn) requires a function`);
+	}
+	const { frames } = tx._transactionContext.context;
+	frames[frames.length - 1][kind].push(fn);
+}
+
+/**
+ * Run callbacks one at a time once the transaction is over. A throwing
+ * callback is logged and skipped - the outcome is already decided.
+ */
+async function runCallbacks(kind, callbacks) {
+	// eslint-disable-next-line no-restricted-syntax
+	for (const fn of callbacks) {
+		try {
+			// eslint-disable-next-line no-await-in-loop
+			await fn();
+		} catch (err) {
+			console.error(`[yass-orm] tx.${kind}() callback threw:`, err);
+		}
+	}
+}
 
 function createTransactionHandle(parent, connection, context) {
 	const tx = Object.create(parent);
@@ -10,6 +65,16 @@ function createTransactionHandle(parent, connection, context) {
 	tx.roQuery = function roQuery(sql, params, opts = {}) {
 		return this.pquery(sql, params, opts);
 	};
+	// Run `fn` after the root COMMIT - never if the work it was registered
+	// in (the root, or a savepoint) is rolled back.
+	tx.afterCommit = function afterCommit(fn) {
+		registerCallback(this, 'afterCommit', fn);
+	};
+	// Run `fn` once the work it was registered in is rolled back, after the
+	// root transaction ends.
+	tx.afterRollback = function afterRollback(fn) {
+		registerCallback(this, 'afterRollback', fn);
+	};
 	tx._transactionContext = context;
 
 	return tx;
@@ -26,12 +91,22 @@ async function runNestedTransaction(parent, callback, options) {
 	context.savepointCounter += 1;
 	const name = `yass_orm_sp_${context.savepointCounter}`;
 	await parent.query(`SAVEPOINT ${name}`);
+	const frame = createCallbackFrame();
+	context.frames.push(frame);
 
 	try {
 		const result = await callback(parent);
 		await parent.query(`RELEASE SAVEPOINT ${name}`);
+		context.frames.pop();
+		// Released work commits (or not) with the enclosing level
+		const enclosing = context.frames[context.frames.length - 1];
+		enclosing.afterCommit.push(...frame.afterCommit);
+		enclosing.afterRollback.push(...frame.afterRollback);
 		return result;
 	} catch (err) {
+		context.frames.pop();
+		// This savepoint's work is undone whatever the root does
+		context.rolledBack.push(...frame.afterRollback);
 		try {
 			await parent.query(`ROLLBACK TO SAVEPOINT ${name}`);
 			await parent.query(`RELEASE SAVEPOINT ${name}`);
@@ -42,10 +117,17 @@ async function runNestedTransaction(parent, callback, options) {
 	}
 }
 
-async function runRootTransaction(parent, callback, normalizedOptions) {
+async function runRootTransaction(parent, callback, normalizedOptions, bind) {
 	const { dialect } = parent;
 	const lease = await dialect.acquireTransactionConnection(parent);
-	const context = { savepointCounter: 0 };
+	const context = {
+		// Handle the transaction was opened on
+		handle: parent,
+		savepointCounter: 0,
+		frames: [createCallbackFrame()],
+		// afterRollback callbacks of savepoints rolled back so far
+		rolledBack: [],
+	};
 	const tx = createTransactionHandle(parent, lease.connection, {
 		context,
 	});
@@ -61,7 +143,9 @@ async function runRootTransaction(parent, callback, normalizedOptions) {
 			normalizedOptions,
 		);
 		began = true;
-		result = await callback(tx);
+		result = await (bind
+			? boundTransaction.run(tx, () => callback(tx))
+			: callback(tx));
 		await dialect.commitTransaction(lease.connection);
 		began = false;
 		committed = true;
@@ -90,6 +174,18 @@ async function runRootTransaction(parent, callback, normalizedOptions) {
 		releaseError = err;
 	}
 
+	context.finished = true;
+	const [root] = context.frames;
+	if (committed) {
+		await runCallbacks('afterCommit', root.afterCommit);
+		await runCallbacks('afterRollback', context.rolledBack);
+	} else {
+		await runCallbacks('afterRollback', [
+			...context.rolledBack,
+			...root.afterRollback,
+		]);
+	}
+
 	if (primaryError) {
 		if (typeof primaryError === 'object') {
 			if (cleanupError) primaryError.cleanupError = cleanupError;
@@ -136,11 +232,16 @@ async function runTransaction(parent, callback, options = {}) {
 		throw new TypeError('Transaction options must be an object');
 	}
 
+	// Model calls not given a `tx` run on a bound transaction (see obj.js)
+	const { bind = false, ...transactionOptions } = options;
+
 	if (parent._transactionContext) {
-		return runNestedTransaction(parent, callback, options);
+		const runNested = () =>
+			runNestedTransaction(parent, callback, transactionOptions);
+		return bind ? boundTransaction.run(parent, runNested) : runNested();
 	}
 
-	const { maxRetries = 0, ...dialectOptions } = options;
+	const { maxRetries = 0, ...dialectOptions } = transactionOptions;
 	if (!Number.isInteger(maxRetries) || maxRetries < 0) {
 		throw new TypeError(
 			'Transaction maxRetries must be a non-negative integer',
@@ -151,7 +252,12 @@ async function runTransaction(parent, callback, options = {}) {
 
 	const executeAttempt = async (attempt) => {
 		try {
-			return await runRootTransaction(parent, callback, normalizedOptions);
+			return await runRootTransaction(
+				parent,
+				callback,
+				normalizedOptions,
+				bind,
+			);
 		} catch (err) {
 			if (attempt >= maxRetries || !isRetryableTransactionError(err)) {
 				throw err;
@@ -163,4 +269,8 @@ async function runTransaction(parent, callback, options = {}) {
 	return executeAttempt(0);
 }
 
-module.exports = { isRetryableTransactionError, runTransaction };
+module.exports = {
+	currentTransaction,
+	isRetryableTransactionError,
+	runTransaction,
+};
@@ -0,0 +1,327 @@
+/**
+ * Runtime validation of the data given to `create()` / `patch()`, derived from
+ * a converted schema (see lib/def-to-schema.js) - the same field metadata
+ * `mapFieldToZodSchema` in lib/generate-types.js turns into Zod code:
+ *
+ *   - `t.enum([...])` values must be one of the options
+ *   - `null: 0` fields (`.default()`, `t.bool`) reject `null`, and on create
+ *     a `null: 0` field with no default is required
+ *   - strings, numbers, booleans, dates and bigints are type-checked, with the
+ *     `.minLength()` / `.maxLength()` / `.pattern()` / `.email()` / `.url()` and
+ *     `.min()` / `.max()` / `.positive()` / ... refinements
+ *   - `t.array()` values must be arrays, honour `.minItems()` / `.maxItems()`
+ *     and have items of the declared type
+ *   - `t.object({...})` sub-schemas are checked field by field
+ *
+ * Every failing field is collected (not just the first) as `{ path, message,
+ * value }`, where `path` is dotted with array indexes (`address.zip`,
+ * `lines[2].sku`). Keys that are not columns are ignored, like deflateValues()
+ * ignores them. Linked fields accept an instance or an id and are not checked
+ * beyond being an array for `t.linked(model, { array: true })`.
+ */
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const BIGINT_PATTERN = /^-?\d+$/;
+
+/**
+ * Thrown by `create()` / `patch()` (and `Model.validate()`) before any SQL is
+ * sent when the data does not match the schema.
+ */
+class ValidationError extends Error {
+	/**
+	 * @param {string} table Table of the model being written
+	 * @param {Array<{path: string, message: string, value: *}>} errors Every failing field
+	 */
+	constructor(table, errors) {
+		super(
+			`yass-orm: invalid data for '${table}': ${errors
+				.map(({ path, message }) => `${path} ${message}`)
+				.join('; ')}`,
+		);
+		this.name = 'ValidationError';
+		this.code = 'ERR_VALIDATION';
+		this.table = table;
+		this.errors = errors;
+	}
+}
+
+function isPlainObject(value) {
+	if (!value || typeof value !== 'object' || Array.isArray(value)) {
+		return false;
+	}
+	const proto = Object.getPrototypeOf(value);
+	return proto === Object.prototype || proto === null;
+}
+
+function quoteList(options) {
+	return options.map((option) => `'${option}'`).join(', ');
+}
+
+// Enum options may carry a `null` default-marker (see enumLiteralMembers in
+// lib/generate-types.js) - null itself is handled by the nullability check.
+function enumMembers(options) {
+	return options.filter((option) => option !== null && option !== undefined);
+}
+
+function checkString(field, value, fail) {
+	if (typeof value !== 'string') {
+		fail('must be a string');
+		return;
+	}
+	if (field._minLength !== undefined && value.length < field._minLength) {
+		fail(`must be at least ${field._minLength} characters`);
+	}
+	if (field._maxLength !== undefined && value.length > field._maxLength) {
+		fail(`must be at most ${field._maxLength} characters`);
+	}
+	if (field._pattern) {
+		const pattern =
+			field._pattern instanceof RegExp
+				? field._pattern
+				: new RegExp(field._pattern);
+		if (!pattern.test(value)) {
+			fail(`must match ${pattern}`);
+		}
+	}
+	if (field._format === 'email' && !EMAIL_PATTERN.test(value)) {
+		fail('must be an email address');
+	}
+	if (field._format === 'url') {
+		try {
+			// eslint-disable-next-line no-new
+			new URL(value);
+		} catch (err) {
+			fail('must be a URL');
+		}
+	}
+}
+
+function checkNumber(field, value, fail) {
+	if (typeof value !== 'number' || !Number.isFinite(value)) {
+		fail('must be a number');
+		return;
+	}
+	if (field.type === 'integer' && !Number.isInteger(value)) {
+		fail('must be an integer');
+	}
+	if (field._min !== undefined && value < field._min) {
+		fail(`must be >= ${field._min}`);
+	}
+	if (field._max !== undefined && value > field._max) {
+		fail(`must be <= ${field._max}`);
+	}
+	if (field._positive && !(value > 0)) {
+		fail('must be positive');
+	}
+	if (field._negative && !(value < 0)) {
+		fail('must be negative');
+	}
+	if (field._nonnegative && !(value >= 0)) {
+		fail('must not be negative');
+	}
+}
+
+function isValidDate(value) {
+	if (value instanceof Date) {
+		return !Number.isNaN(value.getTime());
+	}
+	if (typeof value === 'string' || typeof value === 'number') {
+		return !Number.isNaN(new Date(value).getTime());
+	}
+	return false;
+}
+
+/**
+ * Check the type of a scalar column (or a simple `t.array()` item type).
+ * Unknown types pass.
+ */
+function checkScalar(field, value, fail) {
+	switch (field.type) {
+		case 'varchar':
+		case 'longtext':
+			checkString(field, value, fail);
+			break;
+		case 'integer':
+		case 'double':
+			checkNumber(field, value, fail);
+			break;
+		case 'int(1)':
+			if (![true, false, 0, 1].includes(value)) {
+				fail('must be a boolean');
+			}
+			break;
+		case 'bigint':
+			if (
+				!['string', 'number', 'bigint'].includes(typeof value) ||
+				!BIGINT_PATTERN.test(String(value))
+			) {
+				fail('must be an integer string');
+			}
+			break;
+		case 'datetime':
+			if (!isValidDate(value)) {
+				fail('must be a date');
+			}
+			break;
+		case 'date':
+		case 'time':
+			if (typeof value !== 'string' && !isValidDate(value)) {
+				fail('must be a string');
+			}
+			break;
+		default:
+	}
+}
+
+// Simple t.array() item types (see `arrayItemType` in t.array())
+const ARRAY_ITEM_FIELDS = {
+	string: { type: 'varchar' },
+	number: { type: 'double' },
+	boolean: { type: 'int(1)' },
+	bigint: { type: 'bigint' },
+};
+
+function checkObject(objectSchema, value, path, errors) {
+	Object.values(objectSchema).forEach((subField) => {
+		// eslint-disable-next-line no-use-before-define
+		checkValue(
+			subField,
+			value[subField.subfield],
+			`${path}.${subField.subfield}`,
+			errors,
+		);
+	});
+}
+
+function checkArray(field, value, path, errors, fail) {
+	if (!Array.isArray(value)) {
+		fail('must be an array');
+		return;
+	}
+	if (field._minItems !== undefined && value.length < field._minItems) {
+		fail(`must have at least ${field._minItems} items`);
+	}
+	if (field._maxItems !== undefined && value.length > field._maxItems) {
+		fail(`must have at most ${field._maxItems} items`);
+	}
+
+	const { arrayItemType, arrayItemSchema, arrayItemEnumOptions } = field;
+	value.forEach((item, index) => {
+		const itemPath = `${path}[${index}]`;
+		const failItem = (message) =>
+			errors.push({ path: itemPath, message, value: item });
+		if (item === null || item === undefined) {
+			return;
+		}
+		if (arrayItemType === 'object' && arrayItemSchema) {
+			if (!isPlainObject(item)) {
+				failItem('must be an object');
+				return;
+			}
+			checkObject(arrayItemSchema, item, itemPath, errors);
+		} else if (arrayItemType === 'enum' && arrayItemEnumOptions) {
+			const members = enumMembers(arrayItemEnumOptions);
+			if (!members.includes(item)) {
+				failItem(`must be one of ${quoteList(members)}`);
+			}
+		} else if (ARRAY_ITEM_FIELDS[arrayItemType]) {
+			checkScalar(ARRAY_ITEM_FIELDS[arrayItemType], item, failItem);
+		}
+	});
+}
+
+/**
+ * Check one value against its field definition, pushing any failures.
+ * @param {object} field Field definition from the converted schema
+ * @param {*} value
+ * @param {string} path Path reported for failures
+ * @param {Array} errors
+ */
+function checkValue(field, value, path, errors) {
+	const fail = (message) => errors.push({ path, message, value });
+
+	if (value === undefined) {
+		return;
+	}
+	if (value === null) {
+		if (field.null === 0) {
+			fail('must not be null');
+		}
+		return;
+	}
+
+	if (field.linkedModel) {
+		if (field.isArray && !Array.isArray(value)) {
+			fail('must be an array of ids or instances');
+		}
+		return;
+	}
+
+	if (
+		field._type === 'enum' &&
+		Array.isArray(field.options) &&
+		field.options.length
+	) {
+		const members = enumMembers(field.options);
+		if (!members.includes(value)) {
+			fail(`must be one of ${quoteList(members)}`);
+		}
+		return;
+	}
+
+	// t.array() is a t.object() flagged isArray, so check it first
+	if (field.isArray) {
+		checkArray(field, value, path, errors, fail);
+		return;
+	}
+
+	if (field.isObject) {
+		if (field.objectSchema && Object.keys(field.objectSchema).length) {
+			if (!isPlainObject(value)) {
+				fail('must be an object');
+				return;
+			}
+			checkObject(field.objectSchema, value, path, errors);
+		}
+		return;
+	}
+
+	checkScalar(field, value, fail);
+}
+
+/**
+ * Validate `data` against a converted schema.
+ * @param {object} schema Converted schema (`Model.schema()`)
+ * @param {object} data Data given to `create()` / `patch()`
+ * @param {object} [options]
+ * @param {boolean} [options.partial=false] True for a patch: fields missing
+ * 	from `data` are left alone. On create, a `null: 0` field without a default
+ * 	must be given.
+ * @param {string} [options.idField] Id field, never required
+ * @returns {Array<{path: string, message: string, value: *}>} Empty when valid
+ */
+function validateValues(schema, data = {}, { partial = false, idField } = {}) {
+	const errors = [];
+	Object.values(schema.fieldMap).forEach((field) => {
+		// t.generated() columns are never written
+		if (field.generated) {
+			return;
+		}
+		const value = data[field.field];
+		if (
+			!partial &&
+			value === undefined &&
+			field.null === 0 &&
+			field.field !== idField &&
+			field.default === undefined &&
+			field.defaultValue === undefined
+		) {
+			errors.push({ path: field.field, message: 'is required', value });
+			return;
+		}
+		checkValue(field, value, field.field, errors);
+	});
+	return errors;
+}
+
+module.exports = { ValidationError, validateValues };
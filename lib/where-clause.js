@@ -0,0 +1,393 @@
+/**
+ * Structured operator vocabulary for the `fields` argument of
+ * `Model.search()` / `dbh.search()`.
+ *
+ * Plain `{ column: value }` pairs keep their historical meaning (`column=value`,
+ * or `IS NULL` for `null`) and compile to byte-identical SQL. On top of that a
+ * field value may be an OPERATOR OBJECT, and the top level (or any group) may
+ * carry `$or` / `$and` / `$not`:
+ *
+ *   {
+ *     age: { $gte: 18, $lt: 65 },
+ *     status: { $in: ['active', 'trial'] },
+ *     $or: [{ name: { $like: 'a%' } }, { name: null }],
+ *   }
+ *
+ * Like lib/search-options.js, this module is the single place that decides
+ * what a where object may contain: unknown operators throw, naming the
+ * operator and listing the supported ones. Identifiers go through the
+ * caller's `escapeId` and every operand becomes a `:name` placeholder, so each
+ * dialect's own placeholder and quoting rules (`$name` on SQLite, `$N` on
+ * Postgres) apply unchanged.
+ */
+
+const SUPPORTED_WHERE_OPERATORS = [
+	'$eq',
+	'$ne',
+	'$gt',
+	'$gte',
+	'$lt',
+	'$lte',
+	'$in',
+	'$nin',
+	'$like',
+	'$notLike',
+	'$between',
+	'$not',
+];
+
+const SUPPORTED_WHERE_GROUPS = ['$or', '$and', '$not'];
+
+const OPERATOR_LIST = SUPPORTED_WHERE_OPERATORS.join(', ');
+const GROUP_LIST = SUPPORTED_WHERE_GROUPS.join(', ');
+
+const COMPARISON_SQL = {
+	$gt: '>',
+	$gte: '>=',
+	$lt: '<',
+	$lte: '<=',
+	$like: 'like',
+	$notLike: 'not like',
+};
+
+/**
+ * Prefix for generated placeholder names. Operands cannot reuse the column
+ * name as their placeholder (`{ $or: [{ a: 1 }, { a: 2 }] }` needs two), so
+ * they get `:yass_where_0`, `:yass_where_1`, ...
+ */
+const PARAM_PREFIX = 'yass_where_';
+
+function fail(message) {
+	throw new Error(`yass-orm search(): ${message}`);
+}
+
+function isPlainObject(value) {
+	if (!value || typeof value !== 'object' || Array.isArray(value)) {
+		return false;
+	}
+	const proto = Object.getPrototypeOf(value);
+	return proto === Object.prototype || proto === null;
+}
+
+/**
+ * True if `value` is an operator object (`{ $gt: 1 }`) rather than a literal
+ * to compare for equality. A plain object with NO `$` keys is a literal (e.g.
+ * a JSON column value) so existing `t.object()` equality searches are unchanged.
+ * Mixing `$` keys with plain keys is ambiguous and throws.
+ */
+function isOperatorObject(field, value) {
+	if (!isPlainObject(value)) {
+		return false;
+	}
+	const keys = Object.keys(value);
+	const operatorKeys = keys.filter((key) => key.startsWith('$'));
+	if (!operatorKeys.length) {
+		return false;
+	}
+	if (operatorKeys.length !== keys.length) {
+		fail(
+			`field '${field}' mixes operators (${operatorKeys.join(
+				', ',
+			)}) with plain keys. Use only operators, e.g. { $gt: 1, $lt: 10 }. Supported: ${OPERATOR_LIST}.`,
+		);
+	}
+	return true;
+}
+
+/**
+ * True if `where` uses any operator or group syntax at all. The model layer
+ * uses this to keep the legacy equality-only path untouched.
+ *
+ * @param {object} [where]
+ * @returns {boolean}
+ */
+function hasWhereOperators(where = {}) {
+	return Object.keys(where || {}).some(
+		(key) => key.startsWith('$') || isOperatorObject(key, where[key]),
+	);
+}
+
+function assertGroupList(group, list) {
+	if (!Array.isArray(list)) {
+		fail(
+			`group '${group}' must be an array of where objects, got ${typeof list}. Supported groups: ${GROUP_LIST}.`,
+		);
+	}
+	list.forEach((item) => {
+		if (!isPlainObject(item)) {
+			fail(`every entry of group '${group}' must be a where object.`);
+		}
+	});
+}
+
+function assertOperand(field, operator, operand) {
+	switch (operator) {
+		case '$in':
+		case '$nin':
+			if (!Array.isArray(operand)) {
+				fail(
+					`operator '${operator}' on field '${field}' must be given an array, got ${typeof operand}.`,
+				);
+			}
+			if (operand.some((item) => item === null || item === undefined)) {
+				fail(
+					`operator '${operator}' on field '${field}' cannot contain null - SQL never matches NULL with IN. Combine with { $eq: null } in an $or instead.`,
+				);
+			}
+			break;
+		case '$between':
+			if (!Array.isArray(operand) || operand.length !== 2) {
+				fail(
+					`operator '$between' on field '${field}' must be given a [low, high] pair.`,
+				);
+			}
+			break;
+		case '$like':
+		case '$notLike':
+			if (typeof operand !== 'string') {
+				fail(
+					`operator '${operator}' on field '${field}' must be given a string pattern, got ${typeof operand}.`,
+				);
+			}
+			break;
+		case '$not':
+			if (!isOperatorObject(field, operand)) {
+				fail(
+					`operator '$not' on field '${field}' must wrap an operator object, e.g. { $not: { $in: [1, 2] } }.`,
+				);
+			}
+			break;
+		case '$gt':
+		case '$gte':
+		case '$lt':
+		case '$lte':
+			if (operand === null || operand === undefined) {
+				fail(
+					`operator '${operator}' on field '${field}' cannot compare against ${operand}.`,
+				);
+			}
+			break;
+		default:
+	}
+}
+
+/**
+ * Walk a where object, checking every operator and (when `validColumns` is
+ * given) every field name. Throws on the first problem; returns nothing.
+ *
+ * @param {object} where
+ * @param {object} [context]
+ * @param {string[]} [context.validColumns] Schema column names. Omitted at the
+ *   `dbh` layer, which has no schema.
+ */
+function validateWhere(where, { validColumns } = {}) {
+	if (!isPlainObject(where)) {
+		fail(`where must be an object, got ${typeof where}.`);
+	}
+
+	const checkField = (field) => {
+		if (validColumns && !validColumns.includes(field)) {
+			fail(
+				`where names '${field}', which is not a column on this model. Known columns: ${validColumns.join(
+					', ',
+				)}.`,
+			);
+		}
+	};
+
+	const checkOperators = (field, operators) => {
+		Object.keys(operators).forEach((operator) => {
+			if (!SUPPORTED_WHERE_OPERATORS.includes(operator)) {
+				fail(
+					`unknown operator '${operator}' on field '${field}'. Supported: ${OPERATOR_LIST}.`,
+				);
+			}
+			assertOperand(field, operator, operators[operator]);
+			if (operator === '$not') {
+				checkOperators(field, operators.$not);
+			}
+		});
+	};
+
+	Object.keys(where).forEach((key) => {
+		const value = where[key];
+		if (key.startsWith('$')) {
+			if (!SUPPORTED_WHERE_GROUPS.includes(key)) {
+				fail(
+					`unknown group '${key}'. Supported groups: ${GROUP_LIST}. Field operators (${OPERATOR_LIST}) go inside a field, e.g. { age: { $gt: 18 } }.`,
+				);
+			}
+			if (key === '$not') {
+				if (!isPlainObject(value)) {
+					fail(`group '$not' must be a where object.`);
+				}
+				validateWhere(value, { validColumns });
+			} else {
+				assertGroupList(key, value);
+				value.forEach((item) => validateWhere(item, { validColumns }));
+			}
+			return;
+		}
+
+		checkField(key);
+		if (isOperatorObject(key, value)) {
+			checkOperators(key, value);
+		}
+	});
+}
+
+/**
+ * Return a copy of `where` with every operand passed through
+ * `fn(field, value)`. `$in`/`$nin`/`$between` operands are mapped element by
+ * element. Used by the model layer to deflate operands (Dates, booleans,
+ * linked instances) exactly as it deflates plain equality values.
+ *
+ * @param {object} where A where object that has passed `validateWhere`.
+ * @param {function(string, *): *} fn
+ * @returns {object}
+ */
+function mapWhereOperands(where, fn) {
+	const mapOperators = (field, operators) => {
+		const out = {};
+		Object.keys(operators).forEach((operator) => {
+			const operand = operators[operator];
+			if (operator === '$not') {
+				out[operator] = mapOperators(field, operand);
+			} else if (Array.isArray(operand)) {
+				out[operator] = operand.map((item) => fn(field, item));
+			} else {
+				out[operator] = fn(field, operand);
+			}
+		});
+		return out;
+	};
+
+	const out = {};
+	Object.keys(where).forEach((key) => {
+		const value = where[key];
+		if (key === '$not') {
+			out[key] = mapWhereOperands(value, fn);
+		} else if (key.startsWith('$')) {
+			out[key] = value.map((item) => mapWhereOperands(item, fn));
+		} else if (isOperatorObject(key, value)) {
+			out[key] = mapOperators(key, value);
+		} else {
+			out[key] = fn(key, value);
+		}
+	});
+	return out;
+}
+
+/**
+ * Compile a where object to a SQL boolean expression plus its named params.
+ *
+ * Top-level plain equality keeps the legacy `col=:col` form (and the column
+ * name as its param name) so equality-only searches emit exactly the SQL they
+ * always did. Everything else gets a generated `:yass_where_N` placeholder.
+ *
+ * Empty `$in` compiles to `1=0` (matches nothing) and empty `$nin` to `1=1`,
+ * rather than the invalid `in ()`.
+ *
+ * @param {object} where
+ * @param {object} context
+ * @param {function(string): string} context.escapeId Identifier quoting for the
+ *   active dialect (normally `conn.escapeId`).
+ * @param {string[]} [context.validColumns] See {@link validateWhere}.
+ * @returns {{sql: string, params: object}} `sql` is `''` when there is nothing to filter on.
+ */
+function compileWhere(where = {}, { escapeId, validColumns } = {}) {
+	validateWhere(where, { validColumns });
+
+	const params = {};
+	let counter = 0;
+	const bind = (value) => {
+		const name = `${PARAM_PREFIX}${counter}`;
+		counter += 1;
+		params[name] = value;
+		return `:${name}`;
+	};
+
+	const compileOperators = (col, operators) =>
+		Object.keys(operators).map((operator) => {
+			const operand = operators[operator];
+			switch (operator) {
+				case '$eq':
+					return operand === null
+						? /* sql */ `${col} is NULL`
+						: /* sql */ `${col}=${bind(operand)}`;
+				case '$ne':
+					return operand === null
+						? /* sql */ `${col} is not NULL`
+						: /* sql */ `${col}<>${bind(operand)}`;
+				case '$in':
+					return operand.length
+						? /* sql */ `${col} in (${operand.map(bind).join(', ')})`
+						: /* sql */ `1=0`;
+				case '$nin':
+					return operand.length
+						? /* sql */ `${col} not in (${operand.map(bind).join(', ')})`
+						: /* sql */ `1=1`;
+				case '$between':
+					return /* sql */ `${col} between ${bind(operand[0])} and ${bind(
+						operand[1],
+					)}`;
+				case '$not':
+					return /* sql */ `not (${compileOperators(col, operand).join(
+						' and ',
+					)})`;
+				default:
+					return /* sql */ `${col} ${COMPARISON_SQL[operator]} ${bind(
+						operand,
+					)}`;
+			}
+		});
+
+	const compileGroup = (group, topLevel) => {
+		const parts = [];
+		Object.keys(group).forEach((key) => {
+			const value = group[key];
+			if (key === '$or' || key === '$and') {
+				const joiner = key === '$or' ? ' or ' : ' and ';
+				const items = value
+					.map((item) => compileGroup(item, false))
+					.filter(Boolean);
+				if (!items.length) {
+					// An empty OR matches nothing; an empty AND matches everything.
+					parts.push(key === '$or' ? /* sql */ `1=0` : /* sql */ `1=1`);
+				} else {
+					parts.push(`(${items.map((item) => `(${item})`).join(joiner)})`);
+				}
+				return;
+			}
+			if (key === '$not') {
+				const inner = compileGroup(value, false);
+				parts.push(inner ? /* sql */ `not (${inner})` : /* sql */ `1=0`);
+				return;
+			}
+
+			const col = escapeId(key);
+			if (isOperatorObject(key, value)) {
+				parts.push(...compileOperators(col, value));
+			} else if (value === null) {
+				parts.push(/* sql */ `${col} is NULL`);
+			} else if (topLevel) {
+				params[key] = value;
+				parts.push(/* sql */ `${col}=:${key}`);
+			} else {
+				parts.push(/* sql */ `${col}=${bind(value)}`);
+			}
+		});
+		return parts.join(' and ');
+	};
+
+	return { sql: compileGroup(where, true), params };
+}
+
+module.exports = {
+	compileWhere,
+	validateWhere,
+	mapWhereOperands,
+	hasWhereOperators,
+	SUPPORTED_WHERE_OPERATORS,
+	SUPPORTED_WHERE_GROUPS,
+};
@@ -1,5 +1,23 @@
-import { expectType, expectError } from 'tsd';
-import { loadDefinition, DatabaseObject, type FinderResult } from 'yass-orm';
+import { expectType, expectError, expectAssignable } from 'tsd';
+import {
+	loadDefinition,
+	DatabaseObject,
+	type FinderResult,
+	type HasManyOptions,
+	type RelatedItems,
+	type PatchHookOptions,
+	type RemoveHookOptions,
+	ValidationError,
+	type ValidationIssue,
+	type VirtualCompute,
+	type Page,
+	type AggregateRow,
+	type BulkWriteResult,
+	type UpsertResult,
+	type HistoryEntry,
+	createOutboxRelay,
+	type OutboxDrainResult,
+} from 'yass-orm';
 
 class MyModel extends loadDefinition('./defs/my-model') {
 	hello() {
@@ -43,6 +61,74 @@ expectError(MyModel.search({ id: 'id_123' }, { sortBy: ['-datetime'] }));
 expectError(MyModel.search({ id: 'id_123' }, { sort: { score: -1 } }));
 expectError(MyModel.search({ id: 'id_123' }, { orderDir: 'sideways' }));
 
+// Operator where clauses: field operators and $or/$and/$not groups are part of
+// the `fields` argument and do not change the return shape.
+expectType<Promise<MyModel[]>>(
+	MyModel.search({
+		age: { $gte: 18, $lt: 65 },
+		status: { $in: ['active', 'trial'] },
+		$or: [{ name: { $like: 'a%' } }, { name: null }],
+	}),
+);
+expectType<Promise<MyModel | null>>(
+	MyModel.searchOne({ $not: { status: { $nin: ['banned'] } } }),
+);
+// Negative control: a group must be a list of clauses, not a single clause.
+expectError(MyModel.search({ $or: { name: 'a' } }));
+
+// Model.query(): awaiting the builder yields instances; terminal methods are typed.
+expectType<MyModel[]>(
+	await MyModel.query()
+		.where({ age: { $gt: 18 } })
+		.orderBy('age', 'desc')
+		.limit(10)
+		.offset(5),
+);
+expectType<Promise<MyModel | null>>(MyModel.query().first());
+expectType<Promise<number>>(MyModel.query().count());
+expectType<Promise<boolean>>(MyModel.query().exists());
+expectType<Promise<string[]>>(MyModel.query().pluck<string>('name'));
+// select() narrows to plain objects, not instances.
+expectType<Promise<Record<string, any>[]>>(MyModel.query().select('name').all());
+expectError(MyModel.query().orderBy('age', 'sideways'));
+
+// include: eager loading is accepted wherever instances are loaded.
+expectType<Promise<MyModel[]>>(
+	MyModel.search({}, { limit: 5 }, { include: ['owner', 'account.org'] }),
+);
+expectType<Promise<MyModel[]>>(
+	MyModel.search({}, false, undefined, { include: 'owner' }),
+);
+expectType<Promise<MyModel | null>>(
+	MyModel.get('id_123', { include: ['account.org'] }),
+);
+expectType<Promise<MyModel[]>>(
+	MyModel.fromSql('1', { include: ['owner'] }),
+);
+expectType<MyModel[]>(await MyModel.query().include('owner', 'account.org'));
+expectError(MyModel.search({}, false, undefined, { include: 42 }));
+
+// t.hasMany(): loadRelation() takes the same where/order/limit vocabulary.
+declare const someInstance: MyModel;
+expectType<Promise<any[]>>(
+	someInstance.loadRelation('comments', {
+		where: { createdAt: { $gte: new Date() } },
+		orderBy: 'createdAt',
+		orderDir: 'desc',
+		limit: 5,
+	}),
+);
+expectType<Promise<any[]>>(someInstance.loadRelation('comments'));
+expectError(someInstance.loadRelation('comments', { limit: '5' }));
+expectAssignable<HasManyOptions>({ refresh: true, include: ['author'] });
+
+// t.manyToMany(): add/remove/set take instances or ids and resolve to the instance.
+expectType<Promise<MyModel>>(someInstance.addRelated('tags', [someInstance, 3]));
+expectType<Promise<MyModel>>(someInstance.removeRelated('tags', 'tag_1', { tx: undefined }));
+expectType<Promise<MyModel>>(someInstance.setRelated('tags', []));
+expectError(someInstance.addRelated('tags', [1], { tx: 42 }));
+expectAssignable<RelatedItems<MyModel>>([someInstance, 'tag_1', 2]);
+
 // BDL-2646 fix round 1: `limitOne: true` INSIDE the options object must
 // discriminate to a single instance (or null) — matching Task 3's runtime,
 // which returns a single row/null for exactly this shape. Getting this
@@ -69,6 +155,9 @@ expectType<Promise<number>>(
 		expectType<Promise<number>>(
 			dbh.transaction(async (tx) => {
 				await tx.pquery('SELECT 1');
+				tx.afterCommit(() => undefined);
+				tx.afterRollback(async () => {});
+				expectError(tx.afterCommit());
 				return 1;
 			}, { isolationLevel: 'repeatable read' }),
 		);
@@ -103,6 +192,143 @@ expectType<Promise<MyModel>>(
 	),
 );
 
+// Model.transaction(): binds the transaction to the async context.
+expectType<Promise<number>>(
+	MyModel.transaction(async (tx) => {
+		tx.afterCommit(() => undefined);
+		await MyModel.create({ id: 'id_123' });
+		expectType<Promise<MyModel | null>>(MyModel.get('id_123', { tx: null }));
+		return 1;
+	}),
+);
+expectType<Promise<string>>(
+	MyModel.withDbh((dbh) => dbh.transaction(async () => 'ok', { bind: true })),
+);
+
+// Lifecycle hooks: before-hooks may return a replacement payload.
+class HookedModel extends loadDefinition('./defs/hooked') {
+	static async beforeCreateHook(data: Record<string, any>) {
+		return { ...data, status: 'draft' };
+	}
+
+	async beforePatchHook(
+		data: Record<string, any>,
+		{ snapshot }: PatchHookOptions,
+	) {
+		if (snapshot.status === 'paid') {
+			throw new Error('read-only');
+		}
+	}
+
+	async afterRemoveHook({ hard }: RemoveHookOptions) {
+		expectType<boolean>(hard);
+	}
+}
+expectType<Promise<any>>(({} as HookedModel).reallyDelete({ tx: undefined }));
+
+// Schema validation: opt-in per call, structured errors.
+expectType<Promise<HookedModel>>(
+	HookedModel.create({ status: 'draft' }, { validate: true }),
+);
+expectType<{ title: string }>(
+	HookedModel.validate({ title: 'x' }, { partial: true }),
+);
+expectType<Promise<HookedModel>>(
+	({} as HookedModel).patch({ status: 'paid' }, { validate: false }),
+);
+try {
+	HookedModel.validate({});
+} catch (err) {
+	if (err instanceof ValidationError) {
+		expectType<ValidationIssue[]>(err.errors);
+		expectType<'ERR_VALIDATION'>(err.code);
+	}
+}
+
+// t.virtual() / t.generated() fields in the schema.
+expectType<Record<string, VirtualCompute>>(HookedModel.virtuals());
+const generatedField = HookedModel.schema().fieldMap.total;
+if (generatedField.generated) {
+	expectType<boolean>(generatedField.generated.stored);
+}
+
+// t.version: the optimistic-locking field is named on the schema.
+expectType<string | undefined>(HookedModel.schema().versionField);
+expectType<boolean | undefined>(HookedModel.schema().fieldMap.rev.isVersion);
+
+// Keyset pagination: pages of instances with an opaque cursor.
+expectType<Promise<Page<MyModel>>>(
+	MyModel.paginate({ status: 'active' }, { orderBy: 'createdAt', limit: 50 }),
+);
+expectType<Promise<Page<MyModel>>>(
+	MyModel.query().where({ a: 1 }).paginate({ after: 'cursor' }),
+);
+
+// Aggregates resolve to plain rows.
+expectType<Promise<number>>(MyModel.count({ status: 'paid' }));
+expectType<Promise<AggregateRow[]>>(
+	MyModel.aggregate({ groupBy: ['status'], sum: 'amount' }, { year: 2026 }),
+);
+expectError(MyModel.aggregate({ median: 'amount' }));
+
+// createMany() resolves to instances, or to ids without the re-read.
+expectType<Promise<MyModel[]>>(
+	MyModel.createMany([{ name: 'a' }, { name: 'b' }], { batchSize: 500 }),
+);
+expectType<Promise<Array<string | number>>>(
+	MyModel.createMany([{ name: 'a' }], { returning: false }),
+);
+
+// Set-based writes resolve to counts and ids.
+expectType<Promise<BulkWriteResult>>(
+	MyModel.updateWhere({ createdAt: { $lt: new Date() } }, { status: 'old' }),
+);
+expectType<Promise<BulkWriteResult>>(MyModel.removeWhere({ status: 'old' }));
+
+// upsert() resolves to the instance and whether it was inserted.
+expectType<Promise<UpsertResult<MyModel>>>(
+	MyModel.upsert(
+		{ email: 'a@b.c', role: 'admin' },
+		{ conflictFields: ['email'], update: ['role'] },
+	),
+);
+expectError(MyModel.upsert({ email: 'a@b.c' }));
+
+// Soft-delete scope: deleted rows are skipped unless asked for.
+expectType<Promise<MyModel[]>>(
+	MyModel.search({ status: 'old' }, { onlyDeleted: true }),
+);
+expectType<Promise<MyModel | null>>(
+	MyModel.searchOne({ status: 'old' }, { withDeleted: true }),
+);
+expectType<Promise<MyModel | null>>(
+	MyModel.get('id_123', { withDeleted: true }),
+);
+expectType<Promise<MyModel[]>>(
+	MyModel.fromSql('name=:name', { name: 'a', onlyDeleted: true }),
+);
+expectType<Promise<number>>(MyModel.count({}, { withDeleted: true }));
+expectType<Promise<MyModel>>(new MyModel().restore());
+
+// audit: true - history rows and the actor hook.
+expectType<Promise<HistoryEntry[]>>(new MyModel().history());
+expectType<string | undefined>(MyModel.historyTable());
+expectType<Promise<string | number | null>>(
+	MyModel.auditActor({ action: 'update', id: 'id_123' }),
+);
+
+// Outbox relay: payloads in order, at least once.
+const relay = createOutboxRelay({
+	handler: async (payload, { attempts }) => {
+		expectType<string>(payload.modelName);
+		expectType<number>(attempts);
+	},
+	maxAttempts: 5,
+});
+expectType<Promise<OutboxDrainResult>>(relay.drain());
+expectType<Promise<void>>(relay.stop());
+expectError(createOutboxRelay({ pollIntervalMs: 10 }));
+
 // find() returns a packet (not instances)
 expectType<Promise<FinderResult<Record<string, any>>>>(
 	MyModel.find({ $limit: 10 }),
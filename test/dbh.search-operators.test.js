@@ -0,0 +1,120 @@
+/* eslint-disable no-unused-expressions */
+/* global describe, it, before, after */
+const fs = require('fs');
+const path = require('path');
+const { expect } = require('chai');
+const { dbh, closeAllConnections } = require('../lib/dbh');
+
+const tempDb = path.join('/tmp', `yass-search-ops-${process.pid}.sqlite`);
+const TABLE = 'search_ops';
+
+describe('#YASS-ORM dbh.search() operators', function suite() {
+	this.timeout(20000);
+
+	let conn;
+
+	before(async () => {
+		conn = await dbh({
+			dialect: 'sqlite',
+			filename: tempDb,
+			ignoreCachedConnections: true,
+		});
+		await conn.query(`DROP TABLE IF EXISTS ${TABLE}`);
+		await conn.query(`
+			CREATE TABLE ${TABLE} (
+				id INTEGER PRIMARY KEY AUTOINCREMENT,
+				name TEXT,
+				age INTEGER,
+				status TEXT,
+				isDeleted INTEGER DEFAULT 0
+			)
+		`);
+		const rows = [
+			{ name: 'alice', age: 17, status: 'trial' },
+			{ name: 'albert', age: 30, status: 'active' },
+			{ name: 'bob', age: 45, status: 'active' },
+			{ name: 'carol', age: 70, status: 'banned' },
+			{ name: null, age: 25, status: 'trial' },
+		];
+		for (let i = 0; i < rows.length; i++) {
+			// eslint-disable-next-line no-await-in-loop
+			await conn.query(
+				`INSERT INTO ${TABLE} (name, age, status) VALUES (:name, :age, :status)`,
+				rows[i],
+			);
+		}
+	});
+
+	after(async () => {
+		await closeAllConnections();
+		try {
+			fs.unlinkSync(tempDb);
+		} catch (err) {
+			// ignore
+		}
+	});
+
+	const ages = (rows) => rows.map((row) => row.age).sort((a, b) => a - b);
+
+	it('filters with range operators', async () => {
+		const rows = await conn.search(TABLE, { age: { $gte: 18, $lt: 65 } });
+		expect(ages(rows)).to.deep.equal([25, 30, 45]);
+	});
+
+	it('filters with $in / $nin', async () => {
+		expect(
+			ages(await conn.search(TABLE, { status: { $in: ['trial', 'banned'] } })),
+		).to.deep.equal([17, 25, 70]);
+		expect(
+			ages(await conn.search(TABLE, { status: { $nin: ['active'] } })),
+		).to.deep.equal([17, 25, 70]);
+	});
+
+	it('returns nothing for an empty $in rather than emitting invalid SQL', async () => {
+		expect(await conn.search(TABLE, { status: { $in: [] } })).to.deep.equal([]);
+	});
+
+	it('filters with $like and $ne', async () => {
+		expect(
+			ages(await conn.search(TABLE, { name: { $like: 'al%' } })),
+		).to.deep.equal([17, 30]);
+		expect(
+			ages(await conn.search(TABLE, { status: { $ne: 'active' } })),
+		).to.deep.equal([17, 25, 70]);
+		expect(
+			ages(await conn.search(TABLE, { name: { $ne: null } })),
+		).to.deep.equal([17, 30, 45, 70]);
+	});
+
+	it('combines $or / $not groups with plain equality', async () => {
+		const rows = await conn.search(TABLE, {
+			isDeleted: 0,
+			$or: [{ status: 'banned' }, { name: null }],
+		});
+		expect(ages(rows)).to.deep.equal([25, 70]);
+
+		const notRows = await conn.search(TABLE, {
+			$not: { status: { $in: ['active', 'trial'] } },
+		});
+		expect(ages(notRows)).to.deep.equal([70]);
+	});
+
+	it('works together with the search options object', async () => {
+		const rows = await conn.search(
+			TABLE,
+			{ age: { $between: [18, 70] } },
+			{ orderBy: 'age', orderDir: 'desc', limit: 2 },
+		);
+		expect(rows.map((row) => row.age)).to.deep.equal([70, 45]);
+
+		const one = await conn.search(TABLE, { age: { $gt: 40 } }, true);
+		expect(Array.isArray(one)).to.be.false;
+		expect(one.age).to.be.greaterThan(40);
+	});
+
+	it('throws on an unknown operator before touching the database', () => {
+		expect(() => conn.search(TABLE, { age: { $above: 1 } })).to.throw(
+			/yass-orm search\(\): unknown operator '\$above' on field 'age'/,
+		);
+	});
+});
@@ -0,0 +1,14 @@
+/**
+ * Definition fixture for schema-sync: `audit: true` makes bin/schema-sync
+ * create the yass_audit_invoice_history table alongside this table.
+ */
+exports.default = ({ types: t }) => ({
+	table: 'yass_audit_invoice',
+	audit: true,
+	schema: {
+		id: t.idKey,
+		number: t.string,
+		status: t.string,
+		deletedAt: t.datetime,
+	},
+});
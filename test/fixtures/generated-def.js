@@ -0,0 +1,21 @@
+/**
+ * Definition fixture for schema-sync: `total` and `label` are t.generated()
+ * columns (one stored, one virtual), `summary` a t.virtual() field that never
+ * reaches the database.
+ */
+exports.default = ({ types: t }) => ({
+	table: 'yass_generated_line',
+	schema: {
+		id: t.idKey,
+		price: t.int,
+		quantity: t.int,
+		sku: t.string,
+		total: t.generated('price * quantity', { stored: true, type: t.int }),
+		label: t.generated({
+			mysql: "CONCAT(sku, ' x', quantity)",
+			sqlite: "sku || ' x' || quantity",
+			postgres: "sku || ' x' || quantity",
+		}),
+		summary: t.virtual((row) => `${row.label} = ${row.total}`),
+	},
+});
@@ -0,0 +1,19 @@
+/**
+ * Definition fixture for generate-types: `comments` resolves to the
+ * include-comment model next to this file, `drafts` does not resolve, and
+ * `tags` is a t.manyToMany() relation to include-tag.
+ */
+module.exports = ({ types: t }) => ({
+	table: 'yass_include_post',
+	schema: {
+		id: t.idKey,
+		title: t.string,
+		comments: t.hasMany('include-comment', { foreignKey: 'post' }),
+		drafts: t.hasMany('no-such-model', { foreignKey: 'post' }),
+		tags: t.manyToMany('include-tag', {
+			through: 'yass_include_post_tag',
+			foreignKey: 'post',
+			otherKey: 'tag',
+		}),
+	},
+});
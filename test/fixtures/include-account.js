@@ -0,0 +1,21 @@
+/**
+ * Test fixture model for eager loading (`include`) - links to include-org.
+ */
+const YassORM = require('../../lib');
+const { includeHandle } = require('./include-handle');
+
+class IncludeAccount extends YassORM.loadDefinition(({ types: t }) => ({
+	table: 'yass_include_account',
+	schema: {
+		id: t.idKey,
+		name: t.string,
+		org: t.linked('include-org'),
+	},
+})) {
+	static async dbh() {
+		return includeHandle();
+	}
+}
+
+module.exports = IncludeAccount;
+module.exports.default = IncludeAccount;
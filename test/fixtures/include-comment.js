@@ -0,0 +1,24 @@
+/**
+ * Test fixture model for `t.hasMany()` - include-post has many of these
+ * through the `post` column.
+ */
+const YassORM = require('../../lib');
+const { includeHandle } = require('./include-handle');
+
+class IncludeComment extends YassORM.loadDefinition(({ types: t }) => ({
+	table: 'yass_include_comment',
+	schema: {
+		id: t.idKey,
+		body: t.string,
+		rating: t.int,
+		post: t.linked('include-post'),
+		author: t.linked('include-user'),
+	},
+})) {
+	static async dbh() {
+		return includeHandle();
+	}
+}
+
+module.exports = IncludeComment;
+module.exports.default = IncludeComment;
@@ -0,0 +1,15 @@
+/**
+ * Shared handle for the `include` (eager loading) fixtures. Linked models are
+ * resolved from disk by name, so the fixtures live in their own files and
+ * read the test's SQLite handle from here via `static dbh()`.
+ */
+let current;
+
+module.exports = {
+	setIncludeHandle(handle) {
+		current = handle;
+	},
+	includeHandle() {
+		return current;
+	},
+};
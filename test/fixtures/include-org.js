@@ -0,0 +1,20 @@
+/**
+ * Test fixture model for eager loading (`include`) - the deepest level.
+ */
+const YassORM = require('../../lib');
+const { includeHandle } = require('./include-handle');
+
+class IncludeOrg extends YassORM.loadDefinition(({ types: t }) => ({
+	table: 'yass_include_org',
+	schema: {
+		id: t.idKey,
+		name: t.string,
+	},
+})) {
+	static async dbh() {
+		return includeHandle();
+	}
+}
+
+module.exports = IncludeOrg;
+module.exports.default = IncludeOrg;
@@ -0,0 +1,32 @@
+/**
+ * Test fixture model for eager loading (`include`). `owner` and `editor` both
+ * link to include-user, so they should share one batched query. `comments`
+ * is a `t.hasMany()` relation to include-comment, `tags` a `t.manyToMany()`
+ * relation to include-tag.
+ */
+const YassORM = require('../../lib');
+const { includeHandle } = require('./include-handle');
+
+class IncludePost extends YassORM.loadDefinition(({ types: t }) => ({
+	table: 'yass_include_post',
+	schema: {
+		id: t.idKey,
+		title: t.string,
+		owner: t.linked('include-user'),
+		editor: t.linked('include-user'),
+		account: t.linked('include-account'),
+		comments: t.hasMany('include-comment', { foreignKey: 'post' }),
+		tags: t.manyToMany('include-tag', {
+			through: 'yass_include_post_tag',
+			foreignKey: 'post',
+			otherKey: 'tag',
+		}),
+	},
+})) {
+	static async dbh() {
+		return includeHandle();
+	}
+}
+
+module.exports = IncludePost;
+module.exports.default = IncludePost;
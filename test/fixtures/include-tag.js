@@ -0,0 +1,28 @@
+/**
+ * Test fixture model for `t.manyToMany()` - the other side of include-post's
+ * `tags`, through the same join table, sorted by title.
+ */
+const YassORM = require('../../lib');
+const { includeHandle } = require('./include-handle');
+
+class IncludeTag extends YassORM.loadDefinition(({ types: t }) => ({
+	table: 'yass_include_tag',
+	schema: {
+		id: t.idKey,
+		name: t.string,
+		posts: t.manyToMany('include-post', {
+			through: 'yass_include_post_tag',
+			foreignKey: 'tag',
+			otherKey: 'post',
+			orderBy: 'title',
+			orderDir: 'desc',
+		}),
+	},
+})) {
+	static async dbh() {
+		return includeHandle();
+	}
+}
+
+module.exports = IncludeTag;
+module.exports.default = IncludeTag;
@@ -0,0 +1,23 @@
+/**
+ * Test fixture model for `t.linked(model, { array: true })` - `members` is a
+ * JSON array of include-user ids.
+ */
+const YassORM = require('../../lib');
+const { includeHandle } = require('./include-handle');
+
+class IncludeTeam extends YassORM.loadDefinition(({ types: t }) => ({
+	table: 'yass_include_team',
+	schema: {
+		id: t.idKey,
+		name: t.string,
+		lead: t.linked('include-user'),
+		members: t.linked('include-user', { array: true }),
+	},
+})) {
+	static async dbh() {
+		return includeHandle();
+	}
+}
+
+module.exports = IncludeTeam;
+module.exports.default = IncludeTeam;
@@ -0,0 +1,20 @@
+/**
+ * Test fixture model for eager loading (`include`).
+ */
+const YassORM = require('../../lib');
+const { includeHandle } = require('./include-handle');
+
+class IncludeUser extends YassORM.loadDefinition(({ types: t }) => ({
+	table: 'yass_include_user',
+	schema: {
+		id: t.idKey,
+		name: t.string,
+	},
+})) {
+	static async dbh() {
+		return includeHandle();
+	}
+}
+
+module.exports = IncludeUser;
+module.exports.default = IncludeUser;
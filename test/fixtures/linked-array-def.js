@@ -0,0 +1,12 @@
+/**
+ * Definition fixture for generate-types: `members` is an array of links to
+ * the include-user model next to this file.
+ */
+module.exports = ({ types: t }) => ({
+	table: 'yass_include_team',
+	schema: {
+		id: t.idKey,
+		name: t.string,
+		members: t.linked('include-user', { array: true }),
+	},
+});
@@ -0,0 +1,12 @@
+/**
+ * Definition fixture for schema-sync: `tags` names a join table that
+ * bin/schema-sync creates alongside this table.
+ */
+exports.default = ({ types: t }) => ({
+	table: 'yass_m2m_post',
+	schema: {
+		id: t.idKey,
+		title: t.string,
+		tags: t.manyToMany('tag', { through: 'yass_m2m_post_tag' }),
+	},
+});
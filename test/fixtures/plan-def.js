@@ -0,0 +1,17 @@
+/**
+ * Definition fixture for `schema-sync --plan`: a small table with a couple of
+ * indexes, see test/schemaSync.plan.test.js.
+ */
+exports.default = ({ types: t }) => ({
+	table: 'yass_plan_ticket',
+	schema: {
+		id: t.idKey,
+		title: t.string,
+		status: t.string,
+		notes: t.text,
+	},
+	indexes: {
+		idx_yass_plan_ticket_status: ['status'],
+		idx_yass_plan_ticket_title: ['title', 'status'],
+	},
+});
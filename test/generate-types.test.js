@@ -10,6 +10,7 @@ const {
 	mapFieldToZodSchema,
 	generateTypesContent,
 } = require('../lib/generate-types');
+const { convertDefinition } = require('../lib/def-to-schema');
 
 describe('#generate-types singularization', () => {
 	describe('singularize()', () => {
@@ -196,5 +197,88 @@ describe('#generate-types null-in-enum default marker', () => {
 			expect(zod).to.equal("z.array(z.enum(['x', 'y']).nullable())");
 			expect(zod).to.not.contain("'null'");
 		});
+
+		it('t.array(t.enum([...])) keeps the enum item type from the definition', () => {
+			const { tags } = convertDefinition(({ types: t }) => ({
+				table: 'post',
+				schema: { id: t.idKey, tags: t.array(t.enum(['x', 'y'])) },
+			})).fieldMap;
+			expect(mapFieldToZodSchema(tags)).to.equal(
+				"z.array(z.enum(['x', 'y']).nullable())",
+			);
+		});
+	});
+});
+
+describe('#generate-types t.hasMany() relations', () => {
+	const fixturePath = path.join(__dirname, 'fixtures', 'has-many-post-def.js');
+
+	it('emits an async accessor typed with the child model', () => {
+		const generated = generateTypesContent(fixturePath);
+		expect(generated).to.include(
+			"import type { DatabaseObjectInstanceMethods, HasManyOptions, RelatedItems, TxOptions } from 'yass-orm';",
+		);
+		expect(generated).to.include(
+			"import type { IncludeCommentInstance } from './include-comment';",
+		);
+		expect(generated).to.include(
+			'\tcomments(options?: HasManyOptions): Promise<IncludeCommentInstance[]>',
+		);
+	});
+
+	it('falls back to unknown[] when the child model does not resolve', () => {
+		const generated = generateTypesContent(fixturePath);
+		expect(generated).to.match(
+			/NoSuchModel rows whose 'post' links here \(unresolved: no-such-model\) \*\/\n\tdrafts\(options\?: HasManyOptions\): Promise<unknown\[\]>/,
+		);
+	});
+
+	it('emits the accessor and add/remove/set helpers for t.manyToMany()', () => {
+		const generated = generateTypesContent(fixturePath);
+		expect(generated).to.include(
+			"import type { IncludeTagInstance } from './include-tag';",
+		);
+		expect(generated).to.include(
+			"/** IncludeTag rows linked through 'yass_include_post_tag' */\n\ttags(options?: HasManyOptions): Promise<IncludeTagInstance[]>",
+		);
+		['addTags', 'removeTags', 'setTags'].forEach((method) => {
+			expect(generated).to.include(
+				`\t${method}(items: RelatedItems<IncludeTagInstance>, options?: TxOptions): Promise<this>`,
+			);
+		});
+	});
+
+	it('leaves models without relations importing only the instance methods', () => {
+		const generated = generateTypesContent(
+			path.join(__dirname, 'fixtures', 'test-nested-schema.js'),
+		);
+		expect(generated).to.include(
+			"import type { DatabaseObjectInstanceMethods } from 'yass-orm';",
+		);
+	});
+});
+
+describe('#generate-types t.linked(model, { array: true })', () => {
+	const fixturePath = path.join(__dirname, 'fixtures', 'linked-array-def.js');
+
+	it('types the field as an array of the linked instance type', () => {
+		const generated = generateTypesContent(fixturePath);
+		expect(generated).to.include(
+			"import type { IncludeUserInstance } from './include-user';",
+		);
+		expect(generated).to.match(
+			/\/\*\* Linked IncludeUser list \*\/\n\tmembers: IncludeUserInstance\[\]/,
+		);
+	});
+
+	it('validates the stored ids as a string array in the Zod schema', () => {
+		expect(
+			mapFieldToZodSchema({
+				field: 'members',
+				type: 'longtext',
+				linkedModel: 'include-user',
+				isArray: true,
+			}),
+		).to.equal('z.array(z.string())');
 	});
 });
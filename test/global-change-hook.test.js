@@ -209,4 +209,71 @@ describe('#Global Change Hook', () => {
 			await seed.reallyDelete();
 		}
 	});
+
+	// -------------------------------------------------------------------------
+	// Writes given { tx } fire after the commit, never for rolled-back work
+	// -------------------------------------------------------------------------
+
+	it('a write given { tx } fires after the commit, not inside the transaction', async () => {
+		const instance = await FakeModel.create({ name: 'tx-commit-test' });
+		received.length = 0;
+
+		await FakeModel.withDbh((dbh) =>
+			dbh.transaction(async (tx) => {
+				await instance.patch({ name: 'tx-commit-patched' }, { tx });
+				expect(received.length).to.equal(0);
+			}),
+		);
+
+		try {
+			expect(received.length).to.equal(1);
+			expect(received[0].changedFields).to.have.property(
+				'name',
+				'tx-commit-patched',
+			);
+		} finally {
+			await instance.reallyDelete();
+		}
+	});
+
+	it('a write given { tx } fires nothing when the transaction, or its savepoint, rolls back', async () => {
+		const instance = await FakeModel.create({ name: 'tx-rollback-test' });
+		received.length = 0;
+
+		let caught;
+		try {
+			await FakeModel.withDbh((dbh) =>
+				dbh.transaction(async (tx) => {
+					await instance.patch({ name: 'tx-rollback-patched' }, { tx });
+					throw new Error('abandon');
+				}),
+			);
+		} catch (err) {
+			caught = err;
+		}
+		expect(caught.message).to.equal('abandon');
+		expect(received.length).to.equal(0);
+
+		await FakeModel.withDbh((dbh) =>
+			dbh.transaction(async (tx) => {
+				await FakeModel.create({ name: 'tx-kept' }, { tx });
+				await tx
+					.transaction(async () => {
+						await FakeModel.create({ name: 'tx-dropped' }, { tx });
+						throw new Error('abandon savepoint');
+					})
+					.catch(() => {});
+			}),
+		);
+
+		try {
+			expect(received.map((p) => p.changedFields.name)).to.deep.equal([
+				'tx-kept',
+			]);
+		} finally {
+			await instance.reallyDelete();
+			const kept = await FakeModel.searchOne({ name: 'tx-kept' });
+			if (kept) await kept.reallyDelete();
+		}
+	});
 });
@@ -0,0 +1,228 @@
+/* eslint-disable no-unused-expressions */
+/* global describe, it, before, after */
+const fs = require('fs');
+const path = require('path');
+const { expect } = require('chai');
+const YassORM = require('../lib');
+const { dbh } = require('../lib/dbh');
+
+const tempDb = path.join('/tmp', `yass-aggregate-${process.pid}.sqlite`);
+const TABLE = 'yass_aggregate_sale';
+
+describe('#YASS-ORM Model.count() / Model.aggregate()', function suite() {
+	this.timeout(20000);
+
+	let conn;
+	/** Every statement sent through roQuery, in order. */
+	let roQueries;
+
+	class Sale extends YassORM.loadDefinition(({ types: t }) => ({
+		table: TABLE,
+		schema: {
+			id: t.idKey,
+			status: t.enum(['open', 'paid', 'void']),
+			isRush: t.bool,
+			amount: t.int,
+			score: t.real,
+			soldAt: t.datetime,
+		},
+	})) {
+		static async dbh() {
+			return conn;
+		}
+	}
+
+	const day = (n) => new Date(Date.UTC(2026, 4, n, 9));
+
+	before(async () => {
+		conn = await dbh({
+			dialect: 'sqlite',
+			filename: tempDb,
+			ignoreCachedConnections: true,
+		});
+		await conn.query(`DROP TABLE IF EXISTS ${TABLE}`);
+		await conn.query(
+			`CREATE TABLE ${TABLE} (id INTEGER PRIMARY KEY AUTOINCREMENT, status TEXT, isRush INTEGER, amount INTEGER, score REAL, soldAt TEXT, isDeleted INTEGER DEFAULT 0)`,
+		);
+
+		const sales = [
+			{ status: 'open', isRush: true, amount: 10, score: 1, soldAt: day(3) },
+			{ status: 'open', isRush: false, amount: 30, score: 4, soldAt: day(1) },
+			{ status: 'paid', isRush: true, amount: 100, score: 5, soldAt: day(2) },
+			{ status: 'paid', isRush: true, amount: 50, score: 2, soldAt: day(9) },
+			{
+				status: 'paid',
+				isRush: false,
+				amount: 25,
+				score: null,
+				soldAt: day(4),
+			},
+			{
+				status: 'void',
+				isRush: false,
+				amount: null,
+				score: null,
+				soldAt: day(5),
+			},
+		];
+		// eslint-disable-next-line no-restricted-syntax
+		for (const sale of sales) {
+			// eslint-disable-next-line no-await-in-loop
+			await Sale.create(sale);
+		}
+		const removed = await Sale.create({ status: 'paid', amount: 1000 });
+		await removed.remove();
+
+		roQueries = [];
+		const realRoQuery = conn.roQuery.bind(conn);
+		conn.roQuery = (sql, ...args) => {
+			roQueries.push(sql);
+			return realRoQuery(sql, ...args);
+		};
+	});
+
+	after(async () => {
+		if (conn) {
+			await conn.query(`DROP TABLE IF EXISTS ${TABLE}`);
+		}
+		try {
+			fs.unlinkSync(tempDb);
+		} catch (err) {
+			// ignore
+		}
+	});
+
+	describe('count()', () => {
+		it('counts matches, skipping deleted rows, on the read path', async () => {
+			roQueries.length = 0;
+			expect(await Sale.count()).to.equal(6);
+			expect(await Sale.count({ status: 'paid' })).to.equal(3);
+			expect(await Sale.count({ amount: { $gte: 30 } })).to.equal(3);
+			expect(roQueries).to.have.length(3);
+			expect(roQueries[1]).to.match(/"isDeleted"=:isDeleted/);
+		});
+
+		it('counts deleted rows when the filter names isDeleted', async () => {
+			expect(await Sale.count({ isDeleted: true })).to.equal(1);
+			expect(
+				await Sale.count({ status: 'paid', isDeleted: { $in: [true, false] } }),
+			).to.equal(4);
+		});
+	});
+
+	describe('aggregate()', () => {
+		it('groups by a column with sum / avg / min / max', async () => {
+			const rows = await Sale.aggregate({
+				groupBy: ['status'],
+				sum: 'amount',
+				avg: ['amount', 'score'],
+				min: 'soldAt',
+				max: 'soldAt',
+			});
+			expect(rows.map((row) => row.status)).to.deep.equal([
+				'open',
+				'paid',
+				'void',
+			]);
+			expect(rows[1]).to.deep.include({
+				status: 'paid',
+				count: 3,
+				sum: { amount: 175 },
+			});
+			expect(rows[1].avg.amount).to.be.closeTo(58.33, 0.01);
+			expect(rows[1].avg.score).to.equal(3.5);
+			expect(rows[1].min.soldAt).to.deep.equal(day(2));
+			expect(rows[1].max.soldAt).to.deep.equal(day(9));
+			// No values to sum is null, not 0.
+			expect(rows[2]).to.deep.include({
+				count: 1,
+				sum: { amount: null },
+			});
+		});
+
+		it('inflates boolean group keys and deflates the filter', async () => {
+			const rows = await Sale.aggregate(
+				{ groupBy: ['isRush', 'status'], sum: 'amount' },
+				{ isRush: true },
+			);
+			expect(rows).to.deep.equal([
+				{ isRush: true, status: 'open', count: 1, sum: { amount: 10 } },
+				{ isRush: true, status: 'paid', count: 2, sum: { amount: 150 } },
+			]);
+		});
+
+		it('returns one row without groupBy', async () => {
+			expect(
+				await Sale.aggregate({ max: 'amount' }, { soldAt: { $lt: day(4) } }),
+			).to.deep.equal([{ count: 3, max: { amount: 100 } }]);
+		});
+
+		it('works from a builder, and joins a transaction', async () => {
+			const rows = await Sale.query()
+				.where({ status: { $ne: 'void' } })
+				.aggregate({ groupBy: 'isRush' });
+			// The builder does not filter isDeleted, so the removed sale counts.
+			expect(rows).to.deep.equal([
+				{ isRush: null, count: 1 },
+				{ isRush: false, count: 2 },
+				{ isRush: true, count: 3 },
+			]);
+
+			await conn.transaction(async (tx) => {
+				await Sale.create({ status: 'open', amount: 5 }, { tx });
+				expect(await Sale.count({ status: 'open' }, { tx })).to.equal(3);
+				const [open] = await Sale.aggregate(
+					{ sum: 'amount' },
+					{ status: 'open' },
+					{ tx },
+				);
+				expect(open.sum.amount).to.equal(45);
+			});
+		});
+
+		it('rejects unknown keys and columns', async () => {
+			let error;
+			try {
+				await Sale.aggregate({ groupBy: 'status', median: 'amount' });
+			} catch (err) {
+				error = err;
+			}
+			expect(error.message).to.match(
+				/aggregate\(\) got unknown key 'median'. Supported: groupBy, sum, avg, min, max/,
+			);
+			error = undefined;
+			try {
+				await Sale.aggregate({ sum: 'amout' });
+			} catch (err) {
+				error = err;
+			}
+			expect(error.message).to.match(/names 'amout', which is not a column/);
+		});
+
+		it('rejects a groupBy column named like a result key', async () => {
+			class Tally extends YassORM.loadDefinition(({ types: t }) => ({
+				table: TABLE,
+				schema: { id: t.idKey, count: t.int, max: t.int },
+			})) {
+				static async dbh() {
+					return conn;
+				}
+			}
+			const queries = roQueries.length;
+			// eslint-disable-next-line no-restricted-syntax
+			for (const groupBy of ['count', ['max']]) {
+				let error;
+				try {
+					// eslint-disable-next-line no-await-in-loop
+					await Tally.aggregate({ groupBy });
+				} catch (err) {
+					error = err;
+				}
+				expect(error.message).to.match(
+					/aggregate\(\) can't group by '(count|max)' - every result row has a '\1' key/,
+				);
+			}
+			expect(roQueries).to.have.length(queries);
+		});
+	});
+});
@@ -0,0 +1,285 @@
+/* eslint-disable no-unused-expressions */
+/* global describe, it, before, beforeEach, afterEach, after */
+const { expect } = require('chai');
+const { spawn } = require('child_process');
+const path = require('path');
+const YassORM = require('../lib');
+const { dbh } = require('../lib/dbh');
+const { historyTableSchema } = require('../lib/def-to-schema');
+const auditDef = require('./fixtures/audit-def').default;
+
+const BIN = path.resolve(__dirname, '..', 'bin', 'schema-sync');
+const DEFINITION = path.resolve(__dirname, 'fixtures', 'audit-def.js');
+
+function runBin(args, { timeoutMs = 60000 } = {}) {
+	return new Promise((resolve, reject) => {
+		const child = spawn(process.execPath, [BIN, ...args], {
+			cwd: path.resolve(__dirname, '..'),
+			env: { ...process.env, NODE_ENV: process.env.NODE_ENV || 'development' },
+		});
+		let stdout = '';
+		let stderr = '';
+		child.stdout.on('data', (chunk) => {
+			stdout += chunk.toString();
+		});
+		child.stderr.on('data', (chunk) => {
+			stderr += chunk.toString();
+		});
+		const timer = setTimeout(() => {
+			child.kill('SIGKILL');
+			reject(new Error(`schema-sync bin timed out after ${timeoutMs}ms`));
+		}, timeoutMs);
+		child.on('close', (code) => {
+			clearTimeout(timer);
+			resolve({ code, stdout, stderr });
+		});
+		child.on('error', (err) => {
+			clearTimeout(timer);
+			reject(err);
+		});
+	});
+}
+
+// The model runs on the configured handle, where schema-sync creates both
+// yass_audit_invoice and yass_audit_invoice_history.
+describe('#YASS-ORM audit: true history tables', function suite() {
+	this.timeout(120000);
+
+	let conn;
+	/** Value returned by the auditActor() override. */
+	let actor;
+	/** Global change hook payloads. */
+	let changes;
+	let unregister;
+
+	class Invoice extends YassORM.loadDefinition(auditDef) {
+		static async auditActor() {
+			return actor;
+		}
+	}
+
+	const historyRows = () =>
+		conn.query(`SELECT * FROM yass_audit_invoice_history ORDER BY id`);
+	const rejection = async (promise) => {
+		try {
+			await promise;
+		} catch (err) {
+			return err;
+		}
+		throw new Error('expected a rejection');
+	};
+
+	before(async () => {
+		conn = await dbh();
+		await conn.query(`DROP TABLE IF EXISTS yass_audit_invoice`);
+		await conn.query(`DROP TABLE IF EXISTS yass_audit_invoice_history`);
+		const { code, stdout, stderr } = await runBin([DEFINITION]);
+		expect(code, `stderr was:\n${stderr}`).to.equal(0);
+		expect(stdout).to.match(
+			/Processing: history table yass_audit_invoice_history/,
+		);
+	});
+
+	beforeEach(async () => {
+		await conn.query(`DELETE FROM yass_audit_invoice`);
+		await conn.query(`DELETE FROM yass_audit_invoice_history`);
+		Invoice.clearCache();
+		actor = 'ann@example.com';
+		changes = [];
+		unregister = YassORM.registerGlobalChangeHook((payload) => {
+			changes.push(payload);
+		});
+	});
+
+	afterEach(() => {
+		unregister();
+	});
+
+	after(async () => {
+		await conn.query(`DROP TABLE IF EXISTS yass_audit_invoice`);
+		await conn.query(`DROP TABLE IF EXISTS yass_audit_invoice_history`);
+	});
+
+	it('describes the history table for schema-sync', () => {
+		const schema = Invoice.schema();
+		expect(schema).to.include({
+			audit: true,
+			historyTable: 'yass_audit_invoice_history',
+		});
+		expect(Invoice.historyTable()).to.equal('yass_audit_invoice_history');
+
+		const history = historyTableSchema(schema);
+		expect(history.table).to.equal('yass_audit_invoice_history');
+		expect(Object.keys(history.fieldMap)).to.include.members([
+			'recordId',
+			'action',
+			'beforeData',
+			'afterData',
+			'changedFields',
+			'actor',
+			'createdAt',
+		]);
+		expect(history.options.indexes).to.deep.equal({
+			idx_yass_audit_invoice_history_recordId: ['recordId'],
+		});
+
+		const plain = YassORM.loadDefinition(({ types: t }) => ({
+			table: 'yass_audit_plain',
+			schema: { id: t.idKey, name: t.string },
+		}));
+		expect(historyTableSchema(plain.schema())).to.equal(null);
+	});
+
+	it('records create, update, remove, restore and delete in order', async () => {
+		const invoice = await Invoice.create({ number: 'A-1', status: 'draft' });
+		await invoice.patch({ status: 'sent' });
+		await invoice.remove();
+		actor = 42;
+		await invoice.restore();
+		await invoice.reallyDelete();
+
+		const history = await invoice.history();
+		expect(history.map(({ action }) => action)).to.deep.equal([
+			'create',
+			'update',
+			'remove',
+			'restore',
+			'delete',
+		]);
+		expect(history.map((entry) => entry.actor)).to.deep.equal([
+			'ann@example.com',
+			'ann@example.com',
+			'ann@example.com',
+			'42',
+			'42',
+		]);
+
+		const [created, updated, removed, , deleted] = history;
+		expect(created.before).to.equal(null);
+		expect(created.after).to.include({ number: 'A-1', status: 'draft' });
+		expect(created.changedFields).to.include({ status: 'draft' });
+		expect(created.createdAt).to.be.instanceOf(Date);
+
+		expect(updated.before).to.include({ status: 'draft' });
+		expect(updated.after).to.include({ status: 'sent' });
+		expect(removed.after.isDeleted).to.equal(1);
+		expect(removed.changedFields.isDeleted).to.equal(1);
+		expect(deleted.before).to.include({ status: 'sent', isDeleted: 0 });
+		expect(deleted.after).to.equal(null);
+	});
+
+	it('records the same changedFields the global change hooks get', async () => {
+		const invoice = await Invoice.create({ number: 'A-2', status: 'draft' });
+		changes = [];
+		await invoice.patch({ status: 'paid' });
+
+		const [, updated] = await invoice.history();
+		expect(changes).to.have.length(1);
+		expect(updated.changedFields).to.deep.equal(changes[0].changedFields);
+		expect(updated.changedFields).to.deep.equal({ status: 'paid' });
+	});
+
+	it('records one row per row of a set-based write', async () => {
+		const [first, second] = await Invoice.createMany([
+			{ number: 'B-1', status: 'draft' },
+			{ number: 'B-2', status: 'draft' },
+		]);
+		const { ids } = await Invoice.updateWhere(
+			{ number: { $in: ['B-1', 'B-2'] } },
+			{ status: 'sent' },
+		);
+		expect(ids).to.have.length(2);
+		await Invoice.removeWhere({ number: 'B-2' });
+
+		expect((await first.history()).map(({ action }) => action)).to.deep.equal([
+			'create',
+			'update',
+		]);
+		const history = await second.history();
+		expect(history.map(({ action }) => action)).to.deep.equal([
+			'create',
+			'update',
+			'remove',
+		]);
+		const [created, updated, removed] = history;
+		expect(created.after).to.include({ number: 'B-2', status: 'draft' });
+		expect(updated.before).to.include({ status: 'draft' });
+		expect(updated.after).to.include({ status: 'sent' });
+		expect(updated.changedFields).to.deep.equal({ status: 'sent' });
+		expect(removed.after.isDeleted).to.equal(1);
+	});
+
+	it('records upsert(), findOrCreate() and patchIf() only when they wrote', async () => {
+		const { instance } = await Invoice.upsert(
+			{ id: 100, number: 'C-1', status: 'draft' },
+			{ conflictFields: ['id'] },
+		);
+		await Invoice.upsert(
+			{ id: 100, number: 'C-1', status: 'sent' },
+			{ conflictFields: ['id'] },
+		);
+		await instance.patchIf({ status: 'sent' });
+		await instance.patchIf({ status: 'paid' });
+		await Invoice.findOrCreate({ number: 'C-1' }, { status: 'paid' });
+		await Invoice.findOrCreate({ number: 'C-1' }, { status: 'void' });
+		const other = await Invoice.findOrCreate({ number: 'C-2' });
+
+		const history = await instance.history();
+		expect(history.map(({ action }) => action)).to.deep.equal([
+			'create',
+			'update',
+			'update',
+			'update',
+		]);
+		expect(history.map(({ changedFields }) => changedFields)).to.deep.equal([
+			{ number: 'C-1', status: 'draft', isDeleted: 0, deletedAt: null },
+			{ status: 'sent' },
+			{ status: 'paid' },
+			{ status: 'void' },
+		]);
+		expect(history[3].before).to.include({ status: 'paid' });
+		expect((await other.history()).map(({ action }) => action)).to.deep.equal([
+			'create',
+		]);
+	});
+
+	it('writes the history in the same transaction as the row', async () => {
+		const invoice = await Invoice.create({ number: 'A-3', status: 'draft' });
+
+		const error = await rejection(
+			conn.transaction(async (tx) => {
+				await invoice.patch({ status: 'void' }, { tx });
+				expect(await invoice.history({ tx })).to.have.length(2);
+				throw new Error('roll it back');
+			}),
+		);
+		expect(error.message).to.equal('roll it back');
+		expect((await historyRows()).map(({ action }) => action)).to.deep.equal([
+			'create',
+		]);
+
+		// A failed history insert takes the write down with it
+		await conn.query(`DROP TABLE yass_audit_invoice_history`);
+		try {
+			await rejection(invoice.patch({ status: 'lost' }));
+			const [row] = await conn.query(
+				`SELECT status FROM yass_audit_invoice WHERE id=${invoice.id}`,
+			);
+			expect(row.status).to.equal('draft');
+		} finally {
+			await runBin([DEFINITION]);
+		}
+	});
+
+	it('history() needs audit: true', async () => {
+		class Plain extends YassORM.loadDefinition(({ types: t }) => ({
+			table: 'yass_audit_invoice',
+			schema: { id: t.idKey, number: t.string },
+		})) {}
+		const plain = await Plain.create({ number: 'A-4' });
+		expect((await rejection(plain.history())).message).to.match(
+			/set audit: true in its definition/,
+		);
+		expect(await historyRows()).to.deep.equal([]);
+	});
+});
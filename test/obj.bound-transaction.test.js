@@ -0,0 +1,260 @@
+/* eslint-disable no-unused-expressions */
+/* global describe, it, before, beforeEach, afterEach, after */
+const fs = require('fs');
+const path = require('path');
+const { expect } = require('chai');
+const YassORM = require('../lib');
+const { dbh } = require('../lib/dbh');
+const { setIncludeHandle } = require('./fixtures/include-handle');
+const IncludeOrg = require('./fixtures/include-org');
+const IncludeAccount = require('./fixtures/include-account');
+
+const tempDb = path.join('/tmp', `yass-bound-tx-${process.pid}.sqlite`);
+const otherDb = path.join('/tmp', `yass-bound-tx-other-${process.pid}.sqlite`);
+
+describe('#YASS-ORM Model.transaction() (bound transactions)', function suite() {
+	this.timeout(20000);
+
+	let conn;
+	/** A second database, the handle of OtherOrg. */
+	let otherConn;
+	/** Statements sent through pquery, and whether they ran on a transaction. */
+	let statements;
+	/** Global change hook payloads. */
+	let changes;
+	let unregister;
+
+	const inTx = () => statements.filter((s) => s.inTx);
+	const outsideTx = () => statements.filter((s) => !s.inTx);
+	const names = async (handle = conn) =>
+		(await handle.query(`SELECT name FROM yass_include_org ORDER BY name`)).map(
+			({ name }) => name,
+		);
+
+	class OtherOrg extends YassORM.loadDefinition(({ types: t }) => ({
+		table: 'yass_include_org',
+		schema: { id: t.idKey, name: t.string },
+	})) {
+		static async dbh() {
+			return otherConn;
+		}
+	}
+
+	before(async () => {
+		conn = await dbh({
+			dialect: 'sqlite',
+			filename: tempDb,
+			ignoreCachedConnections: true,
+		});
+		setIncludeHandle(conn);
+		await conn.query(`DROP TABLE IF EXISTS yass_include_org`);
+		await conn.query(`DROP TABLE IF EXISTS yass_include_account`);
+		await conn.query(
+			`CREATE TABLE yass_include_org (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT, isDeleted INTEGER DEFAULT 0)`,
+		);
+		await conn.query(
+			`CREATE TABLE yass_include_account (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT, org INTEGER, isDeleted INTEGER DEFAULT 0)`,
+		);
+
+		otherConn = await dbh({
+			dialect: 'sqlite',
+			filename: otherDb,
+			ignoreCachedConnections: true,
+		});
+		await otherConn.query(`DROP TABLE IF EXISTS yass_include_org`);
+		await otherConn.query(
+			`CREATE TABLE yass_include_org (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT, isDeleted INTEGER DEFAULT 0)`,
+		);
+
+		// Transaction handles inherit pquery, so the spy must keep `this`
+		const realPquery = conn.pquery;
+		conn.pquery = function pquery(sql, ...args) {
+			statements.push({ sql, inTx: !!this._transactionContext });
+			return realPquery.call(this, sql, ...args);
+		};
+	});
+
+	beforeEach(async () => {
+		await conn.query(`DELETE FROM yass_include_org`);
+		await conn.query(`DELETE FROM yass_include_account`);
+		await otherConn.query(`DELETE FROM yass_include_org`);
+		IncludeOrg.clearCache();
+		OtherOrg.clearCache();
+		IncludeAccount.clearCache();
+		statements = [];
+		changes = [];
+		unregister = YassORM.registerGlobalChangeHook((payload) => {
+			changes.push(payload);
+		});
+	});
+
+	afterEach(() => {
+		unregister();
+	});
+
+	after(async () => {
+		if (conn) {
+			await conn.query(`DROP TABLE IF EXISTS yass_include_org`);
+			await conn.query(`DROP TABLE IF EXISTS yass_include_account`);
+		}
+		[tempDb, otherDb].forEach((file) => {
+			try {
+				fs.unlinkSync(file);
+			} catch (err) {
+				// ignore
+			}
+		});
+	});
+
+	it('runs model calls given no tx on the bound transaction', async () => {
+		const result = await IncludeOrg.transaction(async () => {
+			const org = await IncludeOrg.create({ name: 'acme' });
+			await org.patch({ name: 'acme-renamed' });
+			const account = await IncludeAccount.create({ name: 'acct', org });
+			IncludeOrg.clearCache();
+			const reloaded = await IncludeAccount.get(account.id);
+			expect(reloaded.org.name).to.equal('acme-renamed');
+			expect(await IncludeOrg.search({ name: 'acme-renamed' })).to.have.length(
+				1,
+			);
+			await org.remove();
+			return 'done';
+		});
+
+		expect(result).to.equal('done');
+		expect(inTx().length).to.be.greaterThan(4);
+		expect(outsideTx()).to.deep.equal([]);
+	});
+
+	it('runs raw SQL helpers and find() on the bound transaction', async () => {
+		await IncludeOrg.transaction(async (tx) => {
+			await IncludeOrg.create({ name: 'acme' });
+			await IncludeOrg.withDbh((handle) => {
+				expect(handle).to.equal(tx);
+			});
+			await IncludeOrg.withDbh(`SELECT 1`);
+			await IncludeOrg.queryCallback((table) => [`SELECT * FROM ${table}`, {}]);
+			expect(await IncludeOrg.fromSql(`name='acme'`)).to.have.length(1);
+			expect((await IncludeOrg.find({})).data).to.have.length(1);
+		});
+
+		expect(inTx().length).to.be.greaterThan(4);
+		expect(outsideTx()).to.deep.equal([]);
+	});
+
+	it('rolls back every call made inside it', async () => {
+		let caught;
+		try {
+			await IncludeOrg.transaction(async () => {
+				await IncludeOrg.create({ name: 'doomed' });
+				throw new Error('abandon');
+			});
+		} catch (err) {
+			caught = err;
+		}
+		expect(caught.message).to.equal('abandon');
+		expect(await names()).to.deep.equal([]);
+		expect(changes).to.deep.equal([]);
+	});
+
+	it('fires global change hooks after the commit, with the bound tx', async () => {
+		let boundTx;
+		await IncludeOrg.transaction(async (tx) => {
+			boundTx = tx;
+			await IncludeOrg.create({ name: 'acme' });
+			expect(changes).to.deep.equal([]);
+		});
+		expect(changes).to.have.length(1);
+		expect(changes[0].tx).to.equal(boundTx);
+	});
+
+	it('{ tx: null } runs one call outside the bound transaction', async () => {
+		let outside;
+		await IncludeOrg.transaction(async () => {
+			await IncludeOrg.create({ name: 'inside' });
+			statements = [];
+			// SQLite has one connection, which the transaction holds until it
+			// ends - so this waits for the commit rather than being awaited here
+			outside = Promise.all([
+				IncludeOrg.count({}, { tx: null }),
+				IncludeOrg.get(1, { tx: null }),
+			]);
+		});
+		await outside;
+		expect(statements.length).to.be.greaterThan(1);
+		expect(inTx()).to.deep.equal([]);
+	});
+
+	it('a nested Model.transaction() is a savepoint of the bound one', async () => {
+		await IncludeOrg.transaction(async () => {
+			await IncludeOrg.create({ name: 'kept' });
+			try {
+				await IncludeAccount.transaction(async () => {
+					await IncludeOrg.create({ name: 'dropped' });
+					throw new Error('abandon savepoint');
+				});
+			} catch (err) {
+				// the outer transaction carries on
+			}
+		});
+		expect(await names()).to.deep.equal(['kept']);
+		expect(changes.map((c) => c.changedFields.name)).to.deep.equal(['kept']);
+	});
+
+	it('is not used by a model on another handle', async () => {
+		let caught;
+		try {
+			await IncludeOrg.transaction(async () => {
+				await IncludeOrg.create({ name: 'doomed' });
+				await OtherOrg.create({ name: 'elsewhere' });
+				// Opens a transaction of its own on the other handle, not a
+				// savepoint of this one
+				await OtherOrg.transaction(async () => {
+					await OtherOrg.create({ name: 'also elsewhere' });
+				});
+				throw new Error('abandon');
+			});
+		} catch (err) {
+			caught = err;
+		}
+		expect(caught.message).to.equal('abandon');
+		expect(await names()).to.deep.equal([]);
+		expect(await names(otherConn)).to.deep.equal([
+			'also elsewhere',
+			'elsewhere',
+		]);
+	});
+
+	it('dbh.transaction() binds only when asked to', async () => {
+		let unbound;
+		await conn.transaction(async () => {
+			// Not awaited, as it waits for the connection the transaction holds
+			unbound = IncludeOrg.get(1);
+		});
+		await unbound;
+		expect(inTx()).to.deep.equal([]);
+
+		statements = [];
+		await conn.transaction(
+			async () => {
+				await IncludeOrg.get(1);
+			},
+			{ bind: true },
+		);
+		expect(outsideTx()).to.deep.equal([]);
+		expect(inTx()).to.have.length(1);
+	});
+
+	it('is not used by work that outlives the callback', async () => {
+		let later;
+		await IncludeOrg.transaction(async () => {
+			later = new Promise((resolve) => {
+				setTimeout(() => resolve(IncludeOrg.get(1)), 10);
+			});
+		});
+		statements = [];
+		await later;
+		expect(statements).to.have.length(1);
+		expect(inTx()).to.deep.equal([]);
+	});
+});
@@ -0,0 +1,290 @@
+/* eslint-disable no-unused-expressions */
+/* global describe, it, before, beforeEach, afterEach, after */
+const fs = require('fs');
+const path = require('path');
+const { expect } = require('chai');
+const YassORM = require('../lib');
+const { dbh } = require('../lib/dbh');
+const { MySQLDialect } = require('../lib/dialects/MySQLDialect');
+const { PostgresDialect } = require('../lib/dialects/PostgresDialect');
+const { SQLiteDialect } = require('../lib/dialects/SQLiteDialect');
+
+const { ValidationError } = YassORM;
+
+const tempDb = path.join('/tmp', `yass-create-many-${process.pid}.sqlite`);
+
+describe('#YASS-ORM Model.createMany()', function suite() {
+	this.timeout(30000);
+
+	let conn;
+	/** SQL sent through pquery, in order. */
+	let statements;
+	/** Global change hook payloads. */
+	let changes;
+	let unregister;
+	/** Instance hook calls, as [hookName, id]. */
+	let hookCalls;
+
+	class Line extends YassORM.loadDefinition(({ types: t }) => ({
+		table: 'yass_create_many_line',
+		schema: {
+			id: t.idKey,
+			sku: t.string({ null: 0 }),
+			qty: t.int.min(1),
+			note: t.string,
+		},
+	})) {
+		static async dbh() {
+			return conn;
+		}
+
+		async afterCreateHook() {
+			hookCalls.push(['afterCreateHook', this.id]);
+		}
+	}
+
+	class Token extends YassORM.loadDefinition(({ types: t }) => ({
+		table: 'yass_create_many_token',
+		schema: {
+			id: t.uuidKey,
+			label: t.string,
+		},
+	})) {
+		static async dbh() {
+			return conn;
+		}
+
+		static generateObjectId = () => `tok-${Token.nextId++}`;
+	}
+	Token.nextId = 1;
+
+	const inserts = () => statements.filter((sql) => /^\s*insert/i.test(sql));
+	const selects = () => statements.filter((sql) => /^\s*select/i.test(sql));
+	const rowCount = async () =>
+		(await conn.query(`SELECT count(*) AS count FROM yass_create_many_line`))[0]
+			.count;
+
+	before(async () => {
+		conn = await dbh({
+			dialect: 'sqlite',
+			filename: tempDb,
+			ignoreCachedConnections: true,
+		});
+		await conn.query(`DROP TABLE IF EXISTS yass_create_many_line`);
+		await conn.query(`DROP TABLE IF EXISTS yass_create_many_token`);
+		await conn.query(
+			`CREATE TABLE yass_create_many_line (id INTEGER PRIMARY KEY AUTOINCREMENT, sku TEXT NOT NULL, qty INTEGER, note TEXT DEFAULT 'none', isDeleted INTEGER DEFAULT 0, createdAt TEXT)`,
+		);
+		await conn.query(
+			`CREATE TABLE yass_create_many_token (id TEXT PRIMARY KEY, label TEXT, isDeleted INTEGER DEFAULT 0, createdAt TEXT)`,
+		);
+
+		// Transaction handles inherit pquery, so the spy must keep `this`
+		const realPquery = conn.pquery;
+		conn.pquery = function pquery(sql, ...args) {
+			statements.push(sql);
+			return realPquery.call(this, sql, ...args);
+		};
+	});
+
+	beforeEach(async () => {
+		await conn.query(`DELETE FROM yass_create_many_line`);
+		Line.clearCache();
+		statements = [];
+		changes = [];
+		hookCalls = [];
+		unregister = YassORM.registerGlobalChangeHook((payload) => {
+			changes.push(payload);
+		});
+	});
+
+	afterEach(() => {
+		unregister();
+	});
+
+	after(async () => {
+		if (conn) {
+			await conn.query(`DROP TABLE IF EXISTS yass_create_many_line`);
+			await conn.query(`DROP TABLE IF EXISTS yass_create_many_token`);
+		}
+		try {
+			fs.unlinkSync(tempDb);
+		} catch (err) {
+			// ignore
+		}
+	});
+
+	it('inserts in batches and resolves to instances in input order', async () => {
+		const rows = [1, 2, 3, 4, 5].map((n) => ({ sku: `S-${n}`, qty: n }));
+		const lines = await Line.createMany(rows, { batchSize: 2 });
+
+		expect(lines.map((line) => line.sku)).to.deep.equal([
+			'S-1',
+			'S-2',
+			'S-3',
+			'S-4',
+			'S-5',
+		]);
+		expect(lines[0]).to.be.instanceOf(Line);
+		lines.forEach((line) => expect(line.id).to.be.a('number'));
+		expect(new Set(lines.map((line) => line.id)).size).to.equal(5);
+		// Database defaults come back through RETURNING, with no re-read
+		expect(lines[4].note).to.equal('none');
+		expect(inserts()).to.have.length(3);
+		expect(inserts()[0]).to.match(/values \(.*\),\(.*\) returning \*$/);
+		expect(selects()).to.deep.equal([]);
+		expect(await rowCount()).to.equal(5);
+
+		expect(hookCalls).to.deep.equal(
+			lines.map((line) => ['afterCreateHook', line.id]),
+		);
+	});
+
+	it('fires the global change hooks once per row', async () => {
+		const lines = await Line.createMany([
+			{ sku: 'G-1', qty: 1 },
+			{ sku: 'G-2', qty: 2 },
+		]);
+		expect(changes).to.have.length(2);
+		expect(changes.map(({ id }) => id)).to.deep.equal(
+			lines.map((line) => line.id),
+		);
+		expect(changes[1]).to.include({
+			modelName: 'yass_create_many_line',
+			wasCreated: true,
+		});
+		expect(changes[1].changedFields).to.include({ sku: 'G-2', qty: 2 });
+		expect(changes[1].changedFields).to.not.have.property('createdAt');
+	});
+
+	it('keeps statements under the SQLite bind-parameter limit', async () => {
+		const rows = Array.from({ length: 600 }, (_, n) => ({
+			sku: `B-${n}`,
+			qty: n + 1,
+		}));
+		const ids = await Line.createMany(rows, { returning: false });
+		expect(ids).to.have.length(600);
+
+		// sku and qty: 2 placeholders per row, so 499 rows per statement
+		const columns = 2;
+		const perStatement = Math.floor(conn.dialect.maxBindParameters / columns);
+		expect(inserts()).to.have.length(Math.ceil(600 / perStatement));
+		inserts().forEach((sql) => {
+			expect(sql.match(/:r\d+_\d+/g).length).to.be.at.most(999);
+		});
+		expect(await rowCount()).to.equal(600);
+	});
+
+	it('returning: false resolves to ids without re-reading or instance hooks', async () => {
+		const ids = await Line.createMany(
+			[
+				{ sku: 'R-1', qty: 1 },
+				{ sku: 'R-2', qty: 2 },
+			],
+			{ returning: false },
+		);
+		const rows = await conn.query(
+			`SELECT id, sku FROM yass_create_many_line ORDER BY id`,
+		);
+		expect(ids).to.deep.equal(rows.map(({ id }) => id));
+		expect(inserts()[0]).to.match(/ returning "?id"?$/);
+		expect(selects()).to.deep.equal([]);
+		expect(hookCalls).to.deep.equal([]);
+		expect(changes.map(({ id }) => id)).to.deep.equal(ids);
+		expect(changes[0].changedFields).to.include({ sku: 'R-1', qty: 1 });
+	});
+
+	it('keeps input order when rows set different columns', async () => {
+		const lines = await Line.createMany([
+			{ sku: 'M-1' },
+			{ sku: 'M-2', note: 'custom' },
+			{ sku: 'M-3' },
+		]);
+		expect(lines.map((line) => [line.sku, line.note])).to.deep.equal([
+			['M-1', 'none'],
+			['M-2', 'custom'],
+			['M-3', 'none'],
+		]);
+		expect(inserts()).to.have.length(2);
+	});
+
+	it('generates uuid ids through generateObjectId', async () => {
+		Token.nextId = 1;
+		const tokens = await Token.createMany([
+			{ label: 'a' },
+			{ id: 'given', label: 'b' },
+			{ label: 'c' },
+		]);
+		expect(tokens.map((token) => token.id)).to.deep.equal([
+			'tok-1',
+			'given',
+			'tok-2',
+		]);
+	});
+
+	it('inserts nothing when a batch fails', async () => {
+		let error;
+		try {
+			await Line.createMany([{ sku: 'F-1' }, { sku: 'F-2' }, { sku: null }], {
+				batchSize: 2,
+			});
+		} catch (err) {
+			error = err;
+		}
+		expect(error, 'expected the NOT NULL violation').to.exist;
+		expect(await rowCount()).to.equal(0);
+		expect(changes).to.deep.equal([]);
+	});
+
+	it('validates every row before any SQL, reporting the row index', async () => {
+		let error;
+		try {
+			await Line.createMany(
+				[
+					{ sku: 'V-1', qty: 1 },
+					{ sku: 'V-2', qty: 0 },
+				],
+				{
+					validate: true,
+				},
+			);
+		} catch (err) {
+			error = err;
+		}
+		expect(error).to.be.instanceOf(ValidationError);
+		expect(error.rowIndex).to.equal(1);
+		expect(error.errors[0].path).to.equal('qty');
+		expect(statements).to.deep.equal([]);
+	});
+
+	it('joins a caller transaction', async () => {
+		let error;
+		try {
+			await conn.transaction(async (tx) => {
+				const lines = await Line.createMany([{ sku: 'T-1' }, { sku: 'T-2' }], {
+					tx,
+				});
+				expect(lines).to.have.length(2);
+				throw new Error('roll it back');
+			});
+		} catch (err) {
+			error = err;
+		}
+		expect(error.message).to.equal('roll it back');
+		expect(await rowCount()).to.equal(0);
+	});
+
+	it('sizes batches from the dialect limits', () => {
+		expect(new SQLiteDialect().maxBindParameters).to.equal(999);
+		expect(new MySQLDialect().maxBindParameters).to.equal(65535);
+		expect(new PostgresDialect().maxBindParameters).to.equal(65535);
+		expect(new SQLiteDialect().supportsInsertReturning).to.equal(true);
+		expect(new PostgresDialect().supportsInsertReturning).to.equal(true);
+		expect(new MySQLDialect().supportsInsertReturning).to.equal(false);
+	});
+
+	it('resolves to [] for no rows without touching the database', async () => {
+		expect(await Line.createMany([])).to.deep.equal([]);
+		expect(statements).to.deep.equal([]);
+	});
+});
@@ -0,0 +1,340 @@
+/* eslint-disable no-unused-expressions */
+/* global describe, it, before, beforeEach, after */
+const fs = require('fs');
+const path = require('path');
+const { expect } = require('chai');
+const YassORM = require('../lib');
+const { dbh } = require('../lib/dbh');
+const { convertDefinition } = require('../lib/def-to-schema');
+const {
+	setIncludeHandle,
+	includeHandle,
+} = require('./fixtures/include-handle');
+const IncludeUser = require('./fixtures/include-user');
+const IncludePost = require('./fixtures/include-post');
+const IncludeComment = require('./fixtures/include-comment');
+
+const tempDb = path.join('/tmp', `yass-has-many-${process.pid}.sqlite`);
+
+const TABLES = {
+	yass_include_org: 'name TEXT',
+	yass_include_account: 'name TEXT, org INTEGER',
+	yass_include_user: 'name TEXT',
+	yass_include_post:
+		'title TEXT, owner INTEGER, editor INTEGER, account INTEGER',
+	yass_include_comment:
+		'body TEXT, rating INTEGER, post INTEGER, author INTEGER',
+};
+
+describe('#YASS-ORM t.hasMany() relations', function suite() {
+	this.timeout(20000);
+
+	let conn;
+	/** Every SELECT issued through roQuery, in order. */
+	let selects;
+
+	before(async () => {
+		conn = await dbh({
+			dialect: 'sqlite',
+			filename: tempDb,
+			ignoreCachedConnections: true,
+		});
+		setIncludeHandle(conn);
+
+		// eslint-disable-next-line no-restricted-syntax
+		for (const [table, columns] of Object.entries(TABLES)) {
+			// eslint-disable-next-line no-await-in-loop
+			await conn.query(`DROP TABLE IF EXISTS ${table}`);
+			// eslint-disable-next-line no-await-in-loop
+			await conn.query(
+				`CREATE TABLE ${table} (id INTEGER PRIMARY KEY AUTOINCREMENT, ${columns}, isDeleted INTEGER DEFAULT 0)`,
+			);
+		}
+
+		for (let i = 1; i <= 2; i++) {
+			// eslint-disable-next-line no-await-in-loop
+			await conn.query(`INSERT INTO yass_include_user (name) VALUES (:name)`, {
+				name: `user-${i}`,
+			});
+		}
+		for (let i = 1; i <= 3; i++) {
+			// eslint-disable-next-line no-await-in-loop
+			await conn.query(
+				`INSERT INTO yass_include_post (title, owner) VALUES (:title, 1)`,
+				{ title: `post-${i}` },
+			);
+		}
+		// post-1 has three comments, post-2 one, post-3 none.
+		const comments = [
+			{ body: 'first', rating: 2, post: 1, author: 1 },
+			{ body: 'second', rating: 5, post: 1, author: 2 },
+			{ body: 'third', rating: 4, post: 1, author: 1 },
+			{ body: 'only', rating: 3, post: 2, author: 2 },
+		];
+		// eslint-disable-next-line no-restricted-syntax
+		for (const comment of comments) {
+			// eslint-disable-next-line no-await-in-loop
+			await conn.query(
+				`INSERT INTO yass_include_comment (body, rating, post, author) VALUES (:body, :rating, :post, :author)`,
+				comment,
+			);
+		}
+
+		selects = [];
+		const realRoQuery = conn.roQuery.bind(conn);
+		conn.roQuery = (sql, ...args) => {
+			selects.push(sql);
+			return realRoQuery(sql, ...args);
+		};
+	});
+
+	beforeEach(() => {
+		[IncludeUser, IncludePost, IncludeComment].forEach((Model) =>
+			Model.clearCache(),
+		);
+		selects.length = 0;
+	});
+
+	after(async () => {
+		if (conn) {
+			await Promise.all(
+				Object.keys(TABLES).map((table) =>
+					conn.query(`DROP TABLE IF EXISTS ${table}`),
+				),
+			);
+		}
+		try {
+			fs.unlinkSync(tempDb);
+		} catch (err) {
+			// ignore
+		}
+	});
+
+	const bodies = (list) => list.map((comment) => comment.body);
+
+	describe('schema', () => {
+		it('keeps relations out of the fieldMap', () => {
+			const schema = convertDefinition(({ types: t }) => ({
+				table: 'post',
+				schema: {
+					id: t.idKey,
+					comments: t.hasMany('comment', {
+						foreignKey: 'post',
+						orderBy: 'createdAt',
+						orderDir: 'desc',
+					}),
+					tags: t.hasMany('tag'),
+				},
+			}));
+			expect(schema.relations).to.deep.equal({
+				comments: {
+					type: 'hasMany',
+					model: 'comment',
+					foreignKey: 'post',
+					orderBy: 'createdAt',
+					orderDir: 'desc',
+				},
+			});
+			expect(schema.fieldMap).to.not.have.property('comments');
+			// Without a foreignKey, hasMany is still just a client-side hint.
+			expect(schema.fieldMap).to.not.have.property('tags');
+			expect(schema.fields.map((row) => row.field)).to.deep.equal([
+				'id',
+				'isDeleted',
+			]);
+		});
+
+		it('installs an accessor per relation', () => {
+			expect(IncludePost.relations()).to.have.keys(['comments', 'tags']);
+			expect(IncludePost.prototype.comments).to.be.a('function');
+		});
+	});
+
+	describe('lazy accessor', () => {
+		it('loads the children on call', async () => {
+			const post = await IncludePost.get(1);
+			selects.length = 0;
+			const comments = await post.comments();
+			expect(bodies(comments)).to.deep.equal(['first', 'second', 'third']);
+			expect(comments[0]).to.be.instanceOf(IncludeComment);
+			expect(comments[0].post).to.equal(post);
+			expect(await (await IncludePost.get(3)).comments()).to.deep.equal([]);
+		});
+
+		it('accepts where / orderBy / limit / offset', async () => {
+			const post = await IncludePost.get(1);
+			const top = await post.comments({
+				where: { rating: { $gte: 3 } },
+				orderBy: 'rating',
+				orderDir: 'desc',
+				limit: 1,
+			});
+			expect(bodies(top)).to.deep.equal(['second']);
+
+			const page = await post.comments({
+				orderBy: 'rating',
+				limit: 2,
+				offset: 1,
+			});
+			expect(bodies(page)).to.deep.equal(['third', 'second']);
+		});
+
+		it('uses the relation orderBy by default', async () => {
+			const Base = YassORM.loadDefinition(({ types: t }) => ({
+				table: 'yass_include_post',
+				schema: {
+					id: t.idKey,
+					title: t.string,
+					comments: t.hasMany('./fixtures/include-comment', {
+						foreignKey: 'post',
+						orderBy: 'rating',
+						orderDir: 'desc',
+					}),
+				},
+			}));
+			class RatedPost extends Base {
+				static async dbh() {
+					return includeHandle();
+				}
+			}
+
+			const post = await RatedPost.get(1);
+			expect(bodies(await post.comments())).to.deep.equal([
+				'second',
+				'third',
+				'first',
+			]);
+			// An explicit direction still applies to the default column.
+			expect(bodies(await post.comments({ orderDir: 'asc' }))).to.deep.equal([
+				'first',
+				'third',
+				'second',
+			]);
+		});
+
+		it('runs on a transaction handle and sees its writes', async () => {
+			const post = await IncludePost.get(2);
+			await conn.transaction(async (tx) => {
+				await tx.pquery(
+					`INSERT INTO yass_include_comment (body, rating, post, author) VALUES ('in-tx', 1, 2, 1)`,
+				);
+				expect(bodies(await post.comments({ tx }))).to.deep.equal([
+					'only',
+					'in-tx',
+				]);
+				await tx.pquery(
+					`DELETE FROM yass_include_comment WHERE body = 'in-tx'`,
+				);
+			});
+		});
+
+		it('throws on unknown relations and foreign keys', async () => {
+			const post = await IncludePost.get(1);
+			let error;
+			try {
+				await post.loadRelation('likes');
+			} catch (err) {
+				error = err;
+			}
+			expect(error.message).to.match(
+				/yass-orm: 'likes' is not a t\.hasMany\(\) or t\.manyToMany\(\) relation on table 'yass_include_post'\. Relations: comments, tags\./,
+			);
+
+			const Base = YassORM.loadDefinition(({ types: t }) => ({
+				table: 'yass_include_post',
+				schema: {
+					id: t.idKey,
+					comments: t.hasMany('./fixtures/include-comment', {
+						foreignKey: 'postId',
+					}),
+				},
+			}));
+			class BadKeyPost extends Base {
+				static async dbh() {
+					return includeHandle();
+				}
+			}
+			let keyError;
+			try {
+				await (await BadKeyPost.get(1)).comments();
+			} catch (err) {
+				keyError = err;
+			}
+			expect(keyError.message).to.match(
+				/relation 'comments' on table 'yass_include_post' names foreignKey 'postId', which is not a column on table 'yass_include_comment'/,
+			);
+		});
+	});
+
+	describe('include', () => {
+		it('batches children into one query and serves the accessor from it', async () => {
+			const posts = await IncludePost.search(
+				{},
+				{ orderBy: 'id' },
+				{ include: ['comments.author'] },
+			);
+			// posts, one IN query for every post's comments, then their authors
+			// (which also covers the posts' owner).
+			expect(selects).to.have.length(3);
+			expect(selects[1]).to.match(/"post" in \(/);
+
+			selects.length = 0;
+			expect(bodies(await posts[0].comments())).to.deep.equal([
+				'first',
+				'second',
+				'third',
+			]);
+			expect(bodies(await posts[1].comments())).to.deep.equal(['only']);
+			expect(await posts[2].comments()).to.deep.equal([]);
+			expect(selects).to.have.length(0);
+
+			// Options always query.
+			await posts[0].comments({ limit: 1 });
+			expect(selects).to.have.length(1);
+		});
+
+		it('loads nested paths through a relation', async () => {
+			const post = await IncludePost.get(1, {
+				include: ['comments.author'],
+			});
+			// post, comments, comment authors.
+			expect(selects).to.have.length(3);
+			selects.length = 0;
+			const comments = await post.comments();
+			expect(comments.map((comment) => comment.author.name)).to.deep.equal([
+				'user-1',
+				'user-2',
+				'user-1',
+			]);
+			// The back-link to the parent resolves from the cache, too.
+			expect(comments[0].post).to.equal(post);
+			expect(selects).to.have.length(0);
+		});
+
+		it('works from Model.query() and from the accessor itself', async () => {
+			const [first] = await IncludePost.query()
+				.where({ title: 'post-1' })
+				.include('comments');
+			expect(bodies(await first.comments())).to.have.length(3);
+
+			const withAuthors = await first.comments({ include: 'author' });
+			expect(withAuthors[1].author.name).to.equal('user-2');
+		});
+
+		it('drops preloaded children when the row is reloaded without include', async () => {
+			const post = await IncludePost.get(2, { include: 'comments' });
+			await conn.query(
+				`INSERT INTO yass_include_comment (body, rating, post, author) VALUES ('late', 1, 2, 1)`,
+			);
+			expect(bodies(await post.comments())).to.deep.equal(['only']);
+			expect(bodies(await post.comments({ refresh: true }))).to.deep.equal([
+				'only',
+				'late',
+			]);
+
+			await IncludePost.get(2);
+			expect(bodies(await post.comments())).to.deep.equal(['only', 'late']);
+			await conn.query(`DELETE FROM yass_include_comment WHERE body = 'late'`);
+		});
+	});
+});
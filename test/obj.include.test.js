@@ -0,0 +1,243 @@
+/* eslint-disable no-unused-expressions */
+/* global describe, it, before, beforeEach, after */
+const fs = require('fs');
+const path = require('path');
+const { expect } = require('chai');
+const { dbh } = require('../lib/dbh');
+const { parseIncludePaths } = require('../lib/include-paths');
+const { setIncludeHandle } = require('./fixtures/include-handle');
+const IncludeOrg = require('./fixtures/include-org');
+const IncludeAccount = require('./fixtures/include-account');
+const IncludeUser = require('./fixtures/include-user');
+const IncludePost = require('./fixtures/include-post');
+
+const tempDb = path.join('/tmp', `yass-include-${process.pid}.sqlite`);
+
+describe('#YASS-ORM include (eager loading of linked fields)', function suite() {
+	this.timeout(20000);
+
+	let conn;
+	/** Every SELECT issued through roQuery, in order. */
+	let selects;
+
+	before(async () => {
+		conn = await dbh({
+			dialect: 'sqlite',
+			filename: tempDb,
+			ignoreCachedConnections: true,
+		});
+		setIncludeHandle(conn);
+
+		const tables = {
+			yass_include_org: 'name TEXT',
+			yass_include_account: 'name TEXT, org INTEGER',
+			yass_include_user: 'name TEXT',
+			yass_include_post:
+				'title TEXT, owner INTEGER, editor INTEGER, account INTEGER',
+		};
+		// eslint-disable-next-line no-restricted-syntax
+		for (const [table, columns] of Object.entries(tables)) {
+			// eslint-disable-next-line no-await-in-loop
+			await conn.query(`DROP TABLE IF EXISTS ${table}`);
+			// eslint-disable-next-line no-await-in-loop
+			await conn.query(
+				`CREATE TABLE ${table} (id INTEGER PRIMARY KEY AUTOINCREMENT, ${columns}, isDeleted INTEGER DEFAULT 0)`,
+			);
+		}
+
+		const insert = (sql, params) => conn.query(sql, params);
+		for (let i = 1; i <= 3; i++) {
+			// eslint-disable-next-line no-await-in-loop
+			await insert(`INSERT INTO yass_include_org (name) VALUES (:name)`, {
+				name: `org-${i}`,
+			});
+		}
+		for (let i = 1; i <= 4; i++) {
+			// eslint-disable-next-line no-await-in-loop
+			await insert(
+				`INSERT INTO yass_include_account (name, org) VALUES (:name, :org)`,
+				{ name: `account-${i}`, org: ((i - 1) % 3) + 1 },
+			);
+		}
+		for (let i = 1; i <= 5; i++) {
+			// eslint-disable-next-line no-await-in-loop
+			await insert(`INSERT INTO yass_include_user (name) VALUES (:name)`, {
+				name: `user-${i}`,
+			});
+		}
+		for (let i = 1; i <= 20; i++) {
+			// eslint-disable-next-line no-await-in-loop
+			await insert(
+				`INSERT INTO yass_include_post (title, owner, editor, account) VALUES (:title, :owner, :editor, :account)`,
+				{
+					title: `post-${i}`,
+					owner: ((i - 1) % 5) + 1,
+					// Some posts have no editor - nulls must be skipped, not queried.
+					editor: i % 2 ? null : ((i + 1) % 5) + 1,
+					account: ((i - 1) % 4) + 1,
+				},
+			);
+		}
+
+		selects = [];
+		const realRoQuery = conn.roQuery.bind(conn);
+		conn.roQuery = (sql, ...args) => {
+			selects.push(sql);
+			return realRoQuery(sql, ...args);
+		};
+	});
+
+	beforeEach(() => {
+		[IncludeOrg, IncludeAccount, IncludeUser, IncludePost].forEach((Model) =>
+			Model.clearCache(),
+		);
+		selects.length = 0;
+	});
+
+	after(async () => {
+		if (conn) {
+			await Promise.all(
+				[
+					'yass_include_org',
+					'yass_include_account',
+					'yass_include_user',
+					'yass_include_post',
+				].map((table) => conn.query(`DROP TABLE IF EXISTS ${table}`)),
+			);
+		}
+		try {
+			fs.unlinkSync(tempDb);
+		} catch (err) {
+			// ignore
+		}
+	});
+
+	const expectFullyLinked = (posts) => {
+		expect(posts).to.have.length(20);
+		posts.forEach((post) => {
+			expect(post.owner).to.be.instanceOf(IncludeUser);
+			expect(post.account).to.be.instanceOf(IncludeAccount);
+			expect(post.account.org).to.be.instanceOf(IncludeOrg);
+		});
+		expect(posts[1].editor).to.be.instanceOf(IncludeUser);
+		expect(posts[0].editor).to.equal(null);
+	};
+
+	it('baseline: without include, every distinct link is its own query', async () => {
+		const posts = await IncludePost.search({});
+		expectFullyLinked(posts);
+		// 1 search + 5 users + 4 accounts + 3 orgs, each fetched once then cached.
+		expect(selects.length).to.be.greaterThan(4);
+	});
+
+	it('search() batches one IN query per linked model per level', async () => {
+		const posts = await IncludePost.search(
+			{},
+			{ orderBy: 'id' },
+			{ include: ['owner', 'editor', 'account.org'] },
+		);
+		expectFullyLinked(posts);
+		// posts, users (owner + editor share one query), accounts, orgs.
+		expect(selects).to.have.length(4);
+		expect(selects.filter((sql) => / in \(/.test(sql))).to.have.length(3);
+		expect(posts.map((post) => post.title)[0]).to.equal('post-1');
+	});
+
+	it('honours the class cache - cached links are not refetched', async () => {
+		await IncludePost.search({}, false, undefined, {
+			include: ['owner', 'editor', 'account.org'],
+		});
+		selects.length = 0;
+
+		IncludePost.clearCache();
+		const posts = await IncludePost.search({}, false, undefined, {
+			include: ['owner', 'editor', 'account.org'],
+		});
+		expectFullyLinked(posts);
+		expect(selects).to.have.length(1);
+	});
+
+	it('searchOne() and get() accept include', async () => {
+		const one = await IncludePost.searchOne({ title: 'post-2' }, undefined, {
+			include: ['account.org'],
+		});
+		expect(one.account.org.name).to.equal('org-2');
+
+		IncludePost.clearCache();
+		IncludeAccount.clearCache();
+		IncludeOrg.clearCache();
+		selects.length = 0;
+		const got = await IncludePost.get(3, { include: ['account.org', 'owner'] });
+		expect(got.account.org.name).to.equal('org-3');
+		expect(got.owner.name).to.equal('user-3');
+		// post, then one query each for user, account and org.
+		expect(selects).to.have.length(4);
+	});
+
+	it('fromSql() accepts include without passing it to the query as a param', async () => {
+		const posts = await IncludePost.fromSql('owner=:owner order by id', {
+			owner: 1,
+			include: ['owner', 'editor', 'account.org'],
+		});
+		expect(posts.map((post) => post.title)).to.deep.equal([
+			'post-1',
+			'post-6',
+			'post-11',
+			'post-16',
+		]);
+		expect(posts[0].owner.name).to.equal('user-1');
+		// posts, users (owner + editor), accounts, orgs.
+		expect(selects).to.have.length(4);
+	});
+
+	it('Model.query().include() batches the same way', async () => {
+		const posts = await IncludePost.query()
+			.include('owner', 'editor')
+			.include('account.org');
+		expectFullyLinked(posts);
+		expect(selects).to.have.length(4);
+	});
+
+	it('throws naming the field when a path is not a t.linked() field', async () => {
+		let error;
+		try {
+			await IncludePost.search({}, false, undefined, { include: ['title'] });
+		} catch (err) {
+			error = err;
+		}
+		expect(error).to.exist;
+		expect(error.message).to.match(
+			/yass-orm include: 'title' is not a t\.linked\(\) field or t\.hasMany\(\) relation on table 'yass_include_post'\. Linked fields: owner, editor, account\. Relations: comments, tags\./,
+		);
+
+		let nestedError;
+		try {
+			await IncludePost.search({}, false, undefined, {
+				include: ['account.name'],
+			});
+		} catch (err) {
+			nestedError = err;
+		}
+		expect(nestedError.message).to.match(
+			/'name' is not a t\.linked\(\) field or t\.hasMany\(\) relation/,
+		);
+	});
+
+	describe('parseIncludePaths', () => {
+		it('builds a nested tree and merges shared prefixes', () => {
+			expect(
+				parseIncludePaths(['owner', 'account.org', 'account.plan']),
+			).to.deep.equal({ owner: {}, account: { org: {}, plan: {} } });
+			expect(parseIncludePaths('owner')).to.deep.equal({ owner: {} });
+			expect(parseIncludePaths([])).to.equal(null);
+			expect(parseIncludePaths(undefined)).to.equal(null);
+		});
+
+		it('rejects malformed paths', () => {
+			expect(() => parseIncludePaths(['account..org'])).to.throw(
+				/empty segment/,
+			);
+			expect(() => parseIncludePaths([42])).to.throw(/non-empty dotted path/);
+		});
+	});
+});
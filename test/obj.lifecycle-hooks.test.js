@@ -0,0 +1,262 @@
+/* eslint-disable no-unused-expressions */
+/* global describe, it, before, beforeEach, after */
+const fs = require('fs');
+const path = require('path');
+const { expect } = require('chai');
+const YassORM = require('../lib');
+const { dbh } = require('../lib/dbh');
+
+const tempDb = path.join('/tmp', `yass-lifecycle-hooks-${process.pid}.sqlite`);
+
+describe('#YASS-ORM lifecycle hooks (beforeCreate / beforePatch / beforeRemove / afterRemove)', function suite() {
+	this.timeout(20000);
+
+	let conn;
+	/** Every hook call, as [hookName, ...args]. */
+	let calls;
+	/** Per-test hook behaviour: a function per hook name, or undefined. */
+	let behaviour;
+
+	class HookedNote extends YassORM.loadDefinition(({ types: t }) => ({
+		table: 'yass_hooked_note',
+		schema: {
+			id: t.idKey,
+			title: t.string,
+			status: t.string,
+		},
+	})) {
+		static async dbh() {
+			return conn;
+		}
+
+		static async beforeCreateHook(data, options) {
+			calls.push(['beforeCreateHook', { ...data }, options]);
+			return behaviour.beforeCreateHook && behaviour.beforeCreateHook(data);
+		}
+
+		async beforePatchHook(data, options) {
+			calls.push(['beforePatchHook', { ...data }, options]);
+			return (
+				behaviour.beforePatchHook && behaviour.beforePatchHook(data, options)
+			);
+		}
+
+		async afterChangeHook(options) {
+			calls.push(['afterChangeHook', options]);
+			return this;
+		}
+
+		async beforeRemoveHook(options) {
+			calls.push(['beforeRemoveHook', options]);
+			return behaviour.beforeRemoveHook && behaviour.beforeRemoveHook(options);
+		}
+
+		async afterRemoveHook(options) {
+			calls.push(['afterRemoveHook', options]);
+			return this;
+		}
+	}
+
+	const hookNames = () => calls.map(([name]) => name);
+	const rawRow = async (id) =>
+		(
+			await conn.query(`SELECT * FROM yass_hooked_note WHERE id = :id`, {
+				id,
+			})
+		)[0];
+	const expectRejection = async (promise, pattern) => {
+		let error;
+		try {
+			await promise;
+		} catch (err) {
+			error = err;
+		}
+		expect(error, 'expected the write to be vetoed').to.exist;
+		expect(error.message).to.match(pattern);
+	};
+
+	before(async () => {
+		conn = await dbh({
+			dialect: 'sqlite',
+			filename: tempDb,
+			ignoreCachedConnections: true,
+		});
+		await conn.query(`DROP TABLE IF EXISTS yass_hooked_note`);
+		await conn.query(
+			`CREATE TABLE yass_hooked_note (id INTEGER PRIMARY KEY AUTOINCREMENT, title TEXT, status TEXT, isDeleted INTEGER DEFAULT 0, createdAt TEXT)`,
+		);
+	});
+
+	beforeEach(() => {
+		HookedNote.clearCache();
+		calls = [];
+		behaviour = {};
+	});
+
+	after(async () => {
+		if (conn) {
+			await conn.query(`DROP TABLE IF EXISTS yass_hooked_note`);
+		}
+		try {
+			fs.unlinkSync(tempDb);
+		} catch (err) {
+			// ignore
+		}
+	});
+
+	describe('beforeCreateHook', () => {
+		it('can mutate or replace the data', async () => {
+			behaviour.beforeCreateHook = (data) => {
+				data.status = 'draft';
+			};
+			const mutated = await HookedNote.create({ title: 'one' });
+			expect(mutated.status).to.equal('draft');
+
+			behaviour.beforeCreateHook = (data) => ({ ...data, title: 'replaced' });
+			const replaced = await HookedNote.create({ title: 'two' });
+			expect((await rawRow(replaced.id)).title).to.equal('replaced');
+			expect(hookNames()).to.include('beforeCreateHook');
+		});
+
+		it('vetoes the create by throwing', async () => {
+			behaviour.beforeCreateHook = () => {
+				throw new Error('no untitled notes');
+			};
+			const [{ count: before }] = await conn.query(
+				`SELECT count(*) AS count FROM yass_hooked_note`,
+			);
+			await expectRejection(HookedNote.create({}), /no untitled notes/);
+			const [{ count: afterVeto }] = await conn.query(
+				`SELECT count(*) AS count FROM yass_hooked_note`,
+			);
+			expect(afterVeto).to.equal(before);
+		});
+	});
+
+	describe('beforePatchHook', () => {
+		it('receives the patch and the pre-change snapshot, and can rewrite the patch', async () => {
+			const note = await HookedNote.create({ title: 'before', status: 'new' });
+			calls = [];
+			behaviour.beforePatchHook = (data, { snapshot }) => {
+				if (snapshot.status === 'new') {
+					data.status = 'edited';
+				}
+			};
+			await note.patch({ title: 'after' });
+
+			const [, data, options] = calls.find(
+				([name]) => name === 'beforePatchHook',
+			);
+			expect(data).to.deep.equal({ title: 'after' });
+			expect(options.snapshot).to.include({ title: 'before', status: 'new' });
+			expect(note.status).to.equal('edited');
+			expect(await rawRow(note.id)).to.include({
+				title: 'after',
+				status: 'edited',
+			});
+
+			// afterChangeHook gets the same snapshot, for diffing.
+			const [, changeOptions] = calls.find(
+				([name]) => name === 'afterChangeHook',
+			);
+			expect(changeOptions.snapshot).to.equal(options.snapshot);
+		});
+
+		it('vetoes the patch by throwing, leaving the row and instance alone', async () => {
+			const note = await HookedNote.create({
+				title: 'locked',
+				status: 'final',
+			});
+			behaviour.beforePatchHook = (data, { snapshot }) => {
+				if (snapshot.status === 'final') {
+					throw new Error('final notes are read-only');
+				}
+			};
+			await expectRejection(
+				note.patch({ title: 'changed' }),
+				/final notes are read-only/,
+			);
+			expect(note.title).to.equal('locked');
+			expect((await rawRow(note.id)).title).to.equal('locked');
+		});
+	});
+
+	describe('beforeRemoveHook / afterRemoveHook', () => {
+		it('wrap remove() with the snapshot and hard: false', async () => {
+			const note = await HookedNote.create({ title: 'soft' });
+			calls = [];
+			await note.remove();
+			expect(hookNames()).to.deep.equal([
+				'beforeRemoveHook',
+				'beforePatchHook',
+				'afterChangeHook',
+				'afterRemoveHook',
+			]);
+			const [, beforeOptions] = calls[0];
+			expect(beforeOptions).to.include({ hard: false, tx: undefined });
+			expect(beforeOptions.snapshot).to.include({ title: 'soft' });
+			expect(calls[3][1].snapshot).to.equal(beforeOptions.snapshot);
+			expect((await rawRow(note.id)).isDeleted).to.equal(1);
+		});
+
+		it('wrap reallyDelete() with hard: true', async () => {
+			const note = await HookedNote.create({ title: 'hard' });
+			calls = [];
+			await note.reallyDelete();
+			expect(hookNames()).to.deep.equal([
+				'beforeRemoveHook',
+				'afterRemoveHook',
+			]);
+			expect(calls[1][1]).to.include({ hard: true });
+			expect(await rawRow(note.id)).to.equal(undefined);
+		});
+
+		it('veto remove() and reallyDelete() by throwing', async () => {
+			const note = await HookedNote.create({ title: 'keep me' });
+			behaviour.beforeRemoveHook = ({ snapshot }) => {
+				if (snapshot.title === 'keep me') {
+					throw new Error('protected');
+				}
+			};
+			await expectRejection(note.remove(), /protected/);
+			await expectRejection(note.reallyDelete(), /protected/);
+			expect(await rawRow(note.id)).to.include({ isDeleted: 0 });
+			expect(hookNames()).to.not.include('afterRemoveHook');
+		});
+	});
+
+	describe('{ tx }', () => {
+		it('passes the transaction handle to every hook, and a veto rolls it back', async () => {
+			let handle;
+			let created;
+			await expectRejection(
+				conn.transaction(async (tx) => {
+					handle = tx;
+					created = await HookedNote.create({ title: 'in tx' }, { tx });
+					await created.patch({ status: 'patched' }, { tx });
+					await created.remove({ tx });
+					behaviour.beforeRemoveHook = () => {
+						throw new Error('veto inside tx');
+					};
+					await created.reallyDelete({ tx });
+				}),
+				/veto inside tx/,
+			);
+
+			const hookCalls = calls.filter(([name]) => name !== 'afterChangeHook');
+			expect(hookCalls.map(([name]) => name)).to.deep.equal([
+				'beforeCreateHook',
+				'beforePatchHook',
+				'beforeRemoveHook',
+				'beforePatchHook',
+				'afterRemoveHook',
+				'beforeRemoveHook',
+			]);
+			hookCalls.forEach((call) => {
+				const options = call[call.length - 1];
+				expect(options.tx, call[0]).to.equal(handle);
+			});
+			expect(await rawRow(created.id)).to.equal(undefined);
+		});
+	});
+});
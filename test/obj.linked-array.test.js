@@ -0,0 +1,163 @@
+/* eslint-disable no-unused-expressions */
+/* global describe, it, before, beforeEach, after */
+const fs = require('fs');
+const path = require('path');
+const { expect } = require('chai');
+const { dbh } = require('../lib/dbh');
+const { setIncludeHandle } = require('./fixtures/include-handle');
+const IncludeUser = require('./fixtures/include-user');
+const IncludeTeam = require('./fixtures/include-team');
+
+const tempDb = path.join('/tmp', `yass-linked-array-${process.pid}.sqlite`);
+
+const TABLES = {
+	yass_include_user: 'name TEXT',
+	yass_include_team: 'name TEXT, lead INTEGER, members TEXT',
+};
+
+describe('#YASS-ORM t.linked(model, { array: true })', function suite() {
+	this.timeout(20000);
+
+	let conn;
+	/** Every SELECT issued through roQuery, in order. */
+	let selects;
+
+	const rawMembers = async (id) => {
+		const [row] = await conn.query(
+			`SELECT members FROM yass_include_team WHERE id = :id`,
+			{ id },
+		);
+		return row.members;
+	};
+	const names = (list) => list.map((user) => user.name);
+
+	before(async () => {
+		conn = await dbh({
+			dialect: 'sqlite',
+			filename: tempDb,
+			ignoreCachedConnections: true,
+		});
+		setIncludeHandle(conn);
+
+		// eslint-disable-next-line no-restricted-syntax
+		for (const [table, columns] of Object.entries(TABLES)) {
+			// eslint-disable-next-line no-await-in-loop
+			await conn.query(`DROP TABLE IF EXISTS ${table}`);
+			// eslint-disable-next-line no-await-in-loop
+			await conn.query(
+				`CREATE TABLE ${table} (id INTEGER PRIMARY KEY AUTOINCREMENT, ${columns}, isDeleted INTEGER DEFAULT 0)`,
+			);
+		}
+		for (let i = 1; i <= 4; i++) {
+			// eslint-disable-next-line no-await-in-loop
+			await conn.query(`INSERT INTO yass_include_user (name) VALUES (:name)`, {
+				name: `user-${i}`,
+			});
+		}
+		await conn.query(
+			`INSERT INTO yass_include_team (name, lead, members) VALUES
+				('red', 4, '[3,1,2]'),
+				('blue', 2, '[4]'),
+				('empty', 1, '[]'),
+				('none', 1, NULL),
+				('stale', 1, '[2,999]')`,
+		);
+
+		selects = [];
+		const realRoQuery = conn.roQuery.bind(conn);
+		conn.roQuery = (sql, ...args) => {
+			selects.push(sql);
+			return realRoQuery(sql, ...args);
+		};
+	});
+
+	beforeEach(() => {
+		[IncludeUser, IncludeTeam].forEach((Model) => Model.clearCache());
+		selects.length = 0;
+	});
+
+	after(async () => {
+		if (conn) {
+			await Promise.all(
+				Object.keys(TABLES).map((table) =>
+					conn.query(`DROP TABLE IF EXISTS ${table}`),
+				),
+			);
+		}
+		try {
+			fs.unlinkSync(tempDb);
+		} catch (err) {
+			// ignore
+		}
+	});
+
+	it('is a JSON column flagged as an array of links', () => {
+		const { members } = IncludeTeam.schema().fieldMap;
+		expect(members).to.include({
+			type: 'longtext',
+			linkedModel: 'include-user',
+			isArray: true,
+		});
+	});
+
+	it('inflates to instances, in stored order, with one query for the ids', async () => {
+		const team = await IncludeTeam.get(1);
+		expect(names(team.members)).to.deep.equal(['user-3', 'user-1', 'user-2']);
+		expect(team.members[0]).to.be.instanceOf(IncludeUser);
+		expect(team.members[1]).to.equal(await IncludeUser.getCachedId(1));
+		// team, the lead, and one IN query for all the members.
+		expect(selects).to.have.length(3);
+		expect(selects.filter((sql) => /"id" in \(/.test(sql))).to.have.length(1);
+	});
+
+	it('keeps empty and null lists, and drops ids with no row', async () => {
+		expect((await IncludeTeam.get(3)).members).to.deep.equal([]);
+		expect((await IncludeTeam.get(4)).members).to.equal(null);
+		expect(names((await IncludeTeam.get(5)).members)).to.deep.equal(['user-2']);
+	});
+
+	it('include batches the ids of every row into one query', async () => {
+		const teams = await IncludeTeam.search(
+			{ id: { $in: [1, 2] } },
+			{ orderBy: 'id' },
+			{ include: ['members'] },
+		);
+		expect(teams.map((team) => names(team.members))).to.deep.equal([
+			['user-3', 'user-1', 'user-2'],
+			['user-4'],
+		]);
+		// teams, then every member of both teams at once (which covers the leads).
+		expect(selects).to.have.length(2);
+	});
+
+	it('create() and patch() accept instances or ids and store an id array', async () => {
+		const [user1, user4] = await Promise.all([
+			IncludeUser.get(1),
+			IncludeUser.get(4),
+		]);
+		const team = await IncludeTeam.create({
+			name: 'green',
+			members: [user4, 2, user1],
+		});
+		expect(JSON.parse(await rawMembers(team.id))).to.deep.equal([4, 2, 1]);
+		expect(names(team.members)).to.deep.equal(['user-4', 'user-2', 'user-1']);
+
+		await team.patch({ members: [3] });
+		expect(JSON.parse(await rawMembers(team.id))).to.deep.equal([3]);
+		expect(names(team.members)).to.deep.equal(['user-3']);
+
+		// Re-saving the inflated list round-trips to the same ids.
+		await team.patch({ members: team.members });
+		expect(JSON.parse(await rawMembers(team.id))).to.deep.equal([3]);
+
+		await team.patch({ members: null });
+		expect(await rawMembers(team.id)).to.equal(null);
+		expect(team.members).to.equal(null);
+	});
+
+	it('jsonify({ includeLinked }) serializes each member', async () => {
+		const team = await IncludeTeam.get(2);
+		const json = await team.jsonify({ includeLinked: true });
+		expect(json.members).to.deep.equal([{ id: 4, name: 'user-4' }]);
+	});
+});
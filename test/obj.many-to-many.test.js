@@ -0,0 +1,324 @@
+/* eslint-disable no-unused-expressions */
+/* global describe, it, before, beforeEach, after */
+const fs = require('fs');
+const path = require('path');
+const { expect } = require('chai');
+const { dbh } = require('../lib/dbh');
+const { convertDefinition, joinTableSchemas } = require('../lib/def-to-schema');
+const { setIncludeHandle } = require('./fixtures/include-handle');
+const IncludeUser = require('./fixtures/include-user');
+const IncludePost = require('./fixtures/include-post');
+const IncludeTag = require('./fixtures/include-tag');
+
+const tempDb = path.join('/tmp', `yass-many-to-many-${process.pid}.sqlite`);
+
+const TABLES = {
+	yass_include_user: 'name TEXT',
+	yass_include_post:
+		'title TEXT, owner INTEGER, editor INTEGER, account INTEGER',
+	yass_include_tag: 'name TEXT',
+	yass_include_post_tag: 'post INTEGER, tag INTEGER',
+};
+
+describe('#YASS-ORM t.manyToMany() relations', function suite() {
+	this.timeout(20000);
+
+	let conn;
+	/** Every SELECT issued through roQuery, in order. */
+	let selects;
+
+	const names = (list) => list.map((tag) => tag.name);
+	const joinPairs = async () =>
+		(
+			await conn.query(
+				`SELECT post, tag FROM yass_include_post_tag ORDER BY post, tag`,
+			)
+		).map(({ post, tag }) => [post, tag]);
+
+	before(async () => {
+		conn = await dbh({
+			dialect: 'sqlite',
+			filename: tempDb,
+			ignoreCachedConnections: true,
+		});
+		setIncludeHandle(conn);
+
+		// eslint-disable-next-line no-restricted-syntax
+		for (const [table, columns] of Object.entries(TABLES)) {
+			// eslint-disable-next-line no-await-in-loop
+			await conn.query(`DROP TABLE IF EXISTS ${table}`);
+			// eslint-disable-next-line no-await-in-loop
+			await conn.query(
+				`CREATE TABLE ${table} (id INTEGER PRIMARY KEY AUTOINCREMENT, ${columns}, isDeleted INTEGER DEFAULT 0)`,
+			);
+		}
+		await conn.query(
+			`CREATE UNIQUE INDEX idx_yass_include_post_tag_pair ON yass_include_post_tag (post, tag)`,
+		);
+
+		for (let i = 1; i <= 3; i++) {
+			// eslint-disable-next-line no-await-in-loop
+			await conn.query(
+				`INSERT INTO yass_include_post (title) VALUES (:title)`,
+				{ title: `post-${i}` },
+			);
+		}
+		for (let i = 1; i <= 4; i++) {
+			// eslint-disable-next-line no-await-in-loop
+			await conn.query(`INSERT INTO yass_include_tag (name) VALUES (:name)`, {
+				name: `tag-${i}`,
+			});
+		}
+
+		selects = [];
+		const realRoQuery = conn.roQuery.bind(conn);
+		conn.roQuery = (sql, ...args) => {
+			selects.push(sql);
+			return realRoQuery(sql, ...args);
+		};
+	});
+
+	beforeEach(async () => {
+		[IncludeUser, IncludePost, IncludeTag].forEach((Model) =>
+			Model.clearCache(),
+		);
+		await conn.query(`DELETE FROM yass_include_post_tag`);
+		// post-1: tag-3, tag-1; post-2: tag-2, tag-1; post-3: none.
+		await conn.query(
+			`INSERT INTO yass_include_post_tag (post, tag) VALUES (1, 3), (1, 1), (2, 2), (2, 1)`,
+		);
+		selects.length = 0;
+	});
+
+	after(async () => {
+		if (conn) {
+			await Promise.all(
+				Object.keys(TABLES).map((table) =>
+					conn.query(`DROP TABLE IF EXISTS ${table}`),
+				),
+			);
+		}
+		try {
+			fs.unlinkSync(tempDb);
+		} catch (err) {
+			// ignore
+		}
+	});
+
+	describe('schema', () => {
+		const definition = (relation) =>
+			convertDefinition(({ types: t }) => ({
+				table: 'post',
+				schema: { id: t.idKey, title: t.string, tags: relation(t) },
+			}));
+
+		it('is a relation, not a column, with default join keys', () => {
+			const schema = definition((t) =>
+				t.manyToMany('./defs/tag.js', { through: 'post_tags' }),
+			);
+			expect(schema.relations).to.deep.equal({
+				tags: {
+					type: 'manyToMany',
+					model: './defs/tag.js',
+					through: 'post_tags',
+					foreignKey: 'post',
+					otherKey: 'tag',
+				},
+			});
+			expect(schema.fieldMap).to.not.have.property('tags');
+		});
+
+		it('rejects a missing join table or matching keys', () => {
+			expect(() => definition((t) => t.manyToMany('tag'))).to.throw(
+				/needs a join table/,
+			);
+			expect(() =>
+				definition((t) => t.manyToMany('post', { through: 'post_links' })),
+			).to.throw(/pass distinct \{ foreignKey, otherKey \}/);
+		});
+
+		it('describes the join table with a unique index on the pair', () => {
+			const [join] = joinTableSchemas(IncludePost.schema());
+			expect(join.table).to.equal('yass_include_post_tag');
+			expect(join.fields.map((row) => row.field)).to.deep.equal([
+				'id',
+				'post',
+				'tag',
+				'isDeleted',
+			]);
+			expect(join.fieldMap.post.type).to.equal(
+				IncludePost.schema().fieldMap.owner.type,
+			);
+			expect(join.options.indexes).to.deep.equal({
+				idx_yass_include_post_tag_pair: { unique: true, cols: ['post', 'tag'] },
+				idx_yass_include_post_tag_tag: ['tag'],
+			});
+			// Both sides of the relation describe the same table.
+			const [other] = joinTableSchemas(IncludeTag.schema());
+			expect(other.table).to.equal(join.table);
+			expect(other.fields).to.deep.equal(join.fields);
+			expect(other.options).to.deep.equal(join.options);
+			expect(
+				joinTableSchemas(IncludeUser.schema()),
+				'no manyToMany relations',
+			).to.deep.equal([]);
+		});
+
+		it('installs an accessor and add/remove/set helpers', () => {
+			['tags', 'addTags', 'removeTags', 'setTags'].forEach((method) =>
+				expect(IncludePost.prototype[method]).to.be.a('function'),
+			);
+			expect(IncludePost.prototype.addComments).to.equal(undefined);
+		});
+	});
+
+	describe('accessor', () => {
+		it('loads the linked rows in id order by default', async () => {
+			const post = await IncludePost.get(1);
+			const tags = await post.tags();
+			expect(names(tags)).to.deep.equal(['tag-1', 'tag-3']);
+			expect(tags[0]).to.be.instanceOf(IncludeTag);
+			expect(await (await IncludePost.get(3)).tags()).to.deep.equal([]);
+		});
+
+		it('uses the relation orderBy, and accepts the hasMany options', async () => {
+			const tag = await IncludeTag.get(1);
+			const titles = (posts) => posts.map((post) => post.title);
+			expect(titles(await tag.posts())).to.deep.equal(['post-2', 'post-1']);
+			expect(
+				titles(await tag.posts({ orderDir: 'asc', limit: 1 })),
+			).to.deep.equal(['post-1']);
+			expect(
+				titles(await tag.posts({ where: { title: 'post-2' } })),
+			).to.deep.equal(['post-2']);
+		});
+	});
+
+	describe('add / remove / set', () => {
+		it('addTags() accepts instances and ids, and skips existing pairs', async () => {
+			const post = await IncludePost.get(3);
+			const tag2 = await IncludeTag.get(2);
+			// Transaction handles inherit pquery, so the spy must keep `this`
+			const inserts = [];
+			const realPquery = conn.pquery;
+			conn.pquery = function pquery(sql, ...args) {
+				if (/^insert/i.test(sql)) {
+					inserts.push(sql);
+				}
+				return realPquery.call(this, sql, ...args);
+			};
+			try {
+				expect(await post.addTags([tag2, 4, 2])).to.equal(post);
+			} finally {
+				conn.pquery = realPquery;
+			}
+			// Both pairs in one multi-row INSERT
+			expect(inserts).to.have.length(1);
+			expect(inserts[0]).to.match(/values \(.*\),\(.*\)/);
+			await post.addTags(4);
+			expect(names(await post.tags())).to.deep.equal(['tag-2', 'tag-4']);
+			expect(await joinPairs()).to.deep.include.members([
+				[3, 2],
+				[3, 4],
+			]);
+		});
+
+		it('removeTags() deletes only the named pairs', async () => {
+			const post = await IncludePost.get(1);
+			await post.removeTags([await IncludeTag.get(3), 2]);
+			expect(names(await post.tags())).to.deep.equal(['tag-1']);
+			// post-2 still links to tag-1.
+			expect(await joinPairs()).to.deep.equal([
+				[1, 1],
+				[2, 1],
+				[2, 2],
+			]);
+		});
+
+		it('setTags() adds what is missing and removes the rest', async () => {
+			const post = await IncludePost.get(1);
+			await post.setTags([4, 3]);
+			expect(names(await post.tags())).to.deep.equal(['tag-3', 'tag-4']);
+			await post.setTags([]);
+			expect(await post.tags()).to.deep.equal([]);
+			expect(await joinPairs()).to.deep.equal([
+				[2, 1],
+				[2, 2],
+			]);
+		});
+
+		it('joins the caller transaction when given { tx }', async () => {
+			const post = await IncludePost.get(2);
+			let error;
+			try {
+				await conn.transaction(async (tx) => {
+					await post.setTags([3], { tx });
+					expect(names(await post.tags({ tx }))).to.deep.equal(['tag-3']);
+					throw new Error('roll back');
+				});
+			} catch (err) {
+				error = err;
+			}
+			expect(error.message).to.equal('roll back');
+			expect(names(await post.tags())).to.deep.equal(['tag-1', 'tag-2']);
+
+			await conn.transaction((tx) => post.addTags(4, { tx }));
+			expect(names(await post.tags())).to.deep.equal([
+				'tag-1',
+				'tag-2',
+				'tag-4',
+			]);
+		});
+
+		it('only works on manyToMany relations', async () => {
+			const post = await IncludePost.get(1);
+			let error;
+			try {
+				await post.addRelated('comments', [1]);
+			} catch (err) {
+				error = err;
+			}
+			expect(error.message).to.match(
+				/relation 'comments' on table 'yass_include_post' is a t\.hasMany\(\) relation, not t\.manyToMany\(\)/,
+			);
+		});
+	});
+
+	describe('include', () => {
+		it('batches the join rows and linked rows and serves the accessor from them', async () => {
+			const posts = await IncludePost.search(
+				{},
+				{ orderBy: 'id' },
+				{ include: ['tags'] },
+			);
+			// posts, the join rows for all of them, then every linked tag.
+			expect(selects).to.have.length(3);
+			expect(selects[1]).to.match(/yass_include_post_tag.*"post" in \(/);
+
+			selects.length = 0;
+			expect(names(await posts[0].tags())).to.deep.equal(['tag-1', 'tag-3']);
+			expect(names(await posts[1].tags())).to.deep.equal(['tag-1', 'tag-2']);
+			expect(await posts[2].tags()).to.deep.equal([]);
+			expect(selects).to.have.length(0);
+		});
+
+		it('loads nested paths and honours the relation order', async () => {
+			const tag = await IncludeTag.get(1, { include: ['posts.tags'] });
+			selects.length = 0;
+			const posts = await tag.posts();
+			expect(posts.map((post) => post.title)).to.deep.equal([
+				'post-2',
+				'post-1',
+			]);
+			expect(names(await posts[0].tags())).to.deep.equal(['tag-1', 'tag-2']);
+			expect(selects).to.have.length(0);
+		});
+
+		it('drops the preloaded rows after a write', async () => {
+			const post = await IncludePost.get(3, { include: 'tags' });
+			expect(await post.tags()).to.deep.equal([]);
+			await post.addTags(1);
+			expect(names(await post.tags())).to.deep.equal(['tag-1']);
+		});
+	});
+});
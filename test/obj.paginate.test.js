@@ -0,0 +1,290 @@
+/* eslint-disable no-unused-expressions */
+/* global describe, it, before, after */
+const fs = require('fs');
+const path = require('path');
+const { expect } = require('chai');
+const YassORM = require('../lib');
+const { dbh } = require('../lib/dbh');
+
+const tempDb = path.join('/tmp', `yass-paginate-${process.pid}.sqlite`);
+const TABLE = 'yass_paginate_event';
+const FINDER_TABLE = 'yass_paginate_finder_event';
+
+// `rank` repeats and is sometimes NULL, so every page boundary needs the id
+// tiebreak and the NULL ordering to be right.
+const RANKS = [3, null, 1, 3, 2, null, 1, 3, 2, 1, null];
+
+describe('#YASS-ORM Model.paginate() keyset pagination', function suite() {
+	this.timeout(20000);
+
+	let conn;
+
+	class PagedEvent extends YassORM.loadDefinition(({ types: t }) => ({
+		table: TABLE,
+		schema: {
+			id: t.idKey,
+			name: t.string,
+			rank: t.int,
+			happenedAt: t.datetime,
+		},
+	})) {
+		static async dbh() {
+			return conn;
+		}
+	}
+
+	// Reads every page, checking each is at most `limit` rows.
+	const readAll = async (query, options) => {
+		const seen = [];
+		let after;
+		for (let pages = 0; pages < 50; pages++) {
+			// eslint-disable-next-line no-await-in-loop
+			const page = await PagedEvent.paginate(query, { ...options, after });
+			expect(page.items.length).to.be.at.most(options.limit);
+			seen.push(...page.items);
+			if (!page.hasMore) {
+				expect(page.nextCursor).to.equal(null);
+				return seen;
+			}
+			after = page.nextCursor;
+		}
+		throw new Error('paginate() never ran out of pages');
+	};
+
+	const ids = (list) => list.map((row) => row.id);
+
+	// The expected keyset order: NULLs first ascending, last descending.
+	const sortedByRank = (rows, dir) =>
+		[...rows].sort((a, b) => {
+			const sign = dir === 'DESC' ? -1 : 1;
+			if (a.rank === null || b.rank === null) {
+				return a.rank === b.rank
+					? sign * (a.id - b.id)
+					: a.rank === null
+					? -sign
+					: sign;
+			}
+			return sign * (a.rank - b.rank || a.id - b.id);
+		});
+
+	const expectRejection = async (promise, pattern) => {
+		let error;
+		try {
+			await promise;
+		} catch (err) {
+			error = err;
+		}
+		expect(error, 'expected paginate() to throw').to.exist;
+		expect(error.message).to.match(pattern);
+	};
+
+	let rows;
+
+	before(async () => {
+		conn = await dbh({
+			dialect: 'sqlite',
+			filename: tempDb,
+			ignoreCachedConnections: true,
+		});
+		await conn.query(`DROP TABLE IF EXISTS ${TABLE}`);
+		await conn.query(
+			`CREATE TABLE ${TABLE} (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT, rank INTEGER, happenedAt TEXT, isDeleted INTEGER DEFAULT 0)`,
+		);
+		rows = [];
+		for (let i = 0; i < RANKS.length; i++) {
+			// eslint-disable-next-line no-await-in-loop
+			const event = await PagedEvent.create({
+				name: `event-${i}`,
+				rank: RANKS[i],
+				happenedAt: new Date(Date.UTC(2026, 0, 1 + (i % 4), 12)),
+			});
+			rows.push({ id: event.id, rank: RANKS[i] });
+		}
+	});
+
+	after(async () => {
+		if (conn) {
+			await conn.query(`DROP TABLE IF EXISTS ${TABLE}`);
+		}
+		try {
+			fs.unlinkSync(tempDb);
+		} catch (err) {
+			// ignore
+		}
+	});
+
+	it('pages by id by default, returning instances', async () => {
+		const first = await PagedEvent.paginate({}, { limit: 4 });
+		expect(first.items).to.have.length(4);
+		expect(first.items[0]).to.be.instanceOf(PagedEvent);
+		expect(first.hasMore).to.equal(true);
+		expect(first.nextCursor).to.be.a('string');
+
+		const all = await readAll({}, { limit: 4 });
+		expect(ids(all)).to.deep.equal(ids(rows));
+	});
+
+	it('breaks ties on the id and places NULLs the same on every page', async () => {
+		const asc = await readAll({}, { orderBy: 'rank', limit: 3 });
+		expect(ids(asc)).to.deep.equal(ids(sortedByRank(rows, 'ASC')));
+
+		const desc = await readAll(
+			{},
+			{ orderBy: 'rank', orderDir: 'desc', limit: 2 },
+		);
+		expect(ids(desc)).to.deep.equal(ids(sortedByRank(rows, 'DESC')));
+	});
+
+	it('filters with the search() vocabulary and orders by dates', async () => {
+		const query = { rank: { $ne: null } };
+		const byDate = await readAll(query, { orderBy: 'happenedAt', limit: 3 });
+		expect(byDate).to.have.length(8);
+		const times = byDate.map((event) => event.happenedAt.getTime());
+		expect(times).to.deep.equal([...times].sort((a, b) => a - b));
+		expect(new Set(ids(byDate)).size).to.equal(8);
+	});
+
+	it('is not shifted by rows written before the cursor', async () => {
+		const first = await PagedEvent.paginate({}, { orderBy: 'rank', limit: 4 });
+		const expectedNext = await PagedEvent.paginate(
+			{},
+			{ orderBy: 'rank', limit: 4, after: first.nextCursor },
+		);
+		await PagedEvent.create({ name: 'late', rank: 0 });
+		const next = await PagedEvent.paginate(
+			{},
+			{ orderBy: 'rank', limit: 4, after: first.nextCursor },
+		);
+		expect(ids(next.items)).to.deep.equal(ids(expectedNext.items));
+	});
+
+	it('sends one bounded keyset query through the handle', async () => {
+		const { nextCursor } = await PagedEvent.paginate(
+			{},
+			{ orderBy: 'rank', limit: 2 },
+		);
+		const selects = [];
+		const realRoQuery = conn.roQuery;
+		conn.roQuery = (sql, ...args) => {
+			selects.push(sql);
+			return realRoQuery.call(conn, sql, ...args);
+		};
+		try {
+			await PagedEvent.paginate(
+				{},
+				{ orderBy: 'rank', limit: 2, after: nextCursor },
+			);
+		} finally {
+			conn.roQuery = realRoQuery;
+		}
+		expect(selects).to.have.length(1);
+		// The first page ended inside the NULL block, so the next one starts
+		// with the remaining NULLs, then every ranked row.
+		expect(selects[0]).to.equal(
+			`select * from "${TABLE}" where (((("rank" is NULL and "id" > :yass_where_0) or ("rank" is not NULL)))) order by ("rank" is null) desc, "rank" ASC, "id" ASC limit 3`,
+		);
+	});
+
+	it('Model.query().paginate() keeps select() rows identifiable', async () => {
+		const page = await PagedEvent.query()
+			.where({ rank: 3 })
+			.select('name')
+			.paginate({ orderBy: 'name', limit: 2 });
+		expect(page.items).to.deep.equal([
+			{ name: 'event-0', id: rows[0].id },
+			{ name: 'event-3', id: rows[3].id },
+		]);
+		const rest = await PagedEvent.query()
+			.where({ rank: 3 })
+			.select('name')
+			.paginate({ orderBy: 'name', limit: 2, after: page.nextCursor });
+		expect(rest.items.map((row) => row.name)).to.deep.equal(['event-7']);
+		expect(rest.hasMore).to.equal(false);
+	});
+
+	it('rejects foreign cursors and bad options', async () => {
+		const { nextCursor } = await PagedEvent.paginate({}, { limit: 1 });
+		await expectRejection(
+			PagedEvent.paginate({}, { orderBy: 'rank', after: nextCursor }),
+			/cursor was made for orderBy 'id' ASC, not 'rank' ASC/,
+		);
+		await expectRejection(
+			PagedEvent.paginate({}, { after: 'not-a-cursor' }),
+			/invalid cursor/,
+		);
+		await expectRejection(
+			PagedEvent.paginate({}, { offset: 10 }),
+			/unknown option 'offset'/,
+		);
+		await expectRejection(
+			PagedEvent.paginate({}, { limit: 0 }),
+			/limit must be a positive integer/,
+		);
+		await expectRejection(
+			PagedEvent.paginate({}, { orderBy: 'nmae' }),
+			/orderBy names 'nmae'/,
+		);
+		await expectRejection(
+			PagedEvent.query().orderBy('name').paginate(),
+			/paginate\(\) sets its own order and limit/,
+		);
+	});
+
+	// finder() runs on the configured handle, not the model's dbh(), so this
+	// block uses its own copy of the table there.
+	describe('find() with $after', () => {
+		let defaultConn;
+		let finderRows;
+
+		class FinderEvent extends YassORM.loadDefinition(({ types: t }) => ({
+			table: FINDER_TABLE,
+			schema: { id: t.idKey, name: t.string, rank: t.int },
+		})) {}
+
+		before(async () => {
+			defaultConn = await dbh();
+			await defaultConn.query(`DROP TABLE IF EXISTS ${FINDER_TABLE}`);
+			await defaultConn.query(
+				`CREATE TABLE ${FINDER_TABLE} (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT, rank INTEGER, isDeleted INTEGER DEFAULT 0)`,
+			);
+			finderRows = [];
+			for (let i = 0; i < RANKS.length; i++) {
+				// eslint-disable-next-line no-await-in-loop
+				const event = await FinderEvent.create({ rank: RANKS[i] });
+				finderRows.push({ id: event.id, rank: RANKS[i] });
+			}
+		});
+
+		after(async () => {
+			await defaultConn.query(`DROP TABLE IF EXISTS ${FINDER_TABLE}`);
+		});
+
+		it('pages the finder packet by cursor, still counting every match', async () => {
+			const pageIds = [];
+			let after = null;
+			let packet;
+			do {
+				// eslint-disable-next-line no-await-in-loop
+				packet = await FinderEvent.find({
+					$after: after,
+					$limit: 4,
+					$sort: { rank: -1 },
+				});
+				expect(packet.total).to.equal(RANKS.length);
+				expect(packet.data.length).to.be.at.most(4);
+				pageIds.push(...ids(packet.data));
+				after = packet.nextCursor;
+			} while (packet.hasMore);
+
+			expect(after).to.equal(null);
+			expect(pageIds).to.deep.equal(ids(sortedByRank(finderRows, 'DESC')));
+		});
+
+		it('refuses $after with $skip', async () => {
+			await expectRejection(
+				FinderEvent.find({ $after: null, $skip: 5, $limit: 5 }),
+				/\$after replaces \$skip/,
+			);
+		});
+	});
+});
@@ -0,0 +1,220 @@
+/* eslint-disable no-unused-expressions */
+/* global describe, it, before, after */
+const fs = require('fs');
+const path = require('path');
+const { expect } = require('chai');
+const YassORM = require('../lib');
+const { dbh } = require('../lib/dbh');
+
+const tempDb = path.join('/tmp', `yass-query-builder-${process.pid}.sqlite`);
+const TABLE = 'yass_query_builder_widget';
+
+// Pinned to its own SQLite file via `static dbh()` - see obj.search-operators.test.js.
+describe('#YASS-ORM Model.query() builder', function suite() {
+	this.timeout(20000);
+
+	let conn;
+	let Widget;
+
+	before(async () => {
+		conn = await dbh({
+			dialect: 'sqlite',
+			filename: tempDb,
+			ignoreCachedConnections: true,
+		});
+		await conn.query(`DROP TABLE IF EXISTS ${TABLE}`);
+		await conn.query(`
+			CREATE TABLE ${TABLE} (
+				id INTEGER PRIMARY KEY AUTOINCREMENT,
+				name TEXT,
+				age INTEGER,
+				isActive INTEGER,
+				isDeleted INTEGER DEFAULT 0
+			)
+		`);
+
+		const Base = YassORM.loadDefinition(({ types: t }) => ({
+			table: TABLE,
+			schema: {
+				id: t.idKey,
+				name: t.string,
+				age: t.int,
+				isActive: t.bool,
+			},
+		}));
+
+		Widget = class QueryBuilderWidget extends Base {
+			static async dbh() {
+				return conn;
+			}
+		};
+
+		for (let i = 0; i < 10; i++) {
+			// eslint-disable-next-line no-await-in-loop
+			await conn.query(
+				`INSERT INTO ${TABLE} (name, age, isActive, isDeleted) VALUES (:name, :age, :isActive, 0)`,
+				{ name: `w-${i}`, age: i * 10, isActive: i % 2 },
+			);
+		}
+	});
+
+	after(async () => {
+		if (conn) {
+			await conn.query(`DROP TABLE IF EXISTS ${TABLE}`);
+		}
+		try {
+			fs.unlinkSync(tempDb);
+		} catch (err) {
+			// ignore
+		}
+	});
+
+	describe('running queries', () => {
+		it('is thenable and resolves to inflated instances', async () => {
+			const list = await Widget.query()
+				.where({ age: { $gte: 50 } })
+				.orderBy('age', 'desc')
+				.limit(2);
+			expect(list.map((w) => w.age)).to.deep.equal([90, 80]);
+			expect(list[0]).to.be.instanceOf(Widget);
+			expect(list[0].isActive).to.equal(true);
+		});
+
+		it('ANDs repeated where() calls and supports offset', async () => {
+			const list = await Widget.query()
+				.where({ age: { $gt: 10 } })
+				.where({ isActive: true })
+				.orderBy('age')
+				.limit(2)
+				.offset(1)
+				.all();
+			expect(list.map((w) => w.age)).to.deep.equal([50, 70]);
+		});
+
+		it('supports secondary orderBy keys', async () => {
+			const list = await Widget.query()
+				.orderBy('isActive', 'desc')
+				.orderBy('age', 'asc')
+				.limit(3);
+			expect(list.map((w) => w.age)).to.deep.equal([10, 30, 50]);
+		});
+
+		it('first() returns a single instance or null', async () => {
+			const one = await Widget.query().where({ name: 'w-3' }).first();
+			expect(one).to.be.instanceOf(Widget);
+			expect(one.age).to.equal(30);
+			expect(await Widget.query().where({ name: 'nope' }).first()).to.equal(
+				null,
+			);
+		});
+
+		it('count() ignores ordering and bounds', async () => {
+			const total = await Widget.query()
+				.where({ isActive: false })
+				.orderBy('age')
+				.limit(1)
+				.count();
+			expect(total).to.equal(5);
+			expect(await Widget.query().count()).to.equal(10);
+		});
+
+		it('exists() reports whether anything matches', async () => {
+			expect(await Widget.query().where({ age: 40 }).exists()).to.equal(true);
+			expect(await Widget.query().where({ age: 41 }).exists()).to.equal(false);
+		});
+
+		it('pluck() returns inflated values for one column', async () => {
+			const flags = await Widget.query()
+				.where({ age: { $lt: 30 } })
+				.orderBy('age')
+				.pluck('isActive');
+			expect(flags).to.deep.equal([false, true, false]);
+		});
+
+		it('select() resolves to plain objects and leaves cached instances intact', async () => {
+			const cached = await Widget.query().where({ name: 'w-4' }).first();
+			const rows = await Widget.query()
+				.select('name')
+				.where({ name: 'w-4' })
+				.all();
+			expect(rows).to.deep.equal([{ name: 'w-4' }]);
+			expect(rows[0]).to.not.be.instanceOf(Widget);
+			expect(cached.age).to.equal(40);
+		});
+
+		it('tx() runs on the transaction handle and sees its writes', async () => {
+			await conn.transaction(async (tx) => {
+				await tx.pquery(
+					`INSERT INTO ${TABLE} (name, age, isActive, isDeleted) VALUES ('in-tx', 999, 0, 0)`,
+				);
+				const seen = await Widget.query().tx(tx).where({ age: 999 }).count();
+				expect(seen).to.equal(1);
+				await tx.pquery(`DELETE FROM ${TABLE} WHERE age = 999`);
+			});
+		});
+	});
+
+	describe('builder semantics', () => {
+		it('is immutable - refinements do not leak back into the base query', async () => {
+			const base = Widget.query().where({ isActive: true });
+			const refined = base.where({ age: { $gt: 50 } }).limit(1);
+			expect(await base.count()).to.equal(5);
+			expect(await refined).to.have.length(1);
+		});
+
+		it('renders through the handle quoting and named placeholders', () => {
+			const { sql, params } = Widget.query()
+				.where({ age: { $in: [1, 2] } })
+				.orderBy('name')
+				.limit(5)
+				.toSql(conn);
+			expect(sql).to.equal(
+				`select * from "${TABLE}" where "age" in (:yass_where_0, :yass_where_1) order by "name" ASC limit 5`,
+			);
+			expect(params).to.deep.equal({ yass_where_0: 1, yass_where_1: 2 });
+		});
+
+		it('keeps null as IS NULL on boolean columns', () => {
+			const { sql } = Widget.query().where({ isActive: null }).toSql(conn);
+			expect(sql).to.match(/"isActive" is NULL$/);
+		});
+	});
+
+	describe('validation', () => {
+		it('rejects unknown columns in where(), even for plain equality', () => {
+			expect(() => Widget.query().where({ nmae: 'x' })).to.throw(
+				/yass-orm search\(\): where names 'nmae'/,
+			);
+		});
+
+		it('rejects unknown columns in orderBy/select/pluck', async () => {
+			expect(() => Widget.query().orderBy('nope')).to.throw(
+				/yass-orm query\(\): orderBy\(\) names 'nope'/,
+			);
+			expect(() => Widget.query().select('nope')).to.throw(
+				/select\(\) names 'nope'/,
+			);
+			let error;
+			try {
+				await Widget.query().pluck('nope');
+			} catch (err) {
+				error = err;
+			}
+			expect(error.message).to.match(/pluck\(\) names 'nope'/);
+		});
+
+		it('rejects bad directions, limits and offset without limit', async () => {
+			expect(() => Widget.query().orderBy('age', 'sideways')).to.throw(
+				/'ASC' or 'DESC'/,
+			);
+			expect(() => Widget.query().limit(-1)).to.throw(/non-negative integer/);
+			let error;
+			try {
+				await Widget.query().offset(5);
+			} catch (err) {
+				error = err;
+			}
+			expect(error.message).to.match(/offset\(\) requires limit\(\)/);
+		});
+	});
+});
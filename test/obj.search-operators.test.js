@@ -0,0 +1,143 @@
+/* eslint-disable no-unused-expressions */
+/* global describe, it, before, after */
+const fs = require('fs');
+const path = require('path');
+const { expect } = require('chai');
+const YassORM = require('../lib');
+const { dbh } = require('../lib/dbh');
+
+const tempDb = path.join('/tmp', `yass-obj-search-ops-${process.pid}.sqlite`);
+const TABLE = 'yass_search_ops_widget';
+
+// The model is pinned to its own SQLite file by overriding `static dbh()`, so
+// this suite exercises the model layer (validation + operand deflation) the
+// same way regardless of which dialect the rest of the run is configured for.
+describe('#YASS-ORM Model.search() operators', function suite() {
+	this.timeout(20000);
+
+	let conn;
+	let Widget;
+
+	before(async () => {
+		conn = await dbh({
+			dialect: 'sqlite',
+			filename: tempDb,
+			ignoreCachedConnections: true,
+		});
+		await conn.query(`DROP TABLE IF EXISTS ${TABLE}`);
+		await conn.query(`
+			CREATE TABLE ${TABLE} (
+				id INTEGER PRIMARY KEY AUTOINCREMENT,
+				name TEXT,
+				age INTEGER,
+				isActive INTEGER,
+				seenAt TEXT,
+				isDeleted INTEGER DEFAULT 0
+			)
+		`);
+
+		const Base = YassORM.loadDefinition(({ types: t }) => ({
+			table: TABLE,
+			schema: {
+				id: t.idKey,
+				name: t.string,
+				age: t.int,
+				isActive: t.bool,
+				seenAt: t.datetime,
+			},
+		}));
+
+		Widget = class SearchOpsWidget extends Base {
+			static async dbh() {
+				return conn;
+			}
+		};
+
+		const rows = [
+			{ name: 'a', age: 10, isActive: true, seenAt: '2026-01-01 00:00:00' },
+			{ name: 'b', age: 20, isActive: false, seenAt: '2026-02-01 00:00:00' },
+			{ name: 'c', age: 30, isActive: true, seenAt: '2026-03-01 00:00:00' },
+			{ name: 'd', age: 40, isActive: true, seenAt: null },
+		];
+		for (let i = 0; i < rows.length; i++) {
+			// eslint-disable-next-line no-await-in-loop
+			await conn.query(
+				`INSERT INTO ${TABLE} (name, age, isActive, seenAt, isDeleted) VALUES (:name, :age, :isActive, :seenAt, 0)`,
+				{ ...rows[i], isActive: rows[i].isActive ? 1 : 0 },
+			);
+		}
+	});
+
+	after(async () => {
+		if (conn) {
+			await conn.query(`DROP TABLE IF EXISTS ${TABLE}`);
+		}
+		try {
+			fs.unlinkSync(tempDb);
+		} catch (err) {
+			// ignore
+		}
+	});
+
+	const names = (list) => list.map((item) => item.name).sort();
+
+	it('returns hydrated instances for operator searches', async () => {
+		const list = await Widget.search({ age: { $gt: 15, $lte: 30 } });
+		expect(names(list)).to.deep.equal(['b', 'c']);
+		expect(list[0]).to.be.instanceOf(Widget);
+	});
+
+	it('deflates operands the same way as plain values', async () => {
+		// Booleans become 1/0 and Dates become DB datetime strings.
+		expect(
+			names(await Widget.search({ isActive: { $ne: true } })),
+		).to.deep.equal(['b']);
+		expect(
+			names(
+				await Widget.search({
+					seenAt: { $gte: new Date('2026-02-01T00:00:00.000Z') },
+				}),
+			),
+		).to.deep.equal(['b', 'c']);
+	});
+
+	it('keeps null operands as IS NULL on boolean and date columns', async () => {
+		expect(
+			names(await Widget.search({ $or: [{ seenAt: null }, { age: 10 }] })),
+		).to.deep.equal(['a', 'd']);
+	});
+
+	it('supports searchOne with operators', async () => {
+		const one = await Widget.searchOne({ name: { $in: ['c', 'zzz'] } });
+		expect(one.name).to.equal('c');
+	});
+
+	it('rejects fields that are not columns once operators are used', async () => {
+		let error;
+		try {
+			await Widget.search({ $or: [{ nmae: 'a' }] });
+		} catch (err) {
+			error = err;
+		}
+		expect(error).to.exist;
+		expect(error.message).to.match(
+			/names 'nmae', which is not a column on this model/,
+		);
+	});
+
+	it('still silently drops unknown keys on the legacy equality path', async () => {
+		const list = await Widget.search({ age: 10, notAColumn: 1 });
+		expect(names(list)).to.deep.equal(['a']);
+	});
+
+	it('rejects unknown operators with the supported list', async () => {
+		let error;
+		try {
+			await Widget.search({ age: { $greaterThan: 1 } });
+		} catch (err) {
+			error = err;
+		}
+		expect(error).to.exist;
+		expect(error.message).to.match(/Supported: \$eq, \$ne, \$gt/);
+	});
+});
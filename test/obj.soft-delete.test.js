@@ -0,0 +1,277 @@
+/* eslint-disable no-unused-expressions */
+/* global describe, it, before, beforeEach, afterEach, after */
+const fs = require('fs');
+const path = require('path');
+const { expect } = require('chai');
+const YassORM = require('../lib');
+const { dbh } = require('../lib/dbh');
+const { setIncludeHandle } = require('./fixtures/include-handle');
+const IncludeOrg = require('./fixtures/include-org');
+const IncludeAccount = require('./fixtures/include-account');
+
+const tempDb = path.join('/tmp', `yass-soft-delete-${process.pid}.sqlite`);
+
+describe('#YASS-ORM soft delete (withDeleted / onlyDeleted / restore)', function suite() {
+	this.timeout(20000);
+
+	let conn;
+	/** Global change hook payloads. */
+	let changes;
+	let unregister;
+	/** Rows by name, as created in beforeEach. */
+	let notes;
+
+	class Note extends YassORM.loadDefinition(({ types: t }) => ({
+		table: 'yass_soft_delete_note',
+		schema: {
+			id: t.idKey,
+			title: t.string,
+			deletedAt: t.datetime,
+		},
+	})) {
+		static async dbh() {
+			return conn;
+		}
+	}
+
+	const titles = (list) => list.map(({ title }) => title).sort();
+	const rawRow = async (id) =>
+		(
+			await conn.query(`SELECT * FROM yass_soft_delete_note WHERE id=:id`, {
+				id,
+			})
+		)[0];
+
+	before(async () => {
+		conn = await dbh({
+			dialect: 'sqlite',
+			filename: tempDb,
+			ignoreCachedConnections: true,
+		});
+		setIncludeHandle(conn);
+		await conn.query(`DROP TABLE IF EXISTS yass_soft_delete_note`);
+		await conn.query(
+			`CREATE TABLE yass_soft_delete_note (id INTEGER PRIMARY KEY AUTOINCREMENT, title TEXT, deletedAt TEXT, isDeleted INTEGER DEFAULT 0, createdAt TEXT)`,
+		);
+		await conn.query(`DROP TABLE IF EXISTS yass_include_org`);
+		await conn.query(`DROP TABLE IF EXISTS yass_include_account`);
+		await conn.query(
+			`CREATE TABLE yass_include_org (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT, isDeleted INTEGER DEFAULT 0)`,
+		);
+		await conn.query(
+			`CREATE TABLE yass_include_account (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT, org INTEGER, isDeleted INTEGER DEFAULT 0)`,
+		);
+	});
+
+	beforeEach(async () => {
+		await conn.query(`DELETE FROM yass_soft_delete_note`);
+		Note.clearCache();
+		notes = {};
+		// eslint-disable-next-line no-restricted-syntax
+		for (const title of ['alpha', 'bravo', 'charlie']) {
+			// eslint-disable-next-line no-await-in-loop
+			notes[title] = await Note.create({ title });
+		}
+		await notes.bravo.remove();
+		changes = [];
+		unregister = YassORM.registerGlobalChangeHook((payload) => {
+			changes.push(payload);
+		});
+	});
+
+	afterEach(() => {
+		unregister();
+	});
+
+	after(async () => {
+		if (conn) {
+			await conn.query(`DROP TABLE IF EXISTS yass_soft_delete_note`);
+			await conn.query(`DROP TABLE IF EXISTS yass_include_org`);
+			await conn.query(`DROP TABLE IF EXISTS yass_include_account`);
+		}
+		try {
+			fs.unlinkSync(tempDb);
+		} catch (err) {
+			// ignore
+		}
+	});
+
+	it('search() skips deleted rows unless asked for them', async () => {
+		expect(titles(await Note.search())).to.deep.equal(['alpha', 'charlie']);
+		expect(titles(await Note.search({}, { withDeleted: true }))).to.deep.equal([
+			'alpha',
+			'bravo',
+			'charlie',
+		]);
+		expect(
+			titles(await Note.search({}, { onlyDeleted: true, orderBy: 'title' })),
+		).to.deep.equal(['bravo']);
+		expect(
+			titles(await Note.search({}, false, undefined, { onlyDeleted: true })),
+		).to.deep.equal(['bravo']);
+
+		// A filter naming isDeleted is taken as written
+		expect(titles(await Note.search({ isDeleted: true }))).to.deep.equal([
+			'bravo',
+		]);
+	});
+
+	it('searchOne() takes the scope in either options slot', async () => {
+		expect(await Note.searchOne({ title: 'bravo' })).to.equal(null);
+		expect(
+			(await Note.searchOne({ title: 'bravo' }, { withDeleted: true })).id,
+		).to.equal(notes.bravo.id);
+		expect(
+			(
+				await Note.searchOne({ title: 'bravo' }, undefined, {
+					onlyDeleted: true,
+				})
+			).id,
+		).to.equal(notes.bravo.id);
+	});
+
+	it('get() resolves a removed id to null unless asked for it', async () => {
+		const { id } = notes.bravo;
+		expect(await Note.get(id)).to.equal(null);
+		expect(await Note.get(id, { allowCached: true })).to.equal(null);
+		expect((await Note.get(id, { withDeleted: true })).title).to.equal('bravo');
+		expect((await Note.get(id, { onlyDeleted: true })).title).to.equal('bravo');
+		expect(await Note.get(notes.alpha.id, { onlyDeleted: true })).to.equal(
+			null,
+		);
+	});
+
+	it('fromSql() scopes raw SQL, keeping ORDER BY and LIMIT working', async () => {
+		const sql = `title <> :skip order by title desc limit 5`;
+		expect(
+			(await Note.fromSql(sql, { skip: 'none' })).map(({ title }) => title),
+		).to.deep.equal(['charlie', 'alpha']);
+		expect(
+			titles(await Note.fromSql(sql, { skip: 'none', withDeleted: true })),
+		).to.deep.equal(['alpha', 'bravo', 'charlie']);
+		expect(
+			titles(await Note.fromSql(sql, { skip: 'none', onlyDeleted: true })),
+		).to.deep.equal(['bravo']);
+
+		// Table-qualified columns still resolve through the derived table
+		expect(
+			titles(
+				await Note.fromSql(`yass_soft_delete_note.title = :title`, {
+					title: 'alpha',
+				}),
+			),
+		).to.deep.equal(['alpha']);
+
+		// SQL filtering isDeleted itself passes withDeleted
+		expect(
+			titles(await Note.fromSql(`isDeleted = 1`, { withDeleted: true })),
+		).to.deep.equal(['bravo']);
+	});
+
+	it('fromSql() keeps the scope when a subquery mentions isDeleted', async () => {
+		const sql = `title <> (select coalesce(max(name), '') from yass_include_org where isDeleted = 1)`;
+		expect(titles(await Note.fromSql(sql))).to.deep.equal(['alpha', 'charlie']);
+		expect(titles(await Note.fromSql(`isDeleted = 1`))).to.deep.equal([]);
+	});
+
+	it('count() and aggregate() take the scope too', async () => {
+		expect(await Note.count()).to.equal(2);
+		expect(await Note.count({}, { withDeleted: true })).to.equal(3);
+		expect(await Note.count({}, { onlyDeleted: true })).to.equal(1);
+		const [{ count }] = await Note.aggregate({}, {}, { onlyDeleted: true });
+		expect(count).to.equal(1);
+	});
+
+	it('refuses withDeleted and onlyDeleted together', async () => {
+		let error;
+		try {
+			await Note.search({}, { withDeleted: true, onlyDeleted: true });
+		} catch (err) {
+			error = err;
+		}
+		expect(error.message).to.match(/withDeleted or onlyDeleted, not both/);
+	});
+
+	it('remove() stamps deletedAt and restore() clears it', async () => {
+		const before = await rawRow(notes.bravo.id);
+		expect(before.isDeleted).to.equal(1);
+		expect(before.deletedAt).to.be.a('string');
+		expect(notes.bravo.deletedAt).to.be.instanceOf(Date);
+
+		const restored = await notes.bravo.restore();
+		expect(restored).to.equal(notes.bravo);
+		expect(restored.isDeleted).to.equal(false);
+		expect(await rawRow(notes.bravo.id)).to.include({
+			isDeleted: 0,
+			deletedAt: null,
+		});
+		expect((await Note.get(notes.bravo.id)).title).to.equal('bravo');
+
+		expect(changes).to.have.length(1);
+		expect(changes[0]).to.deep.include({
+			id: notes.bravo.id,
+			changedFields: { isDeleted: 0, deletedAt: null },
+			wasCreated: false,
+		});
+	});
+
+	it('removeWhere() stamps deletedAt', async () => {
+		const { ids } = await Note.removeWhere({ title: 'alpha' });
+		expect(ids).to.deep.equal([notes.alpha.id]);
+		const row = await rawRow(notes.alpha.id);
+		expect(row.isDeleted).to.equal(1);
+		expect(row.deletedAt).to.be.a('string');
+	});
+
+	// finder() runs on the configured handle, not the model's dbh(), so this
+	// block uses its own copy of the table there.
+	describe('find()', () => {
+		let defaultConn;
+
+		class FinderNote extends YassORM.loadDefinition(({ types: t }) => ({
+			table: 'yass_soft_delete_finder_note',
+			schema: { id: t.idKey, title: t.string },
+		})) {}
+
+		before(async () => {
+			defaultConn = await dbh();
+			await defaultConn.query(
+				`DROP TABLE IF EXISTS yass_soft_delete_finder_note`,
+			);
+			await defaultConn.query(
+				`CREATE TABLE yass_soft_delete_finder_note (id INTEGER PRIMARY KEY AUTOINCREMENT, title TEXT, isDeleted INTEGER DEFAULT 0)`,
+			);
+			await FinderNote.create({ title: 'alpha' });
+			await (await FinderNote.create({ title: 'bravo' })).remove();
+		});
+
+		after(async () => {
+			await defaultConn.query(
+				`DROP TABLE IF EXISTS yass_soft_delete_finder_note`,
+			);
+		});
+
+		it('takes the scope as a server-side option', async () => {
+			expect(titles((await FinderNote.find({})).data)).to.deep.equal(['alpha']);
+			expect(
+				titles((await FinderNote.find({}, { withDeleted: true })).data),
+			).to.deep.equal(['alpha', 'bravo']);
+			const trash = await FinderNote.find({}, { onlyDeleted: true });
+			expect(titles(trash.data)).to.deep.equal(['bravo']);
+			expect(trash.total).to.equal(1);
+		});
+	});
+
+	it('t.linked() fields still resolve to a removed row', async () => {
+		const org = await IncludeOrg.create({ name: 'gone' });
+		const account = await IncludeAccount.create({ name: 'acct', org });
+		await org.remove();
+		IncludeOrg.clearCache();
+		IncludeAccount.clearCache();
+
+		expect(await IncludeOrg.get(org.id)).to.equal(null);
+		const reloaded = await IncludeAccount.get(account.id);
+		expect(reloaded.org).to.be.instanceOf(IncludeOrg);
+		expect(reloaded.org.name).to.equal('gone');
+	});
+});
@@ -0,0 +1,224 @@
+/* eslint-disable no-unused-expressions */
+/* global describe, it, before, beforeEach, afterEach, after */
+const fs = require('fs');
+const path = require('path');
+const { expect } = require('chai');
+const YassORM = require('../lib');
+const { dbh } = require('../lib/dbh');
+
+const tempDb = path.join('/tmp', `yass-update-where-${process.pid}.sqlite`);
+
+describe('#YASS-ORM Model.updateWhere() / Model.removeWhere()', function suite() {
+	this.timeout(20000);
+
+	let conn;
+	/** SQL sent through pquery, in order. */
+	let statements;
+	/** Global change hook payloads. */
+	let changes;
+	let unregister;
+
+	class Ticket extends YassORM.loadDefinition(({ types: t }) => ({
+		table: 'yass_update_where_ticket',
+		schema: {
+			id: t.idKey,
+			status: t.enum(['open', 'closed', 'archived']),
+			priority: t.int,
+			openedAt: t.datetime,
+			updatedAt: t.datetime,
+			nonce: t.string,
+		},
+	})) {
+		static async dbh() {
+			return conn;
+		}
+	}
+
+	const writes = () =>
+		statements.filter((sql) => /^\s*(update|insert|delete)/i.test(sql));
+	const rawRows = () =>
+		conn.query(`SELECT * FROM yass_update_where_ticket ORDER BY id`);
+	const rejection = async (promise) => {
+		try {
+			await promise;
+		} catch (err) {
+			return err;
+		}
+		throw new Error('expected a rejection');
+	};
+
+	before(async () => {
+		conn = await dbh({
+			dialect: 'sqlite',
+			filename: tempDb,
+			ignoreCachedConnections: true,
+		});
+		await conn.query(`DROP TABLE IF EXISTS yass_update_where_ticket`);
+		await conn.query(
+			`CREATE TABLE yass_update_where_ticket (id INTEGER PRIMARY KEY AUTOINCREMENT, status TEXT, priority INTEGER, openedAt TEXT, updatedAt TEXT, nonce TEXT, isDeleted INTEGER DEFAULT 0, createdAt TEXT)`,
+		);
+
+		// Transaction handles inherit pquery, so the spy must keep `this`
+		const realPquery = conn.pquery;
+		conn.pquery = function pquery(sql, ...args) {
+			statements.push(sql);
+			return realPquery.call(this, sql, ...args);
+		};
+	});
+
+	beforeEach(async () => {
+		await conn.query(`DELETE FROM yass_update_where_ticket`);
+		Ticket.clearCache();
+		statements = [];
+		await Ticket.createMany([
+			{ status: 'open', priority: 1, openedAt: new Date('2026-01-05') },
+			{ status: 'open', priority: 2, openedAt: new Date('2026-03-01') },
+			{ status: 'closed', priority: 3, openedAt: new Date('2026-01-20') },
+			{ status: 'open', priority: 4, openedAt: new Date('2026-06-01') },
+		]);
+		statements = [];
+		changes = [];
+		unregister = YassORM.registerGlobalChangeHook((payload) => {
+			changes.push(payload);
+		});
+	});
+
+	afterEach(() => {
+		unregister();
+	});
+
+	after(async () => {
+		if (conn) {
+			await conn.query(`DROP TABLE IF EXISTS yass_update_where_ticket`);
+		}
+		try {
+			fs.unlinkSync(tempDb);
+		} catch (err) {
+			// ignore
+		}
+	});
+
+	it('updates every matching row with one UPDATE and reports the ids', async () => {
+		const [first, second, third] = await rawRows();
+		const result = await Ticket.updateWhere(
+			{
+				openedAt: { $lt: new Date('2026-04-01') },
+				status: { $ne: 'archived' },
+			},
+			{ status: 'archived' },
+		);
+
+		expect(result).to.deep.equal({
+			affectedRows: 3,
+			ids: [first.id, second.id, third.id],
+		});
+		// SQLite has UPDATE ... RETURNING, so the ids come from the UPDATE
+		// itself - no separate read a concurrent write could slip past
+		expect(statements).to.have.length(1);
+		expect(writes()[0]).to.match(/^update .* where .* returning "id"$/);
+		expect((await rawRows()).map(({ status }) => status)).to.deep.equal([
+			'archived',
+			'archived',
+			'archived',
+			'open',
+		]);
+	});
+
+	it('bumps updatedAt and writes a fresh nonce on every matching row', async () => {
+		const before = await rawRows();
+		await Ticket.updateWhere({ priority: { $gte: 3 } }, { priority: 9 });
+		const rows = await rawRows();
+
+		expect(rows[0]).to.deep.equal(before[0]);
+		[2, 3].forEach((index) => {
+			expect(rows[index].updatedAt).to.be.a('string');
+			expect(rows[index].nonce).to.match(/^nonce_/);
+			expect(rows[index].nonce).to.not.equal(before[index].nonce);
+		});
+	});
+
+	it('drops matching rows from the class cache, so stale instances reload', async () => {
+		const [{ id }] = await rawRows();
+		const cached = await Ticket.get(id);
+		await Ticket.setCachedId(id, cached);
+		expect(await Ticket.getCachedId(id)).to.equal(cached);
+
+		await Ticket.updateWhere({ id }, { status: 'closed' });
+		expect(await Ticket.getCachedId(id)).to.equal(undefined);
+		expect((await Ticket.get(id, { allowCached: true })).status).to.equal(
+			'closed',
+		);
+
+		// The old instance's nonce is stale, so its next patch is refused
+		const error = await rejection(cached.patch({ priority: 5 }));
+		expect(error.code).to.equal('ERR_NONCE');
+	});
+
+	it('fires the global change hooks once with the count and ids', async () => {
+		const { ids } = await Ticket.updateWhere(
+			{ status: 'open' },
+			{ priority: 0 },
+		);
+		expect(changes).to.have.length(1);
+		expect(changes[0]).to.deep.include({
+			modelName: 'yass_update_where_ticket',
+			id: null,
+			ids,
+			affectedRows: 3,
+			changedFields: { priority: 0 },
+			wasCreated: false,
+		});
+	});
+
+	it('reports nothing when no row matches', async () => {
+		const result = await Ticket.updateWhere(
+			{ status: 'archived' },
+			{ priority: 0 },
+		);
+		expect(result).to.deep.equal({ affectedRows: 0, ids: [] });
+		expect(changes).to.deep.equal([]);
+	});
+
+	it('refuses an empty filter and unknown columns', async () => {
+		expect(
+			(await rejection(Ticket.updateWhere({}, { status: 'closed' }))).message,
+		).to.match(/needs a non-empty filter/);
+		expect((await rejection(Ticket.removeWhere(undefined))).message).to.match(
+			/needs a non-empty filter/,
+		);
+		expect(
+			(
+				await rejection(
+					Ticket.updateWhere({ colour: { $in: ['red'] } }, { priority: 1 }),
+				)
+			).message,
+		).to.match(/colour/);
+		expect(writes()).to.deep.equal([]);
+	});
+
+	it('joins a caller transaction', async () => {
+		const error = await rejection(
+			conn.transaction(async (tx) => {
+				await Ticket.updateWhere({ status: 'open' }, { priority: 7 }, { tx });
+				throw new Error('roll it back');
+			}),
+		);
+		expect(error.message).to.equal('roll it back');
+		expect((await rawRows()).map(({ priority }) => priority)).to.deep.equal([
+			1, 2, 3, 4,
+		]);
+	});
+
+	it('removeWhere() soft-deletes matching rows that are not deleted yet', async () => {
+		const rows = await rawRows();
+		const first = await Ticket.removeWhere({ status: 'open' });
+		expect(first.ids).to.deep.equal([rows[0].id, rows[1].id, rows[3].id]);
+		expect((await rawRows()).map(({ isDeleted }) => isDeleted)).to.deep.equal([
+			1, 1, 0, 1,
+		]);
+		expect(changes[0].changedFields).to.deep.equal({ isDeleted: 1 });
+
+		const again = await Ticket.removeWhere({ status: 'open' });
+		expect(again).to.deep.equal({ affectedRows: 0, ids: [] });
+	});
+});
@@ -0,0 +1,256 @@
+/* eslint-disable no-unused-expressions */
+/* global describe, it, before, beforeEach, afterEach, after */
+const fs = require('fs');
+const path = require('path');
+const { expect } = require('chai');
+const YassORM = require('../lib');
+const { dbh } = require('../lib/dbh');
+
+const tempDb = path.join('/tmp', `yass-upsert-${process.pid}.sqlite`);
+
+describe('#YASS-ORM Model.upsert()', function suite() {
+	this.timeout(20000);
+
+	let conn;
+	/** SQL sent through pquery, in order. */
+	let statements;
+	/** Global change hook payloads. */
+	let changes;
+	let unregister;
+	/** Instance hook calls, as [hookName, options]. */
+	let hookCalls;
+
+	class Member extends YassORM.loadDefinition(({ types: t }) => ({
+		table: 'yass_upsert_member',
+		schema: {
+			id: t.idKey,
+			org: t.string,
+			email: t.string,
+			role: t.string,
+			visits: t.int,
+			updatedAt: t.datetime,
+		},
+	})) {
+		static async dbh() {
+			return conn;
+		}
+
+		async afterCreateHook(options) {
+			hookCalls.push(['afterCreateHook', options]);
+		}
+
+		async afterChangeHook(options) {
+			hookCalls.push(['afterChangeHook', options]);
+		}
+	}
+
+	const rawRows = () =>
+		conn.query(`SELECT * FROM yass_upsert_member ORDER BY id`);
+	const rejection = async (promise) => {
+		try {
+			await promise;
+		} catch (err) {
+			return err;
+		}
+		throw new Error('expected a rejection');
+	};
+	const options = { conflictFields: ['org', 'email'] };
+
+	before(async () => {
+		conn = await dbh({
+			dialect: 'sqlite',
+			filename: tempDb,
+			ignoreCachedConnections: true,
+		});
+		await conn.query(`DROP TABLE IF EXISTS yass_upsert_member`);
+		await conn.query(
+			`CREATE TABLE yass_upsert_member (id INTEGER PRIMARY KEY AUTOINCREMENT, org TEXT, email TEXT, role TEXT, visits INTEGER, updatedAt TEXT, isDeleted INTEGER DEFAULT 0, createdAt TEXT)`,
+		);
+		await conn.query(
+			`CREATE UNIQUE INDEX yass_upsert_member_org_email ON yass_upsert_member (org, email)`,
+		);
+
+		// Transaction handles inherit pquery, so the spy must keep `this`
+		const realPquery = conn.pquery;
+		conn.pquery = function pquery(sql, ...args) {
+			statements.push(sql);
+			return realPquery.call(this, sql, ...args);
+		};
+	});
+
+	beforeEach(async () => {
+		await conn.query(`DELETE FROM yass_upsert_member`);
+		Member.clearCache();
+		statements = [];
+		changes = [];
+		hookCalls = [];
+		unregister = YassORM.registerGlobalChangeHook((payload) => {
+			changes.push(payload);
+		});
+	});
+
+	afterEach(() => {
+		unregister();
+	});
+
+	after(async () => {
+		if (conn) {
+			await conn.query(`DROP TABLE IF EXISTS yass_upsert_member`);
+		}
+		try {
+			fs.unlinkSync(tempDb);
+		} catch (err) {
+			// ignore
+		}
+	});
+
+	it('inserts when no row matches, with one native statement', async () => {
+		const { instance, wasCreated } = await Member.upsert(
+			{ org: 'acme', email: 'ann@acme.io', role: 'viewer', visits: 1 },
+			options,
+		);
+
+		expect(wasCreated).to.equal(true);
+		expect(instance).to.be.instanceOf(Member);
+		expect(instance).to.include({ email: 'ann@acme.io', role: 'viewer' });
+		const writes = statements.filter((sql) => /^\s*insert/i.test(sql));
+		expect(writes).to.have.length(1);
+		expect(writes[0]).to.match(/ON CONFLICT \("org", "email"\) DO UPDATE SET/);
+		// The existing row is read first, in the same transaction
+		expect(statements.indexOf(writes[0])).to.be.above(
+			statements.findIndex((sql) => /^select \* .* limit 1$/.test(sql)),
+		);
+		expect(await rawRows()).to.have.length(1);
+
+		expect(hookCalls.map(([name]) => name)).to.deep.equal([
+			'afterCreateHook',
+			'afterChangeHook',
+		]);
+		expect(hookCalls[1][1]).to.include({ wasCreated: true });
+		expect(changes).to.have.length(1);
+		expect(changes[0]).to.include({ id: instance.id, wasCreated: true });
+		expect(changes[0].changedFields).to.include({
+			org: 'acme',
+			role: 'viewer',
+			visits: 1,
+		});
+	});
+
+	it('updates the matching row, overwriting only the update fields', async () => {
+		const { instance: first } = await Member.upsert(
+			{ org: 'acme', email: 'bob@acme.io', role: 'viewer', visits: 1 },
+			options,
+		);
+		const [{ createdAt }] = await rawRows();
+		changes = [];
+		hookCalls = [];
+
+		const { instance, wasCreated } = await Member.upsert(
+			{ org: 'acme', email: 'bob@acme.io', role: 'admin', visits: 99 },
+			{ ...options, update: ['role'] },
+		);
+
+		expect(wasCreated).to.equal(false);
+		expect(instance.id).to.equal(first.id);
+		const [row] = await rawRows();
+		expect(row).to.include({ role: 'admin', visits: 1, createdAt });
+		expect(row.updatedAt).to.be.a('string');
+
+		expect(hookCalls.map(([name]) => name)).to.deep.equal(['afterChangeHook']);
+		expect(hookCalls[0][1]).to.include({ wasCreated: false });
+		expect(changes).to.have.length(1);
+		expect(changes[0]).to.include({ id: first.id, wasCreated: false });
+		expect(changes[0].changedFields).to.deep.equal({ role: 'admin' });
+	});
+
+	it('reports a row written by someone else as an update', async () => {
+		await conn.query(
+			`INSERT INTO yass_upsert_member (org, email, role, visits) VALUES ('acme', 'eve@acme.io', 'viewer', 1)`,
+		);
+
+		const { wasCreated } = await Member.upsert(
+			{ org: 'acme', email: 'eve@acme.io', role: 'admin', visits: 1 },
+			options,
+		);
+
+		expect(wasCreated).to.equal(false);
+		expect(hookCalls.map(([name]) => name)).to.deep.equal(['afterChangeHook']);
+		expect(changes).to.have.length(1);
+		expect(changes[0].wasCreated).to.equal(false);
+		expect(changes[0].changedFields).to.deep.equal({ role: 'admin' });
+	});
+
+	it('overwrites every given field by default, and reports no change when nothing differs', async () => {
+		await Member.upsert(
+			{ org: 'acme', email: 'cy@acme.io', role: 'viewer', visits: 1 },
+			options,
+		);
+		await Member.upsert(
+			{ org: 'acme', email: 'cy@acme.io', role: 'viewer', visits: 2 },
+			options,
+		);
+		expect(await rawRows()).to.have.length(1);
+		expect((await rawRows())[0]).to.include({ role: 'viewer', visits: 2 });
+		expect(changes[1].changedFields).to.deep.equal({ visits: 2 });
+
+		changes = [];
+		const { wasCreated } = await Member.upsert(
+			{ org: 'acme', email: 'cy@acme.io', role: 'viewer', visits: 2 },
+			options,
+		);
+		expect(wasCreated).to.equal(false);
+		// Only updatedAt moved, which is a managed key, so no hook fires
+		expect(changes).to.deep.equal([]);
+	});
+
+	it('keeps rows for other conflict values apart', async () => {
+		await Member.upsert({ org: 'acme', email: 'di@x.io', role: 'a' }, options);
+		const { wasCreated } = await Member.upsert(
+			{ org: 'globex', email: 'di@x.io', role: 'b' },
+			options,
+		);
+		expect(wasCreated).to.equal(true);
+		expect((await rawRows()).map(({ role }) => role)).to.deep.equal(['a', 'b']);
+	});
+
+	it('checks conflictFields and update before any SQL', async () => {
+		expect(
+			(await rejection(Member.upsert({ org: 'acme', email: 'e@x.io' })))
+				.message,
+		).to.match(/needs conflictFields/);
+		expect(
+			(
+				await rejection(
+					Member.upsert({ org: 'acme' }, { conflictFields: ['org', 'email'] }),
+				)
+			).message,
+		).to.match(/needs a value for conflict field\(s\) 'email'/);
+		expect(
+			(
+				await rejection(
+					Member.upsert(
+						{ org: 'acme', email: 'e@x.io' },
+						{ ...options, update: ['colour'] },
+					),
+				)
+			).message,
+		).to.match(/'colour', not columns/);
+		expect(statements).to.deep.equal([]);
+	});
+
+	it('joins a caller transaction', async () => {
+		const error = await rejection(
+			conn.transaction(async (tx) => {
+				const { wasCreated } = await Member.upsert(
+					{ org: 'acme', email: 'fay@acme.io', role: 'viewer' },
+					{ ...options, tx },
+				);
+				expect(wasCreated).to.equal(true);
+				expect(hookCalls[0][1].tx).to.equal(tx);
+				throw new Error('roll it back');
+			}),
+		);
+		expect(error.message).to.equal('roll it back');
+		expect(await rawRows()).to.deep.equal([]);
+	});
+});
@@ -0,0 +1,209 @@
+/* eslint-disable no-unused-expressions */
+/* global describe, it, before, beforeEach, after */
+const fs = require('fs');
+const path = require('path');
+const { expect } = require('chai');
+const YassORM = require('../lib');
+const { dbh } = require('../lib/dbh');
+
+const { ValidationError } = YassORM;
+
+const tempDb = path.join('/tmp', `yass-validation-${process.pid}.sqlite`);
+
+describe('#YASS-ORM schema validation on create() / patch()', function suite() {
+	this.timeout(20000);
+
+	let conn;
+	/** Names of the handle methods called, in order. */
+	let sqlCalls;
+
+	const definition =
+		(validate) =>
+		({ types: t }) => ({
+			table: 'yass_validated_order',
+			validate,
+			schema: {
+				id: t.idKey,
+				code: t.string({ null: 0 }),
+				title: t.string.minLength(3).maxLength(10),
+				status: t.enum(['draft', 'paid']),
+				quantity: t.int.min(1),
+				priority: t.int.default(1),
+				tags: t.array(t.enum(['red', 'blue'])).maxItems(2),
+				address: t.object({
+					zip: t.string.pattern(/^\d{5}$/),
+					kind: t.enum(['home', 'work']),
+				}),
+			},
+		});
+
+	class ValidatedOrder extends YassORM.loadDefinition(definition(true)) {
+		static async dbh() {
+			return conn;
+		}
+	}
+
+	class UncheckedOrder extends YassORM.loadDefinition(definition(undefined)) {
+		static async dbh() {
+			return conn;
+		}
+	}
+
+	const validationError = async (promise) => {
+		try {
+			await promise;
+		} catch (err) {
+			return err;
+		}
+		throw new Error('expected a ValidationError');
+	};
+
+	before(async () => {
+		conn = await dbh({
+			dialect: 'sqlite',
+			filename: tempDb,
+			ignoreCachedConnections: true,
+		});
+		await conn.query(`DROP TABLE IF EXISTS yass_validated_order`);
+		await conn.query(
+			`CREATE TABLE yass_validated_order (id INTEGER PRIMARY KEY AUTOINCREMENT, code TEXT NOT NULL, title TEXT, status TEXT, quantity INTEGER, priority INTEGER DEFAULT 1, tags TEXT, address TEXT, isDeleted INTEGER DEFAULT 0, createdAt TEXT)`,
+		);
+
+		['create', 'patch', 'pquery', 'roQuery'].forEach((method) => {
+			const real = conn[method].bind(conn);
+			conn[method] = (...args) => {
+				sqlCalls.push(method);
+				return real(...args);
+			};
+		});
+	});
+
+	beforeEach(() => {
+		ValidatedOrder.clearCache();
+		UncheckedOrder.clearCache();
+		sqlCalls = [];
+	});
+
+	after(async () => {
+		if (conn) {
+			await conn.query(`DROP TABLE IF EXISTS yass_validated_order`);
+		}
+		try {
+			fs.unlinkSync(tempDb);
+		} catch (err) {
+			// ignore
+		}
+	});
+
+	it('writes valid data as before', async () => {
+		const order = await ValidatedOrder.create({
+			code: 'A-1',
+			title: 'Boots',
+			status: 'paid',
+			quantity: 2,
+			tags: ['red'],
+			address: { zip: '90210', kind: 'home' },
+		});
+		expect(order.status).to.equal('paid');
+		await order.patch({ quantity: 3, address: null });
+		expect(order.quantity).to.equal(3);
+	});
+
+	it('lists every failing field path and sends no SQL', async () => {
+		const error = await validationError(
+			ValidatedOrder.create({
+				code: 'A-2',
+				title: 'No',
+				status: 'refunded',
+				quantity: 1.5,
+				priority: null,
+				tags: ['red', 'green', 'blue'],
+				address: { zip: 'abc', kind: 'moon' },
+			}),
+		);
+		expect(error).to.be.instanceOf(ValidationError);
+		expect(error.code).to.equal('ERR_VALIDATION');
+		expect(error.table).to.equal('yass_validated_order');
+		expect(error.errors.map(({ path: field }) => field)).to.deep.equal([
+			'title',
+			'status',
+			'quantity',
+			'priority',
+			'tags',
+			'tags[1]',
+			'address.zip',
+			'address.kind',
+		]);
+		expect(error.errors[1]).to.deep.equal({
+			path: 'status',
+			message: "must be one of 'draft', 'paid'",
+			value: 'refunded',
+		});
+		expect(error.message).to.include("status must be one of 'draft', 'paid'");
+		expect(sqlCalls).to.deep.equal([]);
+	});
+
+	it('requires null: 0 fields without a default on create only', async () => {
+		const error = await validationError(
+			ValidatedOrder.create({ title: 'Hat' }),
+		);
+		expect(error.errors).to.deep.equal([
+			{ path: 'code', message: 'is required', value: undefined },
+		]);
+
+		const order = await ValidatedOrder.create({ code: 'A-3' });
+		await order.patch({ title: 'Scarf' });
+		const patchError = await validationError(order.patch({ code: null }));
+		expect(patchError.errors[0]).to.include({
+			path: 'code',
+			message: 'must not be null',
+		});
+	});
+
+	it('checks a patch before any SQL, leaving the instance alone', async () => {
+		const order = await ValidatedOrder.create({ code: 'A-4', status: 'draft' });
+		sqlCalls = [];
+		const error = await validationError(
+			order.patch({ status: 'lost', tags: 'red' }),
+		);
+		expect(error.errors.map(({ path: field }) => field)).to.deep.equal([
+			'status',
+			'tags',
+		]);
+		expect(sqlCalls).to.deep.equal([]);
+		expect(order.status).to.equal('draft');
+	});
+
+	it('is opt-in: off unless the definition or the call asks for it', async () => {
+		const order = await UncheckedOrder.create({
+			code: 'B-1',
+			status: 'refunded',
+		});
+		expect(order.status).to.equal('refunded');
+
+		const error = await validationError(
+			UncheckedOrder.create(
+				{ code: 'B-2', status: 'lost' },
+				{ validate: true },
+			),
+		);
+		expect(error).to.be.instanceOf(ValidationError);
+		await order.patch({ status: 'paid' }, { validate: true });
+
+		const skipped = await ValidatedOrder.create(
+			{ code: 'B-3', status: 'lost' },
+			{ validate: false },
+		);
+		expect(skipped.status).to.equal('lost');
+	});
+
+	it('Model.validate() checks without writing', () => {
+		expect(() =>
+			ValidatedOrder.validate({ code: 'C-1', quantity: 0 }),
+		).to.throw(ValidationError, /quantity must be >= 1/);
+		expect(
+			ValidatedOrder.validate({ title: 'Gloves' }, { partial: true }),
+		).to.deep.equal({ title: 'Gloves' });
+		expect(sqlCalls).to.deep.equal([]);
+	});
+});
@@ -0,0 +1,162 @@
+/* eslint-disable no-unused-expressions */
+/* global describe, it, before, beforeEach, after */
+const fs = require('fs');
+const path = require('path');
+const { expect } = require('chai');
+const YassORM = require('../lib');
+const { dbh } = require('../lib/dbh');
+
+const tempDb = path.join('/tmp', `yass-version-${process.pid}.sqlite`);
+
+describe('#YASS-ORM t.version optimistic locking', function suite() {
+	this.timeout(20000);
+
+	let conn;
+	/** SQL sent through pquery, in order. */
+	let statements;
+
+	class Invoice extends YassORM.loadDefinition(({ types: t }) => ({
+		table: 'yass_version_invoice',
+		schema: {
+			id: t.idKey,
+			number: t.string,
+			status: t.string,
+			version: t.version,
+		},
+	})) {
+		static async dbh() {
+			return conn;
+		}
+	}
+
+	// Another writer, bypassing the (shared, cached) instance
+	const bumpBehindTheBack = (id, status) =>
+		conn.query(
+			`UPDATE yass_version_invoice SET status='${status}', version=version+1 WHERE id=${id}`,
+		);
+	const rawRow = async (id) =>
+		(await conn.query(`SELECT * FROM yass_version_invoice WHERE id=${id}`))[0];
+	const rejection = async (promise) => {
+		try {
+			await promise;
+		} catch (err) {
+			return err;
+		}
+		throw new Error('expected a rejection');
+	};
+
+	before(async () => {
+		conn = await dbh({
+			dialect: 'sqlite',
+			filename: tempDb,
+			ignoreCachedConnections: true,
+		});
+		await conn.query(`DROP TABLE IF EXISTS yass_version_invoice`);
+		await conn.query(
+			`CREATE TABLE yass_version_invoice (id INTEGER PRIMARY KEY AUTOINCREMENT, number TEXT UNIQUE, status TEXT, version INTEGER NOT NULL DEFAULT 1, isDeleted INTEGER DEFAULT 0, createdAt TEXT)`,
+		);
+
+		// Transaction handles inherit pquery, so the spy must keep `this`
+		const realPquery = conn.pquery;
+		conn.pquery = function pquery(sql, ...args) {
+			statements.push(sql);
+			return realPquery.call(this, sql, ...args);
+		};
+	});
+
+	beforeEach(async () => {
+		await conn.query(`DELETE FROM yass_version_invoice`);
+		Invoice.clearCache();
+		statements = [];
+	});
+
+	after(async () => {
+		if (conn) {
+			await conn.query(`DROP TABLE IF EXISTS yass_version_invoice`);
+		}
+		try {
+			fs.unlinkSync(tempDb);
+		} catch (err) {
+			// ignore
+		}
+	});
+
+	it('records the version field on the schema, and allows only one', () => {
+		const schema = Invoice.schema();
+		expect(schema.versionField).to.equal('version');
+		expect(schema.fieldMap.version).to.include({
+			type: 'integer',
+			null: 0,
+			default: 1,
+			isVersion: true,
+		});
+
+		expect(() =>
+			YassORM.loadDefinition(({ types: t }) => ({
+				table: 'yass_version_twice',
+				schema: { id: t.idKey, a: t.version, b: t.version },
+			})).schema(),
+		).to.throw(/more than one t.version field \(a, b\)/);
+	});
+
+	it('patch() bumps the version in the UPDATE, without reading first', async () => {
+		const invoice = await Invoice.create({ number: 'A-1', status: 'draft' });
+		expect(invoice.version).to.equal(1);
+		statements = [];
+
+		await invoice.patch({ status: 'sent' });
+		expect(invoice.version).to.equal(2);
+		expect(statements[0]).to.match(
+			/^update .* set .*"version"="version"\+1 where id=:id and "version"=:yass_version$/,
+		);
+		expect(await rawRow(invoice.id)).to.include({ status: 'sent', version: 2 });
+
+		// A version in the patch is the expected one, never written
+		await invoice.patch({ status: 'paid', version: 2 });
+		expect(await rawRow(invoice.id)).to.include({ status: 'paid', version: 3 });
+	});
+
+	it('a stale instance gets ERR_NONCE and writes nothing', async () => {
+		const stale = await Invoice.create({ number: 'A-2', status: 'draft' });
+		const { id } = stale;
+		await bumpBehindTheBack(id, 'sent');
+
+		const error = await rejection(stale.patch({ status: 'void' }));
+		expect(error.code).to.equal('ERR_NONCE');
+		expect(error.message).to.match(/expected version=1/);
+		expect(await rawRow(id)).to.include({ status: 'sent', version: 2 });
+	});
+
+	it('patchWithNonceRetry() reloads and applies the patch', async () => {
+		const stale = await Invoice.create({ number: 'A-3', status: 'draft' });
+		await bumpBehindTheBack(stale.id, 'sent');
+
+		const updated = await stale.patchWithNonceRetry(
+			{ status: 'paid' },
+			{ logger: { warn() {}, error() {} } },
+		);
+		expect(updated).to.include({ status: 'paid', version: 3 });
+	});
+
+	it('updateWhere() and upsert() increment the version', async () => {
+		const invoice = await Invoice.create({ number: 'A-4', status: 'draft' });
+		await Invoice.updateWhere({ number: 'A-4' }, { status: 'sent' });
+		expect(await rawRow(invoice.id)).to.include({ version: 2 });
+		expect((await rejection(invoice.patch({ status: 'void' }))).code).to.equal(
+			'ERR_NONCE',
+		);
+
+		const { instance, wasCreated } = await Invoice.upsert(
+			{ number: 'A-4', status: 'paid', version: 99 },
+			{ conflictFields: ['number'] },
+		);
+		expect(wasCreated).to.equal(false);
+		expect(instance).to.include({ status: 'paid', version: 3 });
+
+		const { instance: created } = await Invoice.upsert(
+			{ number: 'A-5', status: 'draft' },
+			{ conflictFields: ['number'] },
+		);
+		expect(created.version).to.equal(1);
+	});
+});
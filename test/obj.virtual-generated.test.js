@@ -0,0 +1,136 @@
+/* eslint-disable no-unused-expressions */
+/* global describe, it, before, after */
+const { expect } = require('chai');
+const { spawn } = require('child_process');
+const path = require('path');
+const YassORM = require('../lib');
+const { dbh } = require('../lib/dbh');
+const { convertDefinition } = require('../lib/def-to-schema');
+
+const BIN = path.resolve(__dirname, '..', 'bin', 'schema-sync');
+const DEFINITION = path.resolve(__dirname, 'fixtures', 'generated-def.js');
+
+function runBin(args, { timeoutMs = 60000 } = {}) {
+	return new Promise((resolve, reject) => {
+		const child = spawn(process.execPath, [BIN, ...args], {
+			cwd: path.resolve(__dirname, '..'),
+			env: { ...process.env, NODE_ENV: process.env.NODE_ENV || 'development' },
+		});
+		let stderr = '';
+		child.stderr.on('data', (chunk) => {
+			stderr += chunk.toString();
+		});
+		const timer = setTimeout(() => {
+			child.kill('SIGKILL');
+			reject(new Error(`schema-sync bin timed out after ${timeoutMs}ms`));
+		}, timeoutMs);
+		child.on('close', (code) => {
+			clearTimeout(timer);
+			resolve({ code, stderr });
+		});
+		child.on('error', (err) => {
+			clearTimeout(timer);
+			reject(err);
+		});
+	});
+}
+
+// generated-def.js: `total` (stored) and `label` (virtual) are computed by the
+// database, `summary` by the ORM on inflate.
+describe('#YASS-ORM t.virtual() and t.generated() fields', function suite() {
+	this.timeout(120000);
+
+	class GeneratedLine extends YassORM.loadDefinition(
+		require('./fixtures/generated-def').default,
+	) {}
+
+	const readOnlyError = async (promise) => {
+		try {
+			await promise;
+		} catch (err) {
+			return err;
+		}
+		throw new Error('expected the write to be refused');
+	};
+
+	before(async () => {
+		const { code, stderr } = await runBin([DEFINITION]);
+		expect(code, `stderr was:\n${stderr}`).to.equal(0);
+	});
+
+	after(async () => {
+		const conn = await dbh();
+		await conn.query(`DROP TABLE IF EXISTS yass_generated_line`);
+	});
+
+	it('keeps virtuals out of the columns and generated columns in', () => {
+		const schema = GeneratedLine.schema();
+		expect(Object.keys(schema.virtuals)).to.deep.equal(['summary']);
+		expect(schema.fieldMap).to.not.have.property('summary');
+		expect(schema.fieldMap.total).to.include({ type: 'integer' });
+		expect(schema.fieldMap.total.generated).to.deep.equal({
+			expression: 'price * quantity',
+			stored: true,
+		});
+		expect(schema.fieldMap.label.generated.stored).to.equal(false);
+
+		expect(() =>
+			convertDefinition(({ types: t }) => ({
+				table: 'bad',
+				schema: { id: t.idKey, name: t.virtual('name') },
+			})),
+		).to.throw(/t\.virtual\(\) needs a function/);
+	});
+
+	it('reads generated columns and computes virtuals on inflate', async () => {
+		const line = await GeneratedLine.create({
+			price: 3,
+			quantity: 2,
+			sku: 'BOLT',
+		});
+		expect(line.total).to.equal(6);
+		expect(line.label).to.equal('BOLT x2');
+		expect(line.summary).to.equal('BOLT x2 = 6');
+		expect(await line.jsonify({ excludeLinked: true })).to.include({
+			total: 6,
+			summary: 'BOLT x2 = 6',
+		});
+
+		await line.patch({ quantity: 5 });
+		expect(line.total).to.equal(15);
+		expect(line.summary).to.equal('BOLT x5 = 15');
+	});
+
+	it('never writes virtuals', async () => {
+		expect(
+			await GeneratedLine.deflateValues({ price: 1, summary: 'x' }),
+		).to.not.have.property('summary');
+		const line = await GeneratedLine.create({ price: 1, summary: 'ignored' });
+		expect(line.summary).to.equal('null = null');
+	});
+
+	it('refuses to write generated columns', async () => {
+		const createError = await readOnlyError(
+			GeneratedLine.create({ price: 1, total: 10 }),
+		);
+		expect(createError.message).to.equal(
+			"create() cannot write 'total' on table 'yass_generated_line': t.generated() columns are computed by the database and read-only",
+		);
+
+		const line = await GeneratedLine.create({ price: 2, quantity: 2 });
+		const patchError = await readOnlyError(
+			line.patch({ label: 'x', total: 1 }),
+		);
+		expect(patchError.message).to.match(
+			/patch\(\) cannot write 'total', 'label'/,
+		);
+		expect(line.total).to.equal(4);
+	});
+
+	it('syncs again cleanly', async () => {
+		const { code, stderr } = await runBin([DEFINITION]);
+		expect(code, `stderr was:\n${stderr}`).to.equal(0);
+		const [line] = await GeneratedLine.search({ sku: 'BOLT' });
+		expect(line.total).to.equal(15);
+	});
+});
@@ -0,0 +1,267 @@
+/* eslint-disable no-unused-expressions */
+/* global describe, it, before, beforeEach, afterEach, after */
+const { expect } = require('chai');
+const YassORM = require('../lib');
+const config = require('../lib/config');
+const { dbh } = require('../lib/dbh');
+const { outboxTableSchema, OUTBOX_TABLE } = require('../lib/outbox');
+const { syncSchemaToDb } = require('../lib/sync-to-db');
+
+// The outbox lives on the configured handle, so the model does too.
+describe('#YASS-ORM transactional outbox', function suite() {
+	this.timeout(20000);
+
+	let conn;
+	let originalOutbox;
+	/** Global change hook payloads. */
+	let changes;
+	let unregister;
+
+	class Order extends YassORM.loadDefinition(({ types: t }) => ({
+		table: 'yass_outbox_order',
+		schema: { id: t.idKey, number: t.string, status: t.string },
+	})) {}
+
+	const outboxRows = () =>
+		conn.query(`SELECT * FROM ${OUTBOX_TABLE} ORDER BY id`);
+	const rejection = async (promise) => {
+		try {
+			await promise;
+		} catch (err) {
+			return err;
+		}
+		throw new Error('expected a rejection');
+	};
+	// Collects (payload, meta) pairs, failing while `failures[number]` > 0
+	const recorder = (failures = {}) => {
+		const seen = [];
+		const handler = async (payload, meta) => {
+			const number = payload.changedFields && payload.changedFields.number;
+			seen.push({ number, ...meta });
+			if (failures[number] > 0) {
+				failures[number] -= 1;
+				throw new Error(`broker down for ${number}`);
+			}
+		};
+		return { seen, handler };
+	};
+
+	before(async () => {
+		originalOutbox = config.outbox;
+		config.outbox = true;
+		conn = await dbh();
+		await conn.query(`DROP TABLE IF EXISTS yass_outbox_order`);
+		await conn.query(
+			`CREATE TABLE yass_outbox_order (id INTEGER PRIMARY KEY AUTOINCREMENT, number TEXT, status TEXT, isDeleted INTEGER DEFAULT 0, createdAt TEXT, updatedAt TEXT)`,
+		);
+		await conn.query(`DROP TABLE IF EXISTS ${OUTBOX_TABLE}`);
+		const { failed } = await syncSchemaToDb(outboxTableSchema());
+		expect(failed).to.equal(0);
+	});
+
+	beforeEach(async () => {
+		await conn.query(`DELETE FROM yass_outbox_order`);
+		await conn.query(`DELETE FROM ${OUTBOX_TABLE}`);
+		Order.clearCache();
+		changes = [];
+		unregister = YassORM.registerGlobalChangeHook((payload) => {
+			changes.push(payload);
+		});
+	});
+
+	afterEach(() => {
+		unregister();
+	});
+
+	after(async () => {
+		config.outbox = originalOutbox;
+		await conn.query(`DROP TABLE IF EXISTS yass_outbox_order`);
+		await conn.query(`DROP TABLE IF EXISTS ${OUTBOX_TABLE}`);
+	});
+
+	it('describes the outbox table only when outbox mode is on', () => {
+		const schema = outboxTableSchema();
+		expect(schema.table).to.equal('yass_outbox');
+		expect(Object.keys(schema.fieldMap)).to.include.members([
+			'modelName',
+			'recordId',
+			'payload',
+			'status',
+			'attempts',
+			'lastError',
+			'createdAt',
+		]);
+
+		config.outbox = false;
+		try {
+			expect(outboxTableSchema()).to.equal(null);
+		} finally {
+			config.outbox = true;
+		}
+	});
+
+	it('writes each change hook payload to the outbox', async () => {
+		const order = await Order.create({ number: 'A-1', status: 'new' });
+		await order.patch({ status: 'paid' });
+		await Order.updateWhere({ number: 'A-1' }, { status: 'shipped' });
+
+		const rows = await outboxRows();
+		expect(rows.map(({ status }) => status)).to.deep.equal([
+			'pending',
+			'pending',
+			'pending',
+		]);
+		expect(rows[0]).to.include({
+			modelName: 'yass_outbox_order',
+			recordId: `${order.id}`,
+			attempts: 0,
+		});
+		expect(rows[2].recordId).to.equal(null);
+
+		// The same payloads the global change hooks got, minus tx
+		const payloads = rows.map(({ payload }) => JSON.parse(payload));
+		expect(payloads).to.deep.equal(
+			changes.map(({ tx, ...payload }) => {
+				expect(tx, 'hooks run on the write transaction').to.exist;
+				return payload;
+			}),
+		);
+		expect(payloads[1].changedFields).to.deep.equal({ status: 'paid' });
+		expect(payloads[2]).to.include({ id: null, affectedRows: 1 });
+	});
+
+	it('rolls the event back with the write', async () => {
+		const error = await rejection(
+			conn.transaction(async (tx) => {
+				await Order.create({ number: 'A-2', status: 'new' }, { tx });
+				expect(await tx.query(`SELECT * FROM ${OUTBOX_TABLE}`)).to.have.length(
+					1,
+				);
+				throw new Error('roll it back');
+			}),
+		);
+		expect(error.message).to.equal('roll it back');
+		expect(await outboxRows()).to.deep.equal([]);
+		expect(await Order.count({ number: 'A-2' })).to.equal(0);
+	});
+
+	it('fails the write when the event cannot be written', async () => {
+		const order = await Order.create({ number: 'A-3', status: 'new' });
+		await conn.query(`DROP TABLE ${OUTBOX_TABLE}`);
+		try {
+			await rejection(order.patch({ status: 'lost' }));
+		} finally {
+			await syncSchemaToDb(outboxTableSchema());
+		}
+		const [row] = await conn.query(
+			`SELECT status FROM yass_outbox_order WHERE id=${order.id}`,
+		);
+		expect(row.status).to.equal('new');
+	});
+
+	it('the relay delivers in order and deletes what it delivered', async () => {
+		await Order.create({ number: 'B-1' });
+		await Order.create({ number: 'B-2' });
+		await Order.create({ number: 'B-3' });
+
+		const { seen, handler } = recorder();
+		const relay = YassORM.createOutboxRelay({ handler, batchSize: 2 });
+		expect(await relay.drain()).to.deep.include({
+			delivered: 2,
+			more: true,
+		});
+		expect(await relay.drain()).to.deep.include({
+			delivered: 1,
+			more: false,
+		});
+		expect(seen.map(({ number }) => number)).to.deep.equal([
+			'B-1',
+			'B-2',
+			'B-3',
+		]);
+		expect(seen[0]).to.include({ attempts: 1 });
+		expect(seen[0].outboxId).to.exist;
+		expect(await outboxRows()).to.deep.equal([]);
+	});
+
+	it('a failing event holds back the ones after it until it is retried', async () => {
+		await Order.create({ number: 'C-1' });
+		await Order.create({ number: 'C-2' });
+
+		const { seen, handler } = recorder({ 'C-1': 1 });
+		const relay = YassORM.createOutboxRelay({ handler, retryDelayMs: 50 });
+
+		const first = await relay.drain();
+		expect(first).to.include({ delivered: 0, retryInMs: 50 });
+		const [held] = await outboxRows();
+		expect(held).to.include({
+			status: 'pending',
+			attempts: 1,
+			lastError: 'broker down for C-1',
+		});
+
+		expect(await relay.drain()).to.include({ delivered: 2, retryInMs: null });
+		expect(
+			seen.map(({ number, attempts }) => [number, attempts]),
+		).to.deep.equal([
+			['C-1', 1],
+			['C-1', 2],
+			['C-2', 1],
+		]);
+	});
+
+	it('dead-letters an event after maxAttempts and moves on', async () => {
+		await Order.create({ number: 'D-1' });
+		await Order.create({ number: 'D-2' });
+
+		const deadLetters = [];
+		const { seen, handler } = recorder({ 'D-1': 99 });
+		const relay = YassORM.createOutboxRelay({
+			handler,
+			maxAttempts: 2,
+			retryDelayMs: 10,
+			onDeadLetter: (payload, error, meta) => {
+				deadLetters.push([payload.changedFields.number, error.message, meta]);
+			},
+		});
+
+		await relay.drain();
+		expect(await relay.drain()).to.include({ delivered: 1, deadLettered: 1 });
+		expect(deadLetters).to.have.length(1);
+		expect(deadLetters[0][0]).to.equal('D-1');
+		expect(deadLetters[0][2]).to.include({ attempts: 2 });
+		expect(seen.map(({ number }) => number)).to.deep.equal([
+			'D-1',
+			'D-1',
+			'D-2',
+		]);
+
+		const rows = await outboxRows();
+		expect(rows).to.have.length(1);
+		expect(rows[0]).to.include({ status: 'dead', attempts: 2 });
+		expect(await relay.drain()).to.include({ delivered: 0 });
+	});
+
+	it('start() polls until stop()', async () => {
+		const { seen, handler } = recorder();
+		const relay = YassORM.createOutboxRelay({ handler, pollIntervalMs: 10 });
+		relay.start();
+		try {
+			await Order.create({ number: 'E-1' });
+			const deadline = Date.now() + 5000;
+			while (!seen.length && Date.now() < deadline) {
+				// eslint-disable-next-line no-await-in-loop
+				await new Promise((resolve) => setTimeout(resolve, 10));
+			}
+		} finally {
+			await relay.stop();
+		}
+		expect(seen.map(({ number }) => number)).to.deep.equal(['E-1']);
+	});
+
+	it('needs a handler', () => {
+		expect(() => YassORM.createOutboxRelay({})).to.throw(
+			/needs a handler function/,
+		);
+	});
+});
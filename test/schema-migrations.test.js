@@ -0,0 +1,452 @@
+/* eslint-disable no-unused-expressions */
+/* global describe, it, before, beforeEach, after */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { expect } = require('chai');
+const { dbh } = require('../lib/dbh');
+const {
+	MIGRATIONS_TABLE,
+	MIGRATIONS_LOCK,
+	migrationFromPlan,
+	migrationFileName,
+	renderMigration,
+	listMigrations,
+	migrationStatus,
+	migrateUp,
+	migrateDown,
+} = require('../lib/migrations/schema-migrations');
+
+const ROOT = path.resolve(__dirname, '..');
+const PLAN_DEFINITION = path.resolve(__dirname, 'fixtures', 'plan-def.js');
+
+function runBin(bin, args, { timeoutMs = 60000 } = {}) {
+	return new Promise((resolve, reject) => {
+		const child = spawn(
+			process.execPath,
+			[path.join(ROOT, 'bin', bin), ...args],
+			{
+				cwd: ROOT,
+				env: {
+					...process.env,
+					NODE_ENV: process.env.NODE_ENV || 'development',
+				},
+			},
+		);
+		let stdout = '';
+		let stderr = '';
+		child.stdout.on('data', (chunk) => {
+			stdout += chunk.toString();
+		});
+		child.stderr.on('data', (chunk) => {
+			stderr += chunk.toString();
+		});
+		const timer = setTimeout(() => {
+			child.kill('SIGKILL');
+			reject(new Error(`${bin} timed out after ${timeoutMs}ms`));
+		}, timeoutMs);
+		child.on('close', (code) => {
+			clearTimeout(timer);
+			resolve({ code, stdout, stderr });
+		});
+		child.on('error', (err) => {
+			clearTimeout(timer);
+			reject(err);
+		});
+	});
+}
+
+const quiet = { log() {} };
+
+const rejection = async (promise) => {
+	try {
+		await promise;
+	} catch (err) {
+		return err;
+	}
+	throw new Error('expected a rejection');
+};
+
+describe('#schema migrations', function suite() {
+	this.timeout(120000);
+
+	describe('migrationFromPlan() / renderMigration()', () => {
+		const steps = [
+			{
+				table: 't',
+				action: 'create-table',
+				name: null,
+				sql: 'CREATE TABLE t (id INTEGER)',
+				down: 'DROP TABLE t',
+				deferred: false,
+			},
+			{
+				table: 't',
+				action: 'create-index',
+				name: 'idx_t_id',
+				sql: 'CREATE INDEX idx_t_id ON t (id)',
+				down: 'DROP INDEX idx_t_id',
+				deferred: false,
+			},
+			{
+				table: 't',
+				action: 'drop-column',
+				name: 'old',
+				sql: null,
+				down: null,
+				reason: 'not in the schema',
+				deferred: true,
+			},
+			{ table: 't', action: 'create-trigger', name: 'trg', sql: null },
+		];
+
+		it('undoes the steps in reverse order and skips what has no SQL', () => {
+			const { up, down, irreversible, skipped } = migrationFromPlan(steps);
+			expect(up).to.deep.equal([
+				'CREATE TABLE t (id INTEGER)',
+				'CREATE INDEX idx_t_id ON t (id)',
+			]);
+			expect(down).to.deep.equal(['DROP INDEX idx_t_id', 'DROP TABLE t']);
+			expect(irreversible).to.deep.equal([]);
+			expect(skipped.map(({ action }) => action)).to.deep.equal([
+				'drop-column',
+				'create-trigger',
+			]);
+		});
+
+		it('splits a table rebuild into statements, without its BEGIN/COMMIT', () => {
+			const { up, irreversible } = migrationFromPlan([
+				{
+					table: 't',
+					action: 'rebuild-table',
+					sql: 'BEGIN TRANSACTION;\nCREATE TABLE x (a);\nDROP TABLE t;\nCOMMIT',
+					down: null,
+				},
+			]);
+			expect(up).to.deep.equal(['CREATE TABLE x (a)', 'DROP TABLE t']);
+			expect(irreversible).to.have.length(1);
+		});
+
+		it('renders a loadable module, with no down when a step is irreversible', () => {
+			const load = (source) => {
+				const module = { exports: {} };
+				// eslint-disable-next-line no-new-func
+				new Function('module', source)(module);
+				return module.exports;
+			};
+
+			const source = renderMigration({
+				name: 'Add t',
+				dialectName: 'sqlite',
+				steps,
+			});
+			expect(source).to.match(/Left to schema-sync:/);
+			expect(load(source)).to.deep.equal({
+				up: {
+					sqlite: [
+						'CREATE TABLE t (id INTEGER)',
+						'CREATE INDEX idx_t_id ON t (id)',
+					],
+				},
+				down: { sqlite: ['DROP INDEX idx_t_id', 'DROP TABLE t'] },
+			});
+
+			const irreversible = renderMigration({
+				name: 'Rebuild t',
+				dialectName: 'sqlite',
+				steps: [
+					{
+						table: 't',
+						action: 'rebuild-table',
+						sql: "UPDATE t SET a = 'x'",
+						down: null,
+					},
+				],
+			});
+			expect(irreversible).to.match(/There is no down/);
+			expect(load(irreversible)).to.deep.equal({
+				up: { sqlite: ["UPDATE t SET a = 'x'"] },
+				down: null,
+			});
+		});
+
+		it('names files by UTC timestamp and snake_case name', () => {
+			expect(
+				migrationFileName(
+					'Add Invoice status!',
+					new Date('2026-01-02T03:04:05.678Z'),
+				),
+			).to.equal('20260102030405_add_invoice_status.js');
+			expect(() => migrationFileName('--')).to.throw(/letter or digit/);
+		});
+	});
+
+	describe('migrateUp() / migrateDown() / migrationStatus()', () => {
+		let conn;
+		let dir;
+
+		const writeFile = (name, body) => {
+			fs.writeFileSync(path.join(dir, `${name}.js`), body);
+		};
+		const tableExists = async (table) => {
+			try {
+				await conn.query(`SELECT 1 FROM ${table} LIMIT 1`);
+				return true;
+			} catch (err) {
+				return false;
+			}
+		};
+
+		before(async () => {
+			conn = await dbh();
+		});
+
+		beforeEach(async () => {
+			await conn.query(`DROP TABLE IF EXISTS yass_mig_widget`);
+			await conn.query(`DROP TABLE IF EXISTS ${MIGRATIONS_TABLE}`);
+			dir = fs.mkdtempSync(path.join(os.tmpdir(), 'yass-migrations-'));
+			writeFile(
+				'20260101000000_create_widget',
+				`module.exports = {
+					up: { ${conn.dialect.name}: ['CREATE TABLE yass_mig_widget (id INTEGER, name VARCHAR(40))'] },
+					down: { ${conn.dialect.name}: ['DROP TABLE yass_mig_widget'] },
+				};`,
+			);
+			writeFile(
+				'20260102000000_seed_widget',
+				`module.exports = {
+					up: async (dbh) => {
+						await dbh.pquery("INSERT INTO yass_mig_widget (id, name) VALUES (1, 'first')");
+					},
+					down: async (dbh) => {
+						await dbh.pquery('DELETE FROM yass_mig_widget');
+					},
+				};`,
+			);
+			// Not a migration file name - ignored
+			writeFile('notes', 'module.exports = {};');
+		});
+
+		after(async () => {
+			await conn.query(`DROP TABLE IF EXISTS yass_mig_widget`);
+			await conn.query(`DROP TABLE IF EXISTS ${MIGRATIONS_TABLE}`);
+		});
+
+		it('applies pending migrations in order and records them', async () => {
+			expect(listMigrations(dir).map(({ name }) => name)).to.deep.equal([
+				'20260101000000_create_widget',
+				'20260102000000_seed_widget',
+			]);
+			expect(
+				(await migrationStatus({ dir })).map(({ applied }) => applied),
+			).to.deep.equal([false, false]);
+
+			expect(await migrateUp({ dir, logger: quiet })).to.deep.equal([
+				'20260101000000_create_widget',
+				'20260102000000_seed_widget',
+			]);
+			expect(
+				await conn.query(`SELECT name FROM yass_mig_widget`),
+			).to.deep.equal([{ name: 'first' }]);
+			const status = await migrationStatus({ dir });
+			expect(status.every(({ applied }) => applied)).to.equal(true);
+			expect(status[0].appliedAt).to.exist;
+
+			// Nothing left to do
+			expect(await migrateUp({ dir, logger: quiet })).to.deep.equal([]);
+		});
+
+		it('stops after --to, and reverts newest first', async () => {
+			expect(
+				await migrateUp({
+					dir,
+					to: '20260101000000_create_widget',
+					logger: quiet,
+				}),
+			).to.deep.equal(['20260101000000_create_widget']);
+			// Created, not seeded
+			expect(await conn.query(`SELECT * FROM yass_mig_widget`)).to.deep.equal(
+				[],
+			);
+
+			await migrateUp({ dir, logger: quiet });
+			expect(await migrateDown({ dir, logger: quiet })).to.deep.equal([
+				'20260102000000_seed_widget',
+			]);
+			expect(await conn.query(`SELECT * FROM yass_mig_widget`)).to.deep.equal(
+				[],
+			);
+			expect(await migrateDown({ dir, steps: 5, logger: quiet })).to.deep.equal(
+				['20260101000000_create_widget'],
+			);
+			expect(await tableExists('yass_mig_widget')).to.equal(false);
+			expect(
+				(await migrationStatus({ dir })).map(({ applied }) => applied),
+			).to.deep.equal([false, false]);
+		});
+
+		it('rolls back a failing migration and does not record it', async () => {
+			writeFile(
+				'20260103000000_broken',
+				`module.exports = {
+					up: async (dbh) => {
+						await dbh.pquery("INSERT INTO yass_mig_widget (id, name) VALUES (2, 'second')");
+						await dbh.pquery('SELECT * FROM yass_mig_no_such_table');
+					},
+					down: null,
+				};`,
+			);
+			const error = await rejection(migrateUp({ dir, logger: quiet }));
+			expect(error.message).to.match(
+				/^Migration '20260103000000_broken' \(up\) failed:/,
+			);
+			expect(
+				(await migrationStatus({ dir })).map(({ name, applied }) => [
+					name,
+					applied,
+				]),
+			).to.deep.equal([
+				['20260101000000_create_widget', true],
+				['20260102000000_seed_widget', true],
+				['20260103000000_broken', false],
+			]);
+			if (conn.dialect.name !== 'mysql') {
+				expect(
+					await conn.query(`SELECT name FROM yass_mig_widget ORDER BY id`),
+				).to.deep.equal([{ name: 'first' }]);
+			}
+		});
+
+		it('refuses to revert a migration without down SQL, or whose file is gone', async () => {
+			writeFile(
+				'20260103000000_one_way',
+				`module.exports = { up: { ${conn.dialect.name}: ['SELECT 1'] }, down: null };`,
+			);
+			await migrateUp({ dir, logger: quiet });
+			expect(
+				(await rejection(migrateDown({ dir, logger: quiet }))).message,
+			).to.match(/'20260103000000_one_way' has no down SQL/);
+
+			fs.unlinkSync(path.join(dir, '20260103000000_one_way.js'));
+			const status = await migrationStatus({ dir });
+			expect(status[status.length - 1]).to.include({
+				name: '20260103000000_one_way',
+				missing: true,
+			});
+			expect(
+				(await rejection(migrateDown({ dir, logger: quiet }))).message,
+			).to.match(/its file is not in/);
+		});
+
+		it('waits for the lock another run holds, then gives up', async () => {
+			const { dialect } = conn;
+			// SQLite serialises this process's connections itself, so hold the
+			// lock the way a second process would - without a lease
+			const lease =
+				dialect.name === 'sqlite'
+					? { connection: conn, release: async () => {} }
+					: await dialect.acquireTransactionConnection(conn);
+			expect(
+				await dialect.acquireAdvisoryLock(lease.connection, MIGRATIONS_LOCK, 0),
+			).to.equal(true);
+			try {
+				const error = await rejection(
+					migrateUp({ dir, lockTimeoutSeconds: 0, logger: quiet }),
+				);
+				expect(error.message).to.match(/Timed out after 0s waiting/);
+			} finally {
+				await dialect.releaseAdvisoryLock(lease.connection, MIGRATIONS_LOCK);
+				await lease.release();
+			}
+			expect(await migrateUp({ dir, logger: quiet })).to.have.length(2);
+		});
+	});
+
+	describe('schema-sync --generate-migration and yass-orm-migrate', () => {
+		let conn;
+		let dir;
+
+		before(async () => {
+			conn = await dbh();
+			await conn.query(`DROP TABLE IF EXISTS yass_plan_ticket`);
+			await conn.query(`DROP TABLE IF EXISTS ${MIGRATIONS_TABLE}`);
+			dir = fs.mkdtempSync(path.join(os.tmpdir(), 'yass-migrations-'));
+		});
+
+		after(async () => {
+			await conn.query(`DROP TABLE IF EXISTS yass_plan_ticket`);
+			await conn.query(`DROP TABLE IF EXISTS ${MIGRATIONS_TABLE}`);
+		});
+
+		it('writes the pending changes to a migration, then applies and reverts it', async () => {
+			const generated = await runBin('schema-sync', [
+				'--generate-migration',
+				'Create tickets',
+				'--migrations-dir',
+				dir,
+				PLAN_DEFINITION,
+			]);
+			expect(generated.code, `stderr was:\n${generated.stderr}`).to.equal(0);
+			expect(generated.stdout).to.match(
+				/Wrote migration .*_create_tickets\.js/,
+			);
+
+			const [migration] = listMigrations(dir);
+			// eslint-disable-next-line global-require, import/no-dynamic-require
+			const { up, down } = require(migration.file);
+			const dialectName = conn.dialect.name;
+			expect(up[dialectName][0]).to.match(/CREATE TABLE .yass_plan_ticket./);
+			expect(down[dialectName][down[dialectName].length - 1]).to.match(
+				/DROP TABLE .yass_plan_ticket./,
+			);
+			// Generating changes nothing
+			const tables = await conn.query(
+				dialectName === 'sqlite'
+					? `SELECT name FROM sqlite_master WHERE name = 'yass_plan_ticket'`
+					: `SELECT 1 FROM information_schema.tables WHERE table_name = 'yass_plan_ticket'`,
+			);
+			expect(tables).to.deep.equal([]);
+
+			const pending = await runBin('migrate', ['status', '--dir', dir]);
+			expect(pending.code).to.equal(2);
+			expect(pending.stdout).to.match(/^pending +\d{14}_create_tickets/m);
+
+			const applied = await runBin('migrate', ['up', '--dir', dir]);
+			expect(applied.code, `stderr was:\n${applied.stderr}`).to.equal(0);
+			expect(applied.stdout).to.match(/Applied 1 migration\(s\)/);
+			await conn.query(`SELECT id, title, status, notes FROM yass_plan_ticket`);
+
+			const status = await runBin('migrate', ['status', '--dir', dir]);
+			expect(status.code).to.equal(0);
+			expect(status.stdout).to.match(/^applied +\d{14}_create_tickets/m);
+
+			const reverted = await runBin('migrate', ['down', '--dir', dir]);
+			expect(reverted.code, `stderr was:\n${reverted.stderr}`).to.equal(0);
+			expect(
+				await conn.query(
+					dialectName === 'sqlite'
+						? `SELECT name FROM sqlite_master WHERE name = 'yass_plan_ticket'`
+						: `SELECT 1 FROM information_schema.tables WHERE table_name = 'yass_plan_ticket'`,
+				),
+			).to.deep.equal([]);
+		});
+
+		it('rejects bad arguments', async () => {
+			const noCommand = await runBin('migrate', []);
+			expect(noCommand.code).to.equal(1);
+			expect(noCommand.stderr).to.match(/No command given/);
+
+			const misplaced = await runBin('migrate', ['up', '--steps', '2']);
+			expect(misplaced.code).to.equal(1);
+			expect(misplaced.stderr).to.match(/--steps only applies to down/);
+
+			const noName = await runBin('schema-sync', [
+				PLAN_DEFINITION,
+				'--generate-migration',
+			]);
+			expect(noName.code).to.equal(1);
+			expect(noName.stderr).to.match(/--generate-migration needs a value/);
+		});
+	});
+});
@@ -0,0 +1,215 @@
+/* eslint-disable no-console */
+/* global describe, it, before, after */
+const { expect } = require('chai');
+const YassORM = require('../lib');
+const config = require('../lib/config');
+const { dbh } = require('../lib/dbh');
+const {
+	syncSchemaToDb,
+	resolveCheckConstraints,
+} = require('../lib/sync-to-db');
+
+const TABLE = 'yass_check_ticket';
+const RENAMED = 'yass_check_issue';
+
+const isMysql = () => (config.dialect || 'mysql') === 'mysql';
+
+// Definitions are converted fresh for every sync, as syncSchemaToDb() adds the
+// id field to the schema it is given. `checkConstraints` is on unless given,
+// even as undefined.
+const ticket = ({
+	statuses = ['open', 'closed'],
+	table = TABLE,
+	renamedFrom,
+	...options
+} = {}) =>
+	YassORM.convertDefinition(({ types: t }) => ({
+		table,
+		...(renamedFrom ? { renamedFrom } : {}),
+		checkConstraints:
+			'checkConstraints' in options ? options.checkConstraints : true,
+		schema: {
+			status: t.enum(statuses),
+			priority: t.int.min(1).max(5),
+			tags: t.array(t.enum(['a', 'b'])),
+		},
+	}));
+
+const checkNames = (schema) =>
+	resolveCheckConstraints(schema).map(({ name }) => name);
+
+describe('#schemaSync CHECK constraints', function suite() {
+	this.timeout(60000);
+
+	let conn;
+	const checksOf = async (table = TABLE) =>
+		(await conn.dialect.getTableCheckConstraints(conn, table))
+			.map(({ name }) => name)
+			.filter((name) => name.startsWith('chk_'))
+			.sort();
+
+	const insertTicket = (status, priority) =>
+		conn.query(
+			`INSERT INTO ${TABLE} (status, priority) VALUES ('${status}', ${priority})`,
+		);
+
+	before(async () => {
+		conn = await dbh();
+		await conn.query(`DROP TABLE IF EXISTS ${TABLE}`);
+		await conn.query(`DROP TABLE IF EXISTS ${RENAMED}`);
+		// No constraints yet, so nothing stops bad rows going in
+		expect(
+			(await syncSchemaToDb(ticket({ checkConstraints: false }))).failed,
+		).to.equal(0);
+		await insertTicket('open', 3);
+		await insertTicket('lost', 9);
+	});
+
+	after(async () => {
+		await conn.query(`DROP TABLE IF EXISTS ${TABLE}`);
+		await conn.query(`DROP TABLE IF EXISTS ${RENAMED}`);
+	});
+
+	describe('resolveCheckConstraints()', () => {
+		it('builds one constraint per enum or bounded number field', () => {
+			const checks = resolveCheckConstraints(ticket());
+			expect(checks.map(({ column }) => column)).to.deep.equal([
+				'status',
+				'priority',
+			]);
+			expect(checks[0].expression).to.match(
+				/^.status. IN \('open', 'closed'\)$/,
+			);
+			expect(checks[1].expression).to.match(
+				/^.priority. >= 1 AND .priority. <= 5$/,
+			);
+			checks.forEach(({ name, column }) =>
+				expect(name).to.match(
+					new RegExp(`^chk_${TABLE}_${column}_[0-9a-f]{8}$`),
+				),
+			);
+		});
+
+		it('names a changed expression differently', () => {
+			const [before] = checkNames(ticket());
+			const [after] = checkNames(ticket({ statuses: ['open', 'done'] }));
+			expect(before).to.equal(checkNames(ticket())[0]);
+			expect(after).to.not.equal(before);
+		});
+
+		it('is off unless the definition or config.checkConstraints asks', () => {
+			expect(checkNames(ticket({ checkConstraints: undefined }))).to.deep.equal(
+				[],
+			);
+			const { checkConstraints } = config;
+			try {
+				config.checkConstraints = true;
+				expect(
+					checkNames(ticket({ checkConstraints: undefined })),
+				).to.have.length(2);
+				expect(checkNames(ticket({ checkConstraints: false }))).to.deep.equal(
+					[],
+				);
+			} finally {
+				config.checkConstraints = checkConstraints;
+			}
+		});
+	});
+
+	it('reports the rows that would block a new constraint', async () => {
+		const { failed, errors } = await syncSchemaToDb(ticket());
+		expect(failed).to.equal(2);
+		expect(errors.map(({ description }) => description)).to.deep.equal([
+			'CHECK constraint blocked by rows it would reject',
+			'CHECK constraint blocked by rows it would reject',
+		]);
+		expect(errors[0].error.message).to.match(
+			/found 1 existing rows that fail CHECK \(.status. IN \('open', 'closed'\)\)/,
+		);
+		expect(await checksOf()).to.deep.equal([]);
+	});
+
+	it('plans adding the constraints', async () => {
+		await conn.query(`DELETE FROM ${TABLE} WHERE status = 'lost'`);
+		const { plan } = await syncSchemaToDb(ticket(), { plan: true });
+		if (isMysql()) {
+			const adds = plan.filter(
+				({ action }) => action === 'add-check-constraint',
+			);
+			expect(adds.map(({ name }) => name)).to.deep.equal(checkNames(ticket()));
+			expect(adds[1].sql).to.match(
+				/ADD CONSTRAINT .chk_yass_check_ticket_priority_[0-9a-f]{8}. CHECK \(.priority. >= 1 AND .priority. <= 5\)/,
+			);
+			expect(adds[1].down).to.match(
+				/DROP CONSTRAINT .chk_yass_check_ticket_priority_/,
+			);
+		} else {
+			const rebuild = plan.find(({ action }) => action === 'rebuild-table');
+			expect(rebuild.sql).to.match(
+				/CONSTRAINT "chk_yass_check_ticket_status_[0-9a-f]{8}" CHECK \("status" IN \('open', 'closed'\)\)/,
+			);
+		}
+		expect(await checksOf()).to.deep.equal([]);
+	});
+
+	it('adds the constraints, keeping the rows, and only once', async () => {
+		const { failed } = await syncSchemaToDb(ticket());
+		expect(failed).to.equal(0);
+		expect(await checksOf()).to.deep.equal(checkNames(ticket()).sort());
+		expect(await conn.query(`SELECT status FROM ${TABLE}`)).to.deep.equal([
+			{ status: 'open' },
+		]);
+
+		let insertError;
+		try {
+			await insertTicket('open', 6);
+		} catch (ex) {
+			insertError = ex;
+		}
+		expect(insertError).to.exist;
+
+		const { plan } = await syncSchemaToDb(ticket(), { plan: true });
+		expect(plan.map(({ action }) => action)).to.not.include.members([
+			'add-check-constraint',
+			'drop-check-constraint',
+		]);
+	});
+
+	it('replaces a constraint whose expression changed', async () => {
+		const changed = ticket({ statuses: ['open', 'closed', 'waiting'] });
+		const { failed } = await syncSchemaToDb(changed);
+		expect(failed).to.equal(0);
+		expect(await checksOf()).to.deep.equal(
+			checkNames(ticket({ statuses: ['open', 'closed', 'waiting'] })).sort(),
+		);
+		await insertTicket('waiting', 2);
+	});
+
+	it('drops the constraints it made once they are turned off', async () => {
+		const { failed } = await syncSchemaToDb(
+			ticket({ checkConstraints: false }),
+		);
+		expect(failed).to.equal(0);
+		expect(await checksOf()).to.deep.equal([]);
+	});
+
+	it('replaces the constraints of a renamed table whose enum changed', async () => {
+		// The rows so far include a 'waiting' one
+		const statuses = ['open', 'closed', 'waiting'];
+		expect((await syncSchemaToDb(ticket({ statuses }))).failed).to.equal(0);
+		expect(await checksOf()).to.have.length(2);
+
+		const renamed = () =>
+			ticket({
+				table: RENAMED,
+				renamedFrom: TABLE,
+				statuses: [...statuses, 'done'],
+			});
+		const { failed } = await syncSchemaToDb(renamed());
+		expect(failed).to.equal(0);
+		expect(await checksOf(RENAMED)).to.deep.equal(checkNames(renamed()).sort());
+		await conn.query(
+			`INSERT INTO ${RENAMED} (status, priority) VALUES ('done', 1)`,
+		);
+	});
+});
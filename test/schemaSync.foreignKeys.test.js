@@ -0,0 +1,190 @@
+/* eslint-disable no-console */
+/* global describe, it, before, after */
+const { expect } = require('chai');
+const YassORM = require('../lib');
+const config = require('../lib/config');
+const { dbh } = require('../lib/dbh');
+const { resolveLinkedForeignKey } = require('../lib/def-to-schema');
+const { syncSchemaToDb } = require('../lib/sync-to-db');
+
+const PARENT = 'yass_fk_parent';
+const CHILD = 'yass_fk_child';
+
+const isMysql = () => (config.dialect || 'mysql') === 'mysql';
+
+// Definitions are converted fresh for every sync, as syncSchemaToDb() adds the
+// id field to the schema it is given
+const parent = () =>
+	YassORM.convertDefinition(({ types: t }) => ({
+		table: PARENT,
+		schema: { name: t.string },
+	}));
+
+const child = (foreignKey) =>
+	YassORM.convertDefinition(({ types: t }) => ({
+		table: CHILD,
+		schema: {
+			label: t.string,
+			parent: t.linked(PARENT, { foreignKey }),
+		},
+	}));
+
+describe('#schemaSync foreign keys', function suite() {
+	this.timeout(60000);
+
+	let conn;
+	const foreignKeysOf = async (table) =>
+		conn.dialect.getTableForeignKeys(conn, table);
+
+	const dropTables = async () => {
+		await conn.query(`DROP TABLE IF EXISTS ${CHILD}`);
+		await conn.query(`DROP TABLE IF EXISTS ${PARENT}`);
+	};
+
+	before(async () => {
+		conn = await dbh();
+		await dropTables();
+		expect((await syncSchemaToDb(parent())).failed).to.equal(0);
+		await conn.query(`INSERT INTO ${PARENT} (id, name) VALUES (1, 'kept')`);
+		// No foreign key yet, so nothing stops an orphan going in
+		expect((await syncSchemaToDb(child(false))).failed).to.equal(0);
+		await conn.query(
+			`INSERT INTO ${CHILD} (label, parent) VALUES ('fine', 1), ('orphan', 99)`,
+		);
+	});
+
+	after(async () => {
+		await dropTables();
+	});
+
+	describe('resolveLinkedForeignKey()', () => {
+		it('normalizes the actions, defaulting to NO ACTION', () => {
+			expect(resolveLinkedForeignKey(true)).to.deep.equal({
+				onDelete: 'NO ACTION',
+				onUpdate: 'NO ACTION',
+			});
+			expect(
+				resolveLinkedForeignKey({ onDelete: 'set null', table: 'people' }),
+			).to.deep.equal({
+				onDelete: 'SET NULL',
+				onUpdate: 'NO ACTION',
+				table: 'people',
+			});
+			expect(resolveLinkedForeignKey(false)).to.equal(undefined);
+		});
+
+		it('falls back to config.linkedForeignKeys', () => {
+			const { linkedForeignKeys } = config;
+			try {
+				config.linkedForeignKeys = { onDelete: 'cascade' };
+				expect(resolveLinkedForeignKey()).to.deep.equal({
+					onDelete: 'CASCADE',
+					onUpdate: 'NO ACTION',
+				});
+				expect(resolveLinkedForeignKey(false)).to.equal(undefined);
+				expect(resolveLinkedForeignKey(true)).to.deep.equal({
+					onDelete: 'CASCADE',
+					onUpdate: 'NO ACTION',
+				});
+				expect(resolveLinkedForeignKey({ onUpdate: 'restrict' })).to.deep.equal(
+					{ onDelete: 'CASCADE', onUpdate: 'RESTRICT' },
+				);
+			} finally {
+				config.linkedForeignKeys = linkedForeignKeys;
+			}
+			expect(resolveLinkedForeignKey()).to.equal(undefined);
+		});
+
+		it('rejects unknown actions and array links', () => {
+			expect(() => resolveLinkedForeignKey({ onDelete: 'explode' })).to.throw(
+				/foreignKey onDelete must be one of 'cascade', 'restrict', 'set null', 'no action', got 'explode'/,
+			);
+			expect(() =>
+				YassORM.convertDefinition(({ types: t }) => ({
+					table: CHILD,
+					schema: {
+						parents: t.linked(PARENT, { array: true, foreignKey: true }),
+					},
+				})),
+			).to.throw(/stores a JSON array, which can't have a foreignKey/);
+		});
+	});
+
+	it('reports the rows that would block a new foreign key', async () => {
+		const { failed, errors } = await syncSchemaToDb(
+			child({ onDelete: 'cascade' }),
+		);
+		expect(failed).to.equal(1);
+		expect(errors[0].description).to.equal(
+			'Foreign key blocked by rows it would reject',
+		);
+		expect(errors[0].error.message).to.match(
+			/found 1 existing rows whose .parent. matches no .yass_fk_parent.\..id./,
+		);
+		expect(await foreignKeysOf(CHILD)).to.deep.equal([]);
+	});
+
+	it('plans adding the foreign key', async () => {
+		await conn.query(`DELETE FROM ${CHILD} WHERE parent = 99`);
+		const { plan } = await syncSchemaToDb(child({ onDelete: 'cascade' }), {
+			plan: true,
+		});
+		if (isMysql()) {
+			const add = plan.find(({ action }) => action === 'add-foreign-key');
+			expect(add).to.include({ table: CHILD, name: `fk_${CHILD}_parent` });
+			expect(add.sql).to.match(
+				/ADD CONSTRAINT .fk_yass_fk_child_parent. FOREIGN KEY \(.parent.\) REFERENCES .yass_fk_parent. \(.id.\) ON DELETE CASCADE ON UPDATE NO ACTION/,
+			);
+			expect(add.down).to.match(/DROP FOREIGN KEY .fk_yass_fk_child_parent./);
+		} else {
+			const rebuild = plan.find(({ action }) => action === 'rebuild-table');
+			expect(rebuild.sql).to.match(
+				/CONSTRAINT "fk_yass_fk_child_parent" FOREIGN KEY \("parent"\) REFERENCES "yass_fk_parent" \("id"\) ON DELETE CASCADE/,
+			);
+		}
+		expect(await foreignKeysOf(CHILD)).to.deep.equal([]);
+	});
+
+	it('adds the foreign key, keeping the rows, and only once', async () => {
+		const { failed } = await syncSchemaToDb(child({ onDelete: 'cascade' }));
+		expect(failed).to.equal(0);
+		expect(await foreignKeysOf(CHILD)).to.deep.equal([
+			{
+				name: `fk_${CHILD}_parent`,
+				column: 'parent',
+				referencedTable: PARENT,
+				referencedColumn: 'id',
+				onDelete: 'CASCADE',
+				onUpdate: 'NO ACTION',
+			},
+		]);
+		expect(await conn.query(`SELECT label FROM ${CHILD}`)).to.deep.equal([
+			{ label: 'fine' },
+		]);
+
+		const { plan } = await syncSchemaToDb(child({ onDelete: 'cascade' }), {
+			plan: true,
+		});
+		expect(plan.map(({ action }) => action)).to.not.include.members([
+			'add-foreign-key',
+			'drop-foreign-key',
+		]);
+	});
+
+	it('keeps the foreign key across a rebuild of the referenced table', async () => {
+		// A SQLite sync rebuilds the table every time
+		expect((await syncSchemaToDb(parent())).failed).to.equal(0);
+		expect(await conn.query(`SELECT label FROM ${CHILD}`)).to.deep.equal([
+			{ label: 'fine' },
+		]);
+
+		await conn.query(`DELETE FROM ${PARENT} WHERE id = 1`);
+		expect(await conn.query(`SELECT label FROM ${CHILD}`)).to.deep.equal([]);
+	});
+
+	it('drops the foreign key it made once the schema leaves it out', async () => {
+		const { failed } = await syncSchemaToDb(child(false));
+		expect(failed).to.equal(0);
+		expect(await foreignKeysOf(CHILD)).to.deep.equal([]);
+	});
+});
@@ -0,0 +1,78 @@
+/* eslint-disable no-console */
+/* global describe, it, after */
+const { expect } = require('chai');
+const { spawn } = require('child_process');
+const path = require('path');
+const { dbh } = require('../lib/dbh');
+
+const BIN = path.resolve(__dirname, '..', 'bin', 'schema-sync');
+const DEFINITION = path.resolve(__dirname, 'fixtures', 'many-to-many-def.js');
+
+function runBin(args, { timeoutMs = 60000 } = {}) {
+	return new Promise((resolve, reject) => {
+		const child = spawn(process.execPath, [BIN, ...args], {
+			cwd: path.resolve(__dirname, '..'),
+			env: { ...process.env, NODE_ENV: process.env.NODE_ENV || 'development' },
+		});
+		let stdout = '';
+		let stderr = '';
+		child.stdout.on('data', (chunk) => {
+			stdout += chunk.toString();
+		});
+		child.stderr.on('data', (chunk) => {
+			stderr += chunk.toString();
+		});
+		const timer = setTimeout(() => {
+			child.kill('SIGKILL');
+			reject(new Error(`schema-sync bin timed out after ${timeoutMs}ms`));
+		}, timeoutMs);
+		child.on('close', (code) => {
+			clearTimeout(timer);
+			resolve({ code, stdout, stderr });
+		});
+		child.on('error', (err) => {
+			clearTimeout(timer);
+			reject(err);
+		});
+	});
+}
+
+// t.manyToMany('tag', { through: 'yass_m2m_post_tag' }) on yass_m2m_post: the
+// bin syncs the definition's own table, then creates the join table with
+// (yass_m2m_post, tag) columns and a unique index on the pair.
+describe('#schemaSync t.manyToMany() join tables', function suite() {
+	this.timeout(120000);
+
+	after(async () => {
+		const conn = await dbh();
+		await conn.query(`DROP TABLE IF EXISTS yass_m2m_post_tag`);
+		await conn.query(`DROP TABLE IF EXISTS yass_m2m_post`);
+	});
+
+	it('creates the join table alongside the definition', async () => {
+		const { code, stdout, stderr } = await runBin([DEFINITION]);
+		expect(code, `stderr was:\n${stderr}`).to.equal(0);
+		expect(stdout).to.match(/Processing: join table yass_m2m_post_tag/);
+
+		const conn = await dbh();
+		await conn.create('yass_m2m_post_tag', { yass_m2m_post: 1, tag: 2 });
+		await conn.create('yass_m2m_post_tag', { yass_m2m_post: 1, tag: 3 });
+		let error;
+		try {
+			await conn.create(
+				'yass_m2m_post_tag',
+				{ yass_m2m_post: 1, tag: 2 },
+				{ silenceErrors: true },
+			);
+		} catch (err) {
+			error = err;
+		}
+		expect(error, 'duplicate pair rejected by the unique index').to.exist;
+		expect(await conn.search('yass_m2m_post_tag', {})).to.have.length(2);
+	});
+
+	it('syncs again cleanly', async () => {
+		const { code, stderr } = await runBin([DEFINITION]);
+		expect(code, `stderr was:\n${stderr}`).to.equal(0);
+	});
+});
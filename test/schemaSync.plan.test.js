@@ -0,0 +1,202 @@
+/* eslint-disable no-console */
+/* global describe, it, before, after */
+const { expect } = require('chai');
+const { spawn } = require('child_process');
+const path = require('path');
+const config = require('../lib/config');
+const { dbh } = require('../lib/dbh');
+const { formatPlan } = require('../lib/sync-to-db');
+
+const BIN = path.resolve(__dirname, '..', 'bin', 'schema-sync');
+const DEFINITION = path.resolve(__dirname, 'fixtures', 'plan-def.js');
+const TABLE = 'yass_plan_ticket';
+
+function runBin(args, { timeoutMs = 60000 } = {}) {
+	return new Promise((resolve, reject) => {
+		const child = spawn(process.execPath, [BIN, ...args], {
+			cwd: path.resolve(__dirname, '..'),
+			env: { ...process.env, NODE_ENV: process.env.NODE_ENV || 'development' },
+		});
+		let stdout = '';
+		let stderr = '';
+		child.stdout.on('data', (chunk) => {
+			stdout += chunk.toString();
+		});
+		child.stderr.on('data', (chunk) => {
+			stderr += chunk.toString();
+		});
+		const timer = setTimeout(() => {
+			child.kill('SIGKILL');
+			reject(new Error(`schema-sync bin timed out after ${timeoutMs}ms`));
+		}, timeoutMs);
+		child.on('close', (code) => {
+			clearTimeout(timer);
+			resolve({ code, stdout, stderr });
+		});
+		child.on('error', (err) => {
+			clearTimeout(timer);
+			reject(err);
+		});
+	});
+}
+
+async function tableExists(conn) {
+	try {
+		await conn.query(`SELECT 1 FROM ${TABLE} LIMIT 1`);
+		return true;
+	} catch (err) {
+		return false;
+	}
+}
+
+const tableSteps = (plan) => plan.steps.filter(({ table }) => table === TABLE);
+
+describe('#schemaSync --plan', function suite() {
+	this.timeout(120000);
+
+	let conn;
+
+	before(async () => {
+		conn = await dbh();
+		await conn.query(`DROP TABLE IF EXISTS ${TABLE}`);
+	});
+
+	after(async () => {
+		await conn.query(`DROP TABLE IF EXISTS ${TABLE}`);
+	});
+
+	it('plans a missing table without creating it, and exits 2', async () => {
+		const { code, stdout, stderr } = await runBin([
+			'--plan',
+			'--json',
+			DEFINITION,
+		]);
+		expect(code, `stderr was:\n${stderr}`).to.equal(2);
+
+		const plan = JSON.parse(stdout);
+		expect(plan.errors).to.deep.equal([]);
+		const steps = tableSteps(plan);
+		expect(steps.map(({ action }) => action)).to.deep.equal([
+			'create-table',
+			'create-index',
+			'create-index',
+			'create-index',
+		]);
+		expect(steps[0].sql).to.match(/CREATE TABLE/i);
+		expect(steps.map(({ name }) => name)).to.include.members([
+			'idx_yass_plan_ticket_status',
+			'idx_yass_plan_ticket_title',
+		]);
+		expect(plan.pending).to.equal(
+			plan.steps.filter(({ deferred }) => !deferred).length,
+		);
+
+		expect(await tableExists(conn)).to.equal(false);
+	});
+
+	it('prints a human-readable plan without --json', async () => {
+		const { code, stdout } = await runBin(['--plan', DEFINITION]);
+		expect(code).to.equal(2);
+		expect(stdout).to.match(/schema-sync plan: \d+ change\(s\) pending/);
+		expect(stdout).to.match(
+			/\d\. +yass_plan_ticket: create-index idx_yass_plan_ticket_status/,
+		);
+		expect(await tableExists(conn)).to.equal(false);
+	});
+
+	it('reports nothing pending once synced', async function noChanges() {
+		const { code, stderr } = await runBin([DEFINITION]);
+		expect(code, `stderr was:\n${stderr}`).to.equal(0);
+		expect(await tableExists(conn)).to.equal(true);
+
+		// SQLite reads its column types back in a different form than the
+		// schema gives them, so a sync there always rebuilds the table
+		if ((config.dialect || 'mysql') !== 'mysql') {
+			this.skip();
+		}
+		const plan = await runBin(['--plan', DEFINITION]);
+		expect(plan.code, `stderr was:\n${plan.stderr}`).to.equal(0);
+		expect(plan.stdout).to.match(/schema-sync plan: no changes pending/);
+	});
+
+	it('lists index changes and defers column drops', async () => {
+		await conn.query(`ALTER TABLE ${TABLE} ADD COLUMN legacy TEXT`);
+		await conn.query(
+			(config.dialect || 'mysql') === 'mysql'
+				? `DROP INDEX idx_yass_plan_ticket_status ON ${TABLE}`
+				: `DROP INDEX idx_yass_plan_ticket_status`,
+		);
+
+		const { code, stdout, stderr } = await runBin([
+			'--plan',
+			'--json',
+			DEFINITION,
+		]);
+		expect(code, `stderr was:\n${stderr}`).to.equal(2);
+		const steps = tableSteps(JSON.parse(stdout));
+		expect(steps).to.deep.include({
+			table: TABLE,
+			action: 'drop-column',
+			name: 'legacy',
+			sql: null,
+			down: null,
+			reason: 'not in the schema; set YASS_ALLOW_DROP to drop it',
+			deferred: true,
+		});
+		const recreate = steps.find(
+			({ action, name }) =>
+				action === 'create-index' && name === 'idx_yass_plan_ticket_status',
+		);
+		expect(recreate).to.exist;
+		expect(recreate.deferred).to.equal(false);
+
+		// Nothing was applied
+		await conn.query(`SELECT legacy FROM ${TABLE}`);
+		const indexes = await conn.query(
+			(config.dialect || 'mysql') === 'mysql'
+				? `SHOW INDEX FROM ${TABLE} WHERE Key_name='idx_yass_plan_ticket_status'`
+				: `SELECT name FROM sqlite_master WHERE type='index' AND name='idx_yass_plan_ticket_status'`,
+		);
+		expect(indexes).to.have.length(0);
+	});
+
+	it('rejects unknown options, and --json without --plan', async () => {
+		const unknown = await runBin(['--plna', DEFINITION]);
+		expect(unknown.code).to.equal(1);
+		expect(unknown.stderr).to.match(/Unknown option: --plna/);
+
+		const jsonOnly = await runBin(['--json', DEFINITION]);
+		expect(jsonOnly.code).to.equal(1);
+		expect(jsonOnly.stderr).to.match(/--json only applies to --plan/);
+	});
+
+	describe('formatPlan()', () => {
+		it('numbers pending steps and lists deferred ones last', () => {
+			const text = formatPlan([
+				{
+					table: 'a',
+					action: 'drop-column',
+					name: 'old',
+					sql: null,
+					reason: 'not in the schema',
+					deferred: true,
+				},
+				{
+					table: 'a',
+					action: 'add-column',
+					name: 'b',
+					sql: 'ALTER TABLE a ADD b INT',
+					reason: null,
+					deferred: false,
+				},
+			]);
+			expect(text.split('\n')).to.deep.equal([
+				'schema-sync plan: 1 change(s) pending, 1 deferred',
+				'  1.  a: add-column b',
+				'       ALTER TABLE a ADD b INT',
+				'  -   a: drop-column old (deferred: not in the schema)',
+			]);
+			expect(formatPlan([])).to.equal('schema-sync plan: no changes pending');
+		});
+	});
+});
@@ -0,0 +1,187 @@
+/* eslint-disable no-console */
+/* global describe, it, before, after */
+const { expect } = require('chai');
+const YassORM = require('../lib');
+const config = require('../lib/config');
+const { dbh } = require('../lib/dbh');
+const { syncSchemaToDb } = require('../lib/sync-to-db');
+
+const OLD_TABLE = 'yass_rename_old';
+const NEW_TABLE = 'yass_rename_new';
+
+const isMysql = () => (config.dialect || 'mysql') === 'mysql';
+
+// Definitions are converted fresh for every sync, as syncSchemaToDb() adds the
+// id field to the schema it is given
+const ticket = ({ table = OLD_TABLE, renamedFrom, renamed = false } = {}) =>
+	YassORM.convertDefinition(({ types: t }) => ({
+		table,
+		...(renamedFrom ? { renamedFrom } : {}),
+		schema: {
+			...(renamed
+				? { subject: t.string.renamedFrom('title') }
+				: { title: t.string }),
+			status: t.string,
+		},
+		indexes: {
+			idx_yass_rename_subject: [renamed ? 'subject' : 'title'],
+		},
+	}));
+
+const planSteps = async (schema) =>
+	(await syncSchemaToDb(schema, { plan: true })).plan.filter(
+		({ action }) => action !== 'rebuild-table',
+	);
+
+describe('#schemaSync renamedFrom', function suite() {
+	this.timeout(60000);
+
+	let conn;
+	const columnsOf = async (table) =>
+		isMysql()
+			? (await conn.query(`SHOW COLUMNS FROM ${table}`)).map(
+					({ Field }) => Field,
+			  )
+			: (await conn.query(`PRAGMA table_info(${table})`)).map(
+					({ name }) => name,
+			  );
+
+	const dropTables = async () => {
+		await conn.query(`DROP TABLE IF EXISTS ${OLD_TABLE}`);
+		await conn.query(`DROP TABLE IF EXISTS ${NEW_TABLE}`);
+	};
+
+	before(async () => {
+		conn = await dbh();
+		await dropTables();
+		const { failed } = await syncSchemaToDb(ticket());
+		expect(failed).to.equal(0);
+		await conn.query(
+			`INSERT INTO ${OLD_TABLE} (title, status) VALUES ('printer on fire', 'open')`,
+		);
+	});
+
+	after(async () => {
+		await dropTables();
+	});
+
+	it('plans a column rename instead of an add and a drop', async () => {
+		const steps = await planSteps(ticket({ renamed: true }));
+		const rename = steps.find(({ action }) => action === 'rename-column');
+		expect(rename).to.include({
+			table: OLD_TABLE,
+			name: 'subject',
+			reason: "renamed from 'title'",
+		});
+		expect(rename.sql).to.match(/RENAME COLUMN .title. TO .subject./);
+		expect(rename.down).to.match(/RENAME COLUMN .subject. TO .title./);
+		expect(
+			steps.filter(({ action }) =>
+				['add-column', 'drop-column'].includes(action),
+			),
+		).to.deep.equal([]);
+		// Still the index it was, now on the renamed column. (SQLite rebuilds the
+		// table on every sync, recreating its indexes.)
+		if (isMysql()) {
+			expect(steps.filter(({ action }) => /index/.test(action))).to.deep.equal(
+				[],
+			);
+		}
+		expect(await columnsOf(OLD_TABLE)).to.include('title');
+	});
+
+	it('renames the column, keeping its data, and only once', async () => {
+		const first = await syncSchemaToDb(ticket({ renamed: true }));
+		expect(first.failed).to.equal(0);
+		const columns = await columnsOf(OLD_TABLE);
+		expect(columns).to.include('subject');
+		expect(columns).to.not.include('title');
+		expect(
+			await conn.query(`SELECT subject, status FROM ${OLD_TABLE}`),
+		).to.deep.equal([{ subject: 'printer on fire', status: 'open' }]);
+
+		const steps = await planSteps(ticket({ renamed: true }));
+		expect(steps.map(({ action }) => action)).to.not.include('rename-column');
+	});
+
+	it('drops the old id trigger with the table rename', async function test() {
+		// SQLite has no id triggers
+		if (!isMysql()) {
+			this.skip();
+		}
+		await conn.query(
+			`CREATE TRIGGER before_insert_${OLD_TABLE}_set_id BEFORE INSERT ON ${OLD_TABLE} FOR EACH ROW SET new.status = coalesce(new.status, 'open')`,
+		);
+		const steps = await planSteps(
+			ticket({ table: NEW_TABLE, renamedFrom: OLD_TABLE, renamed: true }),
+		);
+		const rename = steps.find(({ action }) => action === 'rename-table');
+		expect(rename.sql.split(';\n')).to.deep.equal([
+			`DROP TRIGGER IF EXISTS \`before_insert_${OLD_TABLE}_set_id\``,
+			`RENAME TABLE \`${OLD_TABLE}\` TO \`${NEW_TABLE}\``,
+		]);
+		expect(rename.down.split(';\n')).to.have.length(3);
+		expect(rename.down).to.match(
+			/CREATE TRIGGER .before_insert_yass_rename_old_set_id. BEFORE INSERT ON .yass_rename_old./,
+		);
+		// The sync below drops it
+	});
+
+	it('renames the table, and only once', async () => {
+		const renamedTable = ticket({
+			table: NEW_TABLE,
+			renamedFrom: OLD_TABLE,
+			renamed: true,
+		});
+		const steps = await planSteps(renamedTable);
+		expect(steps[0]).to.include({
+			table: NEW_TABLE,
+			action: 'rename-table',
+			reason: `renamed from '${OLD_TABLE}'`,
+		});
+		expect(steps.map(({ action }) => action)).to.not.include('create-table');
+
+		const { failed } = await syncSchemaToDb(
+			ticket({ table: NEW_TABLE, renamedFrom: OLD_TABLE, renamed: true }),
+		);
+		expect(failed).to.equal(0);
+		expect(await conn.query(`SELECT subject FROM ${NEW_TABLE}`)).to.deep.equal([
+			{ subject: 'printer on fire' },
+		]);
+		let oldTableError;
+		try {
+			await conn.query(`SELECT 1 FROM ${OLD_TABLE}`);
+		} catch (ex) {
+			oldTableError = ex;
+		}
+		expect(oldTableError).to.exist;
+		if (isMysql()) {
+			expect(
+				await conn.query(
+					`SHOW TRIGGERS WHERE \`Trigger\`='before_insert_${OLD_TABLE}_set_id'`,
+				),
+			).to.deep.equal([]);
+		}
+
+		const again = await planSteps(
+			ticket({ table: NEW_TABLE, renamedFrom: OLD_TABLE, renamed: true }),
+		);
+		expect(again.map(({ action }) => action)).to.not.include('rename-table');
+	});
+
+	it('rejects a renamedFrom that is not a previous name', () => {
+		expect(() =>
+			YassORM.convertDefinition(({ types: t }) => ({
+				table: NEW_TABLE,
+				schema: { subject: t.string.renamedFrom('subject') },
+			})),
+		).to.throw(/Field 'subject' on 'yass_rename_new' has renamedFrom/);
+		expect(() =>
+			YassORM.convertDefinition(({ types: t }) => ({
+				table: NEW_TABLE,
+				renamedFrom: true,
+				schema: { subject: t.string },
+			})),
+		).to.throw(/renamedFrom must be the table's previous name/);
+	});
+});
@@ -201,7 +201,8 @@ describe('#YASS-ORM', () => {
 	});
 
 	it('should allow editing after fresh reload when nonce changed on disk', async () => {
-		const sample2 = await UuuidClass.get(sample.id);
+		// `sample` was soft-deleted above, and get() skips deleted rows by default
+		const sample2 = await UuuidClass.get(sample.id, { withDeleted: true });
 		let error;
 		const result = await sample2
 			.patch({
@@ -1,6 +1,7 @@
 /* global describe, it */
 const { expect } = require('chai');
 const {
+	currentTransaction,
 	isRetryableTransactionError,
 	runTransaction,
 } = require('../lib/transactions');
@@ -244,3 +245,161 @@ describe('transaction lifecycle unit coverage', () => {
 		expect(callbacks).to.equal(1);
 	});
 });
+
+describe('tx.afterCommit() / tx.afterRollback()', () => {
+	it('runs afterCommit callbacks in order once the connection is released', async () => {
+		const { events, parent } = createHarness();
+		const result = await parent.transaction(async (tx) => {
+			tx.afterCommit(() => events.push('afterCommit:1'));
+			tx.afterCommit(async () => events.push('afterCommit:2'));
+			tx.afterRollback(() => events.push('afterRollback'));
+			events.push('callback');
+			return 'done';
+		});
+
+		expect(result).to.equal('done');
+		expect(events).to.deep.equal([
+			'acquire',
+			'begin',
+			'callback',
+			'commit',
+			'cleanup',
+			'release',
+			'afterCommit:1',
+			'afterCommit:2',
+		]);
+	});
+
+	it('runs afterRollback callbacks, not afterCommit ones, when the callback throws', async () => {
+		const { events, parent } = createHarness();
+		const expected = new Error('callback failed');
+		let caught;
+		try {
+			await parent.transaction(async (tx) => {
+				tx.afterCommit(() => events.push('afterCommit'));
+				tx.afterRollback(() => events.push('afterRollback'));
+				throw expected;
+			});
+		} catch (err) {
+			caught = err;
+		}
+
+		expect(caught).to.equal(expected);
+		expect(events.slice(-3)).to.deep.equal([
+			'cleanup',
+			'release',
+			'afterRollback',
+		]);
+	});
+
+	it('drops the afterCommit callbacks of a rolled-back savepoint', async () => {
+		const { events, parent } = createHarness();
+		await parent.transaction(async (tx) => {
+			tx.afterCommit(() => events.push('outer:afterCommit'));
+			try {
+				await tx.transaction(async () => {
+					tx.afterCommit(() => events.push('inner:afterCommit'));
+					tx.afterRollback(() => events.push('inner:afterRollback'));
+					throw new Error('inner failed');
+				});
+			} catch (err) {
+				// the outer transaction carries on
+			}
+		});
+
+		expect(events.slice(events.indexOf('release'))).to.deep.equal([
+			'release',
+			'outer:afterCommit',
+			'inner:afterRollback',
+		]);
+	});
+
+	it('hands the callbacks of a released savepoint to the enclosing level', async () => {
+		const { events, parent } = createHarness();
+		let caught;
+		try {
+			await parent.transaction(async (tx) => {
+				await tx.transaction(async () => {
+					tx.afterCommit(() => events.push('inner:afterCommit'));
+					tx.afterRollback(() => events.push('inner:afterRollback'));
+				});
+				expect(events).to.not.include('inner:afterCommit');
+				throw new Error('outer failed');
+			});
+		} catch (err) {
+			caught = err;
+		}
+
+		expect(caught.message).to.equal('outer failed');
+		expect(events).to.not.include('inner:afterCommit');
+		expect(events[events.length - 1]).to.equal('inner:afterRollback');
+	});
+
+	it('logs a throwing callback and still runs the rest', async () => {
+		const { events, parent } = createHarness();
+		const originalError = console.error;
+		const logged = [];
+		console.error = (...args) => logged.push(args);
+		try {
+			await parent.transaction(async (tx) => {
+				tx.afterCommit(() => {
+					throw new Error('mailer down');
+				});
+				tx.afterCommit(() => events.push('afterCommit'));
+			});
+		} finally {
+			console.error = originalError;
+		}
+
+		expect(events[events.length - 1]).to.equal('afterCommit');
+		expect(logged).to.have.length(1);
+		expect(logged[0][0]).to.match(/tx\.afterCommit\(\) callback threw/);
+		expect(logged[0][1].message).to.equal('mailer down');
+	});
+
+	it('requires a function', async () => {
+		const { parent } = createHarness();
+		await parent.transaction(async (tx) => {
+			expect(() => tx.afterCommit('nope')).to.throw(
+				TypeError,
+				/tx\.afterCommit\(fn\) requires a function/,
+			);
+		});
+	});
+});
+
+describe('transaction({ bind: true })', () => {
+	it('binds the transaction for the callback only', async () => {
+		const { parent } = createHarness();
+		let later;
+		await parent.transaction(
+			async (tx) => {
+				expect(currentTransaction()).to.equal(tx);
+				expect(currentTransaction(parent)).to.equal(tx);
+				expect(currentTransaction(createHarness().parent)).to.equal(undefined);
+				later = new Promise((resolve) => {
+					setImmediate(() => resolve(currentTransaction()));
+				});
+			},
+			{ bind: true },
+		);
+
+		expect(currentTransaction()).to.equal(undefined);
+		// Still in the callback's async context, but the transaction is over
+		expect(await later).to.equal(undefined);
+	});
+
+	it('leaves the context alone without it, and binds nested calls', async () => {
+		const { parent } = createHarness();
+		await parent.transaction(async (tx) => {
+			expect(currentTransaction()).to.equal(undefined);
+			await tx.transaction(
+				async () => {
+					expect(currentTransaction()).to.equal(tx);
+				},
+				{ bind: true },
+			);
+			expect(currentTransaction()).to.equal(undefined);
+		});
+	});
+});
@@ -0,0 +1,205 @@
+/* global describe, it */
+const { expect } = require('chai');
+const {
+	compileWhere,
+	validateWhere,
+	mapWhereOperands,
+	hasWhereOperators,
+	SUPPORTED_WHERE_OPERATORS,
+} = require('../lib/where-clause');
+
+const escapeId = (x) => `\`${x}\``;
+const compile = (where, context = {}) =>
+	compileWhere(where, { escapeId, ...context });
+
+describe('#YASS-ORM compileWhere', () => {
+	describe('backward compatibility (equality only)', () => {
+		it('emits the historical col=:col form with the column as param name', () => {
+			expect(compile({ name: 'a', sortKey: 2 })).to.deep.equal({
+				sql: '`name`=:name and `sortKey`=:sortKey',
+				params: { name: 'a', sortKey: 2 },
+			});
+		});
+
+		it('emits IS NULL for null values', () => {
+			expect(compile({ name: null }).sql).to.equal('`name` is NULL');
+		});
+
+		it('returns empty sql for an empty where', () => {
+			expect(compile({})).to.deep.equal({ sql: '', params: {} });
+		});
+
+		it('treats a plain object with no $ keys as a literal, not operators', () => {
+			const { sql, params } = compile({ meta: { a: 1 } });
+			expect(sql).to.equal('`meta`=:meta');
+			expect(params.meta).to.deep.equal({ a: 1 });
+		});
+	});
+
+	describe('field operators', () => {
+		it('compiles comparisons to generated placeholders', () => {
+			const { sql, params } = compile({ age: { $gte: 18, $lt: 65 } });
+			expect(sql).to.equal('`age` >= :yass_where_0 and `age` < :yass_where_1');
+			expect(params).to.deep.equal({ yass_where_0: 18, yass_where_1: 65 });
+		});
+
+		it('compiles $eq/$ne null to IS NULL / IS NOT NULL', () => {
+			expect(compile({ a: { $eq: null } }).sql).to.equal('`a` is NULL');
+			expect(compile({ a: { $ne: null } }).sql).to.equal('`a` is not NULL');
+			expect(compile({ a: { $ne: 3 } }).sql).to.equal('`a`<>:yass_where_0');
+		});
+
+		it('expands $in / $nin to one placeholder per element', () => {
+			const { sql, params } = compile({ status: { $in: ['a', 'b'] } });
+			expect(sql).to.equal('`status` in (:yass_where_0, :yass_where_1)');
+			expect(params).to.deep.equal({ yass_where_0: 'a', yass_where_1: 'b' });
+			expect(compile({ status: { $nin: ['a'] } }).sql).to.equal(
+				'`status` not in (:yass_where_0)',
+			);
+		});
+
+		it('compiles an empty $in to a false predicate and an empty $nin to a true one', () => {
+			expect(compile({ status: { $in: [] } }).sql).to.equal('1=0');
+			expect(compile({ status: { $nin: [] } }).sql).to.equal('1=1');
+		});
+
+		it('compiles $like, $notLike and $between', () => {
+			expect(compile({ name: { $like: 'a%' } }).sql).to.equal(
+				'`name` like :yass_where_0',
+			);
+			expect(compile({ name: { $notLike: 'a%' } }).sql).to.equal(
+				'`name` not like :yass_where_0',
+			);
+			expect(compile({ age: { $between: [1, 5] } }).sql).to.equal(
+				'`age` between :yass_where_0 and :yass_where_1',
+			);
+		});
+
+		it('compiles a field-level $not', () => {
+			expect(compile({ age: { $not: { $in: [1, 2] } } }).sql).to.equal(
+				'not (`age` in (:yass_where_0, :yass_where_1))',
+			);
+		});
+	});
+
+	describe('groups', () => {
+		it('compiles $or with generated placeholders even for plain equality', () => {
+			const { sql, params } = compile({
+				isDeleted: 0,
+				$or: [{ status: 'a' }, { status: 'b', name: null }],
+			});
+			expect(sql).to.equal(
+				'`isDeleted`=:isDeleted and ((`status`=:yass_where_0) or (`status`=:yass_where_1 and `name` is NULL))',
+			);
+			expect(params).to.deep.equal({
+				isDeleted: 0,
+				yass_where_0: 'a',
+				yass_where_1: 'b',
+			});
+		});
+
+		it('compiles nested $and / $not', () => {
+			expect(
+				compile({
+					$not: { $and: [{ a: { $gt: 1 } }, { b: 2 }] },
+				}).sql,
+			).to.equal('not (((`a` > :yass_where_0) and (`b`=:yass_where_1)))');
+		});
+
+		it('compiles an empty $or to a false predicate and an empty $and to a true one', () => {
+			expect(compile({ $or: [] }).sql).to.equal('1=0');
+			expect(compile({ $and: [] }).sql).to.equal('1=1');
+		});
+	});
+
+	describe('validation', () => {
+		it('throws on an unknown operator, naming it and listing the supported ones', () => {
+			expect(() => compile({ age: { $gtt: 1 } })).to.throw(
+				/unknown operator '\$gtt' on field 'age'\. Supported: \$eq, \$ne/,
+			);
+		});
+
+		it('throws on an unknown group', () => {
+			expect(() => compile({ $nor: [] })).to.throw(/unknown group '\$nor'/);
+		});
+
+		it('points field operators used at group level at the right place', () => {
+			expect(() => compile({ $gt: 1 })).to.throw(
+				/go inside a field, e\.g\. \{ age: \{ \$gt: 18 \} \}/,
+			);
+		});
+
+		it('throws when operators and plain keys are mixed', () => {
+			expect(() => compile({ age: { $gt: 1, foo: 2 } })).to.throw(
+				/mixes operators/,
+			);
+		});
+
+		it('rejects malformed operands', () => {
+			expect(() => compile({ a: { $in: 'x' } })).to.throw(
+				/must be given an array/,
+			);
+			expect(() => compile({ a: { $in: [1, null] } })).to.throw(
+				/cannot contain null/,
+			);
+			expect(() => compile({ a: { $between: [1] } })).to.throw(
+				/\[low, high\] pair/,
+			);
+			expect(() => compile({ a: { $like: 5 } })).to.throw(/string pattern/);
+			expect(() => compile({ a: { $gt: null } })).to.throw(
+				/cannot compare against null/,
+			);
+			expect(() => compile({ $or: {} })).to.throw(/must be an array/);
+		});
+
+		it('checks field names against validColumns, including inside groups', () => {
+			const validColumns = ['id', 'age'];
+			expect(() =>
+				validateWhere({ $or: [{ agee: { $gt: 1 } }] }, { validColumns }),
+			).to.throw(/names 'agee', which is not a column on this model/);
+			expect(() =>
+				validateWhere({ age: { $gt: 1 } }, { validColumns }),
+			).to.not.throw();
+		});
+
+		it('prefixes every error with the search() context', () => {
+			expect(() => compile({ a: { $bad: 1 } })).to.throw(
+				/^yass-orm search\(\):/,
+			);
+		});
+	});
+
+	describe('helpers', () => {
+		it('hasWhereOperators distinguishes operator syntax from plain equality', () => {
+			expect(hasWhereOperators({ a: 1, b: null })).to.equal(false);
+			expect(hasWhereOperators({ a: { x: 1 } })).to.equal(false);
+			expect(hasWhereOperators({ a: { $gt: 1 } })).to.equal(true);
+			expect(hasWhereOperators({ $or: [] })).to.equal(true);
+		});
+
+		it('mapWhereOperands maps every operand, element by element for lists', () => {
+			const mapped = mapWhereOperands(
+				{
+					a: 1,
+					b: { $in: [1, 2], $not: { $eq: 3 } },
+					$or: [{ c: 4 }],
+				},
+				(field, value) => `${field}:${value}`,
+			);
+			expect(mapped).to.deep.equal({
+				a: 'a:1',
+				b: { $in: ['b:1', 'b:2'], $not: { $eq: 'b:3' } },
+				$or: [{ c: 'c:4' }],
+			});
+		});
+
+		it('exports the operator vocabulary', () => {
+			expect(SUPPORTED_WHERE_OPERATORS).to.include.members([
+				'$gt',
+				'$in',
+				'$like',
+				'$ne',
+			]);
+		});
+	});
+});